@@ -4,15 +4,24 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { useFonts } from 'expo-font';
 import * as SplashScreen from 'expo-splash-screen';
-import React, { useCallback } from 'react';
+import React, { useCallback, useEffect } from 'react';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import CopyMealsScreen from './src/caloriescreen/CopyMealsScreen';
 import CustomCameraScreen from './src/caloriescreen/CustomCameraScreen';
+import GroceryListScreen from './src/caloriescreen/GroceryListScreen';
+import LabelScanScreen from './src/caloriescreen/LabelScanScreen';
+import MealPlanScreen from './src/caloriescreen/MealPlanScreen';
 import MealPreferencesScreen from './src/caloriescreen/MealPreferencesScreen';
+import MealTemplatesScreen from './src/caloriescreen/MealTemplatesScreen';
+import PendingFoodLogsScreen from './src/caloriescreen/PendingFoodLogsScreen';
 import PhotoCalorieScreen from './src/caloriescreen/PhotoCalorieScreen';
 import PostCalorieScreen from './src/caloriescreen/PostCalorieScreen';
+import ProductEntryScreen from './src/caloriescreen/ProductEntryScreen';
 import ProgressScreen from './src/caloriescreen/ProgressScreen';
 import QuickLogScreen from './src/caloriescreen/QuickLogScreen';
+import RecipeBuilderScreen from './src/caloriescreen/RecipeBuilderScreen';
+import RecipesScreen from './src/caloriescreen/RecipesScreen';
 import SavedMealsScreen from './src/caloriescreen/SavedMealsScreen';
 import VoiceCalorieScreen from './src/caloriescreen/VoiceCalorieScreen';
 import VoicePostCalorieScreen from './src/caloriescreen/VoicePostCalorieScreen';
@@ -35,6 +44,7 @@ import TimePerDayScreen from './src/onboarding/TimePerDayScreen';
 import WeightGoalScreen from './src/onboarding/WeightGoalScreen';
 import WorkoutPreferencesScreen from './src/onboarding/WorkoutPreferencesScreen';
 import AppSettingsScreen from './src/profilescreen/AppSettingsScreen';
+import MealSlotsScreen from './src/profilescreen/MealSlotsScreen';
 import PersonalInfoScreen from './src/profilescreen/PersonalInfoScreen';
 import PreferencesScreen from './src/profilescreen/PreferencesScreen';
 import ProfileScreen from './src/profilescreen/ProfileScreen';
@@ -53,6 +63,7 @@ import SleepTrackerScreen from './src/sleepscreen/SleepTrackerScreen';
 import StepTrackerScreen from './src/steptrackerscreen/StepTrackerScreen';
 import AddWeightScreen from './src/weightscreen/AddWeightScreen';
 import WeightTrackerScreen from './src/weightscreen/WeightTrackerScreen';
+import { startFoodLogQueue } from './src/utils/foodLogQueue';
 import WelcomeScreen from './src/welcomescreen/WelcomeScreen';
 import ExerciseScreen from './src/workoutscreen/ExerciseScreen';
 import WorkoutHistoryScreen from './src/workoutscreen/WorkoutHistoryScreen';
@@ -99,6 +110,11 @@ export default function App() {
     'Ubuntu-Bold': require('./assets/Lexend,Manrope,Ubuntu/Ubuntu/Ubuntu-Bold.ttf'),
   });
 
+  // Replay food logs that were saved while offline
+  useEffect(() => {
+    startFoodLogQueue();
+  }, []);
+
   const onLayoutRootView = useCallback(async () => {
     if (fontsLoaded) {
       // ✅ Only hide splash screen, don't initialize Google Sign-In here
@@ -166,6 +182,7 @@ export default function App() {
                   }}
                 />
                 <Stack.Screen name="PhotoCalorieScreen" component={PhotoCalorieScreen} />
+                <Stack.Screen name="LabelScanScreen" component={LabelScanScreen} />
                 <Stack.Screen name="ManualLogScreen" component={ManualLogScreen} />
                 <Stack.Screen name="VoiceCalorieScreen" component={VoiceCalorieScreen} />
                 <Stack.Screen name="VoicePostCalorieScreen" component={VoicePostCalorieScreen} />
@@ -200,6 +217,14 @@ export default function App() {
                 <Stack.Screen name="Workouts" component={WorkoutHistoryScreen} />
                 <Stack.Screen name="PostCalorieScreen" component={PostCalorieScreen} />
                 <Stack.Screen name="QuickLogScreen" component={QuickLogScreen} />
+                <Stack.Screen name="PendingFoodLogsScreen" component={PendingFoodLogsScreen} />
+                <Stack.Screen name="MealPlanScreen" component={MealPlanScreen} />
+                <Stack.Screen name="RecipesScreen" component={RecipesScreen} />
+                <Stack.Screen name="RecipeBuilderScreen" component={RecipeBuilderScreen} />
+                <Stack.Screen name="GroceryListScreen" component={GroceryListScreen} />
+                <Stack.Screen name="CopyMealsScreen" component={CopyMealsScreen} />
+                <Stack.Screen name="MealTemplatesScreen" component={MealTemplatesScreen} />
+                <Stack.Screen name="ProductEntryScreen" component={ProductEntryScreen} />
                 <Stack.Screen name="StartWorkout" component={StartWorkoutScreen} />
                 <Stack.Screen name="AllExercisesScreen" component={AllExercisesScreen} options={{ headerShown: false }} />
                 <Stack.Screen name="CustomCameraScreen" component={CustomCameraScreen} options={{ headerShown: false }} />
@@ -209,6 +234,7 @@ export default function App() {
                 <Stack.Screen name="WorkoutSaveScreen" component={WorkoutSaveScreen} />
                 <Stack.Screen name="PersonalInfo" component={PersonalInfoScreen} />
                 <Stack.Screen name="Preferences" component={PreferencesScreen} />
+                <Stack.Screen name="MealSlotsScreen" component={MealSlotsScreen} />
                 <Stack.Screen name="AppSettings" component={AppSettingsScreen} />
                 <Stack.Screen name="MiniProfile" component={MiniProfileScreen} />
               </Stack.Navigator>
@@ -46,7 +46,7 @@ export default {
       favicon: "./assets/favicon.png"
     },
     extra: {
-      EXPO_PUBLIC_GEMINI_API_KEY: process.env.EXPO_PUBLIC_GEMINI_API_KEY,
+      apiUrl: process.env.EXPO_PUBLIC_API_URL,
       eas: {
          "projectId": "f96f8480-5291-458b-aa94-fe04125b0bdd"
       },
@@ -0,0 +1,86 @@
+// routes/analysis.js
+const express = require('express');
+const { ANALYSIS_ERROR_CODES } = require('../services/analysis/errors');
+const { readNutritionLabel } = require('../services/analysis/labelParser');
+const { validateAnalysisRequest } = require('../validators/analysis');
+const { validationError } = require('../validators/foodLog');
+
+const STATUS_BY_CODE = {
+  [ANALYSIS_ERROR_CODES.NO_FOOD_DETECTED]: 422,
+  [ANALYSIS_ERROR_CODES.MALFORMED_RESPONSE]: 502,
+  [ANALYSIS_ERROR_CODES.PROVIDER_UNAVAILABLE]: 503,
+  [ANALYSIS_ERROR_CODES.UNREADABLE_LABEL]: 422,
+};
+
+// Send a provider failure as { error, code } with a matching status
+function sendAnalysisError(res, err) {
+  const status = STATUS_BY_CODE[err.code];
+  if (!status) throw err;
+
+  console.error(`Analysis error (${err.code}):`, err.message);
+  res.status(status).json({ error: err.message, code: err.code });
+}
+
+/**
+ * Build the nutrition analysis router around a provider (see services/analysis/).
+ * A provider exposes analyze({ type, text, data, mimeType, images, context }), transcribe({ data, mimeType })
+ * and readLabel({ data, mimeType }), which returns the raw text of a nutrition panel.
+ */
+function createAnalysisRouter({ provider, requireAuth }) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // Analyze a text description, a photo or a voice note.
+  // Body: { type: text|image|audio, text?, data? (base64), mime_type?, context? }
+  // An image request may send images: [{ data, mime_type, role: angle|before|after }] instead of data.
+  // Responds with the analysis (numbers as the model wrote them), or { raw_text } when the reply needs repairing.
+  router.post('/', async (req, res) => {
+    const { value, errors } = validateAnalysisRequest(req.body, { allowImages: true });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    console.log(`Analyzing ${value.type} for user_id: ${req.user.id} with ${provider.name}`);
+
+    try {
+      res.json(await provider.analyze(value));
+    } catch (err) {
+      sendAnalysisError(res, err);
+    }
+  });
+
+  // Transcribe a voice note without analyzing it. Body: { type: audio, data, mime_type }
+  router.post('/transcribe', async (req, res) => {
+    const { value, errors } = validateAnalysisRequest(req.body, { types: ['audio'] });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    try {
+      res.json(await provider.transcribe(value));
+    } catch (err) {
+      sendAnalysisError(res, err);
+    }
+  });
+
+  // Read a Nutrition Facts panel from a photo. Body: { type: image, data, mime_type }
+  // Responds { label, warnings, text }; label values are per serving, sodium in mg.
+  router.post('/label', async (req, res) => {
+    const { value, errors } = validateAnalysisRequest(req.body, { types: ['image'] });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    try {
+      const { text } = await provider.readLabel(value);
+      res.json({ ...readNutritionLabel(text), text });
+    } catch (err) {
+      sendAnalysisError(res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAnalysisRouter;
@@ -1,87 +1,344 @@
 // routes/foodLogs.js
 const express = require('express');
-const router = express.Router();
-const supabase = require('../supabaseClient');
+const {
+  checkExpectedVersion,
+  encodeCursor,
+  validateBatchBody,
+  validateFoodLog,
+  validateListQuery,
+  validateSummaryQuery,
+  validationError,
+} = require('../validators/foodLog');
+const {
+  NUTRIENTS,
+  addDays,
+  combineDays,
+  localDateKey,
+  startOfLocalDay,
+  summarizeByDay,
+} = require('../services/nutritionSummary');
 
-// Create food log
-router.post('/', async (req, res) => {
-  const log = req.body;
+// Load a log by id and make sure it belongs to the caller.
+// Sends the error response itself and returns null when access is refused.
+async function loadOwnedLog(store, req, res) {
+  const { id } = req.params;
 
-  // Basic validation
-  if (!log.user_id || !log.food_name || !log.calories) {
-    return res.status(400).json({ error: 'Missing required fields: user_id, food_name, or calories' });
-  }
+  const { data, error } = await store.findById(id);
 
-  console.log('Creating food log:', log);
+  if (error) {
+    console.error('Lookup error:', error.message);
+    res.status(400).json({ error: error.message });
+    return null;
+  }
 
-  const { data, error } = await supabase
-    .from('user_food_logs')
-    .insert([log]);
+  if (!data) {
+    res.status(404).json({ error: 'Food log not found' });
+    return null;
+  }
 
-  if (error) {
-    console.error('Insert error:', error.message);
-    return res.status(400).json({ error: error.message });
+  if (data.user_id !== req.user.id) {
+    console.warn(`User ${req.user.id} refused access to food log ${id}`);
+    res.status(403).json({ error: 'Not allowed to access this food log' });
+    return null;
   }
 
-  res.status(201).json(data);
-});
+  return data;
+}
 
-// Get food logs (optionally by user_id)
-router.get('/', async (req, res) => {
-  const { user_id } = req.query;
-  let query = supabase.from('user_food_logs').select('*');
+// Fetch the caller's logs covering `days` local days from startDate and bucket them per day
+async function loadDailySummaries(store, userId, { startDate, days, timeZone }) {
+  const from = startOfLocalDay(startDate, timeZone);
+  const to = startOfLocalDay(addDays(startDate, days), timeZone);
 
-  if (user_id) {
-    console.log(`Fetching food logs for user_id: ${user_id}`);
-    query = query.eq('user_id', user_id);
-  }
+  const { data, error } = await store.list(userId, {
+    from: { iso: from.toISOString(), exclusive: false },
+    to: { iso: to.toISOString(), exclusive: true },
+    order: 'asc',
+    columns: `${NUTRIENTS.join(', ')}, meal_type, created_at`,
+  });
 
-  const { data, error } = await query;
+  if (error) return { error };
 
-  if (error) {
-    console.error('Fetch error:', error.message);
-    return res.status(400).json({ error: error.message });
-  }
+  return { days: summarizeByDay(data, { startDate, days, timeZone }) };
+}
 
-  res.json(data);
-});
+/**
+ * Build the food-log router on top of a data store (see stores/) and an auth middleware.
+ * Every route acts on behalf of the user that requireAuth attaches to req.user.
+ */
+function createFoodLogsRouter({ store, requireAuth }) {
+  const router = express.Router();
 
-// Update food log by id
-router.put('/:id', async (req, res) => {
-  const { id } = req.params;
-  const update = req.body;
+  router.use(requireAuth);
 
-  console.log(`Updating food log id: ${id}`, update);
+  // Create food log
+  router.post('/', async (req, res) => {
+    const userId = req.user.id;
 
-  const { data, error } = await supabase
-    .from('user_food_logs')
-    .update(update)
-    .eq('id', id);
+    if (req.body?.user_id && req.body.user_id !== userId) {
+      return res.status(403).json({ error: 'Cannot create food logs for another user' });
+    }
 
-  if (error) {
-    console.error('Update error:', error.message);
-    return res.status(400).json({ error: error.message });
-  }
+    const { value, errors } = validateFoodLog(req.body);
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
 
-  res.json(data);
-});
+    const log = { ...value, user_id: userId };
 
-// Delete food log by id
-router.delete('/:id', async (req, res) => {
-  const { id } = req.params;
-  console.log(`Deleting food log id: ${id}`);
+    console.log('Creating food log:', log);
 
-  const { error } = await supabase
-    .from('user_food_logs')
-    .delete()
-    .eq('id', id);
+    const { data, error } = await store.insert([log]);
 
-  if (error) {
-    console.error('Delete error:', error.message);
-    return res.status(400).json({ error: error.message });
-  }
+    if (error) {
+      console.error('Insert error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(data[0]);
+  });
+
+  // Get the caller's food logs, newest first by default.
+  // Query: from, to, meal_type, order, limit, cursor. Responds with { data, next_cursor }.
+  router.get('/', async (req, res) => {
+    const userId = req.user.id;
+    const { user_id, ...filters } = req.query;
+
+    if (user_id && user_id !== userId) {
+      return res.status(403).json({ error: 'Cannot read food logs of another user' });
+    }
+
+    const { value, errors } = validateListQuery(filters);
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    const { limit } = value;
+
+    console.log(`Fetching food logs for user_id: ${userId}`, value);
+
+    // Ask for one extra row to know whether another page exists
+    const { data, error } = await store.list(userId, { ...value, limit: limit + 1 });
+
+    if (error) {
+      console.error('Fetch error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const page = data.slice(0, limit);
+    const nextCursor = data.length > limit ? encodeCursor(page[page.length - 1]) : null;
+
+    res.json({ data: page, next_cursor: nextCursor });
+  });
+
+  // Totals for one local day. Query: date (YYYY-MM-DD, default today), tz (IANA zone, default UTC)
+  router.get('/summary/daily', async (req, res) => {
+    const { value, errors } = validateSummaryQuery(req.query, { dateField: 'date' });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    const { timeZone } = value;
+    const date = value.date || localDateKey(new Date(), timeZone);
+
+    const { days, error } = await loadDailySummaries(store, req.user.id, { startDate: date, days: 1, timeZone });
+
+    if (error) {
+      console.error('Summary error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ time_zone: timeZone, ...days[0] });
+  });
+
+  // Per-day totals for seven local days. Query: start (YYYY-MM-DD, default six days ago), tz
+  router.get('/summary/weekly', async (req, res) => {
+    const { value, errors } = validateSummaryQuery(req.query, { dateField: 'start' });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    const { timeZone } = value;
+    const start = value.date || addDays(localDateKey(new Date(), timeZone), -6);
+
+    const { days, error } = await loadDailySummaries(store, req.user.id, { startDate: start, days: 7, timeZone });
+
+    if (error) {
+      console.error('Summary error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      time_zone: timeZone,
+      start,
+      end: days[days.length - 1].date,
+      days,
+      ...combineDays(days),
+    });
+  });
+
+  // Create several food logs at once. Body: { logs: [...] }.
+  // Every item is validated first; rows are only written when all of them pass, in a single insert.
+  router.post('/batch', async (req, res) => {
+    const userId = req.user.id;
+
+    const bodyErrors = validateBatchBody(req.body, 'logs');
+    if (bodyErrors.length) {
+      return res.status(422).json(validationError(bodyErrors));
+    }
+
+    const results = req.body.logs.map((item, index) => {
+      if (item?.user_id && item.user_id !== userId) {
+        return { index, status: 'forbidden', errors: [{ field: 'user_id', message: 'cannot create food logs for another user' }] };
+      }
+      const { value, errors } = validateFoodLog(item);
+      if (errors.length) return { index, status: 'invalid', errors };
+      return { index, status: 'valid', log: { ...value, user_id: userId } };
+    });
+
+    const rejected = results.filter((result) => result.status !== 'valid');
+    if (rejected.length) {
+      const status = rejected.some((result) => result.status === 'invalid') ? 422 : 403;
+      return res.status(status).json({
+        error: 'No food logs were created',
+        results: results.map(({ log, ...result }) => (result.status === 'valid' ? { ...result, status: 'skipped' } : result)),
+      });
+    }
+
+    console.log(`Creating ${results.length} food logs for user_id: ${userId}`);
+
+    const { data, error } = await store.insert(results.map((result) => result.log));
+
+    if (error) {
+      console.error('Batch insert error:', error.message);
+      return res.status(400).json({
+        error: error.message,
+        results: results.map(({ index }) => ({ index, status: 'failed' })),
+      });
+    }
+
+    res.status(201).json({
+      results: results.map(({ index }) => ({ index, status: 'created', data: data[index] })),
+    });
+  });
+
+  // Delete several food logs at once. Body: { ids: [...] }.
+  // Nothing is deleted unless every id exists and belongs to the caller.
+  router.delete('/batch', async (req, res) => {
+    const userId = req.user.id;
+
+    const bodyErrors = validateBatchBody(req.body, 'ids');
+    if (bodyErrors.length) {
+      return res.status(422).json(validationError(bodyErrors));
+    }
+
+    const { ids } = req.body;
+    const invalid = ids
+      .map((id, index) => {
+        if (typeof id !== 'string' || !id) return { index, status: 'invalid', errors: [{ field: 'id', message: 'must be a non-empty string' }] };
+        if (ids.indexOf(id) !== index) return { index, status: 'invalid', errors: [{ field: 'id', message: 'is duplicated' }] };
+        return null;
+      })
+      .filter(Boolean);
+
+    if (invalid.length) {
+      return res.status(422).json({ error: 'No food logs were deleted', results: invalid });
+    }
+
+    const { data: existing, error: lookupError } = await store.findByIds(ids);
+
+    if (lookupError) {
+      console.error('Batch lookup error:', lookupError.message);
+      return res.status(400).json({ error: lookupError.message });
+    }
+
+    const owners = new Map(existing.map((row) => [String(row.id), row.user_id]));
+    const results = ids.map((id, index) => {
+      if (!owners.has(id)) return { index, id, status: 'not_found' };
+      if (owners.get(id) !== userId) return { index, id, status: 'forbidden' };
+      return { index, id, status: 'deleted' };
+    });
+
+    const refused = results.filter((result) => result.status !== 'deleted');
+    if (refused.length) {
+      console.warn(`User ${userId} batch delete refused for ${refused.length} ids`);
+      const status = refused.some((result) => result.status === 'forbidden') ? 403 : 404;
+      return res.status(status).json({
+        error: 'No food logs were deleted',
+        results: results.map((result) => (result.status === 'deleted' ? { ...result, status: 'skipped' } : result)),
+      });
+    }
+
+    console.log(`Deleting ${ids.length} food logs for user_id: ${userId}`);
+
+    const { error } = await store.remove(ids, userId);
+
+    if (error) {
+      console.error('Batch delete error:', error.message);
+      return res.status(400).json({
+        error: error.message,
+        results: results.map(({ index, id }) => ({ index, id, status: 'failed' })),
+      });
+    }
+
+    res.json({ results });
+  });
+
+  // Update food log by id. Body: the changed columns plus updated_at as last loaded.
+  // Responds 409 when the log was saved elsewhere since, so a stale edit never overwrites it.
+  router.put('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    const isObject = req.body && typeof req.body === 'object' && !Array.isArray(req.body);
+    const { updated_at: expectedUpdatedAt, ...changes } = isObject ? req.body : {};
+    const { value, errors } = validateFoodLog(isObject ? changes : req.body, { partial: true });
+    const versionError = checkExpectedVersion(expectedUpdatedAt);
+    if (versionError) errors.push({ field: 'updated_at', message: versionError });
+    if (errors.length) {
+      return res.status(422).json(validationError(errors));
+    }
+
+    const update = { ...value, updated_at: new Date().toISOString() };
+
+    const existing = await loadOwnedLog(store, req, res);
+    if (!existing) return;
+
+    console.log(`Updating food log id: ${id}`, update);
+
+    const { data, error } = await store.update(id, req.user.id, update, { expectedUpdatedAt });
+
+    if (error) {
+      console.error('Update error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data) {
+      return res.status(409).json({ error: 'Food log was changed since it was loaded; reload it and try again' });
+    }
+
+    res.json(data);
+  });
+
+  // Delete food log by id
+  router.delete('/:id', async (req, res) => {
+    const { id } = req.params;
+
+    const existing = await loadOwnedLog(store, req, res);
+    if (!existing) return;
+
+    console.log(`Deleting food log id: ${id}`);
+
+    const { error } = await store.remove([id], req.user.id);
+
+    if (error) {
+      console.error('Delete error:', error.message);
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(204).send();
+  });
 
-  res.status(204).send();
-});
+  return router;
+}
 
-module.exports = router;
+module.exports = createFoodLogsRouter;
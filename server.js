@@ -0,0 +1,104 @@
+// server.js
+// Standalone HTTP server for the food-log API.
+//
+//   node server.js                          -> Supabase store, tokens checked with Supabase Auth
+//   FOOD_LOG_STORE=memory node server.js    -> in-memory store, no network needed
+//
+// Environment:
+//   PORT                  port to listen on (default 3000)
+//   FOOD_LOG_STORE        supabase | memory (default supabase)
+//   SUPABASE_JWT_SECRET   when set, bearer tokens are verified locally instead of via Supabase Auth;
+//                         required for the memory store
+//   ANALYSIS_PROVIDER     gemini | fake (default gemini)
+//   GEMINI_API_KEY        required for the gemini analysis provider
+require('dotenv').config();
+const express = require('express');
+const createAnalysisRouter = require('./routes/analysis');
+const createFoodLogsRouter = require('./routes/foodLogs');
+const { createRequireAuth, verifyWithJwtSecret, verifyWithSupabase } = require('./middleware/auth');
+const createFakeProvider = require('./services/analysis/fakeProvider');
+const createGeminiProvider = require('./services/analysis/geminiProvider');
+const createMemoryFoodLogStore = require('./stores/memoryFoodLogStore');
+const createSupabaseFoodLogStore = require('./stores/supabaseFoodLogStore');
+
+// Pick the data store, token verifier and analysis provider from the environment.
+// supabaseClient is only required when something needs it, since it connects on load.
+function createDefaultDependencies(env = process.env) {
+  const storeName = env.FOOD_LOG_STORE || 'supabase';
+  const providerName = env.ANALYSIS_PROVIDER || 'gemini';
+  const jwtSecret = env.SUPABASE_JWT_SECRET;
+
+  if (storeName !== 'supabase' && storeName !== 'memory') {
+    throw new Error(`Unknown FOOD_LOG_STORE "${storeName}" (expected supabase or memory)`);
+  }
+  if (storeName === 'memory' && !jwtSecret) {
+    throw new Error('SUPABASE_JWT_SECRET is required when FOOD_LOG_STORE=memory');
+  }
+  if (providerName !== 'gemini' && providerName !== 'fake') {
+    throw new Error(`Unknown ANALYSIS_PROVIDER "${providerName}" (expected gemini or fake)`);
+  }
+
+  const store = storeName === 'memory'
+    ? createMemoryFoodLogStore()
+    : createSupabaseFoodLogStore(require('./supabaseClient'));
+
+  const verifyToken = jwtSecret
+    ? verifyWithJwtSecret(jwtSecret)
+    : verifyWithSupabase(require('./supabaseClient'));
+
+  const analysisProvider = providerName === 'fake'
+    ? createFakeProvider()
+    : createGeminiProvider({ apiKey: env.GEMINI_API_KEY });
+
+  return { store, verifyToken, analysisProvider };
+}
+
+/**
+ * Build the express app. Pass { store, verifyToken, analysisProvider } to swap the data layer,
+ * auth or AI, e.g. createApp({ store: createMemoryFoodLogStore(), verifyToken: async (t) => ({ id: t }),
+ * analysisProvider: createFakeProvider() }).
+ */
+function createApp({ store, verifyToken, analysisProvider } = createDefaultDependencies()) {
+  const app = express();
+  const requireAuth = createRequireAuth(verifyToken);
+
+  // Photos and voice notes arrive base64 encoded, so analysis gets a larger body limit
+  app.use('/analysis', express.json({ limit: '15mb' }));
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', store: store.name, analysis: analysisProvider.name });
+  });
+
+  app.use('/food-logs', createFoodLogsRouter({ store, requireAuth }));
+  app.use('/analysis', createAnalysisRouter({ provider: analysisProvider, requireAuth }));
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `Route not found: ${req.method} ${req.path}` });
+  });
+
+  app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json({ error: 'Request body is not valid JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+      return res.status(413).json({ error: 'Request body is too large' });
+    }
+
+    console.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 3000;
+  const app = createApp();
+
+  app.listen(port, () => {
+    console.log(`Food-log API listening on port ${port}`);
+  });
+}
+
+module.exports = { createApp, createDefaultDependencies };
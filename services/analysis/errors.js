@@ -0,0 +1,19 @@
+// services/analysis/errors.js
+
+// Error codes shared by every analysis provider
+const ANALYSIS_ERROR_CODES = {
+  NO_FOOD_DETECTED: 'no_food_detected',
+  MALFORMED_RESPONSE: 'malformed_response',
+  PROVIDER_UNAVAILABLE: 'provider_unavailable',
+  UNREADABLE_LABEL: 'unreadable_label',
+};
+
+class AnalysisError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AnalysisError';
+    this.code = code;
+  }
+}
+
+module.exports = { ANALYSIS_ERROR_CODES, AnalysisError };
@@ -0,0 +1,164 @@
+// services/analysis/fakeProvider.js
+// Deterministic analysis provider for tests and offline development.
+// Text is split into items and priced from a small table; media gets a fixed plate
+// whose size depends only on the payload, so the same input always gives the same answer.
+
+const { ANALYSIS_ERROR_CODES, AnalysisError } = require('./errors');
+const { normalizeAnalysis } = require('./normalize');
+
+// Values per serving; gram amounts are priced as if a serving were 100g
+const FOODS = {
+  rice: { calories: 130, protein: 2.7, carbs: 28, fat: 0.3, fiber: 0.4 },
+  chicken: { calories: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0 },
+  beans: { calories: 120, protein: 8, carbs: 22, fat: 0.5, fiber: 7 },
+  egg: { calories: 70, protein: 6, carbs: 0.6, fat: 5, fiber: 0 },
+  bread: { calories: 80, protein: 3, carbs: 15, fat: 1, fiber: 1.5 },
+  apple: { calories: 95, protein: 0.5, carbs: 25, fat: 0.3, fiber: 4.4 },
+  banana: { calories: 105, protein: 1.3, carbs: 27, fat: 0.4, fiber: 3.1 },
+  sandwich: { calories: 450, protein: 25, carbs: 35, fat: 20, fiber: 3 },
+  pizza: { calories: 280, protein: 12, carbs: 30, fat: 12, fiber: 2 },
+  juice: { calories: 120, protein: 1, carbs: 30, fat: 0, fiber: 1 },
+};
+const UNKNOWN_FOOD = { calories: 150, protein: 5, carbs: 20, fat: 5, fiber: 2 };
+
+// Every image reads as this panel
+const LABEL_TEXT = `Nutrition Facts
+8 servings per container
+Serving size 1 bar (40g)
+Amount per serving
+Calories 190
+Total Fat 7g
+Saturated Fat 2g
+Sodium 150mg
+Total Carbohydrate 24g
+Dietary Fiber 3g
+Total Sugars 9g
+Protein 8g`;
+
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, some: 1 };
+
+// Amounts that get a follow-up question, like the real provider asks about "some chicken"
+const VAGUE_AMOUNTS = {
+  some: { question: 'How much was it?', options: ['A little', 'A normal serving', 'A lot'] },
+  bowl: { question: 'How big was the bowl?', options: ['Small (1 cup)', 'Medium (1.5 cups)', 'Large (2 cups)'] },
+  plate: { question: 'How full was the plate?', options: ['Half', 'Full', 'Heaped'] },
+};
+
+const scale = (food, factor) => ({
+  calories: food.calories * factor,
+  protein: food.protein * factor,
+  carbs: food.carbs * factor,
+  fat: food.fat * factor,
+  fiber: food.fiber * factor,
+});
+
+// "200g rice" -> { name: '200g rice', quantity: '200g', ...nutrition }
+function priceItem(phrase) {
+  const words = phrase.trim().toLowerCase().split(/\s+/);
+  let amount = 1;
+  let grams = null;
+  const vague = VAGUE_AMOUNTS[words.find((word) => VAGUE_AMOUNTS[word])];
+
+  const gramMatch = words[0]?.match(/^(\d+(?:\.\d+)?)(g|grams?)?$/);
+  if (gramMatch) {
+    if (gramMatch[2]) grams = parseFloat(gramMatch[1]);
+    else amount = parseFloat(gramMatch[1]);
+    words.shift();
+    if (/^(g|grams?)$/.test(words[0])) {
+      grams = amount;
+      amount = 1;
+      words.shift();
+    }
+  } else if (WORD_NUMBERS[words[0]]) {
+    amount = WORD_NUMBERS[words[0]];
+    words.shift();
+  }
+
+  const foodName = words.filter((word) => word !== 'of').join(' ');
+  const key = Object.keys(FOODS).find((food) => foodName.includes(food));
+  const food = key ? FOODS[key] : UNKNOWN_FOOD;
+  // Gram amounts treat every table entry as per 100g; counts use one serving each
+  const factor = grams !== null ? grams / 100 : amount;
+  const quantity = grams !== null ? `${grams}g` : `${amount}`;
+
+  return {
+    name: `${quantity} ${foodName}`,
+    quantity,
+    ...scale(food, factor),
+    follow_up: vague ? vague.question : null,
+    follow_up_options: vague ? vague.options : [],
+  };
+}
+
+const sumItems = (items) =>
+  items.reduce(
+    (total, item) => ({
+      calories: total.calories + item.calories,
+      protein: total.protein + item.protein,
+      carbs: total.carbs + item.carbs,
+      fat: total.fat + item.fat,
+      fiber: total.fiber + item.fiber,
+    }),
+    { calories: 0, protein: 0, carbs: 0, fat: 0, fiber: 0 }
+  );
+
+function analyzeText(text) {
+  const phrases = text
+    .split(/,|\band\b|\bwith\b|\+/i)
+    .map((phrase) => phrase.trim())
+    .filter((phrase) => /[a-z]/i.test(phrase));
+
+  if (!phrases.length) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.NO_FOOD_DETECTED, 'No food items detected.');
+  }
+
+  const ingredients = phrases.map(priceItem);
+  return {
+    dish_name: ingredients.map((item) => item.name).join(', '),
+    transcription: text,
+    ingredients,
+    total_nutrition: sumItems(ingredients),
+    confidence_level: 80,
+  };
+}
+
+// A plate of rice and chicken sized by the payload length
+function analyzeMedia(data) {
+  const portion = 100 + (data.length % 5) * 25;
+  const ingredients = [priceItem(`${portion}g rice`), priceItem(`${portion}g chicken`)];
+  return {
+    dish_name: 'Chicken and Rice',
+    ingredients,
+    total_nutrition: sumItems(ingredients),
+    confidence_level: 60,
+  };
+}
+
+// The plate is read from the first photo; an after photo leaves a share that depends only on its size
+function analyzeImages(images) {
+  const analysis = analyzeMedia(images[0].data);
+  const after = images.find((image) => image.role === 'after');
+  return { ...analysis, percent_eaten: after ? 50 + (after.data.length % 5) * 10 : null };
+}
+
+function createFakeProvider() {
+  return {
+    name: 'fake',
+
+    async analyze({ type, text, data, images }) {
+      if (type === 'text') return normalizeAnalysis(analyzeText(text));
+      if (images?.length) return normalizeAnalysis(analyzeImages(images));
+      return normalizeAnalysis(analyzeMedia(data));
+    },
+
+    async transcribe({ data }) {
+      return { transcription: `fake transcription of ${data.length} bytes` };
+    },
+
+    async readLabel() {
+      return { text: LABEL_TEXT };
+    },
+  };
+}
+
+module.exports = createFakeProvider;
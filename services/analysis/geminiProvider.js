@@ -0,0 +1,88 @@
+// services/analysis/geminiProvider.js
+// Analysis provider backed by Google Gemini. Models are tried in order until one answers.
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { ANALYSIS_ERROR_CODES, AnalysisError } = require('./errors');
+const { extractJson, normalizeAnalysis } = require('./normalize');
+const { buildAnalysisPrompt, LABEL_PROMPT, TRANSCRIBE_PROMPT } = require('./prompts');
+
+const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-1.5-flash', 'gemini-1.5-pro'];
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms)),
+  ]);
+
+function createGeminiProvider({ apiKey, models = DEFAULT_MODELS, timeoutMs = 20000 }) {
+  if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini analysis provider');
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  // Run the prompt against each model in turn; handle(text) may throw to reject an answer
+  const generate = async (parts, handle) => {
+    let lastError = null;
+
+    for (const modelName of models) {
+      try {
+        const model = genAI.getGenerativeModel({ model: modelName });
+        const result = await withTimeout(model.generateContent(parts), timeoutMs);
+        return handle(result.response.text());
+      } catch (err) {
+        // A clear "no food" or "no label" answer will not improve with another model
+        if (err.code === ANALYSIS_ERROR_CODES.NO_FOOD_DETECTED || err.code === ANALYSIS_ERROR_CODES.UNREADABLE_LABEL) throw err;
+        lastError = err;
+        console.log(`Gemini model ${modelName} failed:`, err.message);
+      }
+    }
+
+    if (lastError instanceof AnalysisError) throw lastError;
+    throw new AnalysisError(
+      ANALYSIS_ERROR_CODES.PROVIDER_UNAVAILABLE,
+      lastError?.message || 'All AI models are currently unavailable'
+    );
+  };
+
+  const mediaParts = ({ data, mimeType, images }) => {
+    if (images?.length > 1) {
+      // Label each photo so the prompt can tell the angles and the before/after shots apart
+      return images.flatMap((image, index) => [
+        `Photo ${index + 1} (${image.role}):`,
+        { inlineData: { mimeType: image.mimeType, data: image.data } },
+      ]);
+    }
+    if (images?.length) return [{ inlineData: { mimeType: images[0].mimeType, data: images[0].data } }];
+    return data ? [{ inlineData: { mimeType, data } }] : [];
+  };
+
+  return {
+    name: 'gemini',
+
+    analyze(input) {
+      const parts = [buildAnalysisPrompt(input), ...mediaParts(input)];
+      return generate(parts, (text) => normalizeAnalysis(extractJson(text)));
+    },
+
+    transcribe(input) {
+      return generate([TRANSCRIBE_PROMPT, ...mediaParts(input)], (text) => {
+        const transcription = text.replace(/```(json)?/g, '').replace(/^["']|["']$/g, '').trim();
+        if (!transcription) {
+          throw new AnalysisError(ANALYSIS_ERROR_CODES.MALFORMED_RESPONSE, 'Empty transcription');
+        }
+        return { transcription };
+      });
+    },
+
+    readLabel(input) {
+      return generate([LABEL_PROMPT, ...mediaParts(input)], (text) => {
+        const labelText = text.replace(/```\w*/g, '').trim();
+        if (!labelText || /NO_LABEL/.test(labelText)) {
+          throw new AnalysisError(ANALYSIS_ERROR_CODES.UNREADABLE_LABEL, 'No nutrition label found in the image');
+        }
+        return { text: labelText };
+      });
+    },
+  };
+}
+
+module.exports = createGeminiProvider;
@@ -0,0 +1,151 @@
+// services/analysis/labelParser.js
+// Turns the text of a Nutrition Facts panel into structured per-serving values.
+// Pure functions over strings, so any provider's OCR output (or a fixture) can be fed in.
+
+const { ANALYSIS_ERROR_CODES, AnalysisError } = require('./errors');
+
+const NUMBER = '(\\d+(?:\\.\\d+)?)';
+
+// First pattern that matches wins, so the specific wording goes before the generic one
+const GRAM_FIELDS = {
+  fat: [`total fat\\s*:?\\s*${NUMBER}\\s*g\\b`, `(?<!saturated |trans |sat\\. |of which )fat\\s*:?\\s*${NUMBER}\\s*g\\b`],
+  carbs: [`total carbohydrates?\\s*:?\\s*${NUMBER}\\s*g\\b`, `total carbs?\\s*:?\\s*${NUMBER}\\s*g\\b`, `carbohydrates?\\s*:?\\s*${NUMBER}\\s*g\\b`],
+  fiber: [`(?:dietary )?fib(?:er|re)\\s*:?\\s*${NUMBER}\\s*g\\b`],
+  sugar: [`total sugars?\\s*:?\\s*${NUMBER}\\s*g\\b`, `(?<!added |incl\\. |includes )sugars?\\s*:?\\s*${NUMBER}\\s*g\\b`],
+  protein: [`protein\\s*:?\\s*${NUMBER}\\s*g\\b`],
+};
+
+// Sodium is 40% of salt by weight; EU labels only print salt
+const SODIUM_PER_GRAM_SALT = 400;
+
+// Labels round each value, so energy from macros only has to be roughly right
+const ENERGY_TOLERANCE = 0.2;
+const ENERGY_SLACK_KCAL = 20;
+
+// Per-serving values no real product has
+const LIMITS = { calories: 2000, protein: 200, carbs: 300, fat: 200, fiber: 100, sugar: 300, sodium: 10000 };
+
+const toNumber = (value) => (value === undefined ? null : Math.round(parseFloat(value) * 10) / 10);
+
+// Undo the usual OCR slips before matching: "O g" for "0 g", decimal commas, odd spacing.
+// "1,150mg" is a thousands separator (three digits follow); "2,5 g" is a decimal comma.
+function cleanLabelText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+    .replace(/(\d),(\d{1,2})(?!\d)/g, '$1.$2')
+    .replace(/\bo(?=\s*m?g\b)/g, '0')
+    .replace(/[|*]/g, ' ')
+    .replace(/[ \t]+/g, ' ');
+}
+
+const firstMatch = (text, patterns) => {
+  for (const pattern of patterns) {
+    const match = text.match(new RegExp(pattern));
+    if (match) return toNumber(match[1]);
+  }
+  return null;
+};
+
+function parseCalories(text) {
+  // "Calories 230" but not "Calories from Fat 70"
+  const calories = firstMatch(text, [`calories(?!\\s*from)\\s*:?\\s*${NUMBER}`]);
+  if (calories !== null) return calories;
+  // EU panels give "Energy 1046 kJ / 250 kcal"
+  const kcal = firstMatch(text, [`${NUMBER}\\s*kcal`]);
+  if (kcal !== null) return kcal;
+  const kj = firstMatch(text, [`${NUMBER}\\s*kj`]);
+  return kj === null ? null : Math.round(kj / 4.184);
+}
+
+function parseSodium(text) {
+  const match = text.match(new RegExp(`sodium\\s*:?\\s*${NUMBER}\\s*(mg|g)\\b`));
+  if (match) return match[2] === 'g' ? Math.round(parseFloat(match[1]) * 1000) : Math.round(parseFloat(match[1]));
+  const salt = firstMatch(text, [`salt\\s*:?\\s*${NUMBER}\\s*g\\b`]);
+  return salt === null ? null : Math.round(salt * SODIUM_PER_GRAM_SALT);
+}
+
+function parseServing(original, text) {
+  // Table borders read as "|" land between the heading and the size
+  const sizeMatch = original.match(/serving size[\s:|*]*([^\n]+?)\s*(?=servings|amount|calories|\n|$)/i);
+  const servingSize = sizeMatch ? sizeMatch[1].trim() : null;
+  const gramsMatch = (servingSize || '').match(/(\d+(?:[.,]\d+)?)\s*(g|ml)\b/i);
+  const perContainer = firstMatch(text, [
+    `${NUMBER}\\s*servings? per (?:container|package|pack)`,
+    `servings? per (?:container|package|pack)\\s*:?\\s*(?:about\\s*)?${NUMBER}`,
+  ]);
+
+  // Panels with only a per-100g column describe 100 g, not a serving
+  const per100 = text.match(/per 100\s*(g|ml)\b/);
+  if (!servingSize && per100) {
+    return { serving_size: `100 ${per100[1]}`, serving_grams: 100, servings_per_container: perContainer };
+  }
+
+  return {
+    serving_size: servingSize,
+    serving_grams: gramsMatch ? toNumber(gramsMatch[1].replace(',', '.')) : null,
+    servings_per_container: perContainer,
+  };
+}
+
+/**
+ * Pull serving size and nutrition out of label text. Values are per serving; anything
+ * the text doesn't show is null. Sodium is in mg, everything else except calories in g.
+ * @param {string} text - Label text, one row per line as printed
+ * @returns {{ serving_size, serving_grams, servings_per_container, calories, protein, carbs, fat, fiber, sugar, sodium }}
+ */
+function parseNutritionLabel(text) {
+  const cleaned = cleanLabelText(text);
+  const label = { ...parseServing(String(text || ''), cleaned), calories: parseCalories(cleaned) };
+  Object.entries(GRAM_FIELDS).forEach(([field, patterns]) => {
+    label[field] = firstMatch(cleaned, patterns);
+  });
+  label.sodium = parseSodium(cleaned);
+  return label;
+}
+
+/**
+ * Check parsed label values. Errors mean the reading can't be used; warnings point at
+ * values the user should compare with the package before logging.
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateNutritionLabel(label) {
+  const errors = [];
+  const warnings = [];
+
+  if (label.calories === null) errors.push('No calories found on the label');
+
+  Object.entries(LIMITS).forEach(([field, limit]) => {
+    if (label[field] !== null && label[field] > limit) warnings.push(`${field} looks too high for one serving`);
+  });
+
+  const { protein, carbs, fat, fiber, sugar, calories } = label;
+  if (carbs !== null && fiber !== null && fiber > carbs) warnings.push('fiber is higher than total carbs');
+  if (carbs !== null && sugar !== null && sugar > carbs) warnings.push('sugar is higher than total carbs');
+
+  if (calories !== null && protein !== null && carbs !== null && fat !== null) {
+    const fromMacros = protein * 4 + carbs * 4 + fat * 9;
+    const difference = Math.abs(fromMacros - calories);
+    if (difference > ENERGY_SLACK_KCAL && difference > calories * ENERGY_TOLERANCE) {
+      warnings.push(`calories don't match protein, carbs and fat (about ${Math.round(fromMacros)} kcal)`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Parse and validate in one go, as the label endpoint does.
+ * Throws AnalysisError(unreadable_label) when the text isn't a usable nutrition panel.
+ * @returns {{ label: object, warnings: string[] }}
+ */
+function readNutritionLabel(text) {
+  const label = parseNutritionLabel(text);
+  const { errors, warnings } = validateNutritionLabel(label);
+  if (errors.length) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.UNREADABLE_LABEL, errors.join('; '));
+  }
+  return { label, warnings };
+}
+
+module.exports = { cleanLabelText, parseNutritionLabel, readNutritionLabel, validateNutritionLabel };
@@ -0,0 +1,102 @@
+// services/analysis/normalize.js
+// Turns raw model output into the shared analysis shape:
+// { dish_name, description, transcription, ingredients, total_nutrition, percent_eaten, confidence_level }
+// Only the shape is fixed here. Numbers are passed on as the model wrote them and coerced, range-checked
+// and warned about by the app's parser (src/utils/foodAnalysisParser.js), the one copy of those rules.
+// total_nutrition.micronutrients holds amounts (sugar in g, the rest in mg), null where unknown.
+// percent_eaten is set only for before/after photos; the ingredients and totals are then the meal as served.
+// An ingredient whose amount was unclear carries follow_up (a question) and follow_up_options.
+
+const { ANALYSIS_ERROR_CODES, AnalysisError } = require('./errors');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+const MICRONUTRIENTS = ['sugar', 'sodium', 'potassium', 'calcium', 'iron', 'vitamin_c'];
+// Older prompts used camelCase names
+const LEGACY_MICRONUTRIENTS = { vitaminC: 'vitamin_c' };
+
+// Amounts stay as the model wrote them ("1,200 kcal", -3): the app's parser owns coercion and warnings
+const rawAmount = (value) => (value === undefined ? null : value);
+
+const pickNutrition = (source = {}) =>
+  Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, rawAmount(source[nutrient])]));
+
+const pickMicronutrients = (source = {}) => {
+  const named = { ...source };
+  Object.entries(LEGACY_MICRONUTRIENTS).forEach(([legacy, name]) => {
+    if (named[name] === undefined) named[name] = named[legacy];
+  });
+  return Object.fromEntries(MICRONUTRIENTS.map((name) => [name, rawAmount(named[name])]));
+};
+
+const MAX_FOLLOW_UP_OPTIONS = 4;
+
+// A question only counts with text in it; its options are short strings
+const pickFollowUp = (item = {}) => {
+  const question = typeof item.follow_up === 'string' ? item.follow_up.trim() : '';
+  if (!question) return { follow_up: null, follow_up_options: [] };
+  const options = Array.isArray(item.follow_up_options) ? item.follow_up_options : [];
+  return {
+    follow_up: question,
+    follow_up_options: options
+      .filter((option) => typeof option === 'string' && option.trim())
+      .map((option) => option.trim())
+      .slice(0, MAX_FOLLOW_UP_OPTIONS),
+  };
+};
+
+// Pull the JSON object out of a model reply, ignoring markdown fences and chatter around it.
+// A reply that is not valid JSON as it stands (cut off, trailing commas) is passed on as { raw_text }
+// for the app's parser to repair rather than failed here.
+function extractJson(text) {
+  const reply = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = reply.indexOf('{');
+  if (start === -1) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.MALFORMED_RESPONSE, 'No JSON object in model response');
+  }
+
+  try {
+    return JSON.parse(reply.slice(start, reply.lastIndexOf('}') + 1));
+  } catch {
+    return { raw_text: reply.slice(start).trim() };
+  }
+}
+
+// Accepts both the photo shape (ingredients/total_nutrition) and the voice shape (items/total)
+function normalizeAnalysis(data) {
+  if (data?.raw_text) return { raw_text: data.raw_text };
+  if (data?.error) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.NO_FOOD_DETECTED, String(data.error));
+  }
+
+  const ingredients = Array.isArray(data?.ingredients) ? data.ingredients : data?.items;
+  const totals = data?.total_nutrition || data?.total;
+
+  if (!Array.isArray(ingredients) || !totals) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.MALFORMED_RESPONSE, 'Model response is missing ingredients or totals');
+  }
+  if (ingredients.length === 0) {
+    throw new AnalysisError(ANALYSIS_ERROR_CODES.NO_FOOD_DETECTED, 'No food items detected');
+  }
+
+  const names = ingredients.map((item) => String(item?.name || '').trim()).filter(Boolean);
+
+  return {
+    dish_name: String(data.dish_name || names.join(', ') || 'Meal').trim(),
+    description: data.description ? String(data.description) : `A meal containing ${names.join(', ')}`,
+    transcription: data.transcription ? String(data.transcription) : null,
+    ingredients: ingredients.map((item) => ({
+      name: String(item?.name || 'Unknown item').trim(),
+      quantity: item?.quantity ? String(item.quantity) : null,
+      ...pickNutrition(item),
+      ...pickFollowUp(item),
+    })),
+    total_nutrition: {
+      ...pickNutrition(totals),
+      micronutrients: pickMicronutrients(totals.micronutrients || {}),
+    },
+    percent_eaten: rawAmount(data.percent_eaten),
+    confidence_level: rawAmount(data.confidence_level),
+  };
+}
+
+module.exports = { extractJson, normalizeAnalysis };
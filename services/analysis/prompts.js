@@ -0,0 +1,93 @@
+// services/analysis/prompts.js
+// The one copy of the nutrition prompts. Previously each calorie screen carried its own variant.
+
+const RESPONSE_SHAPE = `{
+  "dish_name": "Concise name for the whole meal (e.g. 'Grilled Chicken Salad')",
+  "description": "One sentence describing the meal",
+  "transcription": "For audio only: the English text of what was said, otherwise null",
+  "ingredients": [
+    {
+      "name": "EXACT_QUANTITY + food item (e.g. '200g black beans')",
+      "quantity": "amount with unit (e.g. '200g', '1 cup', '2 slices')",
+      "calories": <number>,
+      "protein": <number>,
+      "carbs": <number>,
+      "fat": <number>,
+      "fiber": <number>,
+      "follow_up": "For text and audio only: a short question when the amount was unclear (e.g. 'How big was the bowl?'), otherwise null",
+      "follow_up_options": ["2-4 short likely answers to follow_up (e.g. 'Small (1 cup)', 'Large (2 cups)'), or [] when follow_up is null"]
+    }
+  ],
+  "total_nutrition": {
+    "calories": <number>, "protein": <number>, "carbs": <number>, "fat": <number>, "fiber": <number>,
+    "micronutrients": {
+      "sugar": <grams>, "sodium": <mg>, "potassium": <mg>, "calcium": <mg>, "iron": <mg>, "vitamin_c": <mg>
+    }
+  },
+  "percent_eaten": <number 0-100 when there are before and after photos, otherwise null>,
+  "confidence_level": <number between 0-100>
+}`;
+
+const SHARED_RULES = `Rules:
+1. Your response MUST be a single valid JSON object and nothing else. Do not include markdown formatting.
+2. If there are no recognizable food items, respond with: {"error": "No food items detected."}
+3. Preserve EXACT quantities and units ("200 grams of black beans" -> "200g black beans", NOT "1 black beans").
+   Convert units to short forms (grams -> g, milliliters -> ml, cups -> cup) and words to numbers ("two" -> "2").
+4. If no quantity is given, assume 1 standard serving.
+5. Calculate nutrition for the ACTUAL quantities, not standard serving sizes
+   (200g black beans is 2x the values of 100g).
+6. Use consistent values for the same food regardless of wording ("egg omelette" and "omelette" match).
+7. Consider cooking methods (fried foods carry more fat and calories).
+8. Give realistic fiber values: fruits and vegetables 2-8g, whole grains 2-4g, legumes 5-15g,
+   nuts and seeds 2-6g, processed foods 0-2g per serving.
+9. total_nutrition must equal the sum of the ingredients.
+10. All names and the transcription must be in English; translate if needed.
+11. confidence_level reflects how sure you are about the foods and portions.
+12. micronutrients are amounts for the whole meal (sugar in grams, the rest in milligrams).
+    Use null for any you cannot estimate; never guess 0 for salty or sweet foods.
+13. For text and audio, list every food mentioned as its own ingredient with its own quantity; never blend
+    separate foods into one ("a bowl of rice and some chicken" is two ingredients).
+    When an amount is vague ("some chicken", "a bowl", "a plate"), still estimate a typical serving
+    but ask about it in follow_up.`;
+
+const INPUT_INTROS = {
+  text: (text) => `Analyze the food described in this text: "${text}".`,
+  image: () => 'Analyze the food in this image. Include all visible items and estimate the entire visible portion.',
+  audio: () => 'Analyze the food items the user describes in this audio recording.',
+};
+
+// Several photos of one meal; each photo follows a label naming its role
+const ANGLES_INTRO =
+  'These photos show the same meal from different angles. Analyze it once, using every photo to ' +
+  'identify the items and judge the portion sizes. Do not count an item twice because it appears in more than one photo.';
+const BEFORE_AFTER_INTRO =
+  'The "before" photos show a meal as served and the "after" photos show the same plate once the user finished eating. ' +
+  'List the ingredients and total_nutrition for the meal as served, then set percent_eaten to how much of it ' +
+  '(by calories) is gone in the after photos. Any other photos are extra angles of the served meal.';
+
+const imagesIntro = (images) =>
+  images.some((image) => image.role === 'after') ? BEFORE_AFTER_INTRO : ANGLES_INTRO;
+
+/**
+ * Prompt for a nutrition analysis. `context` is optional extra information
+ * supplied by the caller (e.g. the restaurant name); `images` switches an
+ * image analysis to several photos of one meal.
+ */
+function buildAnalysisPrompt({ type, text, images, context }) {
+  const parts = [images?.length > 1 ? imagesIntro(images) : INPUT_INTROS[type](text)];
+  if (context) parts.push(`Additional context from the user: ${context}`);
+  parts.push(SHARED_RULES, `The JSON object must have this structure:\n${RESPONSE_SHAPE}`);
+  return parts.join('\n\n');
+}
+
+const TRANSCRIBE_PROMPT =
+  'Transcribe ONLY what the user said in this audio. Translate to English if needed, but return ONLY English text. ' +
+  'Return ONLY the spoken words, no JSON, no explanations.';
+
+// Only the text is asked for; services/analysis/labelParser.js turns it into numbers
+const LABEL_PROMPT =
+  'Transcribe the Nutrition Facts or nutrition information panel in this image exactly as printed, ' +
+  'one row per line, keeping every number and unit. Include the serving size and servings per container. ' +
+  'Do not calculate, convert or add anything. If there is no nutrition panel, respond with only: NO_LABEL';
+
+module.exports = { buildAnalysisPrompt, LABEL_PROMPT, TRANSCRIBE_PROMPT };
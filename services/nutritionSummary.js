@@ -0,0 +1,134 @@
+// services/nutritionSummary.js
+// Per-day nutrition totals for food logs, bucketed in the caller's time zone
+
+const { MEAL_TYPES } = require('../validators/foodLog');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Summed per day. Micronutrients missing on a log count as 0 here
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium', 'potassium', 'calcium', 'iron', 'vitamin_c'];
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Wall-clock parts of an instant in the given zone
+const zonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+};
+
+// YYYY-MM-DD of an instant as seen in the given zone
+const localDateKey = (date, timeZone) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+// Offset of the zone from UTC at the given instant, in ms
+const zoneOffset = (date, timeZone) => {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// UTC instant of local midnight starting the given YYYY-MM-DD in the zone
+const startOfLocalDay = (dateKey, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  // Re-check once in case a DST transition sits between the guess and the answer
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+};
+
+const addDays = (dateKey, days) =>
+  new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + days * MS_PER_DAY).toISOString().slice(0, 10);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// The standard meal types always show, custom slots once something is logged under them
+const emptyDay = (date) => ({
+  date,
+  totals: Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, 0])),
+  meal_counts: Object.fromEntries(MEAL_TYPES.map((type) => [type, 0])),
+  log_count: 0,
+});
+
+/**
+ * Bucket food logs into consecutive local days starting at startDate.
+ * Logs outside the range are ignored.
+ */
+function summarizeByDay(logs, { startDate, days, timeZone }) {
+  const buckets = new Map();
+  for (let i = 0; i < days; i++) {
+    const date = addDays(startDate, i);
+    buckets.set(date, emptyDay(date));
+  }
+
+  for (const log of logs) {
+    if (!log.created_at) continue;
+    const bucket = buckets.get(localDateKey(new Date(log.created_at), timeZone));
+    if (!bucket) continue;
+
+    for (const nutrient of NUTRIENTS) {
+      bucket.totals[nutrient] += Number(log[nutrient]) || 0;
+    }
+    if (log.meal_type) {
+      bucket.meal_counts[log.meal_type] = (bucket.meal_counts[log.meal_type] || 0) + 1;
+    }
+    bucket.log_count += 1;
+  }
+
+  return [...buckets.values()].map((day) => ({
+    ...day,
+    totals: Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, round(day.totals[nutrient])])),
+  }));
+}
+
+// Sum of several day summaries
+function combineDays(days) {
+  const totals = Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, 0]));
+  const mealCounts = Object.fromEntries(MEAL_TYPES.map((type) => [type, 0]));
+  let logCount = 0;
+
+  for (const day of days) {
+    for (const nutrient of NUTRIENTS) totals[nutrient] += day.totals[nutrient];
+    for (const [type, count] of Object.entries(day.meal_counts)) {
+      mealCounts[type] = (mealCounts[type] || 0) + count;
+    }
+    logCount += day.log_count;
+  }
+
+  return {
+    totals: Object.fromEntries(NUTRIENTS.map((nutrient) => [nutrient, round(totals[nutrient])])),
+    meal_counts: mealCounts,
+    log_count: logCount,
+  };
+}
+
+module.exports = {
+  NUTRIENTS,
+  addDays,
+  combineDays,
+  localDateKey,
+  startOfLocalDay,
+  summarizeByDay,
+};
@@ -2,6 +2,8 @@
  * COMPASSIONATE FEEDBACK SYSTEM
  * Addresses: Shame, demotivation, judgment
  */
+import { isGoodSource } from '../utils/micronutrients';
+
 export class CompassionateFeedbackEngine {
   constructor() {
     // Tone profiles based on Google's wellness design principles
@@ -49,9 +51,9 @@ export class CompassionateFeedbackEngine {
 
     if (protein > 15) benefits.push(`${protein}g protein for muscle support`);
     if (fiber > 5) benefits.push(`${fiber}g fiber for digestion and fullness`);
-    if (micronutrients?.iron) benefits.push('good source of iron');
-    if (micronutrients?.potassium) benefits.push('potassium for heart health');
-    if (micronutrients?.vitaminC) benefits.push('vitamin C for immune function');
+    if (isGoodSource('iron', micronutrients?.iron)) benefits.push('good source of iron');
+    if (isGoodSource('potassium', micronutrients?.potassium)) benefits.push('potassium for heart health');
+    if (isGoodSource('vitamin_c', micronutrients?.vitamin_c)) benefits.push('vitamin C for immune function');
     
     // Even "unhealthy" foods get positive framing
     if (benefits.length === 0) {
@@ -3,6 +3,61 @@
  * Addresses: Sync issues, calorie discrepancies, crash recovery
  */
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import supabase from '../lib/supabase';
+import { createIdempotencyKey } from '../utils/idempotencyKey';
+
+const SYNC_QUEUE_KEY = 'sync_queue';
+const SYNC_DEAD_LETTER_KEY = 'sync_dead_letter';
+const BASE_RETRY_DELAY = 2000; // 2 seconds
+const MAX_RETRY_DELAY = 300000; // 5 minutes
+
+// Where each entity type is written. Natural keys make daily records upserts;
+// client_id makes repeated inserts of the same food log or workout no-ops.
+const SYNC_TARGETS = {
+  food: { table: 'user_food_logs', onConflict: 'client_id', idempotent: true },
+  water: { table: 'daily_water_intake', onConflict: 'user_id,date' },
+  sleep: { table: 'sleep_logs', onConflict: 'user_id,date' },
+  weight: { table: 'weight_logs', onConflict: 'user_id,date' },
+  workouts: { table: 'workouts', onConflict: 'client_id', idempotent: true },
+};
+
+// One queue for the whole app, however many engines are created
+const sharedQueue = {
+  pending: [],
+  deadLetter: [],
+  loaded: null,
+  isSyncing: false,
+  retryTimer: null,
+};
+
+const loadSharedQueue = () => {
+  if (!sharedQueue.loaded) {
+    sharedQueue.loaded = (async () => {
+      try {
+        const [pending, deadLetter] = await Promise.all([
+          AsyncStorage.getItem(SYNC_QUEUE_KEY),
+          AsyncStorage.getItem(SYNC_DEAD_LETTER_KEY),
+        ]);
+        sharedQueue.pending = pending ? JSON.parse(pending) : [];
+        sharedQueue.deadLetter = deadLetter ? JSON.parse(deadLetter) : [];
+      } catch (e) {
+        console.error('Failed to load sync queue:', e);
+      }
+    })();
+  }
+  return sharedQueue.loaded;
+};
+
+const persistSharedQueue = async () => {
+  try {
+    await AsyncStorage.multiSet([
+      [SYNC_QUEUE_KEY, JSON.stringify(sharedQueue.pending)],
+      [SYNC_DEAD_LETTER_KEY, JSON.stringify(sharedQueue.deadLetter)],
+    ]);
+  } catch (e) {
+    console.error('Failed to persist sync queue:', e);
+  }
+};
 
 export class DataSyncEngine {
   constructor() {
@@ -15,9 +70,17 @@ export class DataSyncEngine {
       'generic_database': 5   // Lowest trust
     };
     
-    this.syncQueue = [];
-    this.syncInterval = null;
-    this.retryAttempts = 3;
+    this.retryAttempts = 5;
+    // One debounce per key, so saving one record doesn't cancel another's pending sync
+    this.autoSaveTimers = new Map();
+
+    // Pick up anything queued in an earlier session so getSyncStatus has real counts
+    loadSharedQueue();
+  }
+
+  // Items still waiting for Supabase
+  get syncQueue() {
+    return sharedQueue.pending;
   }
 
   // Resolve conflicting calorie data from multiple sources
@@ -55,67 +118,101 @@ export class DataSyncEngine {
       };
     }
     
-    // Low variance = use highest priority source
+    // Low variance = use highest priority source (a lone AI estimate has nothing to agree with)
+    const unconfirmed = sortedSources.length === 1 && sortedSources[0].type === 'estimated';
     return {
       displayValue: `${sortedSources[0].calories} cal`,
       primaryValue: sortedSources[0].calories,
-      confidence: 'high',
+      confidence: unconfirmed ? 'medium' : 'high',
       source: sortedSources[0].name,
       explanation: variance > 50 ? `Other sources showed ${min}-${max} cal` : null
     };
   }
 
-  // Auto-save with debouncing
-  autoSave(data, key) {
-    // Clear previous timer
-    if (this.autoSaveTimer) {
-      clearTimeout(this.autoSaveTimer);
+  // Same row edited on two devices: show both versions and let the user pick,
+  // like a calorie conflict between sources
+  resolveEditConflict(title, mine, theirs) {
+    return {
+      displayValue: mine.summary,
+      confidence: 'low',
+      explanation: `${title} was changed on another device since you opened it.`,
+      versions: [mine, theirs],
+      userAction: {
+        prompt: 'Which seems most accurate to you?',
+        options: [mine, theirs].map(v => `${v.summary} (${v.name})`)
+      }
+    };
+  }
+
+  // Auto-save with debouncing. Pass an entity (food, water, sleep, weight, workouts)
+  // to also write it to Supabase; without one the draft only protects against crashes.
+  autoSave(data, key, entity = null) {
+    // Checked before anything is saved: thrown later, inside the debounce timer, nobody could catch it
+    if (entity && !SYNC_TARGETS[entity]) {
+      throw new Error(`Unknown sync entity "${entity}"`);
     }
+
+    // Clear this key's previous timer
+    clearTimeout(this.autoSaveTimers.get(key));
     
     // Save to local storage immediately (sync)
     try {
       AsyncStorage.setItem(`draft_${key}`, JSON.stringify({
         data,
         timestamp: Date.now(),
-        key
+        key,
+        entity
       }));
     } catch (e) {
       console.error('Local save failed:', e);
     }
     
+    if (!entity) return;
+
     // Debounce cloud sync (async)
-    this.autoSaveTimer = setTimeout(() => {
-      this.queueCloudSync(data, key);
-    }, 500); // 500ms after user stops typing
+    this.autoSaveTimers.set(key, setTimeout(() => {
+      this.autoSaveTimers.delete(key);
+      this.queueCloudSync(data, key, entity);
+    }, 500)); // 500ms after user stops typing
   }
 
-  // Queue system for cloud sync (prevents data loss)
-  queueCloudSync(data, key) {
+  // Queue system for cloud sync (prevents data loss).
+  // The queue is persisted, so items survive app restarts until Supabase accepts them.
+  async queueCloudSync(data, key, entity) {
+    if (!SYNC_TARGETS[entity]) {
+      throw new Error(`Unknown sync entity "${entity}"`);
+    }
+
+    await loadSharedQueue();
     const syncItem = {
-      id: Date.now() + Math.random(),
+      id: createIdempotencyKey(),
+      entity,
       data,
       key,
       timestamp: Date.now(),
       attempts: 0,
+      nextAttemptAt: Date.now(),
       status: 'pending'
     };
     
-    this.syncQueue.push(syncItem);
+    sharedQueue.pending.push(syncItem);
+    await persistSharedQueue();
     this.processSyncQueue();
+    return syncItem;
   }
 
   async processSyncQueue() {
-    if (this.isSyncing) return; // Prevent concurrent syncs
+    if (sharedQueue.isSyncing) return; // Prevent concurrent syncs (across engine instances)
     
-    this.isSyncing = true;
+    sharedQueue.isSyncing = true;
+    await loadSharedQueue();
     
-    const pendingItems = this.syncQueue.filter(item => 
-      item.status === 'pending' && item.attempts < this.retryAttempts
-    );
+    const now = Date.now();
+    const dueItems = sharedQueue.pending.filter(item => item.nextAttemptAt <= now);
     
-    for (const item of pendingItems) {
+    for (const item of dueItems) {
       try {
-        await this.syncToCloud(item.data, item.key);
+        await this.syncToCloud(item);
         item.status = 'synced';
         
         // Remove from local storage once synced
@@ -123,43 +220,97 @@ export class DataSyncEngine {
         
       } catch (error) {
         item.attempts++;
-        item.status = item.attempts >= this.retryAttempts ? 'failed' : 'pending';
         item.lastError = error.message;
         
+        if (item.attempts >= this.retryAttempts) {
+          // Dead-letter: stop retrying, keep it for the user to retry or discard
+          item.status = 'failed';
+          item.failedAt = Date.now();
+          sharedQueue.deadLetter.push(item);
+        } else {
+          // Exponential backoff: 2s, 4s, 8s, ... capped
+          item.nextAttemptAt = Date.now() + Math.min(BASE_RETRY_DELAY * 2 ** (item.attempts - 1), MAX_RETRY_DELAY);
+        }
+        
         console.error(`Sync failed for ${item.key} (attempt ${item.attempts}):`, error);
       }
     }
     
-    // Remove successfully synced items
-    this.syncQueue = this.syncQueue.filter(item => item.status !== 'synced');
+    // Remove synced and dead-lettered items
+    sharedQueue.pending = sharedQueue.pending.filter(item => item.status === 'pending');
+    await persistSharedQueue();
     
-    this.isSyncing = false;
+    sharedQueue.isSyncing = false;
     
-    // Retry failed items after delay
-    if (this.syncQueue.length > 0) {
-      setTimeout(() => this.processSyncQueue(), 5000); // Retry in 5s
+    // Wake up for the next item that is due
+    if (sharedQueue.pending.length > 0) {
+      const nextDue = Math.min(...sharedQueue.pending.map(item => item.nextAttemptAt));
+      clearTimeout(sharedQueue.retryTimer);
+      sharedQueue.retryTimer = setTimeout(() => this.processSyncQueue(), Math.max(nextDue - Date.now(), 0));
     }
   }
 
-  async syncToCloud(data, key) {
-    // Replace with your actual Supabase sync
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate 10% failure rate for testing
-        if (Math.random() > 0.9) {
-          reject(new Error('Network error'));
-        } else {
-          resolve({ success: true });
-        }
-      }, 1000);
-    });
+  // Write one queued item to its Supabase table. Replays are safe: rows are upserted
+  // on their natural key (user + date) or on client_id.
+  async syncToCloud(item) {
+    const target = SYNC_TARGETS[item.entity];
+    const row = target.idempotent
+      ? { ...item.data, client_id: item.data.client_id || item.id }
+      : item.data;
+
+    if (!row.user_id) {
+      throw new Error(`Cannot sync ${item.entity} without user_id`);
+    }
+
+    const { error } = await supabase
+      .from(target.table)
+      .upsert([row], {
+        onConflict: target.onConflict,
+        ignoreDuplicates: Boolean(target.idempotent)
+      });
+    
+    if (error) throw error;
+    return { success: true };
   }
 
-  // Crash recovery
+  // Dead-lettered items go back into the queue with a fresh retry budget
+  async retryFailedItems() {
+    await loadSharedQueue();
+    const retried = sharedQueue.deadLetter.map(item => ({
+      ...item,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      status: 'pending'
+    }));
+    sharedQueue.pending.push(...retried);
+    sharedQueue.deadLetter = [];
+    await persistSharedQueue();
+    this.processSyncQueue();
+    return retried.length;
+  }
+
+  async discardFailedItem(id) {
+    await loadSharedQueue();
+    sharedQueue.deadLetter = sharedQueue.deadLetter.filter(item => item.id !== id);
+    await persistSharedQueue();
+  }
+
+  async getFailedItems() {
+    await loadSharedQueue();
+    return [...sharedQueue.deadLetter];
+  }
+
+  // Crash recovery: resumes the persisted queue and returns drafts that were never queued
   async recoverUnsavedData() {
     const recovered = [];
     
     try {
+      await loadSharedQueue();
+      if (sharedQueue.pending.length > 0) {
+        this.processSyncQueue();
+      }
+      const queuedKeys = new Set(sharedQueue.pending.map(item => item.key));
+
       // Get all keys from AsyncStorage
       const keys = await AsyncStorage.getAllKeys();
       const draftKeys = keys.filter(key => key.startsWith('draft_'));
@@ -171,10 +322,14 @@ export class DataSyncEngine {
             const item = JSON.parse(itemData);
             const ageMinutes = (Date.now() - item.timestamp) / 1000 / 60;
             
+            // Already on its way to Supabase
+            if (queuedKeys.has(item.key)) continue;
+
             // Only recover recent drafts (< 24 hours old)
             if (ageMinutes < 1440) {
               recovered.push({
                 key: item.key,
+                entity: item.entity || null,
                 data: item.data,
                 ageMinutes: Math.round(ageMinutes)
               });
@@ -298,16 +453,18 @@ export class DataSyncEngine {
     return options[userPreference] || options.maintain_deficit;
   }
 
-  // Show sync status to user
+  // Show sync status to user (counts come from the persisted queue)
   getSyncStatus() {
-    const pending = this.syncQueue.filter(i => i.status === 'pending').length;
-    const failed = this.syncQueue.filter(i => i.status === 'failed').length;
+    const pending = sharedQueue.pending.length;
+    const failed = sharedQueue.deadLetter.length;
     
     if (failed > 0) {
       return {
         status: 'error',
         message: `${failed} items failed to sync. Check your connection.`,
-        action: 'Retry now'
+        action: 'Retry now',
+        pending,
+        failed
       };
     }
     
@@ -315,14 +472,18 @@ export class DataSyncEngine {
       return {
         status: 'syncing',
         message: `Syncing ${pending} items...`,
-        action: null
+        action: null,
+        pending,
+        failed
       };
     }
     
     return {
       status: 'synced',
       message: 'All data synced ✓',
-      action: null
+      action: null,
+      pending,
+      failed
     };
   }
 }
@@ -6,6 +6,8 @@ import { AdaptiveGoalEngine } from './AdaptiveGoalEngine';
 import { CompassionateFeedbackEngine } from './CompassionateFeedbackEngine';
 import { ContextualPersonalizationEngine } from './ContextualPersonalizationEngine';
 import { DataSyncEngine } from './DataSyncEngine';
+import { readMicronutrients } from '../utils/micronutrients';
+import { resolveMealType } from '../utils/mealSlots';
 
 export class KalryAlgorithmManager {
   constructor(userProfile) {
@@ -118,8 +120,19 @@ export class KalryAlgorithmManager {
   // FOOD LOGGING: Enhanced with compassionate feedback
   async logFood(foodData) {
     try {
-      // Auto-save the food entry
-      this.syncEngine.autoSave(foodData, `food_entry_${Date.now()}`);
+      // Auto-save the food entry and sync it to user_food_logs
+      this.syncEngine.autoSave({
+        user_id: this.userProfile.id,
+        food_name: foodData.food_name || foodData.name,
+        calories: foodData.calories || 0,
+        protein: foodData.protein || 0,
+        carbs: foodData.carbs || 0,
+        fat: foodData.fat || 0,
+        fiber: foodData.fiber || 0,
+        ...readMicronutrients(foodData),
+        meal_type: await resolveMealType(this.userProfile.id, foodData.meal_type),
+        created_at: new Date().toISOString()
+      }, `food_entry_${Date.now()}`, 'food');
       
       // Generate compassionate feedback
       const feedback = this.feedbackEngine.generateFoodFeedback(foodData);
@@ -222,13 +235,14 @@ export class KalryAlgorithmManager {
         this.userProfile.exerciseCaloriePreference || 'maintain_deficit'
       );
       
-      // Auto-save exercise data
+      // Auto-save exercise data and sync it to workouts (duration in seconds there)
       this.syncEngine.autoSave({
-        ...exerciseData,
-        calories: exerciseCalories,
-        duration: duration,
-        timestamp: Date.now()
-      }, `exercise_${Date.now()}`);
+        user_id: this.userProfile.id,
+        date: new Date().toISOString().split('T')[0],
+        duration: Math.round(duration * 60),
+        total_kcal: exerciseCalories.calories,
+        notes: exerciseData.name || exerciseData.type || null
+      }, `exercise_${Date.now()}`, 'workouts');
       
       return {
         success: true,
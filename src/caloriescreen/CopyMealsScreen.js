@@ -0,0 +1,271 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useMemo, useState } from 'react';
+import { ActivityIndicator, Alert, Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { getFoodLogs } from '../utils/api';
+import { MEAL_SLOTS } from '../utils/mealSlots';
+import { copyFoodLogs, createTemplateFromLogs, DAY_LETTERS, getLogsForDay } from '../utils/mealTemplates';
+
+const SOURCE_DAY_COUNT = 7;
+
+const dayLabel = (date, offset) => {
+  if (offset === 1) return 'Yesterday';
+  return date.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' });
+};
+
+// Copy meals from an earlier day onto the day open on Home, or turn them into a recurring template
+const CopyMealsScreen = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const targetDate = useMemo(() => (route.params?.targetDate ? new Date(route.params.targetDate) : new Date()), [route.params?.targetDate]);
+  const sourceDays = useMemo(() => Array.from({ length: SOURCE_DAY_COUNT }, (_, index) => {
+    const day = new Date(targetDate);
+    day.setHours(0, 0, 0, 0);
+    day.setDate(day.getDate() - index - 1);
+    return day;
+  }), [targetDate]);
+
+  const [userId, setUserId] = useState(null);
+  const [allLogs, setAllLogs] = useState([]);
+  const [sourceIndex, setSourceIndex] = useState(0);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [copying, setCopying] = useState(false);
+  const [templateDraft, setTemplateDraft] = useState(null);
+  const [savingTemplate, setSavingTemplate] = useState(false);
+
+  useEffect(() => {
+    const loadLogs = async () => {
+      try {
+        const { data: { session } } = await supabase.auth.getSession();
+        const id = session?.user?.id;
+        if (!id) return;
+        setUserId(id);
+        setAllLogs(await getFoodLogs(id));
+      } catch (error) {
+        console.error('Error loading meals to copy:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLogs();
+  }, []);
+
+  const dayLogs = useMemo(() => getLogsForDay(allLogs, sourceDays[sourceIndex]), [allLogs, sourceDays, sourceIndex]);
+
+  // A whole day is the usual copy, so everything starts selected
+  useEffect(() => {
+    setSelectedIds(dayLogs.map(log => log.id));
+  }, [dayLogs]);
+
+  const groups = useMemo(() => {
+    const byType = new Map();
+    dayLogs.forEach((log) => {
+      const type = log.meal_type || 'Meal';
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push(log);
+    });
+    return [...byType.entries()];
+  }, [dayLogs]);
+
+  const selectedLogs = dayLogs.filter(log => selectedIds.includes(log.id));
+  const selectedCalories = Math.round(selectedLogs.reduce((sum, log) => sum + (Number(log.calories) || 0), 0));
+
+  const toggleLog = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  // Tapping a meal type selects just that meal, e.g. yesterday's breakfast
+  const selectGroup = (logs) => {
+    setSelectedIds(logs.map(log => log.id));
+  };
+
+  const handleCopy = async () => {
+    setCopying(true);
+    try {
+      const { logged, synced } = await copyFoodLogs(userId, selectedLogs, targetDate);
+      Alert.alert('Copied', synced
+        ? `${logged} ${logged === 1 ? 'meal' : 'meals'} logged.`
+        : "You're offline. These meals are saved and will sync when you're back online.", [
+        { text: 'OK', onPress: () => navigation.navigate('Home', { refresh: true }) },
+      ]);
+    } catch (error) {
+      console.error('Error copying meals:', error);
+      Alert.alert('Error', 'Could not copy these meals.');
+    } finally {
+      setCopying(false);
+    }
+  };
+
+  const openTemplateDraft = () => {
+    const types = [...new Set(selectedLogs.map(log => log.meal_type))];
+    const slot = MEAL_SLOTS.includes(types[0]) && types.length === 1 ? types[0] : 'Breakfast';
+    setTemplateDraft({ name: `Weekday ${slot.toLowerCase()}`, slot, days: [1, 2, 3, 4, 5], mode: 'suggest' });
+  };
+
+  const updateDraft = (changes) => setTemplateDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleDraftDay = (day) => {
+    updateDraft({ days: templateDraft.days.includes(day) ? templateDraft.days.filter(item => item !== day) : [...templateDraft.days, day] });
+  };
+
+  const handleSaveTemplate = async () => {
+    if (templateDraft.name.trim().length < 2 || templateDraft.days.length === 0) {
+      Alert.alert('Almost there', 'Give the template a name and pick at least one day.');
+      return;
+    }
+    setSavingTemplate(true);
+    try {
+      await createTemplateFromLogs(userId, selectedLogs, {
+        name: templateDraft.name,
+        mealSlot: templateDraft.slot,
+        days: templateDraft.days,
+        mode: templateDraft.mode,
+      });
+      setTemplateDraft(null);
+      navigation.navigate('MealTemplatesScreen');
+    } catch (error) {
+      console.error('Error saving meal template:', error);
+      Alert.alert('Error', 'Could not save this template.');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Copy Meals</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('MealTemplatesScreen')}>
+          <Ionicons name="repeat-outline" size={24} color="#3B82F6" />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.subtitle}>
+        To {targetDate.toDateString() === new Date().toDateString() ? 'today' : targetDate.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+      </Text>
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={{ paddingHorizontal: 20, paddingVertical: 8 }}>
+          {sourceDays.map((day, index) => (
+            <TouchableOpacity key={day.toISOString()} style={[styles.chip, sourceIndex === index && styles.chipActive]} onPress={() => setSourceIndex(index)}>
+              <Text style={[styles.chipText, sourceIndex === index && styles.chipTextActive]}>{dayLabel(day, index + 1)}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#3B82F6" />
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 160 }}>
+          {groups.length === 0 && <Text style={styles.emptyText}>Nothing was logged on this day.</Text>}
+          {groups.map(([type, logs]) => (
+            <View key={type} style={styles.group}>
+              <TouchableOpacity style={styles.groupHeader} onPress={() => selectGroup(logs)}>
+                <Text style={styles.groupTitle}>{type}</Text>
+                <Text style={styles.groupLink}>Only this</Text>
+              </TouchableOpacity>
+              {logs.map((log) => {
+                const selected = selectedIds.includes(log.id);
+                return (
+                  <TouchableOpacity key={log.id} style={styles.logRow} onPress={() => toggleLog(log.id)}>
+                    <Ionicons name={selected ? 'checkbox' : 'square-outline'} size={22} color={selected ? '#3B82F6' : '#B0B0B0'} />
+                    <Text style={styles.logName} numberOfLines={1}>{log.food_name}</Text>
+                    <Text style={styles.logCalories}>{Math.round(log.calories || 0)} kcal</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+          ))}
+        </ScrollView>
+      )}
+
+      {selectedLogs.length > 0 && (
+        <View style={[styles.footer, { paddingBottom: insets.bottom + 16 }]}>
+          <TouchableOpacity style={styles.copyBtn} onPress={handleCopy} disabled={copying}>
+            {copying
+              ? <ActivityIndicator color="#fff" />
+              : <Text style={styles.copyBtnText}>Copy {selectedLogs.length} {selectedLogs.length === 1 ? 'meal' : 'meals'} • {selectedCalories} kcal</Text>}
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.templateBtn} onPress={openTemplateDraft}>
+            <Text style={styles.templateBtnText}>Make it recurring</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      <Modal visible={!!templateDraft} transparent animationType="slide" onRequestClose={() => setTemplateDraft(null)}>
+        <View style={styles.sheetOverlay}>
+          {templateDraft && (
+            <View style={[styles.sheet, { paddingBottom: insets.bottom + 20 }]}>
+              <Text style={styles.sheetTitle}>Recurring meal</Text>
+              <TextInput style={styles.input} value={templateDraft.name} onChangeText={name => updateDraft({ name })} placeholder="e.g. Weekday breakfast" />
+              <Text style={styles.label}>Meal</Text>
+              <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+                {MEAL_SLOTS.map(slot => (
+                  <TouchableOpacity key={slot} style={[styles.chip, templateDraft.slot === slot && styles.chipActive]} onPress={() => updateDraft({ slot })}>
+                    <Text style={[styles.chipText, templateDraft.slot === slot && styles.chipTextActive]}>{slot}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.label}>Repeats on</Text>
+              <View style={{ flexDirection: 'row' }}>
+                {DAY_LETTERS.map((letter, day) => (
+                  <TouchableOpacity key={day} style={[styles.dayCircle, templateDraft.days.includes(day) && styles.chipActive]} onPress={() => toggleDraftDay(day)}>
+                    <Text style={[styles.chipText, templateDraft.days.includes(day) && styles.chipTextActive]}>{letter}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.label}>When it comes up</Text>
+              <View style={{ flexDirection: 'row' }}>
+                {[{ mode: 'suggest', label: 'Ask me on Home' }, { mode: 'auto', label: 'Log it for me' }].map(option => (
+                  <TouchableOpacity key={option.mode} style={[styles.chip, templateDraft.mode === option.mode && styles.chipActive]} onPress={() => updateDraft({ mode: option.mode })}>
+                    <Text style={[styles.chipText, templateDraft.mode === option.mode && styles.chipTextActive]}>{option.label}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <TouchableOpacity style={[styles.copyBtn, { marginTop: 20 }]} onPress={handleSaveTemplate} disabled={savingTemplate}>
+                {savingTemplate ? <ActivityIndicator color="#fff" /> : <Text style={styles.copyBtnText}>Save template</Text>}
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.templateBtn} onPress={() => setTemplateDraft(null)}>
+                <Text style={styles.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+            </View>
+          )}
+        </View>
+      </Modal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  subtitle: { fontSize: 14, color: '#888', textAlign: 'center' },
+  chip: { backgroundColor: '#F3F4F6', borderRadius: 18, paddingHorizontal: 16, paddingVertical: 8, marginRight: 8, marginBottom: 8 },
+  chipActive: { backgroundColor: '#3B82F6' },
+  chipText: { color: '#222', fontSize: 15 },
+  chipTextActive: { color: '#fff', fontWeight: 'bold' },
+  emptyText: { fontSize: 15, color: '#888', textAlign: 'center', marginTop: 40 },
+  group: { marginBottom: 16 },
+  groupHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 4 },
+  groupTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20' },
+  groupLink: { color: '#3B82F6', fontSize: 14, fontWeight: '600' },
+  logRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#F3F0FF' },
+  logName: { flex: 1, fontSize: 16, color: '#181A20', marginLeft: 12 },
+  logCalories: { fontSize: 14, color: '#FF9100', fontWeight: '600', marginLeft: 8 },
+  footer: { position: 'absolute', left: 0, right: 0, bottom: 0, backgroundColor: '#fff', paddingHorizontal: 20, paddingTop: 12, borderTopWidth: 1, borderTopColor: '#F3F4F6' },
+  copyBtn: { backgroundColor: '#3B82F6', borderRadius: 14, paddingVertical: 14, alignItems: 'center' },
+  copyBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  templateBtn: { alignItems: 'center', paddingVertical: 12 },
+  templateBtnText: { color: '#3B82F6', fontSize: 15, fontWeight: '600' },
+  sheetOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.4)', justifyContent: 'flex-end' },
+  sheet: { backgroundColor: '#fff', borderTopLeftRadius: 24, borderTopRightRadius: 24, padding: 20 },
+  sheetTitle: { fontSize: 20, fontWeight: 'bold', color: '#181A20', marginBottom: 12 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 12, fontSize: 16, color: '#181A20' },
+  label: { fontSize: 14, fontWeight: '600', color: '#666', marginTop: 16, marginBottom: 8 },
+  dayCircle: { width: 38, height: 38, borderRadius: 19, backgroundColor: '#F3F4F6', alignItems: 'center', justifyContent: 'center', marginRight: 6 },
+  cancelText: { color: '#666', fontSize: 15 },
+});
+
+export default CopyMealsScreen;
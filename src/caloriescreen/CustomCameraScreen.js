@@ -4,6 +4,7 @@ import * as ImagePicker from 'expo-image-picker';
 import React, { useEffect, useRef, useState } from 'react';
 import { Alert, Animated, Dimensions, Easing, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { lookupProduct, normalizeBarcode, PRODUCT_BARCODE_TYPES, productToAnalysis } from '../utils/productCatalog';
 
 const { width, height } = Dimensions.get('window');
 
@@ -13,6 +14,11 @@ export default function CustomCameraScreen({ navigation }) {
   const [permission, requestPermission] = useCameraPermissions();
   const [isCameraReady, setIsCameraReady] = useState(false);
   const [isGalleryActive, setIsGalleryActive] = useState(false);
+  // 'photo' for meal photos, 'barcode' and 'label' for packaged food
+  const [mode, setMode] = useState('photo');
+  const [isLookingUp, setIsLookingUp] = useState(false);
+  // The scanner reports the same code many times a second; only the first read counts
+  const scanLockRef = useRef(false);
   const scanAnim = useRef(new Animated.Value(0)).current;
   const pulseAnim = useRef(new Animated.Value(1)).current;
   const glowAnim = useRef(new Animated.Value(0)).current;
@@ -79,17 +85,57 @@ export default function CustomCameraScreen({ navigation }) {
     ).start();
   }, [scanAnim, pulseAnim, glowAnim]);
 
+  // Label photos are read as text; everything else is analyzed as a meal
+  const openPhoto = (photoUri) => {
+    if (mode === 'label') {
+      navigation.replace('LabelScanScreen', { photoUri });
+    } else {
+      navigation.replace('PhotoCalorieScreen', { photoUri, mealType: 'Quick Log' });
+    }
+  };
+
   const handleCapture = async () => {
     if (cameraRef.current && isCameraReady) {
       try {
         const photo = await cameraRef.current.takePictureAsync({ quality: 0.8 });
-        navigation.replace('PhotoCalorieScreen', { photoUri: photo.uri, mealType: 'Quick Log' });
+        openPhoto(photo.uri);
       } catch (e) {
         Alert.alert('Error', 'Could not take photo.');
       }
     }
   };
 
+  const handleBarcodeScanned = async ({ type, data }) => {
+    if (scanLockRef.current) return;
+    const barcode = normalizeBarcode(data, type);
+    // Partial or misread codes fail the check digit; keep scanning
+    if (!barcode) return;
+
+    scanLockRef.current = true;
+    setIsLookingUp(true);
+    try {
+      const product = await lookupProduct(barcode);
+      if (product) {
+        navigation.replace('PostCalorieScreen', { analysis: productToAnalysis(product), mealName: product.name });
+        return;
+      }
+      Alert.alert(
+        'Product not found',
+        "We don't know this product yet. Add it from the nutrition label and it will be recognized next time.",
+        [
+          { text: 'Scan again', style: 'cancel', onPress: () => { scanLockRef.current = false; } },
+          { text: 'Add product', onPress: () => navigation.replace('ProductEntryScreen', { barcode }) },
+        ]
+      );
+    } catch (e) {
+      console.error('Error looking up barcode:', e);
+      Alert.alert('Error', 'Could not look up this product.');
+      scanLockRef.current = false;
+    } finally {
+      setIsLookingUp(false);
+    }
+  };
+
   const handleOpenGallery = async () => {
     try {
       // Immediately hide camera interface to prevent flash
@@ -109,7 +155,7 @@ export default function CustomCameraScreen({ navigation }) {
       });
       if (!result.canceled && result.assets && result.assets.length > 0) {
         // Use replace to completely replace CustomCameraScreen in the stack
-        navigation.replace('PhotoCalorieScreen', { photoUri: result.assets[0].uri, mealType: 'Quick Log' });
+        openPhoto(result.assets[0].uri);
       } else {
         setIsGalleryActive(false);
       }
@@ -172,6 +218,8 @@ export default function CustomCameraScreen({ navigation }) {
         style={styles.camera}
         facing="back"
         onCameraReady={() => setIsCameraReady(true)}
+        barcodeScannerSettings={{ barcodeTypes: PRODUCT_BARCODE_TYPES }}
+        onBarcodeScanned={mode === 'barcode' ? handleBarcodeScanned : undefined}
       >
         {/* Top gradient overlay */}
         <View style={styles.topGradient} />
@@ -181,7 +229,7 @@ export default function CustomCameraScreen({ navigation }) {
           <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
             <Ionicons name="arrow-back" size={24} color="#fff" />
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Scan Food</Text>
+          <Text style={styles.headerTitle}>{{ photo: 'Scan Food', barcode: 'Scan Barcode', label: 'Scan Label' }[mode]}</Text>
           <View style={styles.headerRight} />
         </View>
 
@@ -215,8 +263,22 @@ export default function CustomCameraScreen({ navigation }) {
 
         {/* Instruction text */}
         <View style={styles.instructionContainer}>
-          <Text style={styles.instructionText}>Position food within the frame</Text>
-          <Text style={styles.instructionSubText}>Move closer for better accuracy</Text>
+          {mode === 'barcode' ? (
+            <>
+              <Text style={styles.instructionText}>{isLookingUp ? 'Looking up product...' : 'Point at the barcode on the package'}</Text>
+              <Text style={styles.instructionSubText}>EAN and UPC codes are supported</Text>
+            </>
+          ) : mode === 'label' ? (
+            <>
+              <Text style={styles.instructionText}>Fit the Nutrition Facts panel in the frame</Text>
+              <Text style={styles.instructionSubText}>Hold steady so the numbers are sharp</Text>
+            </>
+          ) : (
+            <>
+              <Text style={styles.instructionText}>Position food within the frame</Text>
+              <Text style={styles.instructionSubText}>Move closer for better accuracy</Text>
+            </>
+          )}
         </View>
 
         {/* Bottom gradient overlay */}
@@ -224,6 +286,17 @@ export default function CustomCameraScreen({ navigation }) {
         
         {/* Enhanced bottom controls */}
         <View style={[styles.bottomControls, { bottom: insets.bottom >= 20 ? insets.bottom : 0, paddingBottom: insets.bottom >= 20 ? (insets.bottom + 40) : 40 }]}>
+          <View style={styles.modeToggle}>
+            {[{ key: 'photo', label: 'Photo' }, { key: 'barcode', label: 'Barcode' }, { key: 'label', label: 'Label' }].map(option => (
+              <TouchableOpacity
+                key={option.key}
+                onPress={() => setMode(option.key)}
+                style={[styles.modeOption, mode === option.key && styles.modeOptionActive]}
+              >
+                <Text style={[styles.modeText, mode === option.key && styles.modeTextActive]}>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
           <View style={styles.controlsContainer}>
             <TouchableOpacity onPress={handleOpenGallery} style={styles.galleryButton}>
               <View style={styles.galleryIconContainer}>
@@ -241,9 +314,10 @@ export default function CustomCameraScreen({ navigation }) {
                   },
                 ]}
               >
-                <TouchableOpacity onPress={handleCapture} style={styles.captureButton}>
+                {/* Barcodes are read continuously, so there is nothing to capture in that mode */}
+                <TouchableOpacity onPress={handleCapture} style={styles.captureButton} disabled={mode === 'barcode'}>
                   <View style={styles.captureButtonInner}>
-                    <Ionicons name="camera" size={32} color="#C084FC" />
+                    <Ionicons name={mode === 'barcode' ? 'barcode-outline' : 'camera'} size={32} color="#C084FC" />
                   </View>
                 </TouchableOpacity>
               </Animated.View>
@@ -472,6 +546,30 @@ const styles = StyleSheet.create({
     paddingTop: 20,
     zIndex: 10,
   },
+  modeToggle: {
+    flexDirection: 'row',
+    alignSelf: 'center',
+    backgroundColor: 'rgba(255,255,255,0.15)',
+    borderRadius: 20,
+    padding: 4,
+    marginBottom: 20,
+  },
+  modeOption: {
+    paddingHorizontal: 18,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  modeOptionActive: {
+    backgroundColor: '#fff',
+  },
+  modeText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  modeTextActive: {
+    color: '#000',
+  },
   controlsContainer: {
     flexDirection: 'row',
     alignItems: 'center',
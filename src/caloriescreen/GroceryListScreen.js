@@ -0,0 +1,152 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, SectionList, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { clearCheckedItems, getCheckedItems, getGroceryList, getGroceryListKey, setItemChecked } from '../utils/groceryList';
+import { getUpcomingDays } from '../utils/mealPlan';
+
+const RANGES = [
+  { label: '3 days', days: 3 },
+  { label: 'Week', days: 7 },
+  { label: '2 weeks', days: 14 },
+];
+
+// Everything to buy for the meals still planned in the coming days, by aisle
+const GroceryListScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [rangeDays, setRangeDays] = useState(7);
+  const [sections, setSections] = useState([]);
+  const [missing, setMissing] = useState([]);
+  const [checked, setChecked] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const days = getUpcomingDays(rangeDays);
+  const listKey = getGroceryListKey(days[0], days[days.length - 1]);
+
+  useFocusEffect(
+    useCallback(() => {
+      const loadList = async () => {
+        setLoading(true);
+        try {
+          const { data: { session } } = await supabase.auth.getSession();
+          const userId = session?.user?.id;
+          if (!userId) return;
+
+          const range = getUpcomingDays(rangeDays);
+          const [list, checkedKeys] = await Promise.all([
+            getGroceryList(userId, range[0], range[range.length - 1]),
+            getCheckedItems(getGroceryListKey(range[0], range[range.length - 1])),
+          ]);
+          setSections(list.sections.map(section => ({ title: section.aisle.label, data: section.items })));
+          setMissing(list.missing);
+          setChecked(checkedKeys);
+        } catch (error) {
+          console.error('Error loading grocery list:', error);
+        } finally {
+          setLoading(false);
+        }
+      };
+      loadList();
+    }, [rangeDays])
+  );
+
+  const toggleItem = async (itemKey) => {
+    const isChecked = checked.includes(itemKey);
+    // Flip right away; storage catches up
+    setChecked(prev => (isChecked ? prev.filter(key => key !== itemKey) : [...prev, itemKey]));
+    setChecked(await setItemChecked(listKey, itemKey, !isChecked));
+  };
+
+  const handleClearChecks = async () => {
+    setChecked([]);
+    await clearCheckedItems(listKey);
+  };
+
+  const itemCount = sections.reduce((sum, section) => sum + section.data.length, 0);
+
+  const renderItem = ({ item }) => {
+    const done = checked.includes(item.key);
+    return (
+      <TouchableOpacity style={styles.itemRow} onPress={() => toggleItem(item.key)}>
+        <Ionicons name={done ? 'checkbox' : 'square-outline'} size={22} color={done ? '#22C55E' : '#B0B0B0'} />
+        <View style={{ flex: 1, marginLeft: 12 }}>
+          <Text style={[styles.itemName, done && styles.itemDone]}>{item.name}</Text>
+          <Text style={styles.itemDishes} numberOfLines={1}>{item.dishes.join(', ')}</Text>
+        </View>
+        <Text style={[styles.itemAmount, done && styles.itemDone]}>{item.amounts.join(' + ')}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Grocery List</Text>
+        <TouchableOpacity onPress={handleClearChecks} disabled={checked.length === 0}>
+          <Text style={[styles.clearText, checked.length === 0 && { color: '#B0B0B0' }]}>Clear checks</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.rangeRow}>
+        {RANGES.map(range => (
+          <TouchableOpacity
+            key={range.days}
+            style={[styles.rangeChip, rangeDays === range.days && styles.rangeChipActive]}
+            onPress={() => setRangeDays(range.days)}
+          >
+            <Text style={[styles.rangeChipText, rangeDays === range.days && styles.rangeChipTextActive]}>{range.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#3B82F6" />
+      ) : (
+        <SectionList
+          sections={sections}
+          renderItem={renderItem}
+          renderSectionHeader={({ section }) => <Text style={styles.sectionTitle}>{section.title}</Text>}
+          keyExtractor={item => item.key}
+          stickySectionHeadersEnabled={false}
+          contentContainerStyle={{ paddingHorizontal: 20, paddingBottom: insets.bottom + 32 }}
+          ListHeaderComponent={itemCount > 0 ? (
+            <Text style={styles.summaryText}>{checked.length} of {itemCount} items in the cart</Text>
+          ) : null}
+          ListEmptyComponent={(
+            <Text style={styles.emptyText}>Nothing to buy yet. Add recipes or saved meals to your meal plan for these days.</Text>
+          )}
+          ListFooterComponent={missing.length > 0 ? (
+            <Text style={styles.missingText}>
+              {`No ingredients are saved for ${missing.join(', ')}, so they're left off this list.`}
+            </Text>
+          ) : null}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  clearText: { color: '#3B82F6', fontSize: 14, fontWeight: '600' },
+  rangeRow: { flexDirection: 'row', paddingHorizontal: 20, paddingVertical: 8 },
+  rangeChip: { backgroundColor: '#F3F4F6', borderRadius: 18, paddingHorizontal: 16, paddingVertical: 8, marginRight: 8 },
+  rangeChipActive: { backgroundColor: '#3B82F6' },
+  rangeChipText: { color: '#222', fontSize: 15 },
+  rangeChipTextActive: { color: '#fff', fontWeight: 'bold' },
+  summaryText: { fontSize: 14, color: '#888', marginTop: 8 },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20', marginTop: 20, marginBottom: 4 },
+  itemRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#F3F0FF' },
+  itemName: { fontSize: 16, color: '#181A20', fontWeight: '500' },
+  itemDishes: { fontSize: 12, color: '#888', marginTop: 2 },
+  itemAmount: { fontSize: 15, color: '#666', fontWeight: '600', marginLeft: 12 },
+  itemDone: { color: '#B0B0B0', textDecorationLine: 'line-through' },
+  emptyText: { fontSize: 15, color: '#888', textAlign: 'center', marginTop: 40 },
+  missingText: { fontSize: 13, color: '#F59E0B', marginTop: 20 },
+});
+
+export default GroceryListScreen;
@@ -0,0 +1,165 @@
+import { Ionicons } from '@expo/vector-icons';
+import * as FileSystem from 'expo-file-system/legacy';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, Image, KeyboardAvoidingView, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { readNutritionLabel } from '../utils/api';
+import { describeFoodAnalysisError } from '../utils/foodAnalysisParser';
+import { productToAnalysis } from '../utils/productCatalog';
+
+const LABEL_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', label: 'Sugar', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+];
+
+// Read a Nutrition Facts panel from a photo and let the user check the values before logging
+const LabelScanScreen = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { photoUri } = route.params;
+  const [isLoading, setIsLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [servingSize, setServingSize] = useState('');
+  const [values, setValues] = useState({});
+  const [warnings, setWarnings] = useState([]);
+
+  useEffect(() => {
+    const readLabel = async () => {
+      try {
+        const data = await FileSystem.readAsStringAsync(photoUri, { encoding: 'base64' });
+        const result = await readNutritionLabel({ data, mimeType: 'image/jpeg' });
+        console.log('LabelScanScreen - Label read:', result.label);
+
+        setServingSize(result.label.serving_size || '');
+        setValues(Object.fromEntries(LABEL_FIELDS.map(field => [
+          field.key,
+          result.label[field.key] === null ? '' : String(result.label[field.key]),
+        ])));
+        setWarnings(result.warnings || []);
+      } catch (error) {
+        console.error('LabelScanScreen - Label error:', error);
+        const { title, message } = error?.code === 'unreadable_label'
+          ? { title: 'No label found', message: 'Make sure the whole Nutrition Facts panel is in the photo and in focus.' }
+          : describeFoodAnalysisError(error);
+        Alert.alert(title, message, [
+          { text: 'Cancel', style: 'cancel', onPress: () => navigation.goBack() },
+          { text: 'Retake', onPress: () => navigation.replace('CustomCameraScreen') },
+        ]);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    readLabel();
+  }, [photoUri, navigation]);
+
+  const handleContinue = () => {
+    if (name.trim().length < 2) {
+      Alert.alert('Missing name', 'Enter the product name so you can find it in your log.');
+      return;
+    }
+    if (!(Number(values.calories) > 0)) {
+      Alert.alert('Missing calories', 'Enter the calories per serving from the label.');
+      return;
+    }
+
+    // Blank fields stay unknown rather than becoming 0 (matters for sugar and sodium)
+    const nutrition = Object.fromEntries(LABEL_FIELDS.map(field => [
+      field.key,
+      values[field.key] ? Number(values[field.key]) : null,
+    ]));
+    const analysis = productToAnalysis({
+      barcode: null,
+      name: name.trim(),
+      brand: '',
+      serving_size: servingSize.trim() || '1 serving',
+      nutrition,
+    });
+    navigation.replace('PostCalorieScreen', { analysis, mealName: name.trim() });
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#7B61FF" />
+        <Text style={styles.loadingText}>Reading the label...</Text>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Nutrition Label</Text>
+        <View style={{ width: 24 }} />
+      </View>
+      <KeyboardAvoidingView style={{ flex: 1 }} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 100 }} keyboardShouldPersistTaps="handled">
+          <Image source={{ uri: photoUri }} style={styles.photo} resizeMode="cover" />
+
+          {warnings.length > 0 && (
+            <View style={styles.warningCard}>
+              <Text style={styles.warningTitle}>Check these against the package</Text>
+              {warnings.map(warning => (
+                <Text key={warning} style={styles.warningText}>• {warning}</Text>
+              ))}
+            </View>
+          )}
+
+          <Text style={styles.label}>Product name</Text>
+          <TextInput style={styles.input} value={name} onChangeText={setName} placeholder="e.g. Greek Yogurt" />
+
+          <Text style={styles.label}>Serving size</Text>
+          <TextInput style={styles.input} value={servingSize} onChangeText={setServingSize} placeholder="e.g. 1 cup (170 g)" />
+
+          <Text style={styles.sectionTitle}>Per serving</Text>
+          {LABEL_FIELDS.map(field => (
+            <View key={field.key} style={styles.nutrientRow}>
+              <Text style={styles.nutrientLabel}>{field.label}</Text>
+              <TextInput
+                style={styles.nutrientInput}
+                value={values[field.key] || ''}
+                onChangeText={value => setValues(prev => ({ ...prev, [field.key]: value.replace(/[^0-9.]/g, '') }))}
+                keyboardType="decimal-pad"
+                placeholder="–"
+              />
+              <Text style={styles.nutrientUnit}>{field.unit}</Text>
+            </View>
+          ))}
+        </ScrollView>
+      </KeyboardAvoidingView>
+      <TouchableOpacity style={[styles.continueBtn, { bottom: insets.bottom + 20 }]} onPress={handleContinue}>
+        <Text style={styles.continueBtnText}>Continue</Text>
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  loadingContainer: { flex: 1, backgroundColor: '#fff', justifyContent: 'center', alignItems: 'center' },
+  loadingText: { fontSize: 16, color: '#666', marginTop: 12 },
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 22, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  photo: { width: '100%', height: 180, borderRadius: 16, marginBottom: 16 },
+  warningCard: { backgroundColor: '#FFF7ED', borderRadius: 12, padding: 12, marginBottom: 8 },
+  warningTitle: { fontSize: 14, fontWeight: '600', color: '#B45309', marginBottom: 4 },
+  warningText: { fontSize: 13, color: '#B45309' },
+  label: { fontSize: 14, fontWeight: '600', color: '#181A20', marginTop: 12, marginBottom: 6 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 12, fontSize: 16, color: '#181A20' },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20', marginTop: 24, marginBottom: 8 },
+  nutrientRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#F3F0FF' },
+  nutrientLabel: { flex: 1, fontSize: 16, color: '#181A20' },
+  nutrientInput: { width: 90, textAlign: 'right', fontSize: 16, color: '#181A20', paddingVertical: 6, paddingHorizontal: 8, borderRadius: 8, backgroundColor: '#F8F7FF' },
+  nutrientUnit: { width: 40, marginLeft: 8, fontSize: 14, color: '#888' },
+  continueBtn: { position: 'absolute', left: 20, right: 20, backgroundColor: '#7B61FF', borderRadius: 14, paddingVertical: 14, alignItems: 'center' },
+  continueBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default LabelScanScreen;
@@ -0,0 +1,185 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { getFoodLogs } from '../utils/api';
+import { getAdaptiveCalorieGoal, getPlanEntries, getUpcomingDays, markPlanEntryEaten, projectPlannedDay, removePlanEntry, toPlanDate } from '../utils/mealPlan';
+
+const STATUS_COLORS = { under: '#F59E0B', within: '#22C55E', over: '#EF4444' };
+
+// The week ahead: planned meals per day, what's been eaten, and where each day is heading
+const MealPlanScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [days] = useState(() => getUpcomingDays());
+  const [entries, setEntries] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [goal, setGoal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busyEntryId, setBusyEntryId] = useState(null);
+
+  const loadPlan = useCallback(async () => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const userId = session?.user?.id;
+      if (!userId) return;
+
+      const [planEntries, foodLogs, calorieGoal] = await Promise.all([
+        getPlanEntries(userId, days[0], days[days.length - 1]),
+        getFoodLogs(userId).catch(() => []),
+        getAdaptiveCalorieGoal(userId),
+      ]);
+      setEntries(planEntries);
+      setLogs(Array.isArray(foodLogs) ? foodLogs : []);
+      setGoal(calorieGoal);
+    } catch (error) {
+      console.error('Error loading meal plan:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [days]);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadPlan();
+    }, [loadPlan])
+  );
+
+  const handleMarkEaten = async (entry) => {
+    setBusyEntryId(entry.id);
+    try {
+      const { synced } = await markPlanEntryEaten(entry);
+      setEntries(prev => prev.map(item => (item.id === entry.id ? { ...item, status: 'eaten' } : item)));
+      if (!synced) {
+        Alert.alert('Saved offline', "This meal is logged on your phone and will sync when you're back online.");
+      }
+      loadPlan();
+    } catch (error) {
+      console.error('Error marking planned meal eaten:', error);
+      Alert.alert('Error', 'Could not log this meal.');
+    } finally {
+      setBusyEntryId(null);
+    }
+  };
+
+  const handleRemove = (entry) => {
+    Alert.alert('Remove from plan?', `${entry.dish_name} will be taken off ${entry.meal_slot.toLowerCase()}.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removePlanEntry(entry.id);
+            setEntries(prev => prev.filter(item => item.id !== entry.id));
+          } catch (error) {
+            console.error('Error removing planned meal:', error);
+            Alert.alert('Error', 'Could not remove this meal.');
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderDay = (day, index) => {
+    const dateKey = toPlanDate(day);
+    const dayEntries = entries.filter(entry => entry.plan_date === dateKey);
+    const dayLogs = logs.filter(log => log.created_at && toPlanDate(log.created_at) === dateKey);
+    const projection = projectPlannedDay(dayEntries, dayLogs, goal);
+    const isToday = index === 0;
+
+    return (
+      <View key={dateKey} style={styles.dayCard}>
+        <View style={styles.dayHeader}>
+          <Text style={styles.dayTitle}>
+            {isToday ? 'Today' : day.toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric' })}
+          </Text>
+          <Text style={[styles.projection, projection.status && { color: STATUS_COLORS[projection.status] }]}>
+            {projection.projected} kcal
+          </Text>
+        </View>
+        <Text style={styles.projectionDetail}>
+          {isToday ? `${projection.eaten} eaten + ${projection.remaining} planned` : `${projection.planned} planned`}
+          {goal ? ` • goal ${goal.min}–${goal.max}` : ''}
+        </Text>
+
+        {dayEntries.length === 0 ? (
+          <Text style={styles.emptyText}>Nothing planned</Text>
+        ) : dayEntries.map(entry => (
+          <View key={entry.id} style={styles.entryRow}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.entrySlot}>{entry.meal_slot}</Text>
+              <Text style={[styles.entryName, entry.status === 'eaten' && styles.entryEaten]}>{entry.dish_name}</Text>
+              <Text style={styles.entryCalories}>{Math.round(entry.calories)} kcal</Text>
+            </View>
+            {entry.status === 'eaten' ? (
+              <Ionicons name="checkmark-circle" size={26} color="#22C55E" />
+            ) : (
+              <>
+                {isToday && (
+                  <TouchableOpacity style={styles.eatenBtn} onPress={() => handleMarkEaten(entry)} disabled={busyEntryId === entry.id}>
+                    {busyEntryId === entry.id
+                      ? <ActivityIndicator size="small" color="#fff" />
+                      : <Text style={styles.eatenBtnText}>Mark eaten</Text>}
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity onPress={() => handleRemove(entry)} style={{ marginLeft: 8 }}>
+                  <Ionicons name="trash-outline" size={20} color="#999" />
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Meal Plan</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('GroceryListScreen')} style={{ marginRight: 14 }}>
+          <Ionicons name="cart-outline" size={24} color="#3B82F6" />
+        </TouchableOpacity>
+        <TouchableOpacity onPress={() => navigation.navigate('SavedMealsScreen')}>
+          <Ionicons name="add" size={26} color="#3B82F6" />
+        </TouchableOpacity>
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#3B82F6" />
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 32 }}>
+          {entries.length === 0 && (
+            <Text style={styles.hintText}>Plan the week from your saved meals or recipes with the + button.</Text>
+          )}
+          {days.map(renderDay)}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  hintText: { fontSize: 15, color: '#666', marginBottom: 16 },
+  dayCard: { backgroundColor: '#fff', borderRadius: 20, padding: 16, marginBottom: 14, shadowColor: '#000', shadowOpacity: 0.06, shadowRadius: 8, elevation: 2 },
+  dayHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center' },
+  dayTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20' },
+  projection: { fontSize: 16, fontWeight: 'bold', color: '#181A20' },
+  projectionDetail: { fontSize: 13, color: '#888', marginTop: 2, marginBottom: 8 },
+  emptyText: { fontSize: 14, color: '#B0B0B0', paddingVertical: 6 },
+  entryRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderTopWidth: 1, borderTopColor: '#F3F4F6' },
+  entrySlot: { fontSize: 12, fontWeight: '600', color: '#3B82F6', textTransform: 'uppercase' },
+  entryName: { fontSize: 16, fontWeight: '600', color: '#181A20', marginTop: 2 },
+  entryEaten: { color: '#888' },
+  entryCalories: { fontSize: 13, color: '#FF9100', marginTop: 2 },
+  eatenBtn: { backgroundColor: '#3B82F6', borderRadius: 12, paddingHorizontal: 12, paddingVertical: 8, minWidth: 96, alignItems: 'center' },
+  eatenBtnText: { color: '#fff', fontWeight: 'bold', fontSize: 14 },
+});
+
+export default MealPlanScreen;
@@ -0,0 +1,144 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, FlatList, StyleSheet, Switch, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { deleteTemplate, describeDays, getTemplateCalories, getTemplates, logTemplate, updateTemplate } from '../utils/mealTemplates';
+
+// Recurring meals: when they come up, whether they ask first, and logging one by hand
+const MealTemplatesScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loggingId, setLoggingId] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      const loadTemplates = async () => {
+        const { data: { session } } = await supabase.auth.getSession();
+        setTemplates(await getTemplates(session?.user?.id));
+        setLoading(false);
+      };
+      loadTemplates();
+    }, [])
+  );
+
+  const applyChange = async (template, changes) => {
+    setTemplates(prev => prev.map(item => (item.id === template.id ? { ...item, ...changes } : item)));
+    try {
+      const saved = await updateTemplate(template.id, changes);
+      setTemplates(prev => prev.map(item => (item.id === saved.id ? saved : item)));
+    } catch (error) {
+      console.error('Error updating meal template:', error);
+      setTemplates(prev => prev.map(item => (item.id === template.id ? template : item)));
+      Alert.alert('Error', 'Could not update this template.');
+    }
+  };
+
+  const handleLogNow = async (template) => {
+    setLoggingId(template.id);
+    try {
+      const { synced } = await logTemplate(template);
+      Alert.alert('Success', synced
+        ? 'Food logged successfully!'
+        : "You're offline. This meal is saved and will sync when you're back online.", [
+        { text: 'OK', onPress: () => navigation.navigate('Home', { refresh: true }) },
+      ]);
+    } catch (error) {
+      console.error('Error logging meal template:', error);
+      Alert.alert('Error', 'Could not log this meal.');
+    } finally {
+      setLoggingId(null);
+    }
+  };
+
+  const handleDelete = (template) => {
+    Alert.alert('Delete template?', `${template.name} won't come up again. Meals it already logged stay.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteTemplate(template.id);
+            setTemplates(prev => prev.filter(item => item.id !== template.id));
+          } catch (error) {
+            console.error('Error deleting meal template:', error);
+            Alert.alert('Error', 'Could not delete this template.');
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderTemplate = ({ item }) => (
+    <TouchableOpacity style={styles.card} onLongPress={() => handleDelete(item)} activeOpacity={0.9}>
+      <View style={styles.cardRow}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.name}>{item.name}</Text>
+          <Text style={styles.meta}>
+            {item.meal_slot} • {describeDays(item.days_of_week)} at {String(item.log_time).slice(0, 5)}
+          </Text>
+          <Text style={styles.calories}>
+            {getTemplateCalories(item)} kcal • {item.items.map(food => food.food_name).join(', ')}
+          </Text>
+        </View>
+        <Switch value={item.active} onValueChange={active => applyChange(item, { active })} />
+      </View>
+      <View style={styles.cardRow}>
+        <TouchableOpacity style={styles.modeToggle} onPress={() => applyChange(item, { mode: item.mode === 'auto' ? 'suggest' : 'auto' })}>
+          <Ionicons name={item.mode === 'auto' ? 'flash' : 'help-circle-outline'} size={16} color="#3B82F6" />
+          <Text style={styles.modeText}>{item.mode === 'auto' ? 'Logs automatically' : 'Asks on Home'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.logBtn} onPress={() => handleLogNow(item)} disabled={loggingId === item.id}>
+          {loggingId === item.id ? <ActivityIndicator color="#fff" size="small" /> : <Text style={styles.logBtnText}>Log now</Text>}
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Recurring Meals</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('CopyMealsScreen')}>
+          <Ionicons name="add" size={26} color="#3B82F6" />
+        </TouchableOpacity>
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#3B82F6" />
+      ) : (
+        <FlatList
+          data={templates}
+          renderItem={renderTemplate}
+          keyExtractor={item => item.id}
+          contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 32 }}
+          ListEmptyComponent={(
+            <Text style={styles.emptyText}>No recurring meals yet. Tap + and pick the meals you eat most days, then make them recurring.</Text>
+          )}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  emptyText: { fontSize: 15, color: '#888', textAlign: 'center', marginTop: 40 },
+  card: { backgroundColor: '#fff', borderRadius: 20, padding: 16, marginBottom: 12, shadowColor: '#000', shadowOpacity: 0.06, shadowRadius: 8, elevation: 2 },
+  cardRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  name: { fontSize: 18, fontWeight: 'bold', color: '#181A20' },
+  meta: { fontSize: 13, color: '#888', marginTop: 2 },
+  calories: { fontSize: 14, color: '#FF9100', fontWeight: '600', marginTop: 6, marginBottom: 10 },
+  modeToggle: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#EFF6FF', borderRadius: 12, paddingHorizontal: 12, paddingVertical: 8 },
+  modeText: { color: '#3B82F6', fontSize: 14, fontWeight: '600', marginLeft: 6 },
+  logBtn: { backgroundColor: '#3B82F6', borderRadius: 12, paddingHorizontal: 18, paddingVertical: 10, minWidth: 90, alignItems: 'center' },
+  logBtnText: { color: '#fff', fontWeight: 'bold', fontSize: 15 },
+});
+
+export default MealTemplatesScreen;
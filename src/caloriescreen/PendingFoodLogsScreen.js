@@ -0,0 +1,125 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, FlatList, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import {
+  discardQueuedFoodLog,
+  flushFoodLogQueue,
+  getQueuedFoodLogs,
+  retryQueuedFoodLog,
+  subscribeToFoodLogQueue,
+} from '../utils/foodLogQueue';
+
+// Food logs saved on the device that haven't reached Supabase yet
+const PendingFoodLogsScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      getQueuedFoodLogs().then(setQueue);
+      return subscribeToFoodLogQueue(setQueue);
+    }, [])
+  );
+
+  const handleSyncNow = async () => {
+    setSyncing(true);
+    try {
+      const remaining = await flushFoodLogQueue();
+      if (remaining.some(entry => entry.status === 'pending')) {
+        Alert.alert('Still offline', "We'll keep trying in the background.");
+      }
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleDiscard = (entry) => {
+    Alert.alert(
+      'Discard meal?',
+      `"${entry.logData.food_name}" will not be added to your log.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Discard', style: 'destructive', onPress: () => discardQueuedFoodLog(entry.id) },
+      ]
+    );
+  };
+
+  const renderEntry = ({ item }) => {
+    const failed = item.status === 'failed';
+    const loggedAt = new Date(item.logData.created_at || item.queuedAt);
+    return (
+      <View style={styles.entryCard}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.entryName} numberOfLines={1}>{item.logData.food_name}</Text>
+          <Text style={styles.entryMeta}>
+            {item.logData.meal_type} • {Math.round(item.logData.calories || 0)} kcal • {loggedAt.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          </Text>
+          <Text style={[styles.entryStatus, failed && styles.entryStatusFailed]}>
+            {failed ? `Couldn't sync: ${item.lastError || 'rejected by server'}` : 'Waiting for connection'}
+          </Text>
+        </View>
+        {failed && (
+          <TouchableOpacity onPress={() => retryQueuedFoodLog(item.id)} style={styles.iconBtn}>
+            <Ionicons name="refresh" size={20} color="#7B61FF" />
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity onPress={() => handleDiscard(item)} style={styles.iconBtn}>
+          <Ionicons name="trash-outline" size={20} color="#D34B4B" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Pending Logs</Text>
+        <View style={{ width: 24 }} />
+      </View>
+      <FlatList
+        data={queue}
+        renderItem={renderEntry}
+        keyExtractor={item => item.id}
+        contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 100 }}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name="cloud-done-outline" size={48} color="#22C55E" />
+            <Text style={styles.emptyText}>All meals are synced</Text>
+          </View>
+        }
+      />
+      {queue.length > 0 && (
+        <TouchableOpacity
+          style={[styles.syncBtn, { bottom: insets.bottom + 20 }]}
+          onPress={handleSyncNow}
+          disabled={syncing}
+        >
+          {syncing ? <ActivityIndicator color="#fff" /> : <Text style={styles.syncBtnText}>Sync now</Text>}
+        </TouchableOpacity>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 22, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  entryCard: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#fff', borderRadius: 16, padding: 16, marginBottom: 12, borderWidth: 1, borderColor: '#F3F0FF' },
+  entryName: { fontSize: 16, fontWeight: '600', color: '#181A20' },
+  entryMeta: { fontSize: 13, color: '#888', marginTop: 2 },
+  entryStatus: { fontSize: 12, color: '#F59E0B', marginTop: 6 },
+  entryStatusFailed: { color: '#D34B4B' },
+  iconBtn: { padding: 8, marginLeft: 4 },
+  emptyState: { alignItems: 'center', marginTop: 80 },
+  emptyText: { fontSize: 16, color: '#666', marginTop: 12 },
+  syncBtn: { position: 'absolute', left: 20, right: 20, backgroundColor: '#7B61FF', borderRadius: 14, paddingVertical: 14, alignItems: 'center' },
+  syncBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default PendingFoodLogsScreen;
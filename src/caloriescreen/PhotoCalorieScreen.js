@@ -1,19 +1,26 @@
 import { Ionicons } from '@expo/vector-icons';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import Constants from 'expo-constants';
-import * as FileSystem from 'expo-file-system/legacy';
+import * as ImagePicker from 'expo-image-picker';
 import React, { useEffect, useState } from 'react';
 import { ActivityIndicator, Alert, Image, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { CompassionateFeedbackEngine } from '../algorithms/CompassionateFeedbackEngine';
 import supabase from '../lib/supabase';
-import { createFoodLog } from '../utils/api';
+import { analyzeFood, createFoodLog } from '../utils/api';
+import { FOOD_ANALYSIS_ERRORS, describeFoodAnalysisError } from '../utils/foodAnalysisParser';
+import { normalizeIngredients, saveFoodLogIngredients } from '../utils/foodLogIngredients';
+import { resolveMealType } from '../utils/mealSlots';
+import { readMicronutrients } from '../utils/micronutrients';
+import { MAX_MEAL_PHOTOS, clampPercentEaten, photoRoles, readMealPhotos } from '../utils/plateAnalysis';
+
+const PHOTO_ROLE_LABELS = { angle: 'Angle', before: 'Before', after: 'After' };
 
 const PhotoCalorieScreen = ({ route, navigation }) => {
   const insets = useSafeAreaInsets(); // Get safe area insets for bottom navigation
   const { photoUri, mealType } = route.params;
   const [isLoading, setIsLoading] = useState(true);
   const [analysis, setAnalysis] = useState(null);
+  // Every photo of this meal; extra angles and an after photo are added from this screen
+  const [photos, setPhotos] = useState([{ uri: photoUri }]);
   const [showErrorModal, setShowErrorModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [editedFoodName, setEditedFoodName] = useState('');
@@ -34,128 +41,47 @@ const PhotoCalorieScreen = ({ route, navigation }) => {
     { emoji: '😤', label: 'Stressed' },
   ];
 
-  // Initialize Gemini AI
-  const apiKey = process.env.EXPO_PUBLIC_GEMINI_API_KEY || Constants.expoConfig?.extra?.EXPO_PUBLIC_GEMINI_API_KEY;
-  
-  if (!apiKey) {
-    console.error('PhotoCalorieScreen - No API key found!');
-  }
-  
-  const genAI = new GoogleGenerativeAI(apiKey);
-
   useEffect(() => {
     if (photoUri) {
-      analyzePhoto();
+      analyzePhotos([{ uri: photoUri }]);
     }
+    // Only for the photo the screen opened with; added photos are analyzed as they come in
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [photoUri]);
 
-  const analyzePhoto = async () => {
+  // All photos are analyzed together, so adding or removing one replaces the whole estimate
+  const analyzePhotos = async (nextPhotos) => {
     setIsLoading(true);
     try {
-      const models = ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"];
-      let lastError = null;
-
-      for (const modelName of models) {
-        try {
-          const model = genAI.getGenerativeModel({ model: modelName });
-          
-          const imageData = await FileSystem.readAsStringAsync(photoUri, {
-            encoding: 'base64',
-          });
-
-          const prompt = `Analyze this food image and provide detailed nutritional information. Your response MUST be a single valid JSON object and nothing else. Do not include markdown formatting.
-
-If the image does NOT contain recognizable food items, respond with: {"error": "No food items detected in this image. Please take a photo of food items."}
-
-If food is detected, provide this exact JSON structure:
-{
-  "dish_name": "Main dish name (e.g., 'Grilled Chicken Salad')",
-  "ingredients": [
-    {
-      "name": "ingredient name",
-      "quantity": "estimated amount (e.g., '100g', '1 cup', '2 slices')"
-    }
-  ],
-  "total_nutrition": {
-    "calories": <number>,
-    "protein": <number>,
-    "fat": <number>,
-    "carbs": <number>,
-    "fiber": <number>,
-    "micronutrients": {
-      "iron": <boolean>,
-      "potassium": <boolean>,
-      "vitaminC": <boolean>,
-      "calcium": <boolean>
-    }
-  },
-  "confidence_level": <number between 0-100>
-}
-
-Guidelines:
-- Be realistic with portion sizes
-- Consider cooking methods (fried foods have more calories)
-- Include all visible ingredients
-- Provide nutritional values per the entire visible portion
-- Confidence should reflect how clearly you can identify the food`;
+      // Analysis runs on the Kalry API (routes/analysis.js), which owns the prompt and the AI key
+      const data = await analyzeFood({ type: 'image', ...(await readMealPhotos(nextPhotos)) });
+
+      setPhotos(nextPhotos);
+      setAnalysis(data);
+      setEditedFoodName(data.dish_name);
+      setMacros({
+        protein: data.total_nutrition.protein || 0,
+        carbs: data.total_nutrition.carbs || 0,
+        fat: data.total_nutrition.fat || 0,
+        fiber: data.total_nutrition.fiber || 0,
+      });
 
-          const result = await model.generateContent([
-            prompt,
-            { inlineData: { mimeType: "image/jpeg", data: imageData } },
-          ]);
-          
-          const response = await result.response;
-          let text = response.text();
-          
-          console.log('PhotoCalorieScreen - Raw AI response:', text);
-          
-          const jsonMatch = text.match(/\{[\s\S]*\}/);
-          
-          if (jsonMatch) {
-            const jsonString = jsonMatch[0];
-            console.log('PhotoCalorieScreen - Extracted JSON:', jsonString);
-            const data = JSON.parse(jsonString);
-            
-            if (data.error) {
-              throw new Error(data.error);
-            }
-            
-            if (!data.dish_name || !data.total_nutrition || !Array.isArray(data.ingredients)) {
-              throw new Error('Invalid JSON structure from API.');
-            }
-            
-            setAnalysis(data);
-            setEditedFoodName(data.dish_name);
-            setMacros({
-              protein: data.total_nutrition.protein || 0,
-              carbs: data.total_nutrition.carbs || 0,
-              fat: data.total_nutrition.fat || 0,
-              fiber: data.total_nutrition.fiber || 0,
-            });
-            
-            console.log('PhotoCalorieScreen - Analysis complete:', data);
-            return;
-          } else {
-            throw new Error('Invalid JSON format from API.');
-          }
-        } catch (error) {
-          lastError = error;
-          console.log(`Model ${modelName} failed:`, error.message);
-        }
-      }
-      
-      throw lastError || new Error('All AI models are currently unavailable.');
-      
+      console.log('PhotoCalorieScreen - Analysis complete:', data);
     } catch (error) {
       console.error('PhotoCalorieScreen - Analysis error:', error);
-      const msg = String(error?.message || "").toLowerCase();
-      
-      if (
-        msg.includes("no food items detected") ||
-        msg.includes("invalid json") ||
-        msg.includes("no json object")
+
+      // A photo added to an existing estimate only has to be dropped again
+      if (analysis) {
+        const { message } = describeFoodAnalysisError(error);
+        Alert.alert("Couldn't use that photo", message);
+      } else if (
+        error?.type === FOOD_ANALYSIS_ERRORS.NO_FOOD ||
+        error?.type === FOOD_ANALYSIS_ERRORS.MALFORMED
       ) {
         setShowErrorModal(true);
+      } else if (error?.type === FOOD_ANALYSIS_ERRORS.IMPLAUSIBLE) {
+        const { title, message } = describeFoodAnalysisError(error);
+        Alert.alert(title, message);
       } else {
         Alert.alert(
           "Analysis Failed", 
@@ -167,8 +93,66 @@ Guidelines:
     }
   };
 
+  const pickPhoto = (title, onPicked) => {
+    const options = { mediaTypes: ImagePicker.MediaTypeOptions.Images, quality: 0.7 };
+    const pick = async (fromCamera) => {
+      try {
+        const { status } = fromCamera
+          ? await ImagePicker.requestCameraPermissionsAsync()
+          : await ImagePicker.requestMediaLibraryPermissionsAsync();
+        if (status !== 'granted') {
+          Alert.alert('Permission needed', fromCamera ? 'Camera permission is required.' : 'Gallery permission is required.');
+          return;
+        }
+        const result = fromCamera
+          ? await ImagePicker.launchCameraAsync(options)
+          : await ImagePicker.launchImageLibraryAsync(options);
+        if (!result.canceled && result.assets?.length) onPicked(result.assets[0].uri);
+      } catch (error) {
+        console.error('Error picking photo:', error);
+        Alert.alert('Error', 'Could not get the photo. ' + (error?.message || ''));
+      }
+    };
+    Alert.alert(title, null, [
+      { text: 'Take Photo', onPress: () => pick(true) },
+      { text: 'Choose from Library', onPress: () => pick(false) },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleAddAngle = () => {
+    pickPhoto('Add another angle', uri => analyzePhotos([...photos, { uri }]));
+  };
+
+  // Taken once the user is done eating; the first photo becomes the "before"
+  const handleAddAfterPhoto = () => {
+    pickPhoto('Add a photo of what is left', uri => analyzePhotos([...photos, { uri, after: true }]));
+  };
+
+  const roles = photoRoles(photos);
+
+  const handleRemovePhoto = (index) => {
+    analyzePhotos(photos.filter((_, i) => i !== index));
+  };
+
+  // The review screen applies the share eaten to the totals and ingredients
+  const handleReviewPortion = (percentEaten) => {
+    navigation.navigate('PostCalorieScreen', {
+      analysis: { ...analysis, dish_name: editedFoodName || analysis.dish_name },
+      mealName: editedFoodName || analysis.dish_name,
+      mealType,
+      photoUri,
+      percentEaten: clampPercentEaten(percentEaten),
+    });
+  };
+
   const handleConfirm = async () => {
     if (!analysis) return;
+    // With an after photo only part of the meal is logged, which the review screen takes care of
+    if (analysis.percent_eaten !== null && analysis.percent_eaten !== undefined) {
+      handleReviewPortion(analysis.percent_eaten);
+      return;
+    }
     try {
       const { dish_name } = analysis;
       const { data: { session } } = await supabase.auth.getSession();
@@ -208,20 +192,23 @@ Guidelines:
       }
 
       const logData = {
-        meal_type: mealType,
+        meal_type: await resolveMealType(user_id, mealType),
         food_name: editedFoodName || dish_name,
         calories: analysis.total_nutrition.calories,
         protein: macros.protein,
         carbs: macros.carbs,
         fat: macros.fat,
         fiber: macros.fiber,
+        ...readMicronutrients(analysis.total_nutrition),
         mood: selectedMoodEmoji,
         photo_url: photoUrl,
         user_id,
         date: new Date().toISOString().slice(0, 10),
       };
       
-      await createFoodLog(logData);
+      const savedLog = await createFoodLog(logData);
+      // Keep the per-ingredient breakdown from the photo so one item can be corrected later
+      await saveFoodLogIngredients(savedLog, normalizeIngredients(analysis.ingredients, analysis.total_nutrition));
       
       // ✅ COMPASSIONATE FEEDBACK IMPLEMENTATION
       const feedbackEngine = new CompassionateFeedbackEngine();
@@ -258,8 +245,8 @@ Guidelines:
       
       // Optimistic cache update
       const { updateMainDashboardCacheOptimistic, updateHomeScreenCacheOptimistic } = require('../utils/cacheManager');
-      updateMainDashboardCacheOptimistic(logData);
-      updateHomeScreenCacheOptimistic(logData);
+      updateMainDashboardCacheOptimistic(savedLog);
+      updateHomeScreenCacheOptimistic(savedLog);
       
     } catch (error) {
       console.error('Error logging food:', error);
@@ -280,11 +267,11 @@ Guidelines:
       }
 
       const { data, error } = await supabase
-        .from('saved_meals')
+        .from('saved_meal')
         .insert({
           user_id,
-          name: editedFoodName || dish_name,
-          ingredients: JSON.stringify(ingredients),
+          dish_name: editedFoodName || dish_name,
+          ingredients: normalizeIngredients(ingredients, total_nutrition),
           calories: total_nutrition.calories,
           protein: macros.protein,
           carbs: macros.carbs,
@@ -383,7 +370,7 @@ Guidelines:
       <SafeAreaView style={styles.container} edges={['top']}>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size={50} color="#7B61FF" />
-          <Text style={styles.loadingText}>Analyzing your food...</Text>
+          <Text style={styles.loadingText}>{photos.length > 1 ? 'Comparing your photos...' : 'Analyzing your food...'}</Text>
           <Text style={styles.loadingSubtext}>This may take a few seconds</Text>
         </View>
       </SafeAreaView>
@@ -437,6 +424,37 @@ Guidelines:
           </TouchableOpacity>
         </View>
 
+        {/* More photos of the same meal */}
+        <View style={styles.section}>
+          {photos.length > 1 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.thumbnailRow}>
+              {photos.map((photo, index) => (
+                <View key={photo.uri} style={styles.thumbnail}>
+                  <Image source={{ uri: photo.uri }} style={styles.thumbnailImage} />
+                  <Text style={styles.thumbnailLabel}>{PHOTO_ROLE_LABELS[roles[index]]}</Text>
+                  {index > 0 && (
+                    <TouchableOpacity style={styles.thumbnailRemove} onPress={() => handleRemovePhoto(index)}>
+                      <Ionicons name="close" size={14} color="#fff" />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+          <View style={styles.addPhotoRow}>
+            <TouchableOpacity style={styles.addPhotoButton} onPress={handleAddAngle} disabled={photos.length >= MAX_MEAL_PHOTOS}>
+              <Ionicons name="images-outline" size={18} color={photos.length >= MAX_MEAL_PHOTOS ? '#bbb' : '#7B61FF'} />
+              <Text style={[styles.addPhotoText, photos.length >= MAX_MEAL_PHOTOS && { color: '#bbb' }]}>Add angle</Text>
+            </TouchableOpacity>
+            {!photos.some(photo => photo.after) && (
+              <TouchableOpacity style={styles.addPhotoButton} onPress={handleAddAfterPhoto} disabled={photos.length >= MAX_MEAL_PHOTOS}>
+                <Ionicons name="restaurant-outline" size={18} color={photos.length >= MAX_MEAL_PHOTOS ? '#bbb' : '#7B61FF'} />
+                <Text style={[styles.addPhotoText, photos.length >= MAX_MEAL_PHOTOS && { color: '#bbb' }]}>Add after photo</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
         {/* Food Name */}
         <View style={styles.section}>
           <View style={styles.sectionHeader}>
@@ -472,6 +490,15 @@ Guidelines:
               <Text style={styles.nutritionLabel}>Fat</Text>
             </View>
           </View>
+          {analysis.percent_eaten !== null && analysis.percent_eaten !== undefined ? (
+            <Text style={styles.portionText}>
+              As served. You ate about {analysis.percent_eaten}%, around {Math.round(analysis.total_nutrition.calories * analysis.percent_eaten / 100)} kcal.
+            </Text>
+          ) : (
+            <TouchableOpacity onPress={() => handleReviewPortion(100)}>
+              <Text style={styles.portionLink}>Didn&apos;t finish it? Adjust how much you ate</Text>
+            </TouchableOpacity>
+          )}
         </View>
 
         {/* Ingredients */}
@@ -661,6 +688,62 @@ const styles = StyleSheet.create({
     marginHorizontal: 20,
     marginBottom: 24,
   },
+  thumbnailRow: {
+    marginBottom: 12,
+  },
+  thumbnail: {
+    marginRight: 10,
+    alignItems: 'center',
+  },
+  thumbnailImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+  },
+  thumbnailLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
+  thumbnailRemove: {
+    position: 'absolute',
+    top: 4,
+    right: 4,
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addPhotoRow: {
+    flexDirection: 'row',
+  },
+  addPhotoButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#F3F0FF',
+    marginRight: 10,
+  },
+  addPhotoText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#7B61FF',
+  },
+  portionText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 10,
+  },
+  portionLink: {
+    fontSize: 14,
+    color: '#7B61FF',
+    marginTop: 10,
+  },
   sectionHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -1,13 +1,29 @@
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect } from '@react-navigation/native';
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Alert, BackHandler, Image, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import MealSlotPicker from '../components/MealSlotPicker';
 import supabase from '../lib/supabase';
+import { reconcileCalorieEstimates } from '../utils/calorieSources';
+import { applyIngredientChange, normalizeIngredients, scaleIngredient, scaleNutrients, scaleQuantity } from '../utils/foodLogIngredients';
+import { enqueueFoodLog } from '../utils/foodLogQueue';
+import { resolveMealType } from '../utils/mealSlots';
+import { readMicronutrients, scaleMicronutrients, TRACKED_NUTRIENTS } from '../utils/micronutrients';
+import { PERCENT_EATEN_OPTIONS, clampPercentEaten, scaleAnalysis } from '../utils/plateAnalysis';
+import { saveMenuCorrection } from '../utils/restaurantMenus';
+
+const CONFIDENCE_LABELS = { high: 'High', medium: 'Medium', low: 'Low' };
 
 const PostCalorieScreen = ({ route, navigation }) => {
   const insets = useSafeAreaInsets(); // Get safe area insets for bottom navigation
-  const { analysis, mealName } = route.params || {};
+  const { analysis: servedAnalysis, mealName, mealType } = route.params || {};
+  const initialPercentEaten = clampPercentEaten(route.params?.percentEaten ?? 100);
+  // With before/after photos the analysis is the meal as served; the screen starts from the part that was eaten
+  const analysis = useMemo(
+    () => scaleAnalysis(servedAnalysis, initialPercentEaten / 100),
+    [servedAnalysis, initialPercentEaten]
+  );
   
   // Add safety checks for route params
   if (!route.params) {
@@ -19,6 +35,7 @@ const PostCalorieScreen = ({ route, navigation }) => {
   console.log('PostCalorieScreen - Analysis total:', analysis?.total);
   console.log('PostCalorieScreen - Analysis total_nutrition:', analysis?.total_nutrition);
   
+  const [calories, setCalories] = useState(0);
   const [macros, setMacros] = useState({
     protein: 0,
     carbs: 0,
@@ -33,6 +50,22 @@ const PostCalorieScreen = ({ route, navigation }) => {
   const [selectedMood, setSelectedMood] = useState(null);
   const [macrosLoaded, setMacrosLoaded] = useState(false);
   const [ingredients, setIngredients] = useState([]);
+  // Sugar, sodium, vitamins and minerals for the whole meal; null where unknown
+  const [micronutrients, setMicronutrients] = useState(() => readMicronutrients(analysis?.total || analysis?.total_nutrition));
+  // Saved meals, past logs, reference table and AI, reconciled by DataSyncEngine
+  const [calorieResolution, setCalorieResolution] = useState(null);
+  const [selectedEstimate, setSelectedEstimate] = useState(null);
+  // How many servings were eaten; totals and ingredients scale with it
+  const [servings, setServings] = useState(1);
+  // Filled with the slot for the current time once the user's slots load
+  const [mealSlot, setMealSlot] = useState(null);
+  const [servingsText, setServingsText] = useState('1');
+  // Share of the plate that was eaten; totals and ingredients scale with it like servings
+  const [percentEaten, setPercentEaten] = useState(initialPercentEaten);
+  // Scanned products come with nutrition per serving from the label
+  const isPackagedProduct = analysis?.source === 'label';
+  // Items from the user's own restaurant menus, with the nutrition they confirmed before
+  const isMenuItem = analysis?.source === 'menu';
 
   // Update macros when analysis data changes
   useEffect(() => {
@@ -46,7 +79,9 @@ const PostCalorieScreen = ({ route, navigation }) => {
       };
       console.log('Updating macros with:', newMacros);
       console.log('Fiber value specifically:', newMacros.fiber);
+      setCalories(analysis?.total?.calories || analysis?.total_nutrition?.calories || 0);
       setMacros(newMacros);
+      setMicronutrients(readMicronutrients(analysis?.total || analysis?.total_nutrition));
       setMacrosLoaded(true); // Set loaded to true after macros are updated
     } else {
       console.log('No analysis data available');
@@ -62,7 +97,7 @@ const PostCalorieScreen = ({ route, navigation }) => {
 
   // Calculate dynamic health score based on food data and user profile
   const calculateHealthScore = () => {
-    const { calories, protein, carbs, fat, fiber } = analysis?.total || analysis?.total_nutrition || {};
+    const { protein, carbs, fat, fiber } = macros;
     
     if (!calories || calories === 0) return { score: 0, text: 'No Data', info: 'No nutritional data available' };
     
@@ -377,17 +412,37 @@ const PostCalorieScreen = ({ route, navigation }) => {
     return ingredients;
   };
 
+  // Give every ingredient its own macros (its calorie share when the analysis only has totals)
+  const withMacros = (list, totals) => normalizeIngredients(list, totals).map((item, index) => ({
+    ...list[index],
+    ...item,
+    amount: list[index].amount,
+  }));
+
   // Initialize ingredients from analysis
   useEffect(() => {
     const initializeIngredients = () => {
       try {
         console.log('Analysis data:', analysis);
-        console.log('Analysis items:', analysis?.items);
+        // Voice analyses call them items, photo and text analyses call them ingredients
+        const analysisItems = analysis?.items || analysis?.ingredients;
+        const totals = analysis?.total || analysis?.total_nutrition || {};
+        console.log('Analysis items:', analysisItems);
+
+        // A packaged product or menu item is one item; its name says nothing about what's inside
+        if (isPackagedProduct || isMenuItem) {
+          setIngredients(analysisItems.map(item => ({
+            ...item,
+            amount: item.quantity,
+            icon: getIngredientIcon(item.name),
+          })));
+          return;
+        }
         
         // First, try to get ingredients from analysis
-        if (analysis?.items && Array.isArray(analysis.items) && analysis.items.length > 0) {
+        if (analysisItems && Array.isArray(analysisItems) && analysisItems.length > 0) {
           // Check if items are complete dishes (like "1 chicken sandwich") or ingredients
-          const firstItem = analysis.items[0];
+          const firstItem = analysisItems[0];
           const isCompleteDish = firstItem?.name && (
             firstItem.name.includes('sandwich') || 
             firstItem.name.includes('burger') || 
@@ -415,18 +470,22 @@ const PostCalorieScreen = ({ route, navigation }) => {
                   caloriesPerIngredient,
                 icon: ingredient.icon,
               }));
-              setIngredients(newIngredients);
+              setIngredients(withMacros(newIngredients, totals));
               return;
             }
           } else {
             // If items are actual ingredients, use them directly
-            const newIngredients = analysis.items.map(item => ({
+            const newIngredients = analysisItems.map(item => ({
               name: item?.name || 'Unknown Ingredient',
               amount: item?.quantity || '1 serving',
               calories: Math.round(item?.calories || 0),
+              protein: item?.protein || 0,
+              carbs: item?.carbs || 0,
+              fat: item?.fat || 0,
+              fiber: item?.fiber || 0,
               icon: getIngredientIcon(item?.name || ''),
             }));
-            setIngredients(newIngredients);
+            setIngredients(withMacros(newIngredients, totals));
             return;
           }
         }
@@ -455,18 +514,18 @@ const PostCalorieScreen = ({ route, navigation }) => {
               caloriesPerIngredient,
             icon: ingredient.icon
           }));
-          setIngredients(newIngredients);
+          setIngredients(withMacros(newIngredients, totals));
           return;
         }
         
         // Final fallback - only if no main ingredients could be extracted
         console.log('Using final fallback ingredient');
-        setIngredients([{
+        setIngredients(withMacros([{
           name: mealNameToUse || 'Complete Meal',
           amount: '1 serving',
           calories: totalCalories,
           icon: '🍽️'
-        }]);
+        }], totals));
         
       } catch (error) {
         console.log('Error processing ingredients:', error);
@@ -480,7 +539,74 @@ const PostCalorieScreen = ({ route, navigation }) => {
     };
     
     initializeIngredients();
-  }, [analysis, mealNameState]);
+    // Only re-derive on a new analysis, so renaming the meal keeps the user's quantity edits
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [analysis]);
+
+  // Use another source's numbers; ingredients keep their split but scale to the new total.
+  // Estimates are for one whole serving, so they are scaled to the servings and the share eaten.
+  const applyEstimate = (estimate, index, base = { calories, ...macros }) => {
+    const portion = servings * (percentEaten / 100);
+    const eatenCalories = Math.round(estimate.calories * portion);
+    const ratio = base.calories > 0 ? eatenCalories / base.calories : 1;
+    const { protein, carbs, fat, fiber } = estimate.nutrition;
+    const nextMacros = protein || carbs || fat
+      ? scaleNutrients({ protein, carbs, fat, fiber }, portion)
+      : scaleNutrients(base, ratio);
+    setCalories(eatenCalories);
+    setMacros({ protein: nextMacros.protein, carbs: nextMacros.carbs, fat: nextMacros.fat, fiber: nextMacros.fiber });
+    setIngredients(prev => prev.map(item => scaleNutrients(item, ratio)));
+    setMicronutrients(prev => scaleMicronutrients(prev, ratio));
+    setSelectedEstimate(index);
+  };
+
+  // Compare the AI estimate with the user's saved meals, past logs and the reference table
+  useEffect(() => {
+    if (!analysis) return;
+    // The label is the most trusted source there is; nothing to reconcile
+    if (isPackagedProduct) {
+      setCalorieResolution({ confidence: 'high', explanation: 'From the nutrition label', estimates: [] });
+      return;
+    }
+    if (isMenuItem) {
+      setCalorieResolution({ confidence: 'high', explanation: `From your ${analysis.venue} menu`, estimates: [] });
+      return;
+    }
+    let cancelled = false;
+    // Sources are compared on the whole meal; the eaten part is what's on screen
+    const aiNutrition = servedAnalysis?.total || servedAnalysis?.total_nutrition || {};
+    const eatenNutrition = analysis?.total || analysis?.total_nutrition || {};
+
+    const reconcile = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      const result = await reconcileCalorieEstimates({
+        dishName: analysis?.dish_name || mealName || '',
+        aiNutrition,
+        userId: session?.user?.id,
+      });
+      if (cancelled || !result.estimates.length) return;
+      setCalorieResolution(result);
+
+      // The most trusted source leads; only switch away from the AI numbers when it isn't the AI
+      const primary = result.estimates[0];
+      if (primary.type === 'estimated') {
+        setSelectedEstimate(0);
+      } else {
+        applyEstimate(primary, 0, {
+          calories: Number(eatenNutrition.calories) || 0,
+          protein: Number(eatenNutrition.protein) || 0,
+          carbs: Number(eatenNutrition.carbs) || 0,
+          fat: Number(eatenNutrition.fat) || 0,
+          fiber: Number(eatenNutrition.fiber) || 0,
+        });
+      }
+    };
+
+    reconcile().catch(error => console.log('Error reconciling calorie sources:', error));
+    return () => { cancelled = true; };
+    // applyEstimate only reads state when no base is passed
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [analysis]);
 
   const moodOptions = [
     { emoji: '😀', label: 'Happy' },
@@ -500,6 +626,37 @@ const PostCalorieScreen = ({ route, navigation }) => {
     }, [])
   );
 
+  // Scale from the current numbers so the user's edits and chosen source carry over
+  const handleServingsChange = (value) => {
+    const next = Math.round(Number(value) * 100) / 100;
+    if (!(next > 0) || next === servings) {
+      setServingsText(String(servings));
+      return;
+    }
+    const ratio = next / servings;
+    const totals = scaleNutrients({ calories, ...macros }, ratio);
+    setCalories(totals.calories);
+    setMacros({ protein: totals.protein, carbs: totals.carbs, fat: totals.fat, fiber: totals.fiber });
+    setIngredients(prev => prev.map(item => scaleNutrients(item, ratio)));
+    setMicronutrients(prev => scaleMicronutrients(prev, ratio));
+    setServings(next);
+    setServingsText(String(next));
+  };
+
+  // Both shares are of the meal as served and never below 1%, so the ratio is finite and going
+  // back up restores what a smaller share scaled down
+  const handlePercentEatenChange = (value) => {
+    const next = clampPercentEaten(value);
+    if (next === percentEaten) return;
+    const ratio = next / percentEaten;
+    const totals = scaleNutrients({ calories, ...macros }, ratio);
+    setCalories(totals.calories);
+    setMacros({ protein: totals.protein, carbs: totals.carbs, fat: totals.fat, fiber: totals.fiber });
+    setIngredients(prev => prev.map(item => ({ ...scaleNutrients(item, ratio), amount: scaleQuantity(item.amount, ratio) })));
+    setMicronutrients(prev => scaleMicronutrients(prev, ratio));
+    setPercentEaten(next);
+  };
+
   const handleMacroChange = (key, value) => {
     setMacros({ ...macros, [key]: value });
   };
@@ -510,6 +667,22 @@ const PostCalorieScreen = ({ route, navigation }) => {
     setIngredients(newIngredients);
   };
 
+  // Correcting one item's amount (e.g. 150g -> 250g rice) rescales that item and the meal totals
+  const handleIngredientAmountChange = (index, amount) => {
+    const before = ingredients[index];
+    if (!before || amount.trim() === String(before.amount)) return;
+
+    const scaled = scaleIngredient({ ...before, quantity: before.amount }, amount.trim());
+    const after = { ...scaled, amount: scaled.quantity };
+    const newIngredients = [...ingredients];
+    newIngredients[index] = after;
+    setIngredients(newIngredients);
+
+    const totals = applyIngredientChange({ calories, ...macros }, before, after);
+    setCalories(totals.calories);
+    setMacros({ protein: totals.protein, carbs: totals.carbs, fat: totals.fat, fiber: totals.fiber });
+  };
+
   const addIngredient = () => {
     setIngredients([...ingredients, {
       name: '',
@@ -524,6 +697,14 @@ const PostCalorieScreen = ({ route, navigation }) => {
     setIngredients(newIngredients);
   };
 
+  // Start a recipe from this meal's breakdown, e.g. a pot the user will eat from over several days
+  const handleSaveAsRecipe = () => {
+    navigation.navigate('RecipeBuilderScreen', {
+      name: mealNameState.replace(/^You said:\s*/i, ''),
+      ingredients: normalizeIngredients(ingredients, { calories, ...macros }),
+    });
+  };
+
   const validateMealName = () => {
     if (!mealNameState || mealNameState.trim().length < 2) {
       setNameError('Meal name must be at least 2 characters');
@@ -539,7 +720,6 @@ const PostCalorieScreen = ({ route, navigation }) => {
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not logged in');
-      const { calories } = analysis?.total || analysis?.total_nutrition || {};
       const { protein, carbs, fat, fiber } = macros;
       const { description } = analysis || {};
       
@@ -583,6 +763,8 @@ const PostCalorieScreen = ({ route, navigation }) => {
           fat: fat || 0,
           fiber: fiber || 0,
           photo_url: photoUrl,
+          // Kept so planned meals can go on the grocery list
+          ingredients: normalizeIngredients(ingredients, { calories, ...macros }),
         },
       ]);
       if (error) throw error;
@@ -603,69 +785,59 @@ const PostCalorieScreen = ({ route, navigation }) => {
     if (!validateMealName()) return;
     setLogging(true);
     try {
-      const { data: { user } } = await supabase.auth.getUser();
+      // getSession reads the stored session, so this works offline
+      const { data: { session } } = await supabase.auth.getSession();
+      const user = session?.user;
       if (!user) throw new Error('User not logged in');
-      const { calories } = analysis?.total || analysis?.total_nutrition || {};
       const { protein, carbs, fat, fiber } = macros;
       const cleanFoodName = mealNameState.replace(/^You said:\s*/i, '');
       
       // Get selected mood emoji
       const selectedMoodEmoji = selectedMood !== null ? moodOptions[selectedMood].emoji : null;
       
-      // Check if we have a photo to upload (from PhotoCalorieScreen)
-      let photoUrl = null;
-      if (route?.params?.photoUri) {
-        try {
-          const fileName = `food-photos/${user.id}/${Date.now()}.jpg`;
-          
-          // Convert photo URI to ArrayBuffer for upload (works on RN/Expo)
-          const response = await fetch(route.params.photoUri);
-          const arrayBuffer = await response.arrayBuffer();
-          
-          const { data, error } = await supabase.storage
-            .from('food-photos')
-            .upload(fileName, arrayBuffer, {
-              contentType: 'image/jpeg'
-            });
-          
-          if (error) {
-            console.error('Error uploading photo:', error);
-            // Continue without photo if upload fails
-          } else {
-            // Store the storage path, not the public URL
-            photoUrl = fileName;
-          }
-        } catch (uploadError) {
-          console.error('Error uploading photo:', uploadError);
-          // Continue without photo if upload fails
-        }
-      }
-      
       const logData = {
         user_id: user.id,
         food_name: cleanFoodName,
-        serving_size: 1,
+        serving_size: servings,
         calories: calories || 0,
         carbs: carbs || 0,
         protein: protein || 0,
         fat: fat || 0,
         fiber: fiber || 0,
+        ...micronutrients,
         mood: selectedMoodEmoji,
-        photo_url: photoUrl,
         date_time: new Date().toISOString().split('T')[0],
-        meal_type: 'Quick Log',
-        notes: '',
+        meal_type: mealSlot || await resolveMealType(user.id, mealType),
+        notes: percentEaten < 100 ? `Ate about ${percentEaten}% of the plate` : '',
         created_at: new Date().toISOString(),
       };
-      const { error } = await supabase.from('user_food_logs').insert([logData]);
-      if (error) throw error;
-      
-      // Optimistic cache update (Instagram pattern)
-      const { updateMainDashboardCacheOptimistic, updateHomeScreenCacheOptimistic } = require('../utils/cacheManager');
-      updateMainDashboardCacheOptimistic(logData);
-      updateHomeScreenCacheOptimistic(logData);
+      // Queued on the device first; caches update optimistically inside enqueueFoodLog.
+      // The breakdown goes with it so single items can be corrected later, and the photo
+      // (from PhotoCalorieScreen) is uploaded by the queue once there is a connection.
+      const { synced } = await enqueueFoodLog(logData, {
+        ingredients: normalizeIngredients(ingredients, logData),
+        photoUri: route?.params?.photoUri,
+      });
+
+      // A corrected restaurant order goes on that venue's menu, per serving, for next time
+      const { restaurant } = route.params || {};
+      if (restaurant) {
+        const perServing = 1 / (servings * (percentEaten / 100));
+        await saveMenuCorrection(
+          restaurant.venue,
+          { name: servedAnalysis?.dish_name, ...(servedAnalysis?.total_nutrition || servedAnalysis?.total) },
+          {
+            name: cleanFoodName,
+            serving: restaurant.serving,
+            ...scaleNutrients({ calories, ...macros }, perServing),
+            ...scaleMicronutrients(micronutrients, perServing),
+          }
+        ).catch(error => console.error('Error saving menu correction:', error));
+      }
       
-      Alert.alert('Success', 'Food logged successfully!');
+      Alert.alert('Success', synced
+        ? 'Food logged successfully!'
+        : "You're offline. This meal is saved and will sync when you're back online.");
       navigation.navigate('Home');
     } catch (err) {
       Alert.alert('Error', err.message);
@@ -674,17 +846,6 @@ const PostCalorieScreen = ({ route, navigation }) => {
     }
   };
 
-
-
-  const getCurrentTime = () => {
-    const now = new Date();
-    return now.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-  };
-
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
         {/* Header */}
@@ -730,16 +891,87 @@ const PostCalorieScreen = ({ route, navigation }) => {
             <Text style={styles.foodName}>{mealNameState || analysis?.dish_name || 'Meal'}</Text>
               )}
           <Text style={styles.confidence}>
-            Confidence: 85%
+            Confidence: {calorieResolution ? CONFIDENCE_LABELS[calorieResolution.confidence] : 'Checking sources...'}
+            {calorieResolution?.confidence === 'low' ? ` • ${calorieResolution.displayValue}` : ''}
           </Text>
+          {calorieResolution?.explanation ? (
+            <Text style={styles.confidence}>{calorieResolution.explanation}</Text>
+          ) : null}
             </View>
 
+        {/* Calorie sources */}
+        {calorieResolution?.estimates.length > 1 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{calorieResolution.userAction?.prompt || 'Calorie sources'}</Text>
+            {calorieResolution.estimates.map((estimate, index) => (
+              <TouchableOpacity
+                key={`${estimate.type}-${index}`}
+                style={[styles.sourceOption, selectedEstimate === index && styles.selectedSource]}
+                onPress={() => applyEstimate(estimate, index)}
+              >
+                <Text style={styles.sourceName}>
+                  {estimate.name}{estimate.serving ? ` • ${estimate.serving}` : ''}
+                </Text>
+                <Text style={styles.sourceCalories}>{estimate.calories} cal</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {/* Meal slot */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Meal</Text>
+          <MealSlotPicker value={mealSlot} onChange={setMealSlot} initialMealType={mealType} />
+        </View>
+
+        {/* Servings */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Servings eaten</Text>
+          {analysis?.product?.serving_size ? (
+            <Text style={styles.confidence}>1 serving = {analysis.product.serving_size}</Text>
+          ) : null}
+          <View style={styles.servingsRow}>
+            <TouchableOpacity style={styles.servingsButton} onPress={() => handleServingsChange(Math.max(0.5, servings - 0.5))}>
+              <Ionicons name="remove" size={20} color="#7B61FF" />
+            </TouchableOpacity>
+            <TextInput
+              style={styles.servingsInput}
+              value={servingsText}
+              onChangeText={setServingsText}
+              onEndEditing={(e) => handleServingsChange(e.nativeEvent.text)}
+              keyboardType="decimal-pad"
+            />
+            <TouchableOpacity style={styles.servingsButton} onPress={() => handleServingsChange(servings + 0.5)}>
+              <Ionicons name="add" size={20} color="#7B61FF" />
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Share of the plate eaten */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>How much did you eat?</Text>
+          {route.params?.percentEaten !== undefined && route.params.percentEaten < 100 ? (
+            <Text style={styles.confidence}>Estimated from your before and after photos</Text>
+          ) : null}
+          <View style={styles.percentRow}>
+            {[...new Set([...PERCENT_EATEN_OPTIONS, percentEaten])].sort((a, b) => a - b).map(option => (
+              <TouchableOpacity
+                key={option}
+                style={[styles.percentChip, percentEaten === option && styles.percentChipActive]}
+                onPress={() => handlePercentEatenChange(option)}
+              >
+                <Text style={[styles.percentChipText, percentEaten === option && styles.percentChipTextActive]}>{option}%</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
         {/* Nutrition Summary */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Nutrition Summary</Text>
           <View style={styles.nutritionGrid}>
             <View style={styles.nutritionItem}>
-              <Text style={styles.nutritionValue}>{analysis?.total?.calories || analysis?.total_nutrition?.calories || 0}</Text>
+              <Text style={styles.nutritionValue}>{Math.round(calories)}</Text>
               <Text style={styles.nutritionLabel}>Calories</Text>
           </View>
             <View style={styles.nutritionItem}>
@@ -755,18 +987,41 @@ const PostCalorieScreen = ({ route, navigation }) => {
               <Text style={styles.nutritionLabel}>Fat</Text>
         </View>
           </View>
+          {TRACKED_NUTRIENTS.some(({ key }) => micronutrients[key] !== null && micronutrients[key] !== undefined) && (
+            <Text style={styles.micronutrientText}>
+              {TRACKED_NUTRIENTS
+                .filter(({ key }) => micronutrients[key] !== null && micronutrients[key] !== undefined)
+                .map(({ key, label, unit }) => `${label} ${Math.round(micronutrients[key] * 10) / 10}${unit}`)
+                .join(' • ')}
+            </Text>
+          )}
         </View>
 
         {/* Ingredients */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Ingredients Detected</Text>
+          <View style={styles.sectionHeaderRow}>
+            <Text style={styles.sectionTitle}>Ingredients Detected</Text>
+            {ingredients.length > 0 && (
+              <TouchableOpacity onPress={handleSaveAsRecipe}>
+                <Text style={styles.sectionLink}>Save as recipe</Text>
+              </TouchableOpacity>
+            )}
+          </View>
           {ingredients.map((ingredient, index) => (
-            <View key={index} style={styles.ingredientItemRow}>
+            // The amount is in the key so the field shows it again after the share eaten changes
+            <View key={`${index}-${ingredient.name}-${ingredient.amount}`} style={styles.ingredientItemRow}>
               <View style={styles.ingredientDot} />
               <View style={styles.ingredientInfo}>
                 <Text style={styles.ingredientNameText}>{ingredient.name}</Text>
-                <Text style={styles.ingredientQuantity}>{ingredient.amount}</Text>
+                {/* Rescale once the user finishes typing, not on every keystroke */}
+                <TextInput
+                  style={[styles.ingredientQuantity, styles.editableText]}
+                  defaultValue={String(ingredient.amount || '')}
+                  onEndEditing={(e) => handleIngredientAmountChange(index, e.nativeEvent.text)}
+                  placeholder="Amount"
+                />
               </View>
+              <Text style={styles.ingredientCalories}>{Math.round(ingredient.calories || 0)} kcal</Text>
             </View>
           ))}
         </View>
@@ -1098,6 +1353,16 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#333',
   },
+  sectionHeaderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionLink: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7B61FF',
+  },
   foodName: {
     fontSize: 16,
     color: '#333',
@@ -1107,6 +1372,82 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  sourceOption: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginTop: 8,
+    backgroundColor: '#f8f9fa',
+  },
+  selectedSource: {
+    backgroundColor: '#E8E4FF',
+    borderWidth: 2,
+    borderColor: '#7B61FF',
+  },
+  sourceName: {
+    fontSize: 14,
+    color: '#333',
+  },
+  sourceCalories: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#7B61FF',
+  },
+  servingsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  servingsButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#F3F0FF',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  servingsInput: {
+    minWidth: 64,
+    marginHorizontal: 12,
+    paddingVertical: 6,
+    textAlign: 'center',
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  percentRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  percentChip: {
+    backgroundColor: '#F3F4F6',
+    borderRadius: 18,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  percentChipActive: {
+    backgroundColor: '#7B61FF',
+  },
+  percentChipText: {
+    fontSize: 15,
+    color: '#222',
+  },
+  percentChipTextActive: {
+    color: '#fff',
+    fontWeight: 'bold',
+  },
+  micronutrientText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 12,
+  },
   // Nutrition grid styles (matching PhotoCalorieScreen)
   nutritionGrid: {
     flexDirection: 'row',
@@ -0,0 +1,112 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { ActivityIndicator, Alert, KeyboardAvoidingView, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import { contributeProduct, productToAnalysis } from '../utils/productCatalog';
+
+const NUTRITION_FIELDS = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', label: 'Sugar', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+];
+
+// Add a scanned product the catalogs don't know, copied from its nutrition label
+const ProductEntryScreen = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { barcode } = route.params || {};
+  const [form, setForm] = useState({ name: '', brand: '', serving_size: '', calories: '', protein: '', carbs: '', fat: '', fiber: '', sugar: '', sodium: '' });
+  const [saving, setSaving] = useState(false);
+
+  const updateField = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleSave = async () => {
+    if (form.name.trim().length < 2) {
+      Alert.alert('Missing name', 'Enter the product name as it appears on the package.');
+      return;
+    }
+    if (!(Number(form.calories) > 0)) {
+      Alert.alert('Missing calories', 'Enter the calories per serving from the label.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const product = await contributeProduct({ ...form, barcode });
+      navigation.replace('PostCalorieScreen', { analysis: productToAnalysis(product), mealName: product.name });
+    } catch (error) {
+      console.error('Error saving product:', error);
+      Alert.alert('Error', 'Could not save this product.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Add Product</Text>
+        <View style={{ width: 24 }} />
+      </View>
+      <KeyboardAvoidingView style={{ flex: 1 }} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 100 }} keyboardShouldPersistTaps="handled">
+          <Text style={styles.barcodeText}>Barcode {barcode}</Text>
+
+          <Text style={styles.label}>Product name</Text>
+          <TextInput style={styles.input} value={form.name} onChangeText={value => updateField('name', value)} placeholder="e.g. Peanut Butter Protein Bar" />
+
+          <Text style={styles.label}>Brand (optional)</Text>
+          <TextInput style={styles.input} value={form.brand} onChangeText={value => updateField('brand', value)} placeholder="e.g. Acme" />
+
+          <Text style={styles.label}>Serving size</Text>
+          <TextInput style={styles.input} value={form.serving_size} onChangeText={value => updateField('serving_size', value)} placeholder="e.g. 1 bar (60 g)" />
+
+          <Text style={styles.sectionTitle}>Nutrition per serving</Text>
+          {NUTRITION_FIELDS.map(field => (
+            <View key={field.key} style={styles.nutrientRow}>
+              <Text style={styles.nutrientLabel}>{field.label}</Text>
+              <TextInput
+                style={styles.nutrientInput}
+                value={form[field.key]}
+                onChangeText={value => updateField(field.key, value.replace(/[^0-9.]/g, ''))}
+                keyboardType="decimal-pad"
+                placeholder="0"
+              />
+              <Text style={styles.nutrientUnit}>{field.unit}</Text>
+            </View>
+          ))}
+        </ScrollView>
+      </KeyboardAvoidingView>
+      <TouchableOpacity
+        style={[styles.saveBtn, { bottom: insets.bottom + 20 }]}
+        onPress={handleSave}
+        disabled={saving}
+      >
+        {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveBtnText}>Save and log</Text>}
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 22, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  barcodeText: { fontSize: 13, color: '#888', marginBottom: 8 },
+  label: { fontSize: 14, fontWeight: '600', color: '#181A20', marginTop: 12, marginBottom: 6 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 12, fontSize: 16, color: '#181A20' },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20', marginTop: 24, marginBottom: 8 },
+  nutrientRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#F3F0FF' },
+  nutrientLabel: { flex: 1, fontSize: 16, color: '#181A20' },
+  nutrientInput: { width: 90, textAlign: 'right', fontSize: 16, color: '#181A20', paddingVertical: 6, paddingHorizontal: 8, borderRadius: 8, backgroundColor: '#F8F7FF' },
+  nutrientUnit: { width: 40, marginLeft: 8, fontSize: 14, color: '#888' },
+  saveBtn: { position: 'absolute', left: 20, right: 20, backgroundColor: '#7B61FF', borderRadius: 14, paddingVertical: 14, alignItems: 'center' },
+  saveBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default ProductEntryScreen;
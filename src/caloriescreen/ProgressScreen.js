@@ -1,12 +1,13 @@
 import { Ionicons } from '@expo/vector-icons';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import React, { useCallback, useMemo, useState } from 'react';
-import { Dimensions, Platform, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { Alert, Dimensions, Modal, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { LineChart } from 'react-native-chart-kit';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { AdaptiveGoalEngine } from '../algorithms/AdaptiveGoalEngine';
 import supabase from '../lib/supabase';
 import { getFoodLogs } from '../utils/api';
+import { getNutrientTargets, sumTrackedNutrients, TRACKED_NUTRIENTS } from '../utils/micronutrients';
 
 // Global cache for progress data
 const globalProgressCache = {
@@ -264,6 +265,30 @@ function groupByDay(logs, start, end, rangeKey = null) {
   return days;
 }
 
+const localDateKey = (date) => date.getFullYear() + '-' +
+  String(date.getMonth() + 1).padStart(2, '0') + '-' +
+  String(date.getDate()).padStart(2, '0');
+
+// Tracked nutrients for the panel: today's totals for This Week, otherwise the average per logged day
+function summarizeNutrients(logs, start, end, rangeKey) {
+  const todayKey = localDateKey(new Date());
+  const inRange = (Array.isArray(logs) ? logs : []).filter(log => {
+    if (!log?.created_at) return false;
+    const logDate = new Date(log.created_at);
+    if (isNaN(logDate.getTime())) return false;
+    const key = localDateKey(logDate);
+    return rangeKey === 'this_week' ? key === todayKey : key >= localDateKey(start) && key <= localDateKey(end);
+  });
+
+  const { totals, reported } = sumTrackedNutrients(inRange);
+  const loggedDays = new Set(inRange.map(log => localDateKey(new Date(log.created_at)))).size;
+  const divisor = rangeKey === 'this_week' ? 1 : Math.max(loggedDays, 1);
+  const amounts = {};
+  TRACKED_NUTRIENTS.forEach(({ key }) => { amounts[key] = Math.round(totals[key] / divisor * 10) / 10; });
+
+  return { amounts, reported, logCount: inRange.length };
+}
+
 export default function ProgressScreen() {
   const navigation = useNavigation();
   const [activeRange, setActiveRange] = useState(RANGES[0]);
@@ -290,6 +315,13 @@ export default function ProgressScreen() {
   const [adaptiveGoal, setAdaptiveGoal] = useState(null);
   const [goalEngine, setGoalEngine] = useState(null);
 
+  // Fiber, sugar, sodium and micronutrients against daily targets
+  const [nutrients, setNutrients] = useState(() => globalProgressCache.cachedData?.nutrients || null);
+  const [nutrientTargets, setNutrientTargets] = useState(() => globalProgressCache.cachedData?.nutrientTargets || getNutrientTargets());
+  const [nutrientProfile, setNutrientProfile] = useState(null);
+  const [showTargetsModal, setShowTargetsModal] = useState(false);
+  const [targetDrafts, setTargetDrafts] = useState({});
+
   // Cache-first data fetching with useFocusEffect
   useFocusEffect(
     useCallback(() => {
@@ -314,6 +346,8 @@ export default function ProgressScreen() {
           setPrevTotal(cached.prevTotal || null);
           setUserGoal(cached.userGoal || null);
           setLogsCount(cached.logsCount || 0);
+          setNutrients(cached.nutrients || null);
+          if (cached.nutrientTargets) setNutrientTargets(cached.nutrientTargets);
           return;
         }
 
@@ -325,6 +359,8 @@ export default function ProgressScreen() {
           setPrevTotal(cached.prevTotal || null);
           setUserGoal(cached.userGoal || null);
           setLogsCount(cached.logsCount || 0);
+          setNutrients(cached.nutrients || null);
+          if (cached.nutrientTargets) setNutrientTargets(cached.nutrientTargets);
         }
 
         // Fetch fresh data
@@ -363,10 +399,12 @@ export default function ProgressScreen() {
           
           // Fetch user's profile for adaptive goal calculation
           const { data: profile } = await supabase.from('user_profile')
-            .select('calorie_goal, weight, height, age, gender, activity_level, goal')
+            .select('calorie_goal, weight, height, age, gender, activity_level, goal, nutrient_targets')
             .eq('id', userId)
             .single();
           const userGoalValue = profile?.calorie_goal ? Number(profile.calorie_goal) : null;
+          const nutrientTargetsValue = getNutrientTargets(profile);
+          setNutrientProfile(profile || null);
           
           // Initialize adaptive goal engine if we have user data
           if (profile && !goalEngine) {
@@ -485,6 +523,8 @@ export default function ProgressScreen() {
           const prevRange = calculatePreviousRange(activeRange, start);
           const prevPerDay = groupByDay(logs, prevRange.start, prevRange.end, activeRange.key);
           const prevTotalValue = prevPerDay ? prevPerDay.reduce((sum, d) => sum + Number(d[metricKey] || 0), 0) : 0;
+
+          const nutrientsData = summarizeNutrients(logs, start, end, activeRange.key);
           
           // Update cache with range key
           globalProgressCache.cachedData = {
@@ -494,6 +534,8 @@ export default function ProgressScreen() {
             userGoal: userGoalValue,
             logsCount: logs ? logs.length : 0,
             rangeKey: activeRange.key, // Store the range key for cache validation
+            nutrients: nutrientsData,
+            nutrientTargets: nutrientTargetsValue,
           };
           globalProgressCache.timestamp = Date.now();
           globalProgressCache.isStale = false;
@@ -515,6 +557,8 @@ export default function ProgressScreen() {
             setUserGoal(userGoalValue);
             setLogsCount(logs ? logs.length : 0);
           }
+          setNutrients(nutrientsData);
+          setNutrientTargets(nutrientTargetsValue);
           
         } catch (error) {
           console.error('Error loading progress data:', error);
@@ -632,6 +676,44 @@ export default function ProgressScreen() {
     }
   }, [activeRange, activeMetric]);
 
+  const openTargetsModal = () => {
+    const drafts = {};
+    TRACKED_NUTRIENTS.forEach(({ key }) => { drafts[key] = String(nutrientTargets[key] ?? ''); });
+    setTargetDrafts(drafts);
+    setShowTargetsModal(true);
+  };
+
+  // Only targets that differ from the defaults are stored, so the defaults keep following age and calorie goal
+  const saveNutrientTargets = async () => {
+    const defaults = getNutrientTargets({ ...nutrientProfile, nutrient_targets: {} });
+    const overrides = {};
+    TRACKED_NUTRIENTS.forEach(({ key }) => {
+      const value = Number(targetDrafts[key]);
+      if (value > 0 && value !== defaults[key]) overrides[key] = value;
+    });
+
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const userId = session?.user?.id;
+      if (!userId) return;
+
+      const { error } = await supabase.from('user_profile')
+        .update({ nutrient_targets: overrides })
+        .eq('id', userId);
+      if (error) throw error;
+
+      const updatedProfile = { ...nutrientProfile, nutrient_targets: overrides };
+      const targets = getNutrientTargets(updatedProfile);
+      setNutrientProfile(updatedProfile);
+      setNutrientTargets(targets);
+      if (globalProgressCache.cachedData) globalProgressCache.cachedData.nutrientTargets = targets;
+      setShowTargetsModal(false);
+    } catch (error) {
+      console.error('Error saving nutrient targets:', error);
+      Alert.alert('Error', 'Could not save your nutrient targets.');
+    }
+  };
+
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: '#FFFFFF' }} edges={['top', 'bottom']}>
       {/* Header */}
@@ -845,6 +927,54 @@ export default function ProgressScreen() {
           </View>
         )}
 
+        {/* Fiber, sugar, sodium and micronutrients */}
+        {nutrients && nutrients.logCount > 0 && (
+          <View style={styles.dataSummaryCard}>
+            <View style={styles.nutrientHeader}>
+              <Text style={styles.nutrientTitle}>
+                {activeRange.key === 'this_week' ? 'Nutrients Today' : 'Nutrients per Day'}
+              </Text>
+              <TouchableOpacity onPress={openTargetsModal}>
+                <Text style={styles.nutrientEdit}>Edit targets</Text>
+              </TouchableOpacity>
+            </View>
+            {TRACKED_NUTRIENTS.map(({ key, label, unit, limit }) => {
+              const amount = nutrients.amounts[key] || 0;
+              const target = nutrientTargets[key] || 0;
+              const share = target > 0 ? amount / target : 0;
+              const over = limit && share > 1;
+              return (
+                <View key={key} style={styles.nutrientRow}>
+                  <View style={styles.nutrientLabelRow}>
+                    <Text style={styles.nutrientLabel}>{label}{limit ? ' (limit)' : ''}</Text>
+                    <Text style={[styles.nutrientAmount, over && { color: '#EF4444' }]}>
+                      {Math.round(amount)} / {target} {unit}
+                    </Text>
+                  </View>
+                  <View style={styles.nutrientTrack}>
+                    <View
+                      style={[
+                        styles.nutrientFill,
+                        { width: `${Math.min(share, 1) * 100}%` },
+                        over && { backgroundColor: '#EF4444' },
+                        !limit && share >= 1 && { backgroundColor: '#22C55E' },
+                      ]}
+                    />
+                  </View>
+                  {nutrients.reported[key] < nutrients.logCount && (
+                    <Text style={styles.nutrientCoverage}>
+                      From {nutrients.reported[key]} of {nutrients.logCount} logs
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
+            <Text style={[styles.dataSummaryText, { marginTop: 8 }]}>
+              Older logs and some foods don&apos;t include every nutrient, so these can read low.
+            </Text>
+          </View>
+        )}
+
         {(!daily || daily.length === 0) && !loading ? (
           <View style={styles.noDataCard}>
             <Ionicons name="information-circle-outline" size={24} color="#7B61FF" />
@@ -857,6 +987,35 @@ export default function ProgressScreen() {
           </Text>
         )}
       </ScrollView>
+
+      <Modal visible={showTargetsModal} transparent animationType="slide" onRequestClose={() => setShowTargetsModal(false)}>
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Daily Nutrient Targets</Text>
+            <Text style={styles.modalSubtitle}>Defaults follow the guidelines for your age and sex.</Text>
+            {TRACKED_NUTRIENTS.map(({ key, label, unit, limit }) => (
+              <View key={key} style={styles.targetRow}>
+                <Text style={styles.targetLabel}>{label}{limit ? ' (max)' : ''}</Text>
+                <TextInput
+                  style={styles.targetInput}
+                  value={targetDrafts[key] || ''}
+                  onChangeText={value => setTargetDrafts(prev => ({ ...prev, [key]: value.replace(/[^0-9.]/g, '') }))}
+                  keyboardType="decimal-pad"
+                />
+                <Text style={styles.targetUnit}>{unit}</Text>
+              </View>
+            ))}
+            <View style={styles.modalButtons}>
+              <TouchableOpacity style={styles.modalCancel} onPress={() => setShowTargetsModal(false)}>
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalSave} onPress={saveNutrientTargets}>
+                <Text style={styles.modalSaveText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 }
@@ -985,4 +1144,27 @@ const styles = StyleSheet.create({
     marginBottom: 4,
     textAlign: 'center',
   },
-});
\ No newline at end of file
+  nutrientHeader: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 },
+  nutrientTitle: { color: '#7B61FF', fontSize: 16, fontWeight: '700' },
+  nutrientEdit: { color: '#7B61FF', fontSize: 13, fontWeight: '600' },
+  nutrientRow: { marginTop: 10 },
+  nutrientLabelRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 4 },
+  nutrientLabel: { color: '#333', fontSize: 14, fontWeight: '600' },
+  nutrientAmount: { color: '#666', fontSize: 13 },
+  nutrientTrack: { height: 8, borderRadius: 4, backgroundColor: '#E2E8F0', overflow: 'hidden' },
+  nutrientFill: { height: 8, borderRadius: 4, backgroundColor: '#7B61FF' },
+  nutrientCoverage: { color: '#999', fontSize: 11, marginTop: 2 },
+  modalOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.4)', justifyContent: 'flex-end' },
+  modalCard: { backgroundColor: '#fff', borderTopLeftRadius: 20, borderTopRightRadius: 20, padding: 20 },
+  modalTitle: { color: '#333', fontSize: 18, fontWeight: '700' },
+  modalSubtitle: { color: '#666', fontSize: 13, marginTop: 4, marginBottom: 8 },
+  targetRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: '#F1F5F9' },
+  targetLabel: { flex: 1, color: '#333', fontSize: 15 },
+  targetInput: { width: 90, textAlign: 'right', fontSize: 15, color: '#333', paddingVertical: 6, paddingHorizontal: 8, borderRadius: 8, backgroundColor: '#F8FAFC' },
+  targetUnit: { width: 36, marginLeft: 8, color: '#888', fontSize: 13 },
+  modalButtons: { flexDirection: 'row', marginTop: 16 },
+  modalCancel: { flex: 1, paddingVertical: 12, borderRadius: 12, alignItems: 'center', backgroundColor: '#F1F5F9', marginRight: 8 },
+  modalCancelText: { color: '#333', fontWeight: '600' },
+  modalSave: { flex: 1, paddingVertical: 12, borderRadius: 12, alignItems: 'center', backgroundColor: '#7B61FF', marginLeft: 8 },
+  modalSaveText: { color: '#fff', fontWeight: '700' },
+});
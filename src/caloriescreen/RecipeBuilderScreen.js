@@ -0,0 +1,211 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { ActivityIndicator, Alert, KeyboardAvoidingView, Platform, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { resolveFoodItem } from '../utils/foodDatabase';
+import { normalizeIngredients, parseQuantity, scaleIngredient, scaleNutrients, sumIngredients } from '../utils/foodLogIngredients';
+import { saveRecipe } from '../utils/recipes';
+
+const EMPTY_DRAFT = { name: '', quantity: '', calories: '', protein: '', carbs: '', fat: '' };
+
+// Build or edit a recipe: ingredients for the whole pot and how many servings it makes
+const RecipeBuilderScreen = ({ route, navigation }) => {
+  const insets = useSafeAreaInsets();
+  const { recipe, name: initialName, ingredients: initialIngredients } = route.params || {};
+  const [name, setName] = useState(recipe?.name || initialName || '');
+  const [servingsText, setServingsText] = useState(String(recipe?.servings || 1));
+  const [ingredients, setIngredients] = useState(() => normalizeIngredients(recipe?.ingredients || initialIngredients || []));
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+
+  const servings = Number(servingsText) > 0 ? Number(servingsText) : 1;
+  const totals = sumIngredients(ingredients);
+  const perServing = scaleNutrients(totals, 1 / servings);
+
+  const updateDraft = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  // Typed nutrition wins; otherwise look the ingredient up in the offline food database
+  const handleAddIngredient = () => {
+    if (draft.name.trim().length < 2) {
+      Alert.alert('Missing ingredient', 'Enter the ingredient name.');
+      return;
+    }
+
+    let ingredient;
+    if (draft.calories !== '') {
+      ingredient = {
+        name: draft.name.trim(),
+        quantity: draft.quantity.trim() || null,
+        calories: Number(draft.calories) || 0,
+        protein: Number(draft.protein) || 0,
+        carbs: Number(draft.carbs) || 0,
+        fat: Number(draft.fat) || 0,
+      };
+    } else {
+      const parsed = parseQuantity(draft.quantity);
+      ingredient = parsed && resolveFoodItem({ name: draft.name, qty: parsed.amount, unit: parsed.unit || 'unit' });
+      if (!ingredient) {
+        Alert.alert('Not in the food database', 'Enter the calories for this amount, e.g. from the package.');
+        return;
+      }
+      ingredient = { ...ingredient, quantity: draft.quantity.trim() };
+    }
+
+    setIngredients(prev => [...prev, ...normalizeIngredients([ingredient])]);
+    setDraft(EMPTY_DRAFT);
+  };
+
+  const handleQuantityChange = (index, quantity) => {
+    const before = ingredients[index];
+    if (!before || quantity.trim() === String(before.quantity ?? '')) return;
+    setIngredients(prev => prev.map((item, i) => (i === index ? scaleIngredient(item, quantity.trim()) : item)));
+  };
+
+  const handleRemoveIngredient = (index) => {
+    setIngredients(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    if (name.trim().length < 2) {
+      Alert.alert('Missing name', 'Give the recipe a name.');
+      return;
+    }
+    if (ingredients.length === 0) {
+      Alert.alert('No ingredients', 'Add at least one ingredient.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const userId = session?.user?.id;
+      if (!userId) {
+        Alert.alert('You must be logged in to save recipes.');
+        return;
+      }
+
+      await saveRecipe(userId, { id: recipe?.id, name, servings, notes: recipe?.notes || '', ingredients });
+      navigation.replace('RecipesScreen');
+    } catch (error) {
+      console.error('Error saving recipe:', error);
+      Alert.alert('Error', 'Could not save this recipe.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{recipe ? 'Edit Recipe' : 'New Recipe'}</Text>
+        <View style={{ width: 24 }} />
+      </View>
+      <KeyboardAvoidingView style={{ flex: 1 }} behavior={Platform.OS === 'ios' ? 'padding' : undefined}>
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 100 }} keyboardShouldPersistTaps="handled">
+          <Text style={styles.label}>Recipe name</Text>
+          <TextInput style={styles.input} value={name} onChangeText={setName} placeholder="e.g. Chicken Curry" />
+
+          <Text style={styles.label}>Servings it makes</Text>
+          <TextInput
+            style={[styles.input, { width: 100 }]}
+            value={servingsText}
+            onChangeText={value => setServingsText(value.replace(/[^0-9.]/g, ''))}
+            keyboardType="decimal-pad"
+          />
+
+          <View style={styles.totalsCard}>
+            <View style={styles.totalsColumn}>
+              <Text style={styles.totalsLabel}>Whole recipe</Text>
+              <Text style={styles.totalsCalories}>{totals.calories} kcal</Text>
+            </View>
+            <View style={styles.totalsColumn}>
+              <Text style={styles.totalsLabel}>Per serving</Text>
+              <Text style={styles.totalsCalories}>{perServing.calories} kcal</Text>
+              <Text style={styles.totalsMacros}>P {perServing.protein}g • C {perServing.carbs}g • F {perServing.fat}g</Text>
+            </View>
+          </View>
+
+          <Text style={styles.sectionTitle}>Ingredients</Text>
+          {ingredients.length === 0 && <Text style={styles.emptyText}>Add what goes into the whole pot.</Text>}
+          {ingredients.map((item, index) => (
+            <View key={`${index}-${item.name}`} style={styles.ingredientRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.ingredientName}>{item.name}</Text>
+                {/* Rescale once the user finishes typing, like PostCalorieScreen */}
+                <TextInput
+                  style={styles.ingredientQuantity}
+                  defaultValue={String(item.quantity ?? '')}
+                  onEndEditing={(e) => handleQuantityChange(index, e.nativeEvent.text)}
+                  placeholder="Amount"
+                />
+              </View>
+              <Text style={styles.ingredientCalories}>{Math.round(item.calories)} kcal</Text>
+              <TouchableOpacity onPress={() => handleRemoveIngredient(index)} style={{ marginLeft: 10 }}>
+                <Ionicons name="close-circle" size={22} color="#B0B0B0" />
+              </TouchableOpacity>
+            </View>
+          ))}
+
+          <View style={styles.addCard}>
+            <View style={styles.addRow}>
+              <TextInput style={[styles.input, { flex: 2, marginRight: 8 }]} value={draft.name} onChangeText={value => updateDraft('name', value)} placeholder="Ingredient" />
+              <TextInput style={[styles.input, { flex: 1 }]} value={draft.quantity} onChangeText={value => updateDraft('quantity', value)} placeholder="200 g" />
+            </View>
+            <View style={[styles.addRow, { marginTop: 8 }]}>
+              {['calories', 'protein', 'carbs', 'fat'].map((key, i) => (
+                <TextInput
+                  key={key}
+                  style={[styles.input, styles.macroInput, i < 3 && { marginRight: 6 }]}
+                  value={draft[key]}
+                  onChangeText={value => updateDraft(key, value.replace(/[^0-9.]/g, ''))}
+                  keyboardType="decimal-pad"
+                  placeholder={key === 'calories' ? 'kcal' : `${key[0].toUpperCase()} g`}
+                />
+              ))}
+            </View>
+            <Text style={styles.hintText}>Leave nutrition blank to look the ingredient up.</Text>
+            <TouchableOpacity style={styles.addBtn} onPress={handleAddIngredient}>
+              <Ionicons name="add" size={18} color="#3B82F6" />
+              <Text style={styles.addBtnText}>Add ingredient</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+      <TouchableOpacity style={[styles.saveBtn, { bottom: insets.bottom + 20 }]} onPress={handleSave} disabled={saving}>
+        {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.saveBtnText}>Save recipe</Text>}
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 22, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  label: { fontSize: 14, fontWeight: '600', color: '#181A20', marginTop: 12, marginBottom: 6 },
+  input: { borderWidth: 1, borderColor: '#E5E7EB', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 12, fontSize: 16, color: '#181A20' },
+  totalsCard: { flexDirection: 'row', backgroundColor: '#F8F7FF', borderRadius: 16, padding: 16, marginTop: 20 },
+  totalsColumn: { flex: 1 },
+  totalsLabel: { fontSize: 13, color: '#888' },
+  totalsCalories: { fontSize: 20, fontWeight: 'bold', color: '#181A20', marginTop: 2 },
+  totalsMacros: { fontSize: 12, color: '#666', marginTop: 2 },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20', marginTop: 24, marginBottom: 8 },
+  emptyText: { fontSize: 14, color: '#B0B0B0', marginBottom: 8 },
+  ingredientRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, borderBottomWidth: 1, borderBottomColor: '#F3F0FF' },
+  ingredientName: { fontSize: 16, color: '#181A20', fontWeight: '500' },
+  ingredientQuantity: { fontSize: 14, color: '#666', paddingVertical: 2 },
+  ingredientCalories: { fontSize: 14, color: '#FF9100', fontWeight: '600' },
+  addCard: { backgroundColor: '#F9FAFB', borderRadius: 16, padding: 12, marginTop: 16 },
+  addRow: { flexDirection: 'row' },
+  macroInput: { flex: 1, paddingHorizontal: 8, fontSize: 14, textAlign: 'center' },
+  hintText: { fontSize: 12, color: '#888', marginTop: 6 },
+  addBtn: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', paddingVertical: 10, marginTop: 6 },
+  addBtnText: { color: '#3B82F6', fontWeight: 'bold', fontSize: 15, marginLeft: 4 },
+  saveBtn: { position: 'absolute', left: 20, right: 20, backgroundColor: '#3B82F6', borderRadius: 14, paddingVertical: 14, alignItems: 'center' },
+  saveBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+});
+
+export default RecipeBuilderScreen;
@@ -0,0 +1,225 @@
+import { Ionicons } from '@expo/vector-icons';
+import { useFocusEffect } from '@react-navigation/native';
+import React, { useCallback, useState } from 'react';
+import { ActivityIndicator, Alert, FlatList, Modal, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import PlanMealSheet from '../components/PlanMealSheet';
+import supabase from '../lib/supabase';
+import { planRecipe } from '../utils/mealPlan';
+import { deleteRecipe, getPerServing, getRecipes, logRecipe } from '../utils/recipes';
+
+// The user's recipes; logging one asks how many servings were eaten
+const RecipesScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [recipes, setRecipes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loggingRecipe, setLoggingRecipe] = useState(null);
+  const [servingsText, setServingsText] = useState('1');
+  const [logging, setLogging] = useState(false);
+  const [planningRecipe, setPlanningRecipe] = useState(null);
+
+  useFocusEffect(
+    useCallback(() => {
+      const loadRecipes = async () => {
+        const { data: { session } } = await supabase.auth.getSession();
+        setRecipes(await getRecipes(session?.user?.id));
+        setLoading(false);
+      };
+      loadRecipes();
+    }, [])
+  );
+
+  const openLogSheet = (recipe) => {
+    setLoggingRecipe(recipe);
+    setServingsText('1');
+  };
+
+  const stepServings = (delta) => {
+    const next = Math.max(0.5, Math.round(((Number(servingsText) || 0) + delta) * 100) / 100);
+    setServingsText(String(next));
+  };
+
+  const handleLog = async () => {
+    const servingsEaten = Number(servingsText);
+    if (!(servingsEaten > 0)) {
+      Alert.alert('How much?', 'Enter how many servings you ate.');
+      return;
+    }
+
+    setLogging(true);
+    try {
+      const { synced } = await logRecipe(loggingRecipe, servingsEaten);
+      setLoggingRecipe(null);
+      Alert.alert('Success', synced
+        ? 'Food logged successfully!'
+        : "You're offline. This meal is saved and will sync when you're back online.", [
+        { text: 'OK', onPress: () => navigation.navigate('Home', { refresh: true }) },
+      ]);
+    } catch (error) {
+      console.error('Error logging recipe:', error);
+      Alert.alert('Error', 'Could not log this recipe.');
+    } finally {
+      setLogging(false);
+    }
+  };
+
+  // One serving per planned day; the grocery list scales the ingredients to match
+  const handleSavePlan = async (dates, slot) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const userId = session?.user?.id;
+      if (!userId) {
+        Alert.alert('You must be logged in to plan meals.');
+        return;
+      }
+
+      await planRecipe(userId, planningRecipe, dates, slot);
+      setPlanningRecipe(null);
+      Alert.alert('Planned', `${planningRecipe.name} added to ${dates.length === 1 ? '1 day' : `${dates.length} days`} of your plan.`, [
+        { text: 'OK' },
+        { text: 'View plan', onPress: () => navigation.navigate('MealPlanScreen') },
+      ]);
+    } catch (error) {
+      console.error('Error planning recipe:', error);
+      Alert.alert('Error', 'Could not add this recipe to your plan.');
+    }
+  };
+
+  const handleDelete = (recipe) => {
+    Alert.alert('Delete recipe?', `${recipe.name} will be removed. Meals you already logged stay.`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await deleteRecipe(recipe.id);
+            setRecipes(prev => prev.filter(item => item.id !== recipe.id));
+          } catch (error) {
+            console.error('Error deleting recipe:', error);
+            Alert.alert('Error', 'Could not delete this recipe.');
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderRecipe = ({ item }) => {
+    const perServing = getPerServing(item);
+    return (
+      <View style={styles.recipeCard}>
+        <TouchableOpacity style={{ flex: 1 }} onPress={() => navigation.navigate('RecipeBuilderScreen', { recipe: item })} onLongPress={() => handleDelete(item)}>
+          <Text style={styles.recipeName}>{item.name}</Text>
+          <Text style={styles.recipeMeta}>
+            {item.ingredients.length} ingredients • makes {Number(item.servings)} {Number(item.servings) === 1 ? 'serving' : 'servings'}
+          </Text>
+          <Text style={styles.recipeCalories}>{perServing.calories} kcal per serving</Text>
+          <Text style={styles.recipeMacros}>P {perServing.protein}g • C {perServing.carbs}g • F {perServing.fat}g</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.planBtn} onPress={() => setPlanningRecipe(item)}>
+          <Ionicons name="calendar-outline" size={20} color="#3B82F6" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.logBtn} onPress={() => openLogSheet(item)}>
+          <Text style={styles.logBtnText}>Log</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const servingsEaten = Number(servingsText) || 0;
+  const portion = loggingRecipe ? getPerServing(loggingRecipe) : null;
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Recipes</Text>
+        <TouchableOpacity onPress={() => navigation.navigate('RecipeBuilderScreen')}>
+          <Ionicons name="add" size={26} color="#3B82F6" />
+        </TouchableOpacity>
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#3B82F6" />
+      ) : (
+        <FlatList
+          data={recipes}
+          renderItem={renderRecipe}
+          keyExtractor={item => item.id}
+          contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 32 }}
+          ListEmptyComponent={<Text style={styles.emptyText}>No recipes yet. Tap + to build one from its ingredients.</Text>}
+        />
+      )}
+
+      <Modal visible={!!loggingRecipe} transparent animationType="slide" onRequestClose={() => setLoggingRecipe(null)}>
+        <View style={styles.sheetOverlay}>
+          <View style={[styles.sheet, { paddingBottom: insets.bottom + 20 }]}>
+            <Text style={styles.sheetTitle}>How many servings did you eat?</Text>
+            <Text style={styles.sheetSubtitle}>
+              {loggingRecipe?.name} makes {Number(loggingRecipe?.servings || 1)}
+            </Text>
+            <View style={styles.servingsRow}>
+              <TouchableOpacity style={styles.servingsButton} onPress={() => stepServings(-0.5)}>
+                <Ionicons name="remove" size={20} color="#3B82F6" />
+              </TouchableOpacity>
+              <TextInput
+                style={styles.servingsInput}
+                value={servingsText}
+                onChangeText={value => setServingsText(value.replace(/[^0-9.]/g, ''))}
+                keyboardType="decimal-pad"
+              />
+              <TouchableOpacity style={styles.servingsButton} onPress={() => stepServings(0.5)}>
+                <Ionicons name="add" size={20} color="#3B82F6" />
+              </TouchableOpacity>
+            </View>
+            {portion && (
+              <Text style={styles.portionText}>{Math.round(portion.calories * servingsEaten)} kcal</Text>
+            )}
+            <TouchableOpacity style={styles.confirmBtn} onPress={handleLog} disabled={logging}>
+              {logging ? <ActivityIndicator color="#fff" /> : <Text style={styles.confirmBtnText}>Log it</Text>}
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.cancelBtn} onPress={() => setLoggingRecipe(null)}>
+              <Text style={styles.cancelBtnText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+
+      <PlanMealSheet
+        visible={!!planningRecipe}
+        title={`Plan ${planningRecipe?.name || ''}`}
+        onClose={() => setPlanningRecipe(null)}
+        onSubmit={handleSavePlan}
+      />
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  emptyText: { fontSize: 15, color: '#888', textAlign: 'center', marginTop: 40 },
+  recipeCard: { flexDirection: 'row', alignItems: 'center', backgroundColor: '#fff', borderRadius: 20, padding: 16, marginBottom: 12, shadowColor: '#000', shadowOpacity: 0.06, shadowRadius: 8, elevation: 2 },
+  recipeName: { fontSize: 18, fontWeight: 'bold', color: '#181A20' },
+  recipeMeta: { fontSize: 13, color: '#888', marginTop: 2 },
+  recipeCalories: { fontSize: 15, color: '#FF9100', fontWeight: 'bold', marginTop: 6 },
+  recipeMacros: { fontSize: 13, color: '#666', marginTop: 2 },
+  planBtn: { backgroundColor: '#EFF6FF', borderRadius: 12, padding: 10, marginLeft: 12 },
+  logBtn: { backgroundColor: '#3B82F6', borderRadius: 12, paddingHorizontal: 18, paddingVertical: 10, marginLeft: 8 },
+  logBtnText: { color: '#fff', fontWeight: 'bold', fontSize: 15 },
+  sheetOverlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.4)', justifyContent: 'flex-end' },
+  sheet: { backgroundColor: '#fff', borderTopLeftRadius: 24, borderTopRightRadius: 24, padding: 20, alignItems: 'center' },
+  sheetTitle: { fontSize: 20, fontWeight: 'bold', color: '#181A20', textAlign: 'center' },
+  sheetSubtitle: { fontSize: 14, color: '#666', marginTop: 4 },
+  servingsRow: { flexDirection: 'row', alignItems: 'center', marginTop: 20 },
+  servingsButton: { width: 40, height: 40, borderRadius: 20, backgroundColor: '#EFF6FF', alignItems: 'center', justifyContent: 'center' },
+  servingsInput: { width: 80, textAlign: 'center', fontSize: 22, fontWeight: 'bold', color: '#181A20', marginHorizontal: 12 },
+  portionText: { fontSize: 16, color: '#FF9100', fontWeight: 'bold', marginTop: 12 },
+  confirmBtn: { alignSelf: 'stretch', backgroundColor: '#3B82F6', borderRadius: 14, paddingVertical: 14, alignItems: 'center', marginTop: 20 },
+  confirmBtnText: { color: '#fff', fontSize: 16, fontWeight: 'bold' },
+  cancelBtn: { paddingVertical: 12 },
+  cancelBtnText: { color: '#666', fontSize: 15 },
+});
+
+export default RecipesScreen;
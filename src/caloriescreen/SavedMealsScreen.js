@@ -3,7 +3,11 @@ import { useFocusEffect } from '@react-navigation/native';
 import React, { useCallback, useState } from 'react';
 import { Alert, FlatList, Image, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import PlanMealSheet from '../components/PlanMealSheet';
 import supabase from '../lib/supabase';
+import { enqueueFoodLog } from '../utils/foodLogQueue';
+import { planSavedMeal } from '../utils/mealPlan';
+import { resolveMealType } from '../utils/mealSlots';
 
 // Global cache for saved meals data
 const globalSavedMealsCache = {
@@ -31,6 +35,8 @@ const SavedMealsScreen = ({ navigation, route }) => {
   const [search, setSearch] = useState('');
   const [selectedFilter, setSelectedFilter] = useState('All Meals');
   const [loading, setLoading] = useState(() => !globalSavedMealsCache.cachedData);
+  // Meal being scheduled in the plan sheet
+  const [planningMeal, setPlanningMeal] = useState(null);
 
   useFocusEffect(
     useCallback(() => {
@@ -116,8 +122,10 @@ const SavedMealsScreen = ({ navigation, route }) => {
                 protein: Number(log.protein || 0),
                 carbs: Number(log.carbs || 0),
                 fat: Number(log.fat || 0),
+                fiber: Number(log.fiber || 0),
               },
               image: imageUrl,
+              photo_path: log.photo_url || null,
             };
           }));
           
@@ -204,7 +212,34 @@ const SavedMealsScreen = ({ navigation, route }) => {
     }
   };
 
-  const handleAddToPlan = async (meal) => {
+  const handleAddToPlan = (meal) => {
+    setPlanningMeal(meal);
+  };
+
+  const handleSavePlan = async (dates, slot) => {
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      const user_id = session?.user?.id;
+      if (!user_id) {
+        Alert.alert('You must be logged in to plan meals.');
+        return;
+      }
+
+      await planSavedMeal(user_id, planningMeal, dates, slot);
+      setPlanningMeal(null);
+      Alert.alert('Planned', `${planningMeal.dish_name} added to ${dates.length === 1 ? '1 day' : `${dates.length} days`} of your plan.`, [
+        { text: 'OK' },
+        { text: 'View plan', onPress: () => navigation.navigate('MealPlanScreen') },
+      ]);
+    } catch (e) {
+      console.error('Error adding meal to plan:', e);
+      Alert.alert('Error', 'Failed to add meal to plan.');
+    }
+  };
+
+  // Log the meal right away instead of planning it
+  const handleLogNow = async (meal) => {
+    setPlanningMeal(null);
     try {
       const { data: { session } } = await supabase.auth.getSession();
       const user_id = session?.user?.id;
@@ -224,19 +259,17 @@ const SavedMealsScreen = ({ navigation, route }) => {
         fat: meal.macros.fat,
         fiber: meal.macros.fiber || 0,
         created_at: now.toISOString(),
-        meal_type: 'Saved Meal',
+        meal_type: await resolveMealType(user_id),
         notes: '',
-        photo_url: meal.image, // Include the photo URL from saved meal
+        photo_url: meal.photo_path,
       };
       
-      const { error } = await supabase.from('user_food_logs').insert([logData]);
-      if (error) throw error;
+      // Queued on the device first; caches update optimistically inside enqueueFoodLog
+      const { synced } = await enqueueFoodLog(logData);
       
-      // Update cache optimistically
-      const { updateHomeScreenCacheOptimistic } = require('../utils/cacheManager');
-      updateHomeScreenCacheOptimistic(logData);
-      
-      Alert.alert('Success', 'Meal added to today\'s plan!', [
+      Alert.alert('Success', synced
+        ? 'Meal logged!'
+        : "You're offline. This meal is saved and will sync when you're back online.", [
         { text: 'OK', onPress: () => {
             // Navigate to Home and trigger refresh
             if (navigation && navigation.navigate) {
@@ -246,8 +279,8 @@ const SavedMealsScreen = ({ navigation, route }) => {
         }
       ]);
     } catch (e) {
-      console.error('Error adding meal to plan:', e);
-      Alert.alert('Error', 'Failed to add meal to plan.');
+      console.error('Error logging saved meal:', e);
+      Alert.alert('Error', 'Failed to log meal.');
     }
   };
 
@@ -283,7 +316,17 @@ const SavedMealsScreen = ({ navigation, route }) => {
         <Ionicons name="chevron-back" size={24} color="black" />
         </TouchableOpacity>
         <Text style={styles.headerTitle}>Saved Meals</Text>
-        <View style={styles.headerAddBtn} />
+        <View style={{ flexDirection: 'row' }}>
+          <TouchableOpacity onPress={() => navigation.navigate('RecipesScreen')} style={[styles.headerAddBtn, { marginRight: 8 }]}>
+            <Ionicons name="book-outline" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => navigation.navigate('MealTemplatesScreen')} style={[styles.headerAddBtn, { marginRight: 8 }]}>
+            <Ionicons name="repeat-outline" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => navigation.navigate('MealPlanScreen')} style={styles.headerAddBtn}>
+            <Ionicons name="calendar-outline" size={24} color="#3B82F6" />
+          </TouchableOpacity>
+        </View>
       </View>
       <View style={styles.filterRow}>
         <TouchableOpacity style={styles.filterBtn}><Ionicons name="filter" size={18} color="#666" /><Text style={styles.filterText}>Filters</Text></TouchableOpacity>
@@ -317,6 +360,15 @@ const SavedMealsScreen = ({ navigation, route }) => {
         contentContainerStyle={[styles.grid, { paddingBottom: insets.bottom >= 20 ? (32 + insets.bottom) : 32 }]}
         showsVerticalScrollIndicator={false}
       />
+
+      <PlanMealSheet
+        visible={!!planningMeal}
+        title={`Plan ${planningMeal?.dish_name || ''}`}
+        onClose={() => setPlanningMeal(null)}
+        onSubmit={handleSavePlan}
+        secondaryLabel="Log it now instead"
+        onSecondary={() => handleLogNow(planningMeal)}
+      />
     </SafeAreaView>
   );
 };
@@ -1,5 +1,4 @@
 import { Ionicons } from "@expo/vector-icons";
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { Audio } from "expo-av";
 import * as FileSystem from "expo-file-system/legacy";
 import { LinearGradient } from "expo-linear-gradient";
@@ -18,10 +17,12 @@ import {
 } from "react-native";
 import { SafeAreaView, useSafeAreaInsets } from "react-native-safe-area-context";
 import supabase from "../lib/supabase";
-import { createFoodLog } from "../utils/api";
+import { analyzeFood, createFoodLog, transcribeAudio as transcribeAudioOnServer } from "../utils/api";
+import { FOOD_ANALYSIS_ERRORS, describeFoodAnalysisError } from "../utils/foodAnalysisParser";
+import { resolveMealType } from "../utils/mealSlots";
 
 const VoiceCalorieScreen = ({ navigation, route }) => {
-  const { mealType = "Quick Log", selectedDate } = route.params || {};
+  const { mealType, selectedDate } = route.params || {};
   const insets = useSafeAreaInsets(); // Get safe area insets for bottom navigation
   const recordingRef = useRef(null);
   const autoStopTimerRef = useRef(null);
@@ -46,13 +47,16 @@ const VoiceCalorieScreen = ({ navigation, route }) => {
   const [nutritionData, setNutritionData] = useState(null);
   const [transcribedText, setTranscribedText] = useState("");
   const [lastRecordingUri, setLastRecordingUri] = useState(null);
+  const [suggestedMeal, setSuggestedMeal] = useState(mealType);
   const micPulse = useRef(new Animated.Value(0)).current;
   // removed showListening state to avoid unused variable
-  const apiKey = process.env.EXPO_PUBLIC_GEMINI_API_KEY;
-  const genAI = new GoogleGenerativeAI(apiKey);
 
   // Recording animation removed
 
+  useEffect(() => {
+    supabase.auth.getSession().then(({ data: { session } }) => resolveMealType(session?.user?.id, mealType)).then(setSuggestedMeal);
+  }, [mealType]);
+
   useEffect(() => {
     return () => {
       if (recordingRef.current) {
@@ -188,40 +192,15 @@ const VoiceCalorieScreen = ({ navigation, route }) => {
   // Transcribe audio and show transcription
   const transcribeAudio = async (uri) => {
     try {
-      const models = ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"];
       const audioData = await FileSystem.readAsStringAsync(uri, {
         encoding: "base64",
       });
-      
-      const prompt = `Transcribe ONLY what the user said in this audio. Translate to English if needed, but return ONLY English text. Return ONLY the spoken words in English, no JSON, no punctuation, no explanations, no other languages.`;
 
-      let text = '';
-      for (const name of models) {
-        try {
-          const model = genAI.getGenerativeModel({ model: name });
-          const result = await raceWithTimeout(
-            model.generateContent([
-              prompt,
-              { inlineData: { mimeType: "audio/m4a", data: audioData } },
-            ]),
-            12000,
-            'Transcription timed out'
-          );
-          const response = await result.response;
-          text = response.text().trim();
-          if (text) break;
-        } catch (_e) {
-          // try next model
-        }
-      }
-      
-      // Clean response
-      text = text.replace(/```json\s*/g, '').replace(/```\s*/g, '').trim();
-      text = text.replace(/^["']|["']$/g, '');
-      const jsonMatch = text.match(/\{[\s\S]*"transcription"\s*:\s*"([^"]+)"/);
-      if (jsonMatch) text = jsonMatch[1];
-      text = text.replace(/^transcription[:\s]*/i, '').trim();
-      text = text.replace(/^["']|["']$/g, '').trim();
+      const text = await raceWithTimeout(
+        transcribeAudioOnServer({ data: audioData, mimeType: "audio/m4a" }),
+        12000,
+        'Transcription timed out'
+      );
       
       if (text && text.length > 0) {
         setTranscribedText(text);
@@ -236,179 +215,69 @@ const VoiceCalorieScreen = ({ navigation, route }) => {
     setIsLoading(true);
     setIsConverting(true); // Show full-screen loading modal
     try {
-      // Try fastest → robust models sequentially
-      const models = ["gemini-2.0-flash", "gemini-1.5-flash", "gemini-1.5-pro"];
       const audioData = await FileSystem.readAsStringAsync(uri, {
         encoding: "base64",
       });
-      
-      const prompt = `Analyze the food items in this audio. Your response MUST be a single valid JSON object and nothing else. Do not include markdown formatting like \`\`\`json.
-
-🌐 LANGUAGE REQUIREMENT:
-- The transcription field MUST be in English only. Translate to English if needed, but return ONLY English text.
-- All food item names must be in English.
 
-🚨 CRITICAL QUANTITY PRESERVATION RULES 🚨
-1. If the audio does NOT contain any food items or is unclear, respond with: {"error": "No food items detected. Please speak clearly about what you ate."}
-
-2. 🚨 MOST IMPORTANT: ALWAYS preserve EXACT quantities and units mentioned in the audio:
-   - If user says "200 grams of black beans" → you MUST output "200g black beans" (NOT "1 black beans")
-   - If user says "150 grams of chicken" → you MUST output "150g chicken" (NOT "1 chicken")
-   - If user says "1 cup of rice" → you MUST output "1 cup rice" (NOT "1 rice")
-   - If user says "2 slices of bread" → you MUST output "2 bread" (NOT "1 bread")
-   - If user says "500ml juice" → you MUST output "500ml juice" (NOT "1 juice")
-
-3. 🚨 QUANTITY CONVERSION RULES:
-   - "grams" → "g" (e.g., "200 grams" → "200g")
-   - "milliliters" → "ml" (e.g., "500 milliliters" → "500ml")
-   - "cups" → "cup" (e.g., "1 cup" → "1 cup")
-   - "slices" → "slice" (e.g., "2 slices" → "2")
-   - "pieces" → "piece" (e.g., "3 pieces" → "3")
-
-4. 🚨 EXAMPLES OF CORRECT EXTRACTION:
-   - "I had 200 grams of black beans" → extract "200g black beans"
-   - "I ate 150 grams of chicken" → extract "150g chicken"
-   - "I had 1 cup of rice" → extract "1 cup rice"
-   - "I ate 2 slices of pizza" → extract "2 pizza"
-   - "I had a chicken sandwich and a juice" → extract "1 chicken sandwich" and "1 juice"
-   - "I ate 2 apples and a sandwich" → extract "2 apple" and "1 sandwich"
-   - "I had 3 pieces of pizza" → extract "3 pizza"
-   - "I had a burger and fries" → extract "1 burger" and "1 fries"
-
-5. 🚨 WRONG EXAMPLES (DO NOT DO THIS):
-   - "200 grams of black beans" → "1 black beans" ❌ WRONG!
-   - "150g chicken" → "1 chicken" ❌ WRONG!
-   - "1 cup rice" → "1 rice" ❌ WRONG!
-
-6. If no specific quantity is mentioned, assume quantity of 1 (e.g., "1 sandwich", "1 juice")
-7. Convert words to numbers: "one" → "1", "two" → "2", "three" → "3", etc.
-
-8. 🚨 NUTRITION CALCULATION FOR GRAM-BASED ITEMS:
-   - For "200g black beans": Calculate 2x the nutrition of 100g black beans
-   - For "150g chicken": Calculate 1.5x the nutrition of 100g chicken
-   - Black beans: ~120 calories per 100g, 8g protein, 22g carbs, 0.5g fat, 7g fiber
-   - Chicken: ~165 calories per 100g, 31g protein, 0g carbs, 3.6g fat, 0g fiber
+      const result = await raceWithTimeout(
+        analyzeFood({ type: "audio", data: audioData, mimeType: "audio/m4a" }),
+        30000,
+        'Analysis timed out'
+      );
 
-9. For complete dishes, use standard values:
-   - Chicken sandwich: ~450 calories, 25g protein, 35g carbs, 20g fat, 3g fiber
-   - Juice: ~120 calories, 1g protein, 30g carbs, 0g fat, 1g fiber
-   - Pizza: ~280 calories, 12g protein, 30g carbs, 12g fat, 2g fiber
-   - Burger: ~550 calories, 30g protein, 40g carbs, 25g fat, 3g fiber
+      console.log("VoiceCalorieScreen - Analysis:", result);
 
-The JSON object must have this structure: 
-{ "transcription": "The full text of what you heard", "items": [ { "name": "EXACT_QUANTITY + food item", "calories": <number>, "protein": <number>, "carbs": <number>, "fat": <number>, "fiber": <number> } ], "total": { "calories": <number>, "protein": <number>, "carbs": <number>, "fat": <number>, "fiber": <number> } }`;
+      // Keep the items/total shape VoicePostCalorieScreen works with
+      const data = {
+        transcription: result.transcription,
+        items: result.ingredients,
+        total: result.total_nutrition,
+      };
 
-      let text = '';
-      for (const name of models) {
-        try {
-          const model = genAI.getGenerativeModel({ model: name });
-          const result = await raceWithTimeout(
-            model.generateContent([
-              prompt,
-              { inlineData: { mimeType: "audio/m4a", data: audioData } },
-            ]),
-            18000,
-            'Analysis timed out'
-          );
-          const response = await result.response;
-          text = response.text();
-          if (text) break;
-        } catch (_e) {
-          // try next model
-        }
+      // Update transcription if we got a new one from food analysis (may be more accurate)
+      if (data.transcription) {
+        setTranscribedText(data.transcription);
       }
-
-      console.log("VoiceCalorieScreen - Raw AI response:", text);
-
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-
-      if (jsonMatch) {
-        const jsonString = jsonMatch[0];
-        console.log("VoiceCalorieScreen - Extracted JSON:", jsonString);
-        const data = JSON.parse(jsonString);
-        
-        // Check for error response
-        if (data.error) {
-          throw new Error(data.error);
-        }
-
-        if (
-          !data.total ||
-          !Array.isArray(data.items) ||
-          !data.transcription
-        ) {
-          throw new Error("Invalid JSON structure from API.");
-        }
-
-        // Check if any food items were detected
-        if (data.items.length === 0) {
-          throw new Error(
-            "No food items detected. Please speak clearly about what you ate."
-          );
-        }
-        
-        // Update transcription if we got a new one from food analysis (may be more accurate)
-        if (data.transcription) {
-          setTranscribedText(data.transcription);
-        }
-        setNutritionData({ ...data.total, items: data.items });
-
-        // Create clean food name from extracted items (just quantities and food names)
-        const cleanFoodName = data.items
-          .map((item) => item.name)
-          .join(", ");
-
-        console.log("VoiceCalorieScreen - Generated data:", data);
-        console.log("VoiceCalorieScreen - Items:", data.items);
-        console.log("VoiceCalorieScreen - Clean food name:", cleanFoodName);
-        console.log("VoiceCalorieScreen - Total nutrition:", data.total);
-
-        navigation.replace("VoicePostCalorieScreen", {
-          analysis: {
-            total: {
-              calories: data.total.calories,
-              protein: data.total.protein,
-              fat: data.total.fat,
-              carbs: data.total.carbs,
-              fiber: data.total.fiber || 0,
-            },
-            items: data.items,
+      setNutritionData({ ...data.total, items: data.items });
+
+      // Create clean food name from extracted items (just quantities and food names)
+      const cleanFoodName = data.items
+        .map((item) => item.name)
+        .join(", ");
+
+      console.log("VoiceCalorieScreen - Generated data:", data);
+      console.log("VoiceCalorieScreen - Items:", data.items);
+      console.log("VoiceCalorieScreen - Clean food name:", cleanFoodName);
+      console.log("VoiceCalorieScreen - Total nutrition:", data.total);
+
+      navigation.replace("VoicePostCalorieScreen", {
+        analysis: {
+          total: {
+            calories: data.total.calories,
+            protein: data.total.protein,
+            fat: data.total.fat,
+            carbs: data.total.carbs,
+            fiber: data.total.fiber || 0,
+            micronutrients: data.total.micronutrients,
           },
-          cleanFoodName: cleanFoodName,
-        });
-        return;
-      } else {
-        throw new Error(
-          "Invalid JSON format from API. No JSON object found."
-        );
-      }
+          // Split per food; unclear amounts carry a follow-up question
+          items: data.items,
+        },
+        cleanFoodName: cleanFoodName,
+        mealType: suggestedMeal,
+      });
     } catch (error) {
       const msg = String(error?.message || "").toLowerCase();
+      const timedOut = msg.includes('timed out') || error?.code === 'timeout';
       // User-friendly fallback when speech wasn't recognized
-      if (
-        msg.includes("no food items detected") ||
-        msg.includes("invalid json") ||
-        msg.includes("no json object") ||
-        msg.includes("empty") ||
-        msg.includes("silence") ||
-        msg.includes('timed out') ||
-        msg.includes("404") ||
-        msg.includes("not found") ||
-        msg.includes("models/") ||
-        msg.includes("generatecontent") ||
-        msg.includes("api version") ||
-        msg.includes("all ai models are currently unavailable")
-      ) {
+      if (timedOut) {
         Alert.alert(
-          msg.includes('timed out') ? "Connection timed out" : "Please speak more clearly",
-          msg.includes('timed out')
-            ? "Network is slow right now. Please try again or move to a better connection."
-            : "We couldn't recognize the audio. Try moving closer to the mic and speaking a bit louder."
+          "Connection timed out",
+          "Network is slow right now. Please try again or move to a better connection."
         );
-      } else if (msg.includes("503") || msg.includes("overloaded")) {
-        Alert.alert("AI busy", "Service is temporarily overloaded. Please try again in a few moments.");
-      } else if (msg.includes("api key")) {
-        Alert.alert("Configuration issue", "AI service configuration error. Please check your settings.");
+      } else if (error?.code === 'provider_unavailable' || error?.type === FOOD_ANALYSIS_ERRORS.IMPLAUSIBLE) {
+        const { title, message } = describeFoodAnalysisError(error);
+        Alert.alert(title, message);
       } else {
         Alert.alert("Please speak more clearly", "We couldn't recognize the audio. Try moving closer to the mic and speaking a bit louder.");
       }
@@ -423,7 +292,7 @@ The JSON object must have this structure:
     if (!nutritionData) return;
     try {
       const logData = {
-        meal_type: mealType,
+        meal_type: suggestedMeal,
         food_name: nutritionData.items.map((i) => i.name).join(", "),
         calories: nutritionData.calories,
         protein: nutritionData.protein,
@@ -635,7 +504,7 @@ The JSON object must have this structure:
             <View style={styles.suggestedMealRow}>
               <Text style={styles.suggestedMealLabel}>Suggested Meal</Text>
               <TouchableOpacity>
-                <Text style={styles.suggestedMealValue}>{mealType}</Text>
+                <Text style={styles.suggestedMealValue}>{suggestedMeal}</Text>
                 <Ionicons
                   name="pencil-outline"
                   size={16}
@@ -3,10 +3,16 @@ import { useFocusEffect } from '@react-navigation/native';
 import React, { useCallback, useEffect, useState } from 'react';
 import { Alert, BackHandler, Image, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import MealSlotPicker from '../components/MealSlotPicker';
+import VoiceItemList from '../components/VoiceItemList';
 import supabase from '../lib/supabase';
+import { normalizeIngredients, saveFoodLogIngredients } from '../utils/foodLogIngredients';
+import { resolveMealType } from '../utils/mealSlots';
+import { readMicronutrients, scaleMicronutrients } from '../utils/micronutrients';
+import { getOpenQuestions, keepEstimate, sumVoiceItems, toVoiceItems } from '../utils/voiceItems';
 
 const VoicePostCalorieScreen = ({ route, navigation }) => {
-  const { analysis, mealName, cleanFoodName } = route.params || {};
+  const { analysis, mealName, cleanFoodName, mealType } = route.params || {};
   const insets = useSafeAreaInsets(); // Get safe area insets for bottom navigation
   
   // Add safety checks for route params
@@ -19,19 +25,17 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
   console.log('VoicePostCalorieScreen - Meal name:', mealName);
   console.log('VoicePostCalorieScreen - Clean food name:', cleanFoodName);
   
-  const [macros, setMacros] = useState({
-    protein: analysis?.total?.protein || 0,
-    carbs: analysis?.total?.carbs || 0,
-    fat: analysis?.total?.fat || 0,
-    fiber: analysis?.total?.fiber || 0,
-  });
+  // The spoken foods, each editable; the meal totals follow them
+  const [items, setItems] = useState(() => toVoiceItems(analysis?.items));
   const [isEditing, setIsEditing] = useState(false);
   const [mealNameState, setMealNameState] = useState(cleanFoodName || analysis?.dish_name || mealName || '');
+  const [nameEdited, setNameEdited] = useState(false);
   const [nameError, setNameError] = useState('');
   const [saving, setSaving] = useState(false);
   const [logging, setLogging] = useState(false);
   const [selectedMood, setSelectedMood] = useState(null);
   const [ingredients, setIngredients] = useState([]);
+  const [mealSlot, setMealSlot] = useState(null);
 
   // Mood options for selection (matching PhotoCalorieScreen)
   const moodOptions = [
@@ -43,9 +47,17 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
     { emoji: '😤', label: 'Stressed' },
   ];
 
+  const totals = items.length > 0 ? sumVoiceItems(items) : {
+    calories: analysis?.total?.calories || 0,
+    protein: analysis?.total?.protein || 0,
+    carbs: analysis?.total?.carbs || 0,
+    fat: analysis?.total?.fat || 0,
+    fiber: analysis?.total?.fiber || 0,
+  };
+
   // Calculate dynamic health score based on food data and user profile
   const calculateHealthScore = () => {
-    const { calories, protein, carbs, fat, fiber } = analysis?.total || {};
+    const { calories, protein, carbs, fat, fiber } = totals;
     
     if (!calories || calories === 0) return { score: 0, text: 'No Data', info: 'No nutritional data available' };
     
@@ -476,9 +488,10 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
     }, [])
   );
 
-  const handleMacroChange = (key, value) => {
-    setMacros({ ...macros, [key]: value });
-  };
+  // The name lists the items until the user types their own
+  useEffect(() => {
+    if (!nameEdited && items.length > 0) setMealNameState(items.map(item => item.name).join(', '));
+  }, [items, nameEdited]);
 
   const handleIngredientChange = (index, field, value) => {
     const newIngredients = [...ingredients];
@@ -516,8 +529,7 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
       console.log('Saving meal to saved_meal table...');
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not logged in');
-      const { calories } = analysis?.total || {};
-      const { protein, carbs, fat, fiber } = macros;
+      const { calories, protein, carbs, fat, fiber } = totals;
       const { description } = analysis || {};
       
       const mealData = {
@@ -529,6 +541,7 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
           carbs: carbs || 0,
           fat: fat || 0,
           fiber: fiber || 0,
+          ingredients: normalizeIngredients(items.length ? items : ingredients, totals),
         created_at: new Date().toISOString(),
       };
       
@@ -552,14 +565,40 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
     }
   };
 
-  const handleDone = async () => {
+  // Unclear amounts are asked about before the meal is logged
+  const handleLogPress = () => {
+    const open = getOpenQuestions(items);
+    if (!open.length) {
+      handleDone(items);
+      return;
+    }
+    Alert.alert(
+      'A few amounts are unclear',
+      `${open.map(item => item.followUp).join('\n')}\n\nAnswer above for a closer estimate, or log with usual servings.`,
+      [
+        { text: 'Answer', style: 'cancel' },
+        {
+          text: 'Log anyway',
+          onPress: () => {
+            const settled = items.map(keepEstimate);
+            setItems(settled);
+            handleDone(settled);
+          },
+        },
+      ]
+    );
+  };
+
+  const handleDone = async (loggedItems) => {
     if (!validateMealName()) return;
     setLogging(true);
     try {
       const { data: { user } } = await supabase.auth.getUser();
       if (!user) throw new Error('User not logged in');
-      const { calories } = analysis?.total || {};
-      const { protein, carbs, fat, fiber } = macros;
+      const { calories, protein, carbs, fat, fiber } = loggedItems.length ? sumVoiceItems(loggedItems) : totals;
+      // Micronutrients only come for the whole meal, so they follow its calories as items change
+      const analyzedCalories = Number(analysis?.total?.calories) || 0;
+      const micronutrients = readMicronutrients(analysis?.total || analysis?.total_nutrition);
       const cleanFoodName = mealNameState.replace(/^You said:\s*/i, '');
       
       // Get selected mood emoji
@@ -574,19 +613,28 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
         protein: protein || 0,
         fat: fat || 0,
         fiber: fiber || 0,
+        ...(analyzedCalories > 0 ? scaleMicronutrients(micronutrients, calories / analyzedCalories) : micronutrients),
         mood: selectedMoodEmoji,
         date_time: new Date().toISOString().split('T')[0],
-        meal_type: 'Quick Log',
+        meal_type: mealSlot || await resolveMealType(user.id, mealType),
         notes: '',
         created_at: new Date().toISOString(),
       };
-      const { error } = await supabase.from('user_food_logs').insert([logData]);
+      const { data: savedLog, error } = await supabase
+        .from('user_food_logs')
+        .insert([logData])
+        .select('*')
+        .single();
       if (error) throw error;
+
+      // Keep the spoken items with their own nutrition so one can be corrected later
+      const spokenItems = loggedItems.length ? loggedItems : ingredients;
+      await saveFoodLogIngredients(savedLog, normalizeIngredients(spokenItems, logData));
       
       // Optimistic cache update (Instagram pattern)
       const { updateMainDashboardCacheOptimistic, updateHomeScreenCacheOptimistic } = require('../utils/cacheManager');
-      updateMainDashboardCacheOptimistic(logData);
-      updateHomeScreenCacheOptimistic(logData);
+      updateMainDashboardCacheOptimistic(savedLog);
+      updateHomeScreenCacheOptimistic(savedLog);
       
       Alert.alert('Success', 'Food logged successfully!');
       navigation.navigate('Home');
@@ -597,17 +645,6 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
     }
   };
 
-
-
-  const getCurrentTime = () => {
-    const now = new Date();
-    return now.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
-  };
-
   // Match ingredients rendering with PhotoCalorieScreen:
   // Prefer analysis.ingredients when present, otherwise use derived ingredients state
   const displayedIngredients = (Array.isArray(analysis?.ingredients) && analysis.ingredients.length > 0)
@@ -652,7 +689,10 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
             <TextInput
               style={[styles.foodName, styles.editableText]}
               value={mealNameState}
-              onChangeText={setMealNameState}
+              onChangeText={text => {
+                setNameEdited(true);
+                setMealNameState(text);
+              }}
               placeholder="Enter food name"
             />
           ) : (
@@ -663,24 +703,30 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
           </Text>
         </View>
 
+        {/* Meal slot */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Meal</Text>
+          <MealSlotPicker value={mealSlot} onChange={setMealSlot} initialMealType={mealType} />
+        </View>
+
         {/* Nutrition Summary */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Nutrition Summary</Text>
           <View style={styles.nutritionGrid}>
             <View style={styles.nutritionItem}>
-              <Text style={styles.nutritionValue}>{analysis?.total?.calories || 0}</Text>
+              <Text style={styles.nutritionValue}>{Math.round(totals.calories)}</Text>
               <Text style={styles.nutritionLabel}>Calories</Text>
             </View>
             <View style={styles.nutritionItem}>
-              <Text style={styles.nutritionValue}>{Math.round(macros.protein)}g</Text>
+              <Text style={styles.nutritionValue}>{Math.round(totals.protein)}g</Text>
               <Text style={styles.nutritionLabel}>Protein</Text>
             </View>
             <View style={styles.nutritionItem}>
-              <Text style={styles.nutritionValue}>{Math.round(macros.carbs)}g</Text>
+              <Text style={styles.nutritionValue}>{Math.round(totals.carbs)}g</Text>
               <Text style={styles.nutritionLabel}>Carbs</Text>
             </View>
             <View style={styles.nutritionItem}>
-              <Text style={styles.nutritionValue}>{Math.round(macros.fat)}g</Text>
+              <Text style={styles.nutritionValue}>{Math.round(totals.fat)}g</Text>
               <Text style={styles.nutritionLabel}>Fat</Text>
             </View>
           </View>
@@ -688,8 +734,8 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
 
         {/* Ingredients */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>Ingredients Detected</Text>
-          {displayedIngredients.map((ingredient, index) => (
+          <Text style={styles.sectionTitle}>{items.length > 0 ? 'What you had' : 'Ingredients Detected'}</Text>
+          {items.length > 0 ? <VoiceItemList items={items} setItems={setItems} /> : displayedIngredients.map((ingredient, index) => (
             <View key={index} style={styles.ingredientItem}>
               <View style={styles.ingredientDot} />
               <View style={styles.ingredientInfo}>
@@ -736,7 +782,7 @@ const VoicePostCalorieScreen = ({ route, navigation }) => {
         
         <TouchableOpacity 
           style={styles.confirmButton} 
-          onPress={handleDone}
+          onPress={handleLogPress}
           disabled={logging}
         >
           <Text style={styles.confirmButtonText}>
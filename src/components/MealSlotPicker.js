@@ -0,0 +1,50 @@
+/**
+ * MEAL SLOT PICKER
+ * Row of the user's meal slots (standard and custom) for filing a new entry.
+ * Picks the slot that fits the current time unless the screen already chose one.
+ */
+import React, { useEffect, useState } from 'react';
+import { ScrollView, StyleSheet, Text, TouchableOpacity } from 'react-native';
+import supabase from '../lib/supabase';
+import { getMealSlots, resolveMealType } from '../utils/mealSlots';
+
+export default function MealSlotPicker({ value, onChange, initialMealType }) {
+  const [slots, setSlots] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSlots = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      const userId = session?.user?.id;
+      const [userSlots, suggested] = await Promise.all([
+        getMealSlots(userId),
+        resolveMealType(userId, initialMealType),
+      ]);
+      if (cancelled) return;
+      setSlots(userSlots);
+      if (!value) onChange(suggested);
+    };
+    loadSlots();
+    return () => { cancelled = true; };
+    // Only on mount: the suggestion must not overwrite the user's choice later
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.row}>
+      {slots.map(slot => (
+        <TouchableOpacity key={slot.name} style={[styles.chip, value === slot.name && styles.chipActive]} onPress={() => onChange(slot.name)}>
+          <Text style={[styles.chipText, value === slot.name && styles.chipTextActive]}>{slot.name}</Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: { paddingVertical: 4 },
+  chip: { backgroundColor: '#F3F4F6', borderRadius: 18, paddingHorizontal: 16, paddingVertical: 8, marginRight: 8 },
+  chipActive: { backgroundColor: '#7B61FF' },
+  chipText: { color: '#222', fontSize: 15 },
+  chipTextActive: { color: '#fff', fontWeight: 'bold' },
+});
@@ -0,0 +1,119 @@
+/**
+ * PLAN MEAL SHEET
+ * Bottom sheet for putting a saved meal or recipe on one or more days of the meal plan
+ */
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Modal, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { getUpcomingDays, toPlanDate } from '../utils/mealPlan';
+import { getMealSlots, MEAL_SLOTS } from '../utils/mealSlots';
+
+export default function PlanMealSheet({ visible, title, onClose, onSubmit, secondaryLabel, onSecondary }) {
+  const insets = useSafeAreaInsets();
+  const [days] = useState(() => getUpcomingDays());
+  const [selectedDates, setSelectedDates] = useState([]);
+  const [slot, setSlot] = useState('Lunch');
+  // Standard slots until the user's own, custom ones included, have loaded
+  const [slotNames, setSlotNames] = useState(MEAL_SLOTS);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const loadSlots = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      const slots = await getMealSlots(session?.user?.id);
+      if (!cancelled) setSlotNames(slots.map(item => item.name));
+    };
+    loadSlots();
+    return () => { cancelled = true; };
+  }, []);
+
+  // Every time it opens: today, lunch
+  useEffect(() => {
+    if (visible) {
+      setSelectedDates([toPlanDate(new Date())]);
+      setSlot('Lunch');
+    }
+  }, [visible]);
+
+  const toggleDate = (dateKey) => {
+    setSelectedDates(prev => (prev.includes(dateKey) ? prev.filter(key => key !== dateKey) : [...prev, dateKey]));
+  };
+
+  const handleSubmit = async () => {
+    setSaving(true);
+    try {
+      await onSubmit(days.filter(day => selectedDates.includes(toPlanDate(day))), slot);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={[styles.sheet, { paddingBottom: insets.bottom + 20 }]}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.label}>Days</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {days.map((day, index) => {
+              const dateKey = toPlanDate(day);
+              const selected = selectedDates.includes(dateKey);
+              return (
+                <TouchableOpacity key={dateKey} style={[styles.dayChip, selected && styles.chipActive]} onPress={() => toggleDate(dateKey)}>
+                  <Text style={[styles.dayChipWeekday, selected && styles.chipTextActive]}>
+                    {index === 0 ? 'Today' : day.toLocaleDateString('en-US', { weekday: 'short' })}
+                  </Text>
+                  <Text style={[styles.dayChipDate, selected && styles.chipTextActive]}>{day.getDate()}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+          <Text style={styles.label}>Meal</Text>
+          <View style={{ flexDirection: 'row', flexWrap: 'wrap' }}>
+            {slotNames.map(option => (
+              <TouchableOpacity key={option} style={[styles.chip, slot === option && styles.chipActive]} onPress={() => setSlot(option)}>
+                <Text style={[styles.chipText, slot === option && styles.chipTextActive]}>{option}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <TouchableOpacity
+            style={[styles.submitBtn, selectedDates.length === 0 && { opacity: 0.5 }]}
+            onPress={handleSubmit}
+            disabled={saving || selectedDates.length === 0}
+          >
+            {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.submitText}>Add to Plan</Text>}
+          </TouchableOpacity>
+          {onSecondary && (
+            <TouchableOpacity style={styles.secondaryBtn} onPress={onSecondary}>
+              <Text style={styles.secondaryText}>{secondaryLabel}</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.secondaryBtn} onPress={onClose}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: { flex: 1, backgroundColor: 'rgba(0,0,0,0.4)', justifyContent: 'flex-end' },
+  sheet: { backgroundColor: '#fff', borderTopLeftRadius: 24, borderTopRightRadius: 24, padding: 20 },
+  title: { fontSize: 20, fontWeight: 'bold', color: '#181A20' },
+  label: { fontSize: 14, fontWeight: '600', color: '#666', marginTop: 16, marginBottom: 8 },
+  dayChip: { backgroundColor: '#F3F4F6', borderRadius: 14, paddingHorizontal: 12, paddingVertical: 8, marginRight: 8, alignItems: 'center', minWidth: 56 },
+  dayChipWeekday: { fontSize: 13, color: '#666' },
+  dayChipDate: { fontSize: 18, fontWeight: 'bold', color: '#222' },
+  chip: { backgroundColor: '#F3F4F6', borderRadius: 18, paddingHorizontal: 16, paddingVertical: 8, marginRight: 8, marginBottom: 8 },
+  chipActive: { backgroundColor: '#3B82F6' },
+  chipText: { color: '#222', fontSize: 15 },
+  chipTextActive: { color: '#fff', fontWeight: 'bold' },
+  submitBtn: { backgroundColor: '#3B82F6', borderRadius: 12, paddingVertical: 12, alignItems: 'center', marginTop: 16 },
+  submitText: { color: '#fff', fontWeight: 'bold', fontSize: 16 },
+  secondaryBtn: { alignItems: 'center', paddingVertical: 12 },
+  secondaryText: { color: '#3B82F6', fontSize: 15, fontWeight: '600' },
+  cancelText: { color: '#666', fontSize: 15 },
+});
@@ -0,0 +1,87 @@
+/**
+ * VOICE ANSWER BUTTON
+ * Mic button for answering a short question by voice: tap to talk, tap again to stop.
+ * The recording is transcribed on the server and handed to onAnswer as text.
+ */
+import { Ionicons } from '@expo/vector-icons';
+import { Audio } from 'expo-av';
+import * as FileSystem from 'expo-file-system/legacy';
+import React, { useEffect, useRef, useState } from 'react';
+import { ActivityIndicator, Alert, PermissionsAndroid, Platform, StyleSheet, TouchableOpacity } from 'react-native';
+import { transcribeAudio } from '../utils/api';
+
+// Answers are a few words, so recordings stop on their own after this long
+const MAX_ANSWER_MS = 6000;
+
+const ensureAudioPermission = async () => {
+  if (Platform.OS !== 'android') return true;
+  if (await PermissionsAndroid.check(PermissionsAndroid.PERMISSIONS.RECORD_AUDIO)) return true;
+  const result = await PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.RECORD_AUDIO);
+  return result === PermissionsAndroid.RESULTS.GRANTED;
+};
+
+export default function VoiceAnswerButton({ onAnswer, disabled }) {
+  const recordingRef = useRef(null);
+  const stopTimerRef = useRef(null);
+  const [recording, setRecording] = useState(false);
+  const [transcribing, setTranscribing] = useState(false);
+
+  useEffect(() => () => {
+    clearTimeout(stopTimerRef.current);
+    recordingRef.current?.stopAndUnloadAsync().catch(() => {});
+  }, []);
+
+  const stop = async () => {
+    clearTimeout(stopTimerRef.current);
+    const current = recordingRef.current;
+    if (!current) return;
+    recordingRef.current = null;
+    setRecording(false);
+    setTranscribing(true);
+    try {
+      await current.stopAndUnloadAsync();
+      const data = await FileSystem.readAsStringAsync(current.getURI(), { encoding: 'base64' });
+      const text = await transcribeAudio({ data, mimeType: 'audio/m4a' });
+      if (text && text.trim()) onAnswer(text.trim());
+    } catch (error) {
+      console.error('Error transcribing answer:', error);
+      Alert.alert("Couldn't hear that", 'Try again, or tap an answer instead.');
+    } finally {
+      setTranscribing(false);
+    }
+  };
+
+  const start = async () => {
+    try {
+      if (!(await ensureAudioPermission())) {
+        Alert.alert('Permission Required', 'Microphone access is needed to answer by voice.');
+        return;
+      }
+      await Audio.setAudioModeAsync({ allowsRecordingIOS: true, playsInSilentModeIOS: true });
+      const { recording: created } = await Audio.Recording.createAsync(Audio.RecordingOptionsPresets.HIGH_QUALITY);
+      recordingRef.current = created;
+      setRecording(true);
+      stopTimerRef.current = setTimeout(stop, MAX_ANSWER_MS);
+    } catch (error) {
+      console.error('Error starting answer recording:', error);
+      Alert.alert('Recording Error', 'Could not start recording.');
+    }
+  };
+
+  return (
+    <TouchableOpacity
+      style={[styles.button, recording && styles.buttonRecording]}
+      onPress={recording ? stop : start}
+      disabled={disabled || transcribing}
+    >
+      {transcribing
+        ? <ActivityIndicator size="small" color="#7B61FF" />
+        : <Ionicons name={recording ? 'stop' : 'mic'} size={18} color={recording ? '#fff' : '#7B61FF'} />}
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  button: { width: 40, height: 40, borderRadius: 20, backgroundColor: '#F1EAFE', alignItems: 'center', justifyContent: 'center' },
+  buttonRecording: { backgroundColor: '#E26B5E' },
+});
@@ -0,0 +1,201 @@
+/**
+ * VOICE ITEM LIST
+ * The foods from a voice log, one row each, with their own amount and calories.
+ * Rows can be edited, removed or added, and a row whose amount was unclear asks its
+ * follow-up question, answered by tapping an option, typing or speaking.
+ */
+import { Ionicons } from '@expo/vector-icons';
+import React, { useState } from 'react';
+import { ActivityIndicator, Alert, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { scaleNutrients } from '../utils/foodLogIngredients';
+import { answerFollowUp, changeItemQuantity, estimateVoiceItems, keepEstimate } from '../utils/voiceItems';
+import VoiceAnswerButton from './VoiceAnswerButton';
+
+// setItems is the screen's state setter, so async updates never work on a stale list
+export default function VoiceItemList({ items, setItems }) {
+  const [editing, setEditing] = useState(null); // { key, name, quantity, calories }
+  const [busyKey, setBusyKey] = useState(null);
+  const [answers, setAnswers] = useState({});
+  const [newItemText, setNewItemText] = useState('');
+
+  const replaceItem = (key, next) => setItems(prev => prev.map(item => (item.key === key ? next : item)));
+
+  const runForItem = async (key, task, failMessage) => {
+    setBusyKey(key);
+    try {
+      await task();
+    } catch (error) {
+      console.error('Error updating voice item:', error);
+      Alert.alert('Error', failMessage);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleAnswer = (item, answer) => {
+    if (!String(answer || '').trim()) return;
+    runForItem(item.key, async () => {
+      replaceItem(item.key, await answerFollowUp(item, answer));
+      setAnswers(prev => ({ ...prev, [item.key]: '' }));
+    }, 'Could not update this item with your answer.');
+  };
+
+  const startEditing = (item) => {
+    setEditing({ key: item.key, name: item.name, quantity: item.quantity || '', calories: String(Math.round(item.calories)) });
+  };
+
+  const saveEdit = (item) => {
+    const draft = editing;
+    runForItem(item.key, async () => {
+      let next = await changeItemQuantity(item, draft.quantity);
+      // Typed calories win; the macros follow in proportion
+      const calories = Number(draft.calories);
+      if (Number.isFinite(calories) && calories >= 0 && calories !== Math.round(next.calories)) {
+        next = next.calories > 0 ? scaleNutrients(next, calories / next.calories) : { ...next, calories };
+      }
+      if (draft.name.trim() && draft.name.trim() !== item.name) next = { ...next, name: draft.name.trim() };
+      replaceItem(item.key, keepEstimate(next));
+      setEditing(null);
+    }, 'Could not update this item.');
+  };
+
+  const handleRemove = (item) => {
+    setItems(prev => prev.filter(entry => entry.key !== item.key));
+    if (editing?.key === item.key) setEditing(null);
+  };
+
+  const handleAdd = () => {
+    const text = newItemText.trim();
+    if (!text) return;
+    runForItem('new', async () => {
+      const added = await estimateVoiceItems(text);
+      setItems(prev => [...prev, ...added]);
+      setNewItemText('');
+    }, 'Could not estimate that food. Try describing it differently.');
+  };
+
+  const renderFollowUp = (item) => (
+    <View style={styles.question}>
+      <Text style={styles.questionText}>{item.followUp}</Text>
+      {item.followUpOptions.length > 0 && (
+        <View style={styles.optionRow}>
+          {item.followUpOptions.map(option => (
+            <TouchableOpacity key={option} style={styles.option} onPress={() => handleAnswer(item, option)} disabled={busyKey !== null}>
+              <Text style={styles.optionText}>{option}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      <View style={styles.answerRow}>
+        <TextInput
+          style={styles.answerInput}
+          placeholder="Or type it, e.g. about 200g"
+          value={answers[item.key] || ''}
+          onChangeText={text => setAnswers(prev => ({ ...prev, [item.key]: text }))}
+          onSubmitEditing={() => handleAnswer(item, answers[item.key])}
+          returnKeyType="done"
+        />
+        <VoiceAnswerButton onAnswer={answer => handleAnswer(item, answer)} disabled={busyKey !== null} />
+      </View>
+      <TouchableOpacity onPress={() => replaceItem(item.key, keepEstimate(item))}>
+        <Text style={styles.keepText}>Keep the usual serving</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderEditor = (item) => (
+    <View style={styles.editor}>
+      <TextInput style={styles.input} value={editing.name} onChangeText={name => setEditing(prev => ({ ...prev, name }))} placeholder="Food" />
+      <View style={styles.editorRow}>
+        <TextInput
+          style={[styles.input, { flex: 1, marginRight: 8 }]}
+          value={editing.quantity}
+          onChangeText={quantity => setEditing(prev => ({ ...prev, quantity }))}
+          placeholder="Amount, e.g. 150g"
+        />
+        <TextInput
+          style={[styles.input, { width: 90 }]}
+          value={editing.calories}
+          onChangeText={calories => setEditing(prev => ({ ...prev, calories }))}
+          placeholder="kcal"
+          keyboardType="numeric"
+        />
+      </View>
+      <View style={styles.editorRow}>
+        <TouchableOpacity onPress={() => setEditing(null)}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.saveBtn} onPress={() => saveEdit(item)} disabled={busyKey !== null}>
+          <Text style={styles.saveBtnText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View>
+      {items.map(item => (
+        <View key={item.key} style={[styles.item, item.followUp && styles.itemUnclear]}>
+          <View style={styles.itemRow}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.itemName}>{item.name}</Text>
+              <Text style={styles.itemMeta}>
+                {Math.round(item.calories)} kcal • P {Math.round(item.protein)}g • C {Math.round(item.carbs)}g • F {Math.round(item.fat)}g
+              </Text>
+            </View>
+            {busyKey === item.key ? (
+              <ActivityIndicator size="small" color="#7B61FF" />
+            ) : (
+              <>
+                <TouchableOpacity onPress={() => startEditing(item)} style={styles.iconBtn}>
+                  <Ionicons name="pencil-outline" size={18} color="#7B61FF" />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => handleRemove(item)} style={styles.iconBtn}>
+                  <Ionicons name="trash-outline" size={18} color="#FF3B30" />
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+          {editing?.key === item.key ? renderEditor(item) : item.followUp ? renderFollowUp(item) : null}
+        </View>
+      ))}
+      <View style={styles.answerRow}>
+        <TextInput
+          style={styles.answerInput}
+          placeholder="Add something else, e.g. a glass of juice"
+          value={newItemText}
+          onChangeText={setNewItemText}
+          onSubmitEditing={handleAdd}
+          returnKeyType="done"
+        />
+        <TouchableOpacity style={styles.addBtn} onPress={handleAdd} disabled={busyKey !== null}>
+          {busyKey === 'new' ? <ActivityIndicator size="small" color="#fff" /> : <Ionicons name="add" size={20} color="#fff" />}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  item: { backgroundColor: '#F8FAFC', borderRadius: 10, padding: 12, marginBottom: 8 },
+  itemUnclear: { borderWidth: 1, borderColor: '#FDE68A', backgroundColor: '#FFFBEB' },
+  itemRow: { flexDirection: 'row', alignItems: 'center' },
+  itemName: { fontSize: 15, fontWeight: '600', color: '#333' },
+  itemMeta: { fontSize: 12, color: '#666', marginTop: 2 },
+  iconBtn: { padding: 6, marginLeft: 4 },
+  question: { marginTop: 10 },
+  questionText: { fontSize: 14, fontWeight: '600', color: '#92400E', marginBottom: 8 },
+  optionRow: { flexDirection: 'row', flexWrap: 'wrap' },
+  option: { backgroundColor: '#fff', borderRadius: 16, borderWidth: 1, borderColor: '#E5E7EB', paddingHorizontal: 12, paddingVertical: 6, marginRight: 6, marginBottom: 6 },
+  optionText: { fontSize: 13, color: '#333' },
+  answerRow: { flexDirection: 'row', alignItems: 'center', marginTop: 4 },
+  answerInput: { flex: 1, backgroundColor: '#fff', borderRadius: 10, borderWidth: 1, borderColor: '#E5E7EB', paddingHorizontal: 12, paddingVertical: 8, fontSize: 14, marginRight: 8 },
+  keepText: { fontSize: 13, color: '#888', marginTop: 8 },
+  editor: { marginTop: 10 },
+  editorRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' },
+  input: { backgroundColor: '#fff', borderRadius: 10, borderWidth: 1, borderColor: '#E5E7EB', paddingHorizontal: 12, paddingVertical: 8, fontSize: 14, marginBottom: 8 },
+  cancelText: { fontSize: 14, color: '#888' },
+  saveBtn: { backgroundColor: '#7B61FF', borderRadius: 10, paddingHorizontal: 18, paddingVertical: 8 },
+  saveBtnText: { color: '#fff', fontWeight: '600', fontSize: 14 },
+  addBtn: { width: 40, height: 40, borderRadius: 20, backgroundColor: '#7B61FF', alignItems: 'center', justifyContent: 'center' },
+});
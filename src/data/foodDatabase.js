@@ -0,0 +1,83 @@
+// Offline food table: macros per 100g plus grams per household portion.
+// Itemized manual logs resolve against this before asking the AI (src/utils/foodDatabase.js).
+// Values are rounded from USDA FoodData Central and IFCT 2017. Bump the version when values change.
+
+export const FOOD_DATABASE_VERSION = 1;
+
+// density: grams per ml, for foods logged by volume (defaults to 1)
+export const FOODS = [
+  // Grains and breads
+  { id: 'rice_white_cooked', name: 'white rice', aliases: ['rice', 'steamed rice', 'boiled rice'], per100g: { calories: 130, protein: 2.7, carbs: 28, fat: 0.3, fiber: 0.4 }, portions: { cup: 158, tbsp: 12 } },
+  { id: 'rice_brown_cooked', name: 'brown rice', aliases: [], per100g: { calories: 123, protein: 2.7, carbs: 25.6, fat: 1, fiber: 1.6 }, portions: { cup: 195 } },
+  { id: 'bread_white', name: 'white bread', aliases: ['bread', 'toast'], per100g: { calories: 265, protein: 9, carbs: 49, fat: 3.2, fiber: 2.7 }, portions: { slice: 25, piece: 25 } },
+  { id: 'bread_wholewheat', name: 'whole wheat bread', aliases: ['brown bread', 'wholemeal bread'], per100g: { calories: 247, protein: 13, carbs: 41, fat: 3.4, fiber: 7 }, portions: { slice: 32, piece: 32 } },
+  { id: 'roti', name: 'roti', aliases: ['chapati', 'phulka'], per100g: { calories: 297, protein: 9.8, carbs: 46, fat: 7.5, fiber: 4.9 }, portions: { piece: 40 } },
+  { id: 'naan', name: 'naan', aliases: [], per100g: { calories: 291, protein: 9.6, carbs: 50, fat: 5.7, fiber: 2.2 }, portions: { piece: 90 } },
+  { id: 'pasta_cooked', name: 'pasta', aliases: ['spaghetti', 'penne', 'macaroni', 'noodles'], per100g: { calories: 158, protein: 5.8, carbs: 31, fat: 0.9, fiber: 1.8 }, portions: { cup: 140 } },
+  { id: 'oats_dry', name: 'oats', aliases: ['rolled oats', 'oatmeal'], per100g: { calories: 389, protein: 16.9, carbs: 66, fat: 6.9, fiber: 10.6 }, portions: { cup: 81, tbsp: 5 } },
+  { id: 'quinoa_cooked', name: 'quinoa', aliases: [], per100g: { calories: 120, protein: 4.4, carbs: 21, fat: 1.9, fiber: 2.8 }, portions: { cup: 185 } },
+  { id: 'tortilla_flour', name: 'tortilla', aliases: ['wrap', 'flour tortilla'], per100g: { calories: 312, protein: 8.3, carbs: 52, fat: 7.6, fiber: 3.2 }, portions: { piece: 45 } },
+  { id: 'cornflakes', name: 'cornflakes', aliases: ['cereal', 'corn flakes'], per100g: { calories: 357, protein: 7.5, carbs: 84, fat: 0.4, fiber: 3.3 }, portions: { cup: 28 } },
+
+  // Protein
+  { id: 'egg_whole', name: 'egg', aliases: ['eggs', 'boiled egg', 'whole egg'], per100g: { calories: 143, protein: 12.6, carbs: 0.7, fat: 9.5, fiber: 0 }, portions: { piece: 50, unit: 50 } },
+  { id: 'egg_white', name: 'egg white', aliases: [], per100g: { calories: 52, protein: 10.9, carbs: 0.7, fat: 0.2, fiber: 0 }, portions: { piece: 33, unit: 33 } },
+  { id: 'chicken_breast_cooked', name: 'chicken breast', aliases: ['grilled chicken', 'chicken'], per100g: { calories: 165, protein: 31, carbs: 0, fat: 3.6, fiber: 0 }, portions: { piece: 170, cup: 140 } },
+  { id: 'chicken_thigh_cooked', name: 'chicken thigh', aliases: [], per100g: { calories: 209, protein: 26, carbs: 0, fat: 10.9, fiber: 0 }, portions: { piece: 110 } },
+  { id: 'beef_ground_cooked', name: 'ground beef', aliases: ['minced beef', 'beef mince'], per100g: { calories: 254, protein: 26, carbs: 0, fat: 17, fiber: 0 }, portions: { cup: 140 } },
+  { id: 'salmon_cooked', name: 'salmon', aliases: ['salmon fillet'], per100g: { calories: 206, protein: 22, carbs: 0, fat: 12.4, fiber: 0 }, portions: { piece: 150 } },
+  { id: 'tuna_canned', name: 'tuna', aliases: ['canned tuna'], per100g: { calories: 116, protein: 25.5, carbs: 0, fat: 0.8, fiber: 0 }, portions: { cup: 154, pack: 142 } },
+  { id: 'shrimp_cooked', name: 'shrimp', aliases: ['prawns', 'prawn'], per100g: { calories: 99, protein: 24, carbs: 0.2, fat: 0.3, fiber: 0 }, portions: { piece: 6, cup: 145 } },
+  { id: 'paneer', name: 'paneer', aliases: ['cottage cheese indian'], per100g: { calories: 265, protein: 18.3, carbs: 1.2, fat: 20.8, fiber: 0 }, portions: { cup: 150, piece: 25 } },
+  { id: 'tofu_firm', name: 'tofu', aliases: ['firm tofu'], per100g: { calories: 144, protein: 17.3, carbs: 2.8, fat: 8.7, fiber: 2.3 }, portions: { cup: 252, piece: 85 } },
+  { id: 'lentils_cooked', name: 'lentils', aliases: ['dal', 'daal', 'lentil'], per100g: { calories: 116, protein: 9, carbs: 20, fat: 0.4, fiber: 7.9 }, portions: { cup: 198 } },
+  { id: 'chickpeas_cooked', name: 'chickpeas', aliases: ['chana', 'garbanzo beans'], per100g: { calories: 164, protein: 8.9, carbs: 27, fat: 2.6, fiber: 7.6 }, portions: { cup: 164 } },
+  { id: 'kidney_beans_cooked', name: 'kidney beans', aliases: ['rajma'], per100g: { calories: 127, protein: 8.7, carbs: 22.8, fat: 0.5, fiber: 6.4 }, portions: { cup: 177 } },
+  { id: 'whey_protein', name: 'whey protein', aliases: ['protein powder'], per100g: { calories: 400, protein: 80, carbs: 8, fat: 6, fiber: 0 }, portions: { scoop: 30 } },
+
+  // Dairy
+  { id: 'milk_whole', name: 'whole milk', aliases: ['milk', 'full cream milk'], per100g: { calories: 61, protein: 3.2, carbs: 4.8, fat: 3.3, fiber: 0 }, portions: { cup: 244, glass: 250, tbsp: 15 }, density: 1.03 },
+  { id: 'milk_skim', name: 'skim milk', aliases: ['skimmed milk', 'low fat milk'], per100g: { calories: 34, protein: 3.4, carbs: 5, fat: 0.1, fiber: 0 }, portions: { cup: 245, glass: 250 }, density: 1.03 },
+  { id: 'yogurt_plain', name: 'plain yogurt', aliases: ['yogurt', 'curd', 'dahi'], per100g: { calories: 61, protein: 3.5, carbs: 4.7, fat: 3.3, fiber: 0 }, portions: { cup: 245, tbsp: 15 } },
+  { id: 'greek_yogurt', name: 'greek yogurt', aliases: [], per100g: { calories: 97, protein: 9, carbs: 3.9, fat: 5, fiber: 0 }, portions: { cup: 227, tbsp: 15 } },
+  { id: 'cheddar', name: 'cheddar cheese', aliases: ['cheese'], per100g: { calories: 403, protein: 25, carbs: 1.3, fat: 33, fiber: 0 }, portions: { slice: 28, cup: 113, tbsp: 7 } },
+  { id: 'butter', name: 'butter', aliases: [], per100g: { calories: 717, protein: 0.9, carbs: 0.1, fat: 81, fiber: 0 }, portions: { tbsp: 14, tsp: 5 } },
+  { id: 'ghee', name: 'ghee', aliases: ['clarified butter'], per100g: { calories: 900, protein: 0, carbs: 0, fat: 100, fiber: 0 }, portions: { tbsp: 13, tsp: 4 } },
+
+  // Fruit
+  { id: 'banana', name: 'banana', aliases: [], per100g: { calories: 89, protein: 1.1, carbs: 23, fat: 0.3, fiber: 2.6 }, portions: { piece: 118, unit: 118, cup: 150 } },
+  { id: 'apple', name: 'apple', aliases: [], per100g: { calories: 52, protein: 0.3, carbs: 14, fat: 0.2, fiber: 2.4 }, portions: { piece: 182, unit: 182, cup: 125 } },
+  { id: 'orange', name: 'orange', aliases: [], per100g: { calories: 47, protein: 0.9, carbs: 12, fat: 0.1, fiber: 2.4 }, portions: { piece: 131, unit: 131 } },
+  { id: 'mango', name: 'mango', aliases: [], per100g: { calories: 60, protein: 0.8, carbs: 15, fat: 0.4, fiber: 1.6 }, portions: { piece: 336, cup: 165 } },
+  { id: 'grapes', name: 'grapes', aliases: ['grape'], per100g: { calories: 69, protein: 0.7, carbs: 18, fat: 0.2, fiber: 0.9 }, portions: { cup: 151, piece: 5 } },
+  { id: 'strawberries', name: 'strawberries', aliases: ['strawberry'], per100g: { calories: 32, protein: 0.7, carbs: 7.7, fat: 0.3, fiber: 2 }, portions: { cup: 152, piece: 12 } },
+  { id: 'blueberries', name: 'blueberries', aliases: ['blueberry'], per100g: { calories: 57, protein: 0.7, carbs: 14.5, fat: 0.3, fiber: 2.4 }, portions: { cup: 148 } },
+  { id: 'avocado', name: 'avocado', aliases: [], per100g: { calories: 160, protein: 2, carbs: 8.5, fat: 14.7, fiber: 6.7 }, portions: { piece: 150, unit: 150, cup: 150 } },
+  { id: 'orange_juice', name: 'orange juice', aliases: ['juice'], per100g: { calories: 45, protein: 0.7, carbs: 10.4, fat: 0.2, fiber: 0.2 }, portions: { cup: 248, glass: 250, bottle: 500 }, density: 1.04 },
+
+  // Vegetables
+  { id: 'potato_boiled', name: 'potato', aliases: ['boiled potato', 'potatoes', 'aloo'], per100g: { calories: 87, protein: 1.9, carbs: 20, fat: 0.1, fiber: 1.8 }, portions: { piece: 170, unit: 170, cup: 156 } },
+  { id: 'sweet_potato', name: 'sweet potato', aliases: [], per100g: { calories: 90, protein: 2, carbs: 20.7, fat: 0.2, fiber: 3.3 }, portions: { piece: 150, cup: 200 } },
+  { id: 'broccoli', name: 'broccoli', aliases: [], per100g: { calories: 35, protein: 2.4, carbs: 7.2, fat: 0.4, fiber: 3.3 }, portions: { cup: 156 } },
+  { id: 'spinach', name: 'spinach', aliases: ['palak'], per100g: { calories: 23, protein: 2.9, carbs: 3.6, fat: 0.4, fiber: 2.2 }, portions: { cup: 30 } },
+  { id: 'carrot', name: 'carrot', aliases: ['carrots'], per100g: { calories: 41, protein: 0.9, carbs: 9.6, fat: 0.2, fiber: 2.8 }, portions: { piece: 61, cup: 128 } },
+  { id: 'tomato', name: 'tomato', aliases: ['tomatoes'], per100g: { calories: 18, protein: 0.9, carbs: 3.9, fat: 0.2, fiber: 1.2 }, portions: { piece: 123, cup: 180, slice: 20 } },
+  { id: 'cucumber', name: 'cucumber', aliases: [], per100g: { calories: 15, protein: 0.7, carbs: 3.6, fat: 0.1, fiber: 0.5 }, portions: { piece: 300, cup: 119, slice: 7 } },
+  { id: 'onion', name: 'onion', aliases: ['onions'], per100g: { calories: 40, protein: 1.1, carbs: 9.3, fat: 0.1, fiber: 1.7 }, portions: { piece: 110, cup: 160 } },
+  { id: 'mixed_salad', name: 'salad', aliases: ['green salad', 'mixed greens'], per100g: { calories: 17, protein: 1.3, carbs: 3.3, fat: 0.2, fiber: 1.8 }, portions: { cup: 47 } },
+
+  // Nuts, oils and spreads
+  { id: 'almonds', name: 'almonds', aliases: ['almond', 'badam'], per100g: { calories: 579, protein: 21, carbs: 22, fat: 50, fiber: 12.5 }, portions: { piece: 1.2, cup: 143, tbsp: 9 } },
+  { id: 'peanuts', name: 'peanuts', aliases: ['peanut', 'groundnuts'], per100g: { calories: 567, protein: 25.8, carbs: 16, fat: 49, fiber: 8.5 }, portions: { cup: 146, tbsp: 9 } },
+  { id: 'peanut_butter', name: 'peanut butter', aliases: [], per100g: { calories: 588, protein: 25, carbs: 20, fat: 50, fiber: 6 }, portions: { tbsp: 16, tsp: 5 } },
+  { id: 'olive_oil', name: 'olive oil', aliases: ['oil', 'cooking oil'], per100g: { calories: 884, protein: 0, carbs: 0, fat: 100, fiber: 0 }, portions: { tbsp: 13.5, tsp: 4.5 }, density: 0.91 },
+  { id: 'honey', name: 'honey', aliases: [], per100g: { calories: 304, protein: 0.3, carbs: 82, fat: 0, fiber: 0.2 }, portions: { tbsp: 21, tsp: 7 } },
+  { id: 'sugar', name: 'sugar', aliases: ['white sugar'], per100g: { calories: 387, protein: 0, carbs: 100, fat: 0, fiber: 0 }, portions: { tbsp: 12.5, tsp: 4.2, cup: 200 } },
+  { id: 'dark_chocolate', name: 'dark chocolate', aliases: ['chocolate'], per100g: { calories: 546, protein: 4.9, carbs: 61, fat: 31, fiber: 7 }, portions: { piece: 10, pack: 100 } },
+
+  // Drinks
+  { id: 'coffee_black', name: 'black coffee', aliases: ['coffee', 'americano', 'espresso'], per100g: { calories: 1, protein: 0.1, carbs: 0, fat: 0, fiber: 0 }, portions: { cup: 240 } },
+  { id: 'tea_milk_sugar', name: 'milk tea', aliases: ['chai', 'masala chai', 'tea'], per100g: { calories: 45, protein: 1.4, carbs: 6.6, fat: 1.4, fiber: 0 }, portions: { cup: 150, glass: 200 } },
+  { id: 'cola', name: 'cola', aliases: ['coke', 'soda', 'soft drink'], per100g: { calories: 42, protein: 0, carbs: 10.6, fat: 0, fiber: 0 }, portions: { bottle: 500, pack: 330, cup: 240 }, density: 1.04 },
+  { id: 'beer', name: 'beer', aliases: [], per100g: { calories: 43, protein: 0.5, carbs: 3.6, fat: 0, fiber: 0 }, portions: { bottle: 330, glass: 355, pack: 355 } },
+];
@@ -0,0 +1,54 @@
+// Reference nutrition for common dishes, per typical serving.
+// Used as the "verified_database" source when reconciling calorie estimates (src/utils/calorieSources.js).
+// Values are rounded averages from USDA FoodData Central and IFCT 2017.
+
+export const REFERENCE_NUTRITION_VERSION = 1;
+
+export const REFERENCE_DISHES = [
+  // Indian
+  { name: 'masala dosa', aliases: ['dosa with potato masala'], serving: '1 dosa with filling', calories: 390, protein: 8, carbs: 55, fat: 15, fiber: 4 },
+  { name: 'plain dosa', aliases: ['dosa'], serving: '1 dosa', calories: 170, protein: 4, carbs: 28, fat: 4, fiber: 1 },
+  { name: 'idli', aliases: ['idly'], serving: '2 pieces', calories: 130, protein: 4, carbs: 27, fat: 0.5, fiber: 1.5 },
+  { name: 'idli sambar', aliases: ['idli with sambar'], serving: '2 idli with 1 cup sambar', calories: 270, protein: 10, carbs: 48, fat: 4, fiber: 6 },
+  { name: 'chicken biryani', aliases: ['biryani'], serving: '1 plate (350g)', calories: 560, protein: 28, carbs: 65, fat: 20, fiber: 3 },
+  { name: 'vegetable biryani', aliases: ['veg biryani'], serving: '1 plate (350g)', calories: 450, protein: 10, carbs: 70, fat: 14, fiber: 5 },
+  { name: 'butter chicken', aliases: ['murgh makhani'], serving: '1 cup (240g)', calories: 440, protein: 30, carbs: 12, fat: 30, fiber: 2 },
+  { name: 'chicken curry', aliases: [], serving: '1 cup (240g)', calories: 330, protein: 28, carbs: 10, fat: 20, fiber: 2 },
+  { name: 'dal', aliases: ['dal tadka', 'lentil curry', 'dal fry'], serving: '1 cup (200g)', calories: 230, protein: 12, carbs: 30, fat: 7, fiber: 8 },
+  { name: 'rajma chawal', aliases: ['rajma rice'], serving: '1 plate', calories: 480, protein: 16, carbs: 82, fat: 9, fiber: 12 },
+  { name: 'chole bhature', aliases: [], serving: '2 bhature with chole', calories: 650, protein: 17, carbs: 78, fat: 30, fiber: 10 },
+  { name: 'paneer butter masala', aliases: ['paneer makhani'], serving: '1 cup (240g)', calories: 480, protein: 18, carbs: 16, fat: 38, fiber: 3 },
+  { name: 'palak paneer', aliases: ['saag paneer'], serving: '1 cup (240g)', calories: 340, protein: 16, carbs: 12, fat: 26, fiber: 4 },
+  { name: 'roti', aliases: ['chapati', 'phulka'], serving: '1 piece', calories: 105, protein: 3, carbs: 18, fat: 2.5, fiber: 2.5 },
+  { name: 'naan', aliases: ['butter naan'], serving: '1 piece', calories: 290, protein: 9, carbs: 50, fat: 6, fiber: 2 },
+  { name: 'poha', aliases: [], serving: '1 plate (200g)', calories: 270, protein: 5, carbs: 45, fat: 8, fiber: 3 },
+  { name: 'upma', aliases: [], serving: '1 plate (200g)', calories: 250, protein: 6, carbs: 38, fat: 8, fiber: 3 },
+  { name: 'samosa', aliases: [], serving: '1 piece', calories: 260, protein: 4, carbs: 30, fat: 14, fiber: 3 },
+  // Breakfast
+  { name: 'scrambled eggs', aliases: ['egg scramble'], serving: '2 eggs', calories: 200, protein: 13, carbs: 2, fat: 15, fiber: 0 },
+  { name: 'omelette', aliases: ['omelet'], serving: '2 eggs', calories: 190, protein: 13, carbs: 1, fat: 15, fiber: 0 },
+  { name: 'oatmeal', aliases: ['porridge', 'oats'], serving: '1 cup cooked', calories: 160, protein: 6, carbs: 27, fat: 3, fiber: 4 },
+  { name: 'pancakes', aliases: ['pancake'], serving: '3 medium', calories: 350, protein: 9, carbs: 55, fat: 10, fiber: 2 },
+  { name: 'avocado toast', aliases: [], serving: '1 slice', calories: 260, protein: 6, carbs: 24, fat: 16, fiber: 7 },
+  { name: 'greek yogurt with granola', aliases: ['yogurt parfait'], serving: '1 bowl', calories: 320, protein: 18, carbs: 40, fat: 10, fiber: 3 },
+  // Mains
+  { name: 'chicken sandwich', aliases: ['grilled chicken sandwich'], serving: '1 sandwich', calories: 420, protein: 30, carbs: 40, fat: 15, fiber: 3 },
+  { name: 'cheeseburger', aliases: ['burger'], serving: '1 burger', calories: 540, protein: 28, carbs: 40, fat: 29, fiber: 2 },
+  { name: 'margherita pizza', aliases: ['cheese pizza', 'pizza'], serving: '2 slices', calories: 500, protein: 22, carbs: 60, fat: 18, fiber: 3 },
+  { name: 'spaghetti bolognese', aliases: ['pasta bolognese'], serving: '1 plate (350g)', calories: 600, protein: 30, carbs: 75, fat: 18, fiber: 5 },
+  { name: 'caesar salad', aliases: ['chicken caesar salad'], serving: '1 bowl', calories: 440, protein: 30, carbs: 15, fat: 29, fiber: 3 },
+  { name: 'garden salad', aliases: ['green salad', 'salad'], serving: '1 bowl', calories: 150, protein: 3, carbs: 10, fat: 11, fiber: 4 },
+  { name: 'chicken fried rice', aliases: ['fried rice'], serving: '1 plate (300g)', calories: 520, protein: 20, carbs: 70, fat: 17, fiber: 2 },
+  { name: 'grilled chicken breast', aliases: ['chicken breast'], serving: '150g', calories: 250, protein: 46, carbs: 0, fat: 5.5, fiber: 0 },
+  { name: 'salmon fillet', aliases: ['grilled salmon'], serving: '150g', calories: 310, protein: 34, carbs: 0, fat: 19, fiber: 0 },
+  { name: 'white rice', aliases: ['steamed rice', 'rice'], serving: '1 cup cooked', calories: 205, protein: 4, carbs: 45, fat: 0.4, fiber: 0.6 },
+  { name: 'chicken noodle soup', aliases: [], serving: '1 bowl', calories: 180, protein: 12, carbs: 20, fat: 5, fiber: 1 },
+  { name: 'sushi roll', aliases: ['california roll'], serving: '8 pieces', calories: 260, protein: 9, carbs: 38, fat: 7, fiber: 3 },
+  { name: 'burrito', aliases: ['chicken burrito'], serving: '1 burrito', calories: 700, protein: 35, carbs: 80, fat: 25, fiber: 10 },
+  // Snacks and drinks
+  { name: 'banana', aliases: [], serving: '1 medium', calories: 105, protein: 1.3, carbs: 27, fat: 0.4, fiber: 3 },
+  { name: 'apple', aliases: [], serving: '1 medium', calories: 95, protein: 0.5, carbs: 25, fat: 0.3, fiber: 4.4 },
+  { name: 'orange juice', aliases: [], serving: '1 cup (250ml)', calories: 110, protein: 2, carbs: 26, fat: 0.5, fiber: 0.5 },
+  { name: 'french fries', aliases: ['fries', 'chips'], serving: '1 medium serving', calories: 365, protein: 4, carbs: 48, fat: 17, fiber: 4 },
+  { name: 'protein shake', aliases: ['whey shake'], serving: '1 scoop with water', calories: 120, protein: 24, carbs: 3, fat: 1.5, fiber: 0 },
+];
@@ -1,14 +1,14 @@
 import { Ionicons } from '@expo/vector-icons';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import { Audio } from 'expo-av';
-import Constants from 'expo-constants';
 import * as FileSystem from 'expo-file-system/legacy';
 import * as ImagePicker from 'expo-image-picker';
 import { LinearGradient } from 'expo-linear-gradient';
 import React, { useRef, useState } from 'react';
 import { ActivityIndicator, Alert, Animated, Dimensions, Easing, Modal, PermissionsAndroid, Platform, Pressable, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import supabase from '../lib/supabase';
-import { createFoodLog } from '../utils/api';
+import { analyzeFood, createFoodLog } from '../utils/api';
+import { describeFoodAnalysisError } from '../utils/foodAnalysisParser';
+import { resolveMealType } from '../utils/mealSlots';
 
 const CalorieFooter = ({ navigation, activeTab }) => {
   const [modalVisible, setModalVisible] = useState(false);
@@ -110,7 +110,7 @@ const CalorieFooter = ({ navigation, activeTab }) => {
         Alert.alert('You must be logged in to log food.');
         return;
       }
-      await createFoodLog({ ...nutritionData, meal_type: mealType, user_id });
+      await createFoodLog({ ...nutritionData, meal_type: await resolveMealType(user_id, mealType), user_id });
       Alert.alert('Success', 'Food logged successfully!');
     } catch (e) {
       Alert.alert('Error', 'Failed to log food.');
@@ -298,9 +298,6 @@ const VoiceLoggingModal = ({ visible, onClose, onLog, mealType }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [nutritionData, setNutritionData] = useState(null);
   const [transcribedText, setTranscribedText] = useState('');
-  // Use environment variables directly (from eas.json in production)
-  const apiKey = process.env.EXPO_PUBLIC_GEMINI_API_KEY || Constants.expoConfig?.extra?.EXPO_PUBLIC_GEMINI_API_KEY;
-  const genAI = new GoogleGenerativeAI(apiKey);
 
   React.useEffect(() => {
     if (!visible) {
@@ -352,67 +349,18 @@ const VoiceLoggingModal = ({ visible, onClose, onLog, mealType }) => {
   const handleVoiceToCalorie = async (uri) => {
     setIsLoading(true);
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
       const audioData = await FileSystem.readAsStringAsync(uri, { encoding: 'base64' });
-      const prompt = `Analyze the food items in this audio. Your response MUST be a single valid JSON object and nothing else. Do not include markdown formatting like \`\`\`json.
+      const data = await analyzeFood({ type: 'audio', data: audioData, mimeType: 'audio/mp4' });
 
-🚨 CRITICAL QUANTITY PRESERVATION RULES 🚨
-1. If the audio does NOT contain any food items or is unclear, respond with: {"error": "No food items detected. Please speak clearly about what you ate."}
+      console.log('CalorieFooter - Analysis:', data);
 
-2. 🚨 MOST IMPORTANT: ALWAYS preserve EXACT quantities and units mentioned in the audio:
-   - If user says "200 grams of black beans" → you MUST output "200g black beans" (NOT "1 black beans")
-   - If user says "150 grams of chicken" → you MUST output "150g chicken" (NOT "1 chicken")
-   - If user says "1 cup of rice" → you MUST output "1 cup rice" (NOT "1 rice")
-   - If user says "2 slices of bread" → you MUST output "2 bread" (NOT "1 bread")
-   - If user says "500ml juice" → you MUST output "500ml juice" (NOT "1 juice")
-
-3. 🚨 QUANTITY CONVERSION RULES:
-   - "grams" → "g" (e.g., "200 grams" → "200g")
-   - "milliliters" → "ml" (e.g., "500 milliliters" → "500ml")
-   - "cups" → "cup" (e.g., "1 cup" → "1 cup")
-   - "slices" → "slice" (e.g., "2 slices" → "2")
-   - "pieces" → "piece" (e.g., "3 pieces" → "3")
-
-4. 🚨 EXAMPLES OF CORRECT EXTRACTION:
-   - "I had 200 grams of black beans" → extract "200g black beans"
-   - "I ate 150 grams of chicken" → extract "150g chicken"
-   - "I had 1 cup of rice" → extract "1 cup rice"
-   - "I ate 2 slices of pizza" → extract "2 pizza"
-   - "I had a chicken sandwich and a juice" → extract "1 chicken sandwich" and "1 juice"
-   - "I had a burger and fries" → extract "1 burger" and "1 fries"
-
-5. 🚨 WRONG EXAMPLES (DO NOT DO THIS):
-   - "200 grams of black beans" → "1 black beans" ❌ WRONG!
-   - "150g chicken" → "1 chicken" ❌ WRONG!
-   - "1 cup rice" → "1 rice" ❌ WRONG!
-
-6. If no specific quantity is mentioned, assume quantity of 1 (e.g., "1 sandwich", "1 juice")
-
-The JSON object must have this structure: 
-{ "transcription": "The full text of what you heard", "items": [ { "name": "EXACT_QUANTITY + food item", "calories": <number>, "protein": <number>, "carbs": <number>, "fat": <number> } ], "total": { "calories": <number>, "protein": <number>, "carbs": <number>, "fat": <number> } }`;
-      const result = await model.generateContent([prompt, { inlineData: { mimeType: 'audio/mp4', data: audioData } }]);
-      const response = await result.response;
-      let text = response.text();
-      
-      console.log('CalorieFooter - Raw AI response:', text);
-      
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const jsonString = jsonMatch[0];
-        console.log('CalorieFooter - Extracted JSON:', jsonString);
-        const data = JSON.parse(jsonString);
-        if (!data.total || !Array.isArray(data.items) || !data.transcription) {
-          throw new Error('Invalid JSON structure from API.');
-        }
-        setTranscribedText(data.transcription);
-        const foodName = data.items.map(item => item.name).join(', ');
-        const mergedData = { food_name: foodName, ...data.total };
-        setNutritionData(mergedData);
-      } else {
-        throw new Error('Invalid JSON format from API. No JSON object found.');
-      }
+      setTranscribedText(data.transcription || '');
+      const foodName = data.ingredients.map(item => item.name).join(', ');
+      const mergedData = { food_name: foodName, ...data.total_nutrition };
+      setNutritionData(mergedData);
     } catch (error) {
-      Alert.alert("AI Error", "Could not analyze the audio. " + error.message);
+      const { title, message } = describeFoodAnalysisError(error);
+      Alert.alert(title, message);
     } finally {
       setIsLoading(false);
     }
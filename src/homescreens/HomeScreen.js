@@ -28,6 +28,9 @@ import supabase from "../lib/supabase";
 import { createFoodLog, deleteFoodLog, getFoodLogs } from "../utils/api";
 import { getHomeScreenCache, invalidateHomeScreenCache, updateHomeScreenCacheOptimistic } from "../utils/cacheManager";
 import { getTodayCaloriesBurned } from "../utils/calorieCalculator";
+import { getAdaptiveCalorieGoal, getPlanEntries, markPlanEntryEaten, projectPlannedDay } from "../utils/mealPlan";
+import { getMealSlots, groupLogsBySlot, resolveMealType } from "../utils/mealSlots";
+import { getTemplateCalories, logTemplate, runDueTemplates, skipTemplateToday } from "../utils/mealTemplates";
 import { getFoodStreak, recalculateFoodStreak, updateFoodStreak } from "../utils/streakService";
 import useTodaySteps from "../utils/useTodaySteps";
 
@@ -335,11 +338,19 @@ const HomeScreen = ({ navigation }) => {
   const [userName, setUserName] = useState(onboardingData?.name || "User");
   const [recentMeals, setRecentMeals] = useState(() => globalHomeCache.cachedData?.recentMeals || []);
   const [expandedMeal, setExpandedMeal] = useState(null);
+  const [mealSlots, setMealSlots] = useState([]);
   const [selectedMeals, setSelectedMeals] = useState(new Set());
   const [isSelectionMode, setIsSelectionMode] = useState(false);
   const [calorieStreak, setCalorieStreak] = useState(0);
   const [totalCaloriesBurned, setTotalCaloriesBurned] = useState(0);
   const [calorieBreakdown, setCalorieBreakdown] = useState({ steps: 0, workouts: 0, cardio: 0 });
+  // Meals planned for the selected day, for planned vs actual
+  const [planEntries, setPlanEntries] = useState([]);
+  const [planGoal, setPlanGoal] = useState(null);
+  const [markingEntryId, setMarkingEntryId] = useState(null);
+  // Recurring meals that are due and waiting for a yes or no
+  const [templateSuggestions, setTemplateSuggestions] = useState([]);
+  const [handlingTemplateId, setHandlingTemplateId] = useState(null);
   const { stepsToday, calories: stepCalories } = useTodaySteps();
   const { onboardingData } = useContext(OnboardingContext);
 
@@ -461,6 +472,9 @@ const HomeScreen = ({ navigation }) => {
         globalHomeCache.cachedData = null;
         globalHomeCache.lastFetchTime = 0;
         fetchFoodLogs(selectedDate);
+        fetchMealPlan(selectedDate);
+        fetchDueTemplates();
+        getMealSlots(user.id).then(setMealSlots);
         
         // Fetch comprehensive calories burned
         fetchCaloriesBurned();
@@ -579,8 +593,8 @@ const HomeScreen = ({ navigation }) => {
       );
       setTotals(newTotals);
       
-      // Resolve signed URLs for recent meals
-      const recent = filteredLogs.slice(-5).reverse();
+      // Resolve signed URLs for the day's meals, newest first within each meal slot
+      const recent = [...filteredLogs].reverse();
       const withUrls = await Promise.all(recent.map(async (meal) => {
         if (meal.photo_url && !meal.photo_url.startsWith('http')) {
           try {
@@ -630,6 +644,65 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  const fetchMealPlan = async (date) => {
+    if (!user?.id) return;
+    const [entries, goal] = await Promise.all([
+      getPlanEntries(user.id, date),
+      getAdaptiveCalorieGoal(user.id),
+    ]);
+    setPlanEntries(entries);
+    setPlanGoal(goal);
+  };
+
+  // Auto templates are logged here; the rest come back as suggestions for today
+  const fetchDueTemplates = async () => {
+    if (!user?.id) return;
+    const { autoLogged, suggestions } = await runDueTemplates(user.id);
+    setTemplateSuggestions(suggestions);
+    if (autoLogged.length > 0) {
+      globalHomeCache.cachedData = null;
+      globalHomeCache.lastFetchTime = 0;
+      fetchFoodLogs(selectedDate);
+    }
+  };
+
+  const handleTemplateSuggestion = async (template, accepted) => {
+    setHandlingTemplateId(template.id);
+    try {
+      if (accepted) {
+        await logTemplate(template);
+        globalHomeCache.cachedData = null;
+        globalHomeCache.lastFetchTime = 0;
+        fetchFoodLogs(selectedDate);
+      } else {
+        await skipTemplateToday(template);
+      }
+      setTemplateSuggestions(prev => prev.filter(item => item.id !== template.id));
+    } catch (error) {
+      console.error("Error handling recurring meal:", error);
+      Alert.alert("Error", accepted ? "Could not log this meal." : "Could not skip this meal.");
+    } finally {
+      setHandlingTemplateId(null);
+    }
+  };
+
+  const handleMarkPlannedEaten = async (entry) => {
+    setMarkingEntryId(entry.id);
+    try {
+      await markPlanEntryEaten(entry);
+      setPlanEntries(prev => prev.map(item => (item.id === entry.id ? { ...item, status: "eaten" } : item)));
+      // The queue already updated the cache optimistically; refetch to pick up the synced row
+      globalHomeCache.cachedData = null;
+      globalHomeCache.lastFetchTime = 0;
+      fetchFoodLogs(selectedDate);
+    } catch (error) {
+      console.error("Error marking planned meal eaten:", error);
+      Alert.alert("Error", "Could not log this meal.");
+    } finally {
+      setMarkingEntryId(null);
+    }
+  };
+
   const calculateTotals = (logs) => {
     const newTotals = logs.reduce(
       (acc, log) => {
@@ -708,6 +781,7 @@ const HomeScreen = ({ navigation }) => {
         Alert.alert("You must be logged in to log food.");
         return;
       }
+      logData.meal_type = await resolveMealType(logData.user_id, mealType);
       await createFoodLog(logData);
       fetchFoodLogs(selectedDate);
       
@@ -1080,6 +1154,83 @@ const HomeScreen = ({ navigation }) => {
             </View>
           </View>
         </View>
+        {/* Planned vs actual for the selected day */}
+        {planEntries.length > 0 && (() => {
+          const projection = projectPlannedDay(planEntries, foodLogs, planGoal);
+          const isToday = selectedDate.toDateString() === new Date().toDateString();
+          return (
+            <View style={styles.planCard}>
+              <View style={styles.planHeaderRow}>
+                <Text style={styles.planTitle}>Meal Plan</Text>
+                <TouchableOpacity onPress={() => navigation.navigate("MealPlanScreen")}>
+                  <Text style={styles.planLink}>See week</Text>
+                </TouchableOpacity>
+              </View>
+              <Text style={styles.planSummary}>
+                {projection.eaten} eaten • {projection.planned} planned
+              </Text>
+              {projection.goal && (
+                <Text style={[styles.planProjection, { color: projection.status === "within" ? "#22C55E" : projection.status === "over" ? "#EF4444" : "#F59E0B" }]}>
+                  On track for {projection.projected} kcal (goal {projection.goal.min}–{projection.goal.max})
+                </Text>
+              )}
+              {planEntries.map(entry => (
+                <View key={entry.id} style={styles.planEntryRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.planEntrySlot}>{entry.meal_slot}</Text>
+                    <Text style={styles.planEntryName}>{entry.dish_name} • {Math.round(entry.calories)} kcal</Text>
+                  </View>
+                  {entry.status === "eaten" ? (
+                    <Ionicons name="checkmark-circle" size={24} color="#22C55E" />
+                  ) : isToday ? (
+                    <TouchableOpacity
+                      style={styles.planEatenBtn}
+                      onPress={() => handleMarkPlannedEaten(entry)}
+                      disabled={markingEntryId === entry.id}
+                    >
+                      <Text style={styles.planEatenText}>{markingEntryId === entry.id ? "Logging..." : "Mark eaten"}</Text>
+                    </TouchableOpacity>
+                  ) : null}
+                </View>
+              ))}
+            </View>
+          );
+        })()}
+
+        {/* Recurring meals due now, e.g. weekday breakfast */}
+        {templateSuggestions.length > 0 && selectedDate.toDateString() === new Date().toDateString() && (
+          <View style={styles.planCard}>
+            <View style={styles.planHeaderRow}>
+              <Text style={styles.planTitle}>Same as usual?</Text>
+              <TouchableOpacity onPress={() => navigation.navigate("MealTemplatesScreen")}>
+                <Text style={styles.planLink}>Manage</Text>
+              </TouchableOpacity>
+            </View>
+            {templateSuggestions.map(template => (
+              <View key={template.id} style={styles.planEntryRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.planEntrySlot}>{template.meal_slot}</Text>
+                  <Text style={styles.planEntryName}>{template.name} • {getTemplateCalories(template)} kcal</Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => handleTemplateSuggestion(template, false)}
+                  disabled={handlingTemplateId === template.id}
+                  style={{ marginRight: 12 }}
+                >
+                  <Text style={styles.templateSkipText}>Skip</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.planEatenBtn}
+                  onPress={() => handleTemplateSuggestion(template, true)}
+                  disabled={handlingTemplateId === template.id}
+                >
+                  <Text style={styles.planEatenText}>{handlingTemplateId === template.id ? "Logging..." : "Log it"}</Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Recent Meals Section */}
         <View
           style={{ marginHorizontal: 20, marginBottom: 30, paddingBottom: Math.max(80, (insets.bottom >= 20 ? insets.bottom + 16 : 16) + 60) }}
@@ -1094,6 +1245,11 @@ const HomeScreen = ({ navigation }) => {
             >
               Recent Meals
             </Text>
+            {!isSelectionMode && (
+              <TouchableOpacity onPress={() => navigation.navigate("CopyMealsScreen", { targetDate: selectedDate.toISOString() })}>
+                <Text style={styles.planLink}>Copy from another day</Text>
+              </TouchableOpacity>
+            )}
             {isSelectionMode && selectedMeals.size > 0 && (
               <TouchableOpacity
                 onPress={handleDeleteSelected}
@@ -1126,242 +1282,252 @@ const HomeScreen = ({ navigation }) => {
             </Text>
           ) : (
             <View style={{ gap: 12 }}>
-              {recentMeals.map((meal, i) => (
-                <TouchableOpacity
-                  key={meal.id || i}
-                  onPress={() => handleMealPress(meal.id, i)}
-                  onLongPress={() => handleMealLongPress(meal.id)}
-                  style={{
-                    backgroundColor: selectedMeals.has(meal.id) ? "#FFF3F3" : "#fff",
-                    borderRadius: 16,
-                    padding: 12,
-                    shadowColor: "#000",
-                    shadowOffset: { width: 0, height: 4 },
-                    shadowOpacity: 0.06,
-                    shadowRadius: 10,
-                    elevation: 4,
-                    transform: [{ scale: expandedMeal === i ? 1.02 : 1 }],
-                    borderWidth: selectedMeals.has(meal.id) ? 2 : 0,
-                    borderColor: selectedMeals.has(meal.id) ? "#FF3B30" : "transparent",
-                  }}
-                  activeOpacity={0.8}
-                >
-                  <View style={{ flexDirection: "row", alignItems: "center" }}>
-                    {/* Meal Image */}
-                    {meal.photo_url && meal.photo_url.startsWith('http') ? (
-                      <Image
-                        source={{ uri: meal.photo_url }}
-                        style={{
-                          width: 60,
-                          height: 60,
-                          borderRadius: 12,
-                          backgroundColor: "#F3F0FF",
-                        }}
-                      />
-                    ) : (
-                      <Image
-                        source={{
-                          uri: "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400&h=300&fit=crop",
-                        }}
-                        style={{
-                          width: 60,
-                          height: 60,
-                          borderRadius: 12,
-                          backgroundColor: "#F3F0FF",
-                        }}
-                        defaultSource={{
-                          uri: "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400&h=300&fit=crop",
-                        }}
-                      />
-                    )}
-
-                    {/* Meal Details */}
-                    <View style={{ flex: 1, marginLeft: 12 }}>
-                      <Text
-                        style={{
-                          fontFamily: "Lexend-SemiBold",
-                          fontSize: 16,
-                          color: "#181A20",
-                          marginBottom: 4,
-                        }}
-                        numberOfLines={1}
-                        ellipsizeMode="tail"
-                      >
-                        {meal.food_name || meal.meal_type || "Meal"}
-                      </Text>
-                      <Text
-                        style={{
-                          fontFamily: "Manrope-Regular",
-                          fontSize: 14,
-                          color: "#666",
-                        }}
-                      >
-                        {meal.calories ? `${meal.calories} kcal` : "-- kcal"}
-                      </Text>
+              {groupLogsBySlot(recentMeals, mealSlots).map(({ slot, logs, calories }) => (
+                <View key={slot.name} style={{ gap: 12 }}>
+                  {mealSlots.length > 0 && (
+                    <View style={styles.slotHeaderRow}>
+                      <Text style={styles.planEntrySlot}>{slot.name}</Text>
+                      <Text style={styles.slotCalories}>{calories} kcal</Text>
                     </View>
-
-                    {/* Selection indicator */}
-                    {isSelectionMode && (
-                      <View style={{ padding: 6 }}>
-                        <Ionicons
-                          name={selectedMeals.has(meal.id) ? "checkmark-circle" : "ellipse-outline"}
-                          size={24}
-                          color={selectedMeals.has(meal.id) ? "#FF3B30" : "#CCC"}
-                        />
-                      </View>
-                    )}
-                  </View>
-
-                  {/* Expanded Nutrition Details - Inside the same card */}
-                  {expandedMeal === i && (
-                    <View
+                  )}
+                  {logs.map((meal) => ({ meal, i: recentMeals.indexOf(meal) })).map(({ meal, i }) => (
+                    <TouchableOpacity
+                      key={meal.id || i}
+                      onPress={() => handleMealPress(meal.id, i)}
+                      onLongPress={() => handleMealLongPress(meal.id)}
                       style={{
-                        marginTop: 12,
-                        paddingTop: 12,
-                        borderTopWidth: 1,
-                        borderTopColor: "#F0F0F0",
+                        backgroundColor: selectedMeals.has(meal.id) ? "#FFF3F3" : "#fff",
+                        borderRadius: 16,
+                        padding: 12,
+                        shadowColor: "#000",
+                        shadowOffset: { width: 0, height: 4 },
+                        shadowOpacity: 0.06,
+                        shadowRadius: 10,
+                        elevation: 4,
+                        transform: [{ scale: expandedMeal === i ? 1.02 : 1 }],
+                        borderWidth: selectedMeals.has(meal.id) ? 2 : 0,
+                        borderColor: selectedMeals.has(meal.id) ? "#FF3B30" : "transparent",
                       }}
+                      activeOpacity={0.8}
                     >
-                      <Text
-                        style={{
-                          fontFamily: "Lexend-SemiBold",
-                          fontSize: 14,
-                          color: "#181A20",
-                          marginBottom: 8,
-                        }}
-                      >
-                        Nutrition Details
-                      </Text>
-                      <View
-                        style={{
-                          flexDirection: "row",
-                          justifyContent: "space-between",
-                          flexWrap: "wrap",
-                        }}
-                      >
-                        <View
-                          style={{
-                            alignItems: "center",
-                            backgroundColor: "#E6F7EC",
-                            borderRadius: 8,
-                            padding: 8,
-                            minWidth: "22%",
-                            marginBottom: 4,
-                          }}
-                        >
-                          <Text
+                      <View style={{ flexDirection: "row", alignItems: "center" }}>
+                        {/* Meal Image */}
+                        {meal.photo_url && meal.photo_url.startsWith('http') ? (
+                          <Image
+                            source={{ uri: meal.photo_url }}
                             style={{
-                              fontFamily: "Manrope-Bold",
-                              fontSize: 12,
-                              color: "#22C55E",
+                              width: 60,
+                              height: 60,
+                              borderRadius: 12,
+                              backgroundColor: "#F3F0FF",
                             }}
-                          >
-                            Protein
-                          </Text>
-                          <Text
-                            style={{
-                              fontFamily: "Lexend-SemiBold",
-                              fontSize: 14,
-                              color: "#22C55E",
+                          />
+                        ) : (
+                          <Image
+                            source={{
+                              uri: "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400&h=300&fit=crop",
                             }}
-                          >
-                            {meal.protein || 0}g
-                          </Text>
-                        </View>
-
-                        <View
-                          style={{
-                            alignItems: "center",
-                            backgroundColor: "#FFF2E2",
-                            borderRadius: 8,
-                            padding: 8,
-                            minWidth: "22%",
-                            marginBottom: 4,
-                          }}
-                        >
-                          <Text
                             style={{
-                              fontFamily: "Manrope-Bold",
-                              fontSize: 12,
-                              color: "#FF9100",
+                              width: 60,
+                              height: 60,
+                              borderRadius: 12,
+                              backgroundColor: "#F3F0FF",
                             }}
-                          >
-                            Carbs
-                          </Text>
-                          <Text
-                            style={{
-                              fontFamily: "Lexend-SemiBold",
-                              fontSize: 14,
-                              color: "#FF9100",
+                            defaultSource={{
+                              uri: "https://images.unsplash.com/photo-1546069901-ba9599a7e63c?w=400&h=300&fit=crop",
                             }}
-                          >
-                            {meal.carbs || 0}g
-                          </Text>
-                        </View>
-
-                        <View
-                          style={{
-                            alignItems: "center",
-                            backgroundColor: "#EEE8FF",
-                            borderRadius: 8,
-                            padding: 8,
-                            minWidth: "22%",
-                            marginBottom: 4,
-                          }}
-                        >
+                          />
+                        )}
+    
+                        {/* Meal Details */}
+                        <View style={{ flex: 1, marginLeft: 12 }}>
                           <Text
                             style={{
-                              fontFamily: "Manrope-Bold",
-                              fontSize: 12,
-                              color: "#A084E8",
+                              fontFamily: "Lexend-SemiBold",
+                              fontSize: 16,
+                              color: "#181A20",
+                              marginBottom: 4,
                             }}
+                            numberOfLines={1}
+                            ellipsizeMode="tail"
                           >
-                            Fat
+                            {meal.food_name || meal.meal_type || "Meal"}
                           </Text>
                           <Text
                             style={{
-                              fontFamily: "Lexend-SemiBold",
+                              fontFamily: "Manrope-Regular",
                               fontSize: 14,
-                              color: "#A084E8",
+                              color: "#666",
                             }}
                           >
-                            {meal.fat || 0}g
+                            {meal.calories ? `${meal.calories} kcal` : "-- kcal"}
                           </Text>
                         </View>
-
+    
+                        {/* Selection indicator */}
+                        {isSelectionMode && (
+                          <View style={{ padding: 6 }}>
+                            <Ionicons
+                              name={selectedMeals.has(meal.id) ? "checkmark-circle" : "ellipse-outline"}
+                              size={24}
+                              color={selectedMeals.has(meal.id) ? "#FF3B30" : "#CCC"}
+                            />
+                          </View>
+                        )}
+                      </View>
+    
+                      {/* Expanded Nutrition Details - Inside the same card */}
+                      {expandedMeal === i && (
                         <View
                           style={{
-                            alignItems: "center",
-                            backgroundColor: "#E8F5E8",
-                            borderRadius: 8,
-                            padding: 8,
-                            minWidth: "22%",
-                            marginBottom: 4,
+                            marginTop: 12,
+                            paddingTop: 12,
+                            borderTopWidth: 1,
+                            borderTopColor: "#F0F0F0",
                           }}
                         >
                           <Text
                             style={{
-                              fontFamily: "Manrope-Bold",
-                              fontSize: 12,
-                              color: "#28a745",
+                              fontFamily: "Lexend-SemiBold",
+                              fontSize: 14,
+                              color: "#181A20",
+                              marginBottom: 8,
                             }}
                           >
-                            Fiber
+                            Nutrition Details
                           </Text>
-                          <Text
+                          <View
                             style={{
-                              fontFamily: "Lexend-SemiBold",
-                              fontSize: 14,
-                              color: "#28a745",
+                              flexDirection: "row",
+                              justifyContent: "space-between",
+                              flexWrap: "wrap",
                             }}
                           >
-                            {meal.fiber || 0}g
-                          </Text>
+                            <View
+                              style={{
+                                alignItems: "center",
+                                backgroundColor: "#E6F7EC",
+                                borderRadius: 8,
+                                padding: 8,
+                                minWidth: "22%",
+                                marginBottom: 4,
+                              }}
+                            >
+                              <Text
+                                style={{
+                                  fontFamily: "Manrope-Bold",
+                                  fontSize: 12,
+                                  color: "#22C55E",
+                                }}
+                              >
+                                Protein
+                              </Text>
+                              <Text
+                                style={{
+                                  fontFamily: "Lexend-SemiBold",
+                                  fontSize: 14,
+                                  color: "#22C55E",
+                                }}
+                              >
+                                {meal.protein || 0}g
+                              </Text>
+                            </View>
+    
+                            <View
+                              style={{
+                                alignItems: "center",
+                                backgroundColor: "#FFF2E2",
+                                borderRadius: 8,
+                                padding: 8,
+                                minWidth: "22%",
+                                marginBottom: 4,
+                              }}
+                            >
+                              <Text
+                                style={{
+                                  fontFamily: "Manrope-Bold",
+                                  fontSize: 12,
+                                  color: "#FF9100",
+                                }}
+                              >
+                                Carbs
+                              </Text>
+                              <Text
+                                style={{
+                                  fontFamily: "Lexend-SemiBold",
+                                  fontSize: 14,
+                                  color: "#FF9100",
+                                }}
+                              >
+                                {meal.carbs || 0}g
+                              </Text>
+                            </View>
+    
+                            <View
+                              style={{
+                                alignItems: "center",
+                                backgroundColor: "#EEE8FF",
+                                borderRadius: 8,
+                                padding: 8,
+                                minWidth: "22%",
+                                marginBottom: 4,
+                              }}
+                            >
+                              <Text
+                                style={{
+                                  fontFamily: "Manrope-Bold",
+                                  fontSize: 12,
+                                  color: "#A084E8",
+                                }}
+                              >
+                                Fat
+                              </Text>
+                              <Text
+                                style={{
+                                  fontFamily: "Lexend-SemiBold",
+                                  fontSize: 14,
+                                  color: "#A084E8",
+                                }}
+                              >
+                                {meal.fat || 0}g
+                              </Text>
+                            </View>
+    
+                            <View
+                              style={{
+                                alignItems: "center",
+                                backgroundColor: "#E8F5E8",
+                                borderRadius: 8,
+                                padding: 8,
+                                minWidth: "22%",
+                                marginBottom: 4,
+                              }}
+                            >
+                              <Text
+                                style={{
+                                  fontFamily: "Manrope-Bold",
+                                  fontSize: 12,
+                                  color: "#28a745",
+                                }}
+                              >
+                                Fiber
+                              </Text>
+                              <Text
+                                style={{
+                                  fontFamily: "Lexend-SemiBold",
+                                  fontSize: 14,
+                                  color: "#28a745",
+                                }}
+                              >
+                                {meal.fiber || 0}g
+                              </Text>
+                            </View>
+                          </View>
                         </View>
-                      </View>
-                    </View>
-                  )}
-                </TouchableOpacity>
+                      )}
+                    </TouchableOpacity>
+                  ))}
+                </View>
               ))}
             </View>
           )}
@@ -1572,6 +1738,90 @@ const styles = StyleSheet.create({
     textAlign: "left",
   },
 
+  planCard: {
+    backgroundColor: "#fff",
+    borderRadius: 16,
+    padding: 16,
+    marginHorizontal: 20,
+    marginBottom: 20,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.06,
+    shadowRadius: 10,
+    elevation: 4,
+  },
+  planHeaderRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  planTitle: {
+    fontFamily: "Lexend-SemiBold",
+    fontSize: 18,
+    color: "#181A20",
+  },
+  planLink: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#7B61FF",
+  },
+  planSummary: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 4,
+  },
+  planProjection: {
+    fontSize: 13,
+    fontWeight: "600",
+    marginTop: 2,
+    marginBottom: 4,
+  },
+  planEntryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: "#f0f0f0",
+  },
+  planEntrySlot: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#7B61FF",
+    textTransform: "uppercase",
+  },
+  planEntryName: {
+    fontSize: 15,
+    color: "#222",
+    marginTop: 2,
+  },
+  planEatenBtn: {
+    backgroundColor: "#7B61FF",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  planEatenText: {
+    color: "#fff",
+    fontWeight: "600",
+    fontSize: 13,
+  },
+  slotHeaderRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  slotCalories: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#666",
+  },
+  templateSkipText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#888",
+  },
+
   mealSection: {
     backgroundColor: "#fff",
     marginHorizontal: 20,
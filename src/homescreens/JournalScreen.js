@@ -5,6 +5,7 @@ import React, { useEffect, useState } from 'react';
 import { ActivityIndicator, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import supabase from '../lib/supabase';
+import { getMealSlots, resolveLogSlot } from '../utils/mealSlots';
 
 const JournalScreen = () => {
   const navigation = useNavigation();
@@ -85,8 +86,9 @@ const JournalScreen = () => {
       }
 
       // Fetch all data for selected range
+      const slots = await getMealSlots(userId);
       const [mealsRange, cardioRange, routineRange, waterRange, sleepRange, weightRange] = await Promise.all([
-        fetchMealsRange(userId, rangeStartISO, rangeEndISO, rangeStartDateStr, rangeEndDateStr),
+        fetchMealsRange(userId, rangeStartISO, rangeEndISO, rangeStartDateStr, rangeEndDateStr, slots),
         fetchCardio(userId, rangeStartISO, rangeEndISO),
         fetchRoutineExercisesRange(userId, rangeStartDateStr, rangeEndDateStr),
         fetchWaterRange(userId, rangeStartDateStr, rangeEndDateStr),
@@ -107,6 +109,10 @@ const JournalScreen = () => {
       (sleepRange || []).forEach(s => { const b = ensureBucket(s._date); b.sleep.push(s); });
       (weightRange || []).forEach(w => { const b = ensureBucket(w._date); b.weight.push(w); });
 
+      // Meals read in the order their slots come up during the day, latest first within a slot
+      const slotOrder = new Map(slots.map((slot, index) => [slot.name, index]));
+      byDate.forEach(b => b.meals.sort((a, c) => (slotOrder.get(a._slot) ?? slots.length) - (slotOrder.get(c._slot) ?? slots.length)));
+
       // Deduplicate any accidental duplicate keys and sort desc
       const sortedDates = Array.from(new Set(byDate.keys())).sort((a,b) => (a < b ? 1 : -1));
       setTimelineDays(sortedDates.map(d => ({ dateLabel: d, entries: byDate.get(d) })));
@@ -143,7 +149,7 @@ const JournalScreen = () => {
     }
   };
 
-  const fetchMealsRange = async (userId, startISO, endISO, startDateStr, endDateStr) => {
+  const fetchMealsRange = async (userId, startISO, endISO, startDateStr, endDateStr, slots = []) => {
     try {
       const { data, error } = await supabase
         .from('user_food_logs')
@@ -157,11 +163,13 @@ const JournalScreen = () => {
           ? String(meal.date_time).slice(0, 10)
           : (meal.created_at ? meal.created_at.split('T')[0] : startDateStr);
         const timeStr = meal.created_at ? new Date(meal.created_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
+        const slot = resolveLogSlot(meal, slots);
         return {
           id: `meal-${meal.id}`,
           title: meal.food_name || 'Meal',
-          description: `${meal.meal_type || 'Meal'} - ${meal.calories || 0} calories`,
+          description: `${slot} - ${meal.calories || 0} calories`,
           type: 'meal',
+          _slot: slot,
           _date: dateOnly,
           _time: timeStr
         };
@@ -546,6 +554,9 @@ const JournalScreen = () => {
             <View style={styles.entryCard}>
               {filteredEntries.map((entry, idx) => (
                 <View key={entry.id} style={{ marginBottom: idx !== filteredEntries.length - 1 ? 12 : 0 }}>
+                  {entry._slot && entry._slot !== filteredEntries[idx - 1]?._slot ? (
+                    <Text style={styles.slotLabel}>{entry._slot}</Text>
+                  ) : null}
                   <Text style={styles.entryTitle}>{entry.title}</Text>
                   <View style={styles.mealMetaRow}>
                     {entry.description ? (
@@ -1006,6 +1017,13 @@ const styles = StyleSheet.create({
     marginLeft: 12,
     fontFamily: 'Manrope-Regular',
   },
+  slotLabel: {
+    fontSize: 11,
+    fontWeight: '600',
+    color: '#7B61FF',
+    textTransform: 'uppercase',
+    marginBottom: 4,
+  },
   mealMetaRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -1,7 +1,7 @@
 import { Ionicons, MaterialCommunityIcons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
-import React, { useContext, useEffect, useState } from 'react';
+import React, { useContext, useEffect, useRef, useState } from 'react';
 import { Alert, BackHandler, Modal, Platform, ScrollView, StyleSheet, Text, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { KalryAlgorithmManager } from '../algorithms/KalryAlgorithmManager';
@@ -9,7 +9,9 @@ import { DailyCheckInModal } from '../components/DailyCheckInModal';
 import { OnboardingContext } from '../context/OnboardingContext';
 import supabase from '../lib/supabase';
 import { deleteFoodLog, getFoodLogs } from '../utils/api';
-import { getMainDashboardCache, invalidateMainDashboardCache, updateMainDashboardCacheOptimistic } from '../utils/cacheManager';
+import { getMainDashboardCache, invalidateHomeScreenCache, invalidateMainDashboardCache, updateMainDashboardCacheOptimistic } from '../utils/cacheManager';
+import { CONFLICT_PROMPTS, saveWithConflictPrompt, updateIfUnchanged } from '../utils/editConflicts';
+import { getQueuedFoodLogs, subscribeToFoodLogQueue } from '../utils/foodLogQueue';
 import useTodaySteps from '../utils/useTodaySteps';
 import RecentMeals from './RecentMeals';
 
@@ -277,6 +279,7 @@ const MainDashboardScreen = ({ route }) => {
 
   // State for real food log data - Initialize with cached data if available (Instagram pattern)
   const [calories, setCalories] = useState(() => globalCache.cachedData?.calories || 0);
+  const [pendingLogCount, setPendingLogCount] = useState(0);
   const [mealsLogged, setMealsLogged] = useState(() => globalCache.cachedData?.mealsLogged || 0);
   const [lastSleepDuration, setLastSleepDuration] = useState('--');
   const [recentMeals, setRecentMeals] = useState(() => globalCache.cachedData?.recentMeals || []);
@@ -299,6 +302,14 @@ const MainDashboardScreen = ({ route }) => {
     getUser();
   }, []);
 
+  // Meals logged offline that haven't synced yet
+  useFocusEffect(
+    React.useCallback(() => {
+      getQueuedFoodLogs().then(queue => setPendingLogCount(queue.length));
+      return subscribeToFoodLogQueue(queue => setPendingLogCount(queue.length));
+    }, [])
+  );
+
   useFocusEffect(
     React.useCallback(() => {
       // Fetch latest sleep log
@@ -482,6 +493,16 @@ const MainDashboardScreen = ({ route }) => {
     }
   };
 
+  // A meal's totals changed after an ingredient was corrected in RecentMeals
+  const handleMealUpdated = (updatedMeal) => {
+    const previous = recentMeals.find(meal => meal.id === updatedMeal.id);
+    setRecentMeals(recentMeals.map(meal => (meal.id === updatedMeal.id ? { ...meal, ...updatedMeal } : meal)));
+    setCalories(prev => prev - (previous?.calories || 0) + (updatedMeal.calories || 0));
+    // Other screens hold the old totals
+    invalidateMainDashboardCache();
+    invalidateHomeScreenCache();
+  };
+
   // Helper to normalize date string (handles 'YYYY-MM-DD' and 'YYYY-MM-DDTHH:MM:SSZ')
   function getDateOnly(str) {
     return str ? str.slice(0, 10) : '';
@@ -627,6 +648,8 @@ const MainDashboardScreen = ({ route }) => {
   const [intake2, setIntake2] = useState(() => globalCache.cachedHydrationData?.intake2 || 500);
   const [hydrationLoading, setHydrationLoading] = useState(() => !globalCache.cachedHydrationData);
   const [hydrationRecordId, setHydrationRecordId] = useState(() => globalCache.cachedHydrationData?.hydrationRecordId || null);
+  // updated_at of today's hydration record as this device last saw it
+  const hydrationVersionRef = useRef(globalCache.cachedHydrationData?.hydrationUpdatedAt || null);
 
   useFocusEffect(
     React.useCallback(() => {
@@ -641,6 +664,7 @@ const MainDashboardScreen = ({ route }) => {
         setIntake1(globalCache.cachedHydrationData.intake1);
         setIntake2(globalCache.cachedHydrationData.intake2);
         setHydrationRecordId(globalCache.cachedHydrationData.hydrationRecordId);
+        hydrationVersionRef.current = globalCache.cachedHydrationData.hydrationUpdatedAt || null;
         setHydrationLoading(false);
         return; // Use cached data
       }
@@ -660,6 +684,7 @@ const MainDashboardScreen = ({ route }) => {
         setIntake1(data.intake1_ml || 250);
         setIntake2(data.intake2_ml || 500);
           setHydrationRecordId(data.id);
+          hydrationVersionRef.current = data.updated_at;
         } else {
           await createTodayHydrationRecord(realUserId, today);
           setCurrentIntake(0);
@@ -676,6 +701,7 @@ const MainDashboardScreen = ({ route }) => {
           intake1: data?.intake1_ml || 250,
           intake2: data?.intake2_ml || 500,
           hydrationRecordId: data?.id || null,
+          hydrationUpdatedAt: data?.updated_at || null,
         };
         
         // Update cache timestamp
@@ -689,6 +715,7 @@ const MainDashboardScreen = ({ route }) => {
   useEffect(() => {
     if (realUserId && onboardingData) {
       const userProfile = {
+        id: realUserId,
         weight: onboardingData.weight || 70,
         height: onboardingData.height || 170,
         age: onboardingData.age || 25,
@@ -927,6 +954,7 @@ const MainDashboardScreen = ({ route }) => {
 
       if (error) throw error;
       setHydrationRecordId(data.id);
+      hydrationVersionRef.current = data.updated_at;
     } catch (error) {
       // Silent
     }
@@ -949,17 +977,24 @@ const MainDashboardScreen = ({ route }) => {
     }
     
     try {
-      // Update by record ID (same as HydrationTrackerScreen)
-      const { error } = await supabase
-      .from('daily_water_intake')
-        .update({
+      // Update by record ID (same as HydrationTrackerScreen); asks the user if another device changed it
+      const saved = await saveWithConflictPrompt(
+        (expectedUpdatedAt) => updateIfUnchanged('daily_water_intake', { id: hydrationRecordId }, {
           current_intake_ml: Math.round(newIntake * 1000), // Convert L to ml for database
           goal_status: newIntake >= dailyGoal ? 'achieved' : 'not achieved',
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', hydrationRecordId);
+        }, expectedUpdatedAt),
+        hydrationVersionRef.current,
+        CONFLICT_PROMPTS.hydration
+      );
+      hydrationVersionRef.current = saved.updated_at;
 
-      if (error) throw error;
+      // The user may have kept the other device's value
+      const savedIntake = saved.current_intake_ml / 1000;
+      setCurrentIntake(savedIntake);
+      if (globalCache.cachedHydrationData) {
+        globalCache.cachedHydrationData.currentIntake = savedIntake;
+        globalCache.cachedHydrationData.hydrationUpdatedAt = saved.updated_at;
+      }
     } catch (error) {
       // Silent - but could rollback optimistic update here if needed
     }
@@ -1348,8 +1383,22 @@ const MainDashboardScreen = ({ route }) => {
 
 
         </View>
+        {pendingLogCount > 0 && (
+          <TouchableOpacity style={styles.pendingLogsBanner} onPress={() => navigation.navigate('PendingFoodLogsScreen')}>
+            <Ionicons name="cloud-upload-outline" size={18} color="#B45309" />
+            <Text style={styles.pendingLogsText}>
+              {pendingLogCount} {pendingLogCount === 1 ? 'meal is' : 'meals are'} waiting to sync
+            </Text>
+            <Ionicons name="chevron-forward" size={16} color="#B45309" />
+          </TouchableOpacity>
+        )}
         {/* Recent Meals Section */}
-        <RecentMeals recentMeals={recentMeals} handleDeleteMeal={handleDeleteMeal} />
+        <RecentMeals
+          recentMeals={recentMeals}
+          handleDeleteMeal={handleDeleteMeal}
+          onMealUpdated={handleMealUpdated}
+          onCopyMeals={() => navigation.navigate('CopyMealsScreen')}
+        />
 
       </ScrollView>
       <FooterBar navigation={navigation} activeTab="Home" />
@@ -1359,6 +1408,17 @@ const MainDashboardScreen = ({ route }) => {
 
 const styles = StyleSheet.create({
   scrollContent: { paddingBottom: 32 },
+  pendingLogsBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 14,
+    marginHorizontal: 20,
+    marginBottom: 16,
+    paddingVertical: 10,
+    paddingHorizontal: 14,
+  },
+  pendingLogsText: { flex: 1, marginLeft: 8, fontFamily: 'Manrope-Bold', fontSize: 14, color: '#B45309' },
   greetingCard: {
     backgroundColor: '#EAF3FF',
     borderRadius: 18,
@@ -1,7 +1,8 @@
 import { Ionicons } from '@expo/vector-icons';
 import React, { useEffect, useState } from 'react';
-import { Image, Text, TouchableOpacity, View } from 'react-native';
+import { ActivityIndicator, Alert, Image, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import supabase from '../lib/supabase';
+import { getFoodLogIngredients, updateFoodLogIngredientQuantity } from '../utils/foodLogIngredients';
 
 const macroPills = [
   {
@@ -34,10 +35,12 @@ const macroPills = [
   },
 ];
 
-const RecentMeals = ({ recentMeals = [], handleDeleteMeal }) => {
+const RecentMeals = ({ recentMeals = [], handleDeleteMeal, onMealUpdated, onCopyMeals }) => {
   const [menuOpen, setMenuOpen] = useState(null);
   const [expandedMeal, setExpandedMeal] = useState(null);
   const [processedMeals, setProcessedMeals] = useState([]);
+  const [ingredientsByMeal, setIngredientsByMeal] = useState({});
+  const [loadingIngredients, setLoadingIngredients] = useState(false);
 
   // Process meals to generate signed URLs for images
   useEffect(() => {
@@ -76,16 +79,49 @@ const RecentMeals = ({ recentMeals = [], handleDeleteMeal }) => {
     processMeals();
   }, [recentMeals]);
 
-  const handleMealPress = (index) => {
+  const handleMealPress = async (index) => {
     console.log('Meal pressed:', index, 'Current expanded:', expandedMeal);
-    setExpandedMeal(expandedMeal === index ? null : index);
+    const expanding = expandedMeal !== index;
+    setExpandedMeal(expanding ? index : null);
+
+    // Load the ingredient breakdown the first time a meal is opened
+    const meal = processedMeals[index];
+    if (!expanding || !meal?.id || ingredientsByMeal[meal.id]) return;
+    setLoadingIngredients(true);
+    const rows = await getFoodLogIngredients(meal.id);
+    setIngredientsByMeal(prev => ({ ...prev, [meal.id]: rows }));
+    setLoadingIngredients(false);
+  };
+
+  // Correct one ingredient's amount; the meal totals follow
+  const handleIngredientQuantityChange = async (meal, ingredient, quantity) => {
+    const trimmed = quantity.trim();
+    if (!trimmed || trimmed === ingredient.quantity) return;
+    try {
+      const { ingredient: saved, foodLog } = await updateFoodLogIngredientQuantity(meal, ingredient, trimmed);
+      setIngredientsByMeal(prev => ({
+        ...prev,
+        [meal.id]: prev[meal.id].map(item => (item.id === saved.id ? saved : item)),
+      }));
+      if (onMealUpdated) onMealUpdated(foodLog);
+    } catch (error) {
+      console.error('Error updating ingredient:', error);
+      Alert.alert('Error', 'Failed to update ingredient.');
+    }
   };
 
   return (
     <View style={{ marginHorizontal: 20, marginBottom: 100 }}>
-      <Text style={{ fontFamily: 'Lexend-SemiBold', fontSize: 20, color: '#181A20', marginBottom: 18 }}>
-        Recent Meals
-      </Text>
+      <View style={{ flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 18 }}>
+        <Text style={{ fontFamily: 'Lexend-SemiBold', fontSize: 20, color: '#181A20' }}>
+          Recent Meals
+        </Text>
+        {onCopyMeals && (
+          <TouchableOpacity onPress={onCopyMeals}>
+            <Text style={{ fontFamily: 'Manrope-Bold', fontSize: 14, color: '#7B61FF' }}>Copy from another day</Text>
+          </TouchableOpacity>
+        )}
+      </View>
       {processedMeals.length === 0 ? (
         <Text style={{ fontFamily: 'Manrope-Regular', fontSize: 15, color: '#888', marginLeft: 10, marginTop: 10 }}>
           No meals logged yet today.
@@ -191,8 +227,36 @@ const RecentMeals = ({ recentMeals = [], handleDeleteMeal }) => {
                   </View>
                 </View>
               </View>
-              
-              
+
+              {/* Ingredient breakdown, editable per item */}
+              {expandedMeal === i && (
+                <View style={{ marginTop: 14, borderTopWidth: 1, borderTopColor: '#F3F0FF', paddingTop: 12 }}>
+                  {loadingIngredients && !ingredientsByMeal[meal.id] ? (
+                    <ActivityIndicator size="small" color="#7B61FF" />
+                  ) : (ingredientsByMeal[meal.id] || []).length === 0 ? (
+                    <Text style={{ fontFamily: 'Manrope-Regular', fontSize: 13, color: '#888' }}>
+                      No ingredient breakdown for this meal.
+                    </Text>
+                  ) : (
+                    ingredientsByMeal[meal.id].map((ingredient) => (
+                      <View key={ingredient.id} style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 8 }}>
+                        <Text style={{ fontFamily: 'Manrope-Bold', fontSize: 14, color: '#181A20', flex: 1 }} numberOfLines={1}>
+                          {ingredient.name}
+                        </Text>
+                        <TextInput
+                          defaultValue={ingredient.quantity || ''}
+                          placeholder="Amount"
+                          onEndEditing={(e) => handleIngredientQuantityChange(meal, ingredient, e.nativeEvent.text)}
+                          style={{ fontFamily: 'Manrope-Regular', fontSize: 13, color: '#181A20', backgroundColor: '#F8FAFC', borderWidth: 1, borderColor: '#E2E8F0', borderRadius: 8, paddingHorizontal: 8, paddingVertical: 4, minWidth: 80, marginHorizontal: 8 }}
+                        />
+                        <Text style={{ fontFamily: 'Manrope-Regular', fontSize: 13, color: '#888', width: 64, textAlign: 'right' }}>
+                          {Math.round(ingredient.calories || 0)} kcal
+                        </Text>
+                      </View>
+                    ))
+                  )}
+                </View>
+              )}
             </TouchableOpacity>
           );
         })
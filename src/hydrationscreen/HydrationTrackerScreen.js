@@ -2,12 +2,13 @@
 
 import { Ionicons } from '@expo/vector-icons';
 import { useNavigation } from '@react-navigation/native';
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Alert, Animated, Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import Icon from 'react-native-vector-icons/Feather';
 import { ContextualPersonalizationEngine } from '../algorithms/ContextualPersonalizationEngine';
 import supabase from '../lib/supabase';
+import { CONFLICT_PROMPTS, EditConflictError, saveWithConflictPrompt, updateIfUnchanged, upsertIfUnchanged } from '../utils/editConflicts';
 import { getResponsiveFontSize, getResponsivePadding } from '../utils/responsive';
 
 // Global cache for HydrationTrackerScreen (Instagram pattern)
@@ -35,6 +36,8 @@ const HydrationTrackerScreen = () => {
   const [intakeInput2, setIntakeInput2] = useState('500');
   const [userId, setUserId] = useState(null);
   const [recordId, setRecordId] = useState(() => globalHydrationCache.cachedData?.recordId || null);
+  // updated_at of today's record as this device last saw it
+  const recordVersionRef = useRef(globalHydrationCache.cachedData?.recordUpdatedAt || null);
   // Weekly data state
   const [weeklyIntakeData, setWeeklyIntakeData] = useState(() => globalHydrationCache.cachedData?.weeklyIntakeData || {});
   // New state for tracking intake values per day
@@ -395,6 +398,7 @@ const HydrationTrackerScreen = () => {
         setDailyGoal(goalValue);
         setDefaultGoal(goalValue); // Set default goal to today's goal
         setRecordId(data.id);
+        recordVersionRef.current = data.updated_at;
         setIntake1(intake1Value);
         setIntake2(intake2Value);
         
@@ -407,6 +411,7 @@ const HydrationTrackerScreen = () => {
           intake1: intake1Value,
           intake2: intake2Value,
           recordId: data.id,
+          recordUpdatedAt: data.updated_at,
         };
         globalHydrationCache.lastFetchTime = Date.now();
         
@@ -435,29 +440,25 @@ const HydrationTrackerScreen = () => {
       // First, clean up any existing duplicate records for today
       await cleanupDuplicateRecords(userId, today);
       
-      // Use upsert to prevent duplicates - this will insert if not exists, update if exists
-      const { data, error } = await supabase
-        .from('daily_water_intake')
-        .upsert({
-          user_id: userId,
-          date: today,
+      // Insert only: if another device already created today's record, use that one instead of resetting it
+      let data;
+      try {
+        data = await upsertIfUnchanged('daily_water_intake', { user_id: userId, date: today }, {
           current_intake_ml: 0,
           daily_goal_ml: defaultGoal * 1000, // Use persistent default goal instead of dailyGoal
           intake1_ml: intake1,
           intake2_ml: intake2,
           goal_status: 'not achieved',
-          updated_at: new Date().toISOString()
-        }, {
-          onConflict: 'user_id,date' // This will prevent duplicates
-        })
-        .select()
-        .single();
-
-      if (error) throw error;
+        }, null);
+      } catch (error) {
+        if (!(error instanceof EditConflictError)) throw error;
+        data = error.current;
+      }
 
       setRecordId(data.id);
-      setCurrentIntake(0);
-      setDailyGoal(defaultGoal); // Set today's goal to the default goal
+      recordVersionRef.current = data.updated_at;
+      setCurrentIntake(data.current_intake_ml / 1000);
+      setDailyGoal(data.daily_goal_ml / 1000);
     } catch (error) {
       console.error('Error creating today record:', error);
       Alert.alert('Error', 'Failed to create today\'s record');
@@ -493,25 +494,39 @@ const HydrationTrackerScreen = () => {
     }
   };
 
+  // All writes to today's record go through here, so an edit made on another device
+  // is never silently overwritten. Returns the record as saved.
+  const saveTodayRecord = async (changes) => {
+    const saved = await saveWithConflictPrompt(
+      (expectedUpdatedAt) => updateIfUnchanged('daily_water_intake', { id: recordId }, changes, expectedUpdatedAt),
+      recordVersionRef.current,
+      CONFLICT_PROMPTS.hydration
+    );
+    recordVersionRef.current = saved.updated_at;
+    globalHydrationCache.cachedData = {
+      ...globalHydrationCache.cachedData,
+      currentIntake: saved.current_intake_ml / 1000,
+      dailyGoal: saved.daily_goal_ml / 1000,
+      recordUpdatedAt: saved.updated_at,
+    };
+    return saved;
+  };
+
   const updateWaterIntake = async (newIntakeL) => {
     if (!recordId || !userId) return;
 
     try {
       const newIntakeMl = Math.round(newIntakeL * 1000); // Convert L to ml
       
-      const { error } = await supabase
-        .from('daily_water_intake')
-        .update({
-          current_intake_ml: newIntakeMl,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', recordId);
-
-      if (error) throw error;
+      const saved = await saveTodayRecord({ current_intake_ml: newIntakeMl });
+      const savedIntakeL = saved.current_intake_ml / 1000;
+      // The user may have kept the other device's value
+      setCurrentIntake(savedIntakeL);
+      setDailyGoal(saved.daily_goal_ml / 1000);
 
       // Update weekly data for today
       const updatedWeeklyData = { ...weeklyIntakeData };
-      updatedWeeklyData[todayIndex] = newIntakeL;
+      updatedWeeklyData[todayIndex] = savedIntakeL;
       setWeeklyIntakeData(updatedWeeklyData);
 
     } catch (error) {
@@ -524,16 +539,7 @@ const HydrationTrackerScreen = () => {
     if (!recordId) return;
 
     try {
-      const { error } = await supabase
-        .from('daily_water_intake')
-        .update({
-          goal_status: status,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', recordId);
-
-      if (error) throw error;
-
+      await saveTodayRecord({ goal_status: status });
     } catch (error) {
       console.error('Error updating goal status:', error);
     }
@@ -553,20 +559,14 @@ const HydrationTrackerScreen = () => {
     try {
       const newGoalMl = Math.round(newGoalL * 1000); // Convert L to ml
       
-      const { error } = await supabase
-        .from('daily_water_intake')
-        .update({
-          daily_goal_ml: newGoalMl,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', recordId);
-
-      if (error) throw error;
+      const saved = await saveTodayRecord({ daily_goal_ml: newGoalMl });
+      const savedGoalL = saved.daily_goal_ml / 1000;
+      setDailyGoal(savedGoalL);
 
       // Update the weeklyGoals state for today's index
       setWeeklyGoals(prev => ({
         ...prev,
-        [todayIndex]: newGoalL
+        [todayIndex]: savedGoalL
       }));
 
     } catch (error) {
@@ -784,16 +784,7 @@ const HydrationTrackerScreen = () => {
       // Update the database with new intake values
       if (recordId) {
         try {
-          const { error } = await supabase
-            .from('daily_water_intake')
-            .update({
-              intake1_ml: val1,
-              intake2_ml: val2,
-              updated_at: new Date().toISOString()
-            })
-            .eq('id', recordId);
-
-          if (error) throw error;
+          await saveTodayRecord({ intake1_ml: val1, intake2_ml: val2 });
         } catch (error) {
           console.error('Error updating intake values:', error);
           Alert.alert('Error', 'Failed to update intake values');
@@ -0,0 +1,136 @@
+import { Ionicons } from '@expo/vector-icons';
+import React, { useEffect, useState } from 'react';
+import { ActivityIndicator, Alert, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
+import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
+import supabase from '../lib/supabase';
+import { formatSlotTime, getMealSlots, parseSlotTime, saveCustomSlots, toSlotTime } from '../utils/mealSlots';
+
+// The user's meal times: the standard slots as learned from their logs, and their own slots like "Pre-workout"
+const MealSlotsScreen = ({ navigation }) => {
+  const insets = useSafeAreaInsets();
+  const [userId, setUserId] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+
+  useEffect(() => {
+    const loadSlots = async () => {
+      const { data: { session } } = await supabase.auth.getSession();
+      setUserId(session?.user?.id);
+      setSlots(await getMealSlots(session?.user?.id));
+      setLoading(false);
+    };
+    loadSlots();
+  }, []);
+
+  const saveCustom = async (customSlots) => {
+    setSaving(true);
+    try {
+      await saveCustomSlots(userId, customSlots.map(slot => ({ name: slot.name, start: toSlotTime(slot.start), end: toSlotTime(slot.end) })));
+      setSlots(await getMealSlots(userId));
+      return true;
+    } catch (error) {
+      console.error('Error saving meal slots:', error);
+      Alert.alert('Error', 'Could not save your meal times.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    const trimmed = name.trim();
+    const startMinutes = parseSlotTime(start);
+    const endMinutes = parseSlotTime(end);
+    if (!trimmed) {
+      Alert.alert('Name needed', 'Give the meal a name, like Pre-workout.');
+      return;
+    }
+    if (slots.some(slot => slot.name.toLowerCase() === trimmed.toLowerCase())) {
+      Alert.alert('Already there', `You already have a meal called ${trimmed}.`);
+      return;
+    }
+    if (startMinutes === null || endMinutes === null) {
+      Alert.alert('Check the times', 'Enter the start and end as 24-hour times, like 17:00.');
+      return;
+    }
+    const custom = slots.filter(slot => slot.custom);
+    if (await saveCustom([...custom, { name: trimmed, start: startMinutes, end: endMinutes }])) {
+      setName('');
+      setStart('');
+      setEnd('');
+    }
+  };
+
+  const handleDelete = (slot) => {
+    Alert.alert('Remove meal?', `${slot.name} won't be suggested anymore. Meals already filed under it stay.`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => saveCustom(slots.filter(item => item.custom && item.name !== slot.name)) },
+    ]);
+  };
+
+  return (
+    <SafeAreaView style={{ flex: 1, backgroundColor: '#fff' }} edges={['top']}>
+      <View style={styles.headerRow}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={{ marginRight: 12 }}>
+          <Ionicons name="chevron-back" size={24} color="black" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Meal Times</Text>
+        <View style={{ width: 36 }} />
+      </View>
+      {loading ? (
+        <ActivityIndicator style={{ marginTop: 40 }} size="large" color="#7B61FF" />
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 20, paddingBottom: insets.bottom + 32 }} keyboardShouldPersistTaps="handled">
+          <Text style={styles.hint}>New entries are filed under the meal that fits the time you log them. You can always pick another one.</Text>
+          {slots.map(slot => (
+            <View key={slot.name} style={styles.slotRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.slotName}>{slot.name}</Text>
+                <Text style={styles.slotTime}>
+                  {formatSlotTime(slot.start)} - {formatSlotTime(slot.end)}
+                  {slot.learned ? ' • from your logs' : ''}
+                </Text>
+              </View>
+              {slot.custom && (
+                <TouchableOpacity onPress={() => handleDelete(slot)} disabled={saving}>
+                  <Ionicons name="trash-outline" size={20} color="#FF3B30" />
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          <Text style={styles.sectionTitle}>Add your own</Text>
+          <TextInput style={styles.input} placeholder="Name, e.g. Pre-workout" value={name} onChangeText={setName} />
+          <View style={styles.timeRow}>
+            <TextInput style={[styles.input, styles.timeInput]} placeholder="From (17:00)" value={start} onChangeText={setStart} keyboardType="numbers-and-punctuation" />
+            <TextInput style={[styles.input, styles.timeInput]} placeholder="To (18:00)" value={end} onChangeText={setEnd} keyboardType="numbers-and-punctuation" />
+          </View>
+          <TouchableOpacity style={styles.addBtn} onPress={handleAdd} disabled={saving}>
+            {saving ? <ActivityIndicator color="#fff" /> : <Text style={styles.addBtnText}>Add meal</Text>}
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  headerRow: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingTop: 12, paddingBottom: 8, paddingHorizontal: 20, backgroundColor: '#fff' },
+  headerTitle: { fontSize: 26, fontWeight: 'bold', color: '#181A20', flex: 1, textAlign: 'center' },
+  hint: { fontSize: 14, color: '#888', marginBottom: 16 },
+  slotRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 12, borderBottomWidth: 1, borderBottomColor: '#f0f0f0' },
+  slotName: { fontSize: 16, fontWeight: '600', color: '#181A20' },
+  slotTime: { fontSize: 14, color: '#7B61FF', marginTop: 2 },
+  sectionTitle: { fontSize: 18, fontWeight: 'bold', color: '#181A20', marginTop: 28, marginBottom: 12 },
+  input: { backgroundColor: '#F3F4F6', borderRadius: 12, paddingHorizontal: 14, paddingVertical: 12, fontSize: 16, marginBottom: 10 },
+  timeRow: { flexDirection: 'row', justifyContent: 'space-between' },
+  timeInput: { width: '48%' },
+  addBtn: { backgroundColor: '#7B61FF', borderRadius: 14, paddingVertical: 14, alignItems: 'center', marginTop: 6 },
+  addBtnText: { color: '#fff', fontWeight: 'bold', fontSize: 16 },
+});
+
+export default MealSlotsScreen;
@@ -343,6 +343,17 @@ const PreferencesScreen = () => {
           </View>
         </View>
 
+        {/* Meal Times Section */}
+        <TouchableOpacity style={styles.card} onPress={() => navigation.navigate('MealSlotsScreen')}>
+          <View style={styles.reminderRow}>
+            <View style={styles.reminderInfo}>
+              <Text style={styles.reminderLabel}>Meal Times</Text>
+              <Text style={styles.reminderText}>When you usually eat, and meals of your own like Pre-workout</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color="#999" />
+          </View>
+        </TouchableOpacity>
+
         {/* Workout Reminders Section */}
         <View style={styles.card}>
           <Text style={styles.cardTitle}>Workout Reminders</Text>
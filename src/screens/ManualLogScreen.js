@@ -1,11 +1,16 @@
 import { Ionicons } from '@expo/vector-icons';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import Constants from 'expo-constants';
 import React, { useEffect, useRef, useState } from 'react';
 import { Alert, Animated, Modal, ScrollView, StyleSheet, Text, TextInput, TouchableOpacity, View } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import supabase from '../lib/supabase';
+import { analyzeFood } from '../utils/api';
+import { resolveFoodItem, resolveFoodItems, searchFoods } from '../utils/foodDatabase';
+import { normalizeIngredients, sumIngredients } from '../utils/foodLogIngredients';
+import { enqueueFoodLog } from '../utils/foodLogQueue';
+import { resolveMealType } from '../utils/mealSlots';
+import { describeFoodAnalysisError, parseFoodAnalysis } from '../utils/foodAnalysisParser';
+import { readMicronutrients } from '../utils/micronutrients';
 
 const ManualLogScreen = ({ route, navigation }) => {
   const { mealType } = route.params;
@@ -33,10 +38,6 @@ const ManualLogScreen = ({ route, navigation }) => {
     { label: 'Bottle', value: 'bottle', icon: 'wine-outline' },
   ];
 
-  // Use environment variables directly (from eas.json in production)
-  const apiKey = process.env.EXPO_PUBLIC_GEMINI_API_KEY || Constants.expoConfig?.extra?.EXPO_PUBLIC_GEMINI_API_KEY;
-  const genAI = new GoogleGenerativeAI(apiKey);
-
   const handleTextToCalorie = async () => {
     if (!foodQuery.trim()) {
       Alert.alert("Input Required", "Please enter a food description.");
@@ -45,51 +46,12 @@ const ManualLogScreen = ({ route, navigation }) => {
     setIsLoading(true);
     setAnalysis(null);
     try {
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      const prompt = `
-        Analyze the food described in this text: "${foodQuery}".
-        Your response MUST be a valid JSON object and nothing else.
-        Do not include markdown formatting.
-        The JSON object should have the following structure:
-        {
-          "dish_name": "A concise and appealing name for the dish",
-          "description": "A one-sentence savory description of the dish.",
-          "total_nutrition": { "calories": <number>, "protein": <number>, "fat": <number>, "carbs": <number>, "fiber": <number> },
-          "ingredients": [ { "name": "EXACT_QUANTITY + ingredient name", "calories": <number> } ]
-        }
-        
-        CRITICAL INSTRUCTIONS:
-        1. The quantities provided (like "200g", "1 cup", "2 slices") are EXACT and must be used for calculations
-        2. DO NOT convert to standard serving sizes - use the quantities as provided
-        3. Calculate nutrition values proportionally based on the exact quantities:
-           - If "200g black beans" is provided, and 100g typically has 20g carbs, then 200g = 40g carbs
-           - If "1.5 cups rice" is provided, and 1 cup typically has 200 calories, then 1.5 cups = 300 calories
-        4. Preserve the exact quantities in ingredient names (e.g., "200g black beans", not "1 black beans")
-        
-        IMPORTANT: Provide realistic fiber values based on the food type:
-        - Fruits and vegetables: 2-8g fiber per serving
-        - Whole grains and breads: 2-4g fiber per serving  
-        - Legumes and beans: 5-15g fiber per serving
-        - Nuts and seeds: 2-6g fiber per serving
-        - Processed foods: 0-2g fiber per serving
-        
-        EXAMPLE: If user enters "200g black beans", calculate nutrition for exactly 200g, not for a standard serving size.
-      `;
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-        setAnalysis(data);
-      } else {
-        throw new Error('Invalid JSON format from API.');
-      }
+      const data = await analyzeFood({ type: 'text', text: foodQuery });
+      setAnalysis(data);
     } catch (error) {
       console.error("Error analyzing text:", error);
-      Alert.alert("AI Error", "Could not analyze the text. " + error.message);
+      const { title, message } = describeFoodAnalysisError(error);
+      Alert.alert(title, message);
     } finally {
       setIsLoading(false);
     }
@@ -98,7 +60,9 @@ const ManualLogScreen = ({ route, navigation }) => {
   const handleConfirm = async () => {
     if (!analysis) return;
     try {
-      const { data: { user } } = await supabase.auth.getUser();
+      // getSession reads the stored session, so this works offline
+      const { data: { session } } = await supabase.auth.getSession();
+      const user = session?.user;
       if (!user) throw new Error('User not logged in');
       const { total_nutrition, dish_name } = analysis;
       const logData = {
@@ -110,22 +74,20 @@ const ManualLogScreen = ({ route, navigation }) => {
         protein: total_nutrition.protein,
         fat: total_nutrition.fat,
         fiber: total_nutrition.fiber || 0,
-        sugar: null,
-        sodium: null,
+        ...readMicronutrients(total_nutrition),
         date_time: new Date().toISOString().split('T')[0],
-        meal_type: mealType,
+        meal_type: await resolveMealType(user.id, mealType),
         notes: "",
         created_at: new Date().toISOString(),
       };
-      const { error } = await supabase.from('user_food_logs').insert([logData]);
-      if (error) throw error;
-
-      // Optimistic cache update (Instagram pattern)
-      const { updateMainDashboardCacheOptimistic, updateHomeScreenCacheOptimistic } = require('../utils/cacheManager');
-      updateMainDashboardCacheOptimistic(logData);
-      updateHomeScreenCacheOptimistic(logData);
-
-      Alert.alert('Success', 'Food logged successfully!');
+      // Queued on the device first; caches update optimistically inside enqueueFoodLog
+      const { synced } = await enqueueFoodLog(logData, {
+        ingredients: normalizeIngredients(analysis.ingredients, total_nutrition),
+      });
+
+      Alert.alert('Success', synced
+        ? 'Food logged successfully!'
+        : "You're offline. This meal is saved and will sync when you're back online.");
       navigation.navigate('Home');
     } catch (error) {
       console.error('Error logging food:', error);
@@ -133,11 +95,17 @@ const ManualLogScreen = ({ route, navigation }) => {
     }
   };
 
-  // Shared analysis caching logic
+  // Shared analysis caching logic (only for items the offline food table couldn't resolve)
   async function getCachedAnalysisForItems(foodItems) {
     const key = 'itemizedlog_cache_' + foodItems.map(i => `${i.qty} ${i.unit} ${i.name}`.toLowerCase()).join(',');
     const cached = await AsyncStorage.getItem(key);
-    return cached ? JSON.parse(cached) : null;
+    if (!cached) return null;
+    try {
+      return parseFoodAnalysis(JSON.parse(cached));
+    } catch (error) {
+      console.log('ManualLogScreen - Ignoring unreadable cached analysis:', error.message);
+      return null;
+    }
   }
   async function setCachedAnalysisForItems(foodItems, data) {
     const key = 'itemizedlog_cache_' + foodItems.map(i => `${i.qty} ${i.unit} ${i.name}`.toLowerCase()).join(',');
@@ -160,71 +128,52 @@ const ManualLogScreen = ({ route, navigation }) => {
     }
     setIsLoading(true);
     try {
-      // Check cache first
-      const cached = await getCachedAnalysisForItems(foodItems);
-      if (cached) {
-        setAnalysis(cached);
-        navigation.navigate('PostCalorieScreen', { analysis: cached, mealName });
-        return;
-      }
-      // Build a prompt for the AI based on the foodItems array
-      const foodList = foodItems.map(item => `${item.qty} ${item.unit} ${item.name}`).join(', ');
-      console.log('ManualLogScreen - Food list being sent to AI:', foodList);
-      
-      const prompt = `Analyze the following meal with EXACT quantities: ${foodList}. Your response MUST be a valid JSON object and nothing else. Do not include markdown formatting. 
-
-CRITICAL INSTRUCTIONS:
-1. The quantities provided (like "200g", "1 cup", "2 slices") are EXACT and must be used for calculations
-2. DO NOT convert to standard serving sizes - use the quantities as provided
-3. Calculate nutrition values proportionally based on the exact quantities:
-   - If "200g black beans" is provided, and 100g typically has 20g carbs, then 200g = 40g carbs
-   - If "1.5 cups rice" is provided, and 1 cup typically has 200 calories, then 1.5 cups = 300 calories
-4. Preserve the exact quantities in ingredient names (e.g., "200g black beans", not "1 black beans")
-
-The JSON object should have this structure: 
-{ 
-  "dish_name": "A concise and appealing name for the dish", 
-  "description": "A one-sentence savory description of the dish.", 
-  "total_nutrition": { 
-    "calories": <number>, 
-    "protein": <number>, 
-    "fat": <number>, 
-    "carbs": <number>, 
-    "fiber": <number> 
-  }, 
-  "ingredients": [ 
-    { "name": "EXACT_QUANTITY + ingredient name", "calories": <number> } 
-  ] 
-}
-
-IMPORTANT: Provide realistic fiber values based on the food type:
-- Fruits and vegetables: 2-8g fiber per serving
-- Whole grains and breads: 2-4g fiber per serving  
-- Legumes and beans: 5-15g fiber per serving
-- Nuts and seeds: 2-6g fiber per serving
-- Processed foods: 0-2g fiber per serving
-
-EXAMPLE: If user enters "200g black beans", calculate nutrition for exactly 200g, not for a standard serving size.`;
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const data = JSON.parse(jsonMatch[0]);
-        setAnalysis(data);
-        await setCachedAnalysisForItems(foodItems, data);
-        navigation.navigate('PostCalorieScreen', { analysis: data, mealName });
-      } else {
-        throw new Error('Invalid JSON format from AI.');
+      // Foods in the bundled table resolve offline; only the rest go to the AI
+      const { resolved, unknown } = resolveFoodItems(foodItems);
+
+      let aiAnalysis = null;
+      if (unknown.length) {
+        // Check cache first
+        aiAnalysis = await getCachedAnalysisForItems(unknown);
+        if (!aiAnalysis) {
+          // Build a prompt for the AI based on the unknown items
+          const foodList = unknown.map(item => `${item.qty} ${item.unit} ${item.name}`).join(', ');
+          console.log('ManualLogScreen - Food list being sent to AI:', foodList);
+
+          aiAnalysis = await analyzeFood({ type: 'text', text: foodList });
+          await setCachedAnalysisForItems(unknown, aiAnalysis);
+        }
       }
+
+      const data = resolved.length ? combineWithAiAnalysis(resolved, aiAnalysis) : aiAnalysis;
+      setAnalysis(data);
+      navigation.navigate('PostCalorieScreen', { analysis: data, mealName });
     } catch (error) {
-      Alert.alert('AI Error', 'Could not analyze the meal. ' + error.message);
+      const { title, message } = describeFoodAnalysisError(error);
+      Alert.alert(title, message);
     } finally {
       setIsLoading(false);
     }
   };
 
+  // One analysis for the whole meal: table matches plus whatever the AI estimated
+  const combineWithAiAnalysis = (resolved, aiAnalysis) => {
+    const aiIngredients = aiAnalysis?.ingredients || [];
+    // Keep the AI's breakdown only if it gave every item its own calories
+    const aiRows = !aiAnalysis ? [] : aiIngredients.length && aiIngredients.every(item => item.calories > 0)
+      ? aiIngredients
+      : [{ name: aiAnalysis.dish_name, quantity: null, ...aiAnalysis.total_nutrition }];
+
+    const ingredients = [...resolved, ...aiRows];
+    return parseFoodAnalysis({
+      dish_name: foodItems.map(item => item.name.trim()).join(', '),
+      description: aiAnalysis?.description || '',
+      ingredients,
+      total_nutrition: sumIngredients(ingredients),
+      confidence_level: aiAnalysis ? aiAnalysis.confidence_level : 100,
+    });
+  };
+
   const scaleAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
@@ -241,6 +190,9 @@ EXAMPLE: If user enters "200g black beans", calculate nutrition for exactly 200g
   }, [showAddModal]);
 
   const selectedUnit = unitOptions.find(u => u.value === newFood.unit) || unitOptions[0];
+  const suggestions = newFood.name.trim().length >= 2
+    ? searchFoods(newFood.name, 3).filter(({ food }) => food.name !== newFood.name.trim().toLowerCase())
+    : [];
 
   return (
     <SafeAreaView style={{ flex: 1, backgroundColor: '#fff', paddingHorizontal: 20, paddingTop: 0 }}>
@@ -323,6 +275,18 @@ EXAMPLE: If user enters "200g black beans", calculate nutrition for exactly 200g
                       onChangeText={text => setNewFood({ ...newFood, name: text })}
                       placeholderTextColor="#999"
                     />
+                    {/* Matches from the offline food table */}
+                    {suggestions.map(({ food }) => (
+                      <TouchableOpacity
+                        key={food.id}
+                        style={styles.suggestionRow}
+                        onPress={() => setNewFood({ ...newFood, name: food.name })}
+                      >
+                        <Ionicons name="search-outline" size={16} color="#7B61FF" />
+                        <Text style={styles.suggestionText}>{food.name}</Text>
+                        <Text style={styles.suggestionMeta}>{food.per100g.calories} kcal/100g</Text>
+                      </TouchableOpacity>
+                    ))}
                   </View>
 
                   {/* Quantity and Unit Row */}
@@ -405,7 +369,8 @@ EXAMPLE: If user enters "200g black beans", calculate nutrition for exactly 200g
                     <TouchableOpacity
                       style={[styles.button, styles.addButton]}
                       onPress={() => {
-                        setFoodItems([...foodItems, newFood]);
+                        // Show calories right away when the table knows the food
+                        setFoodItems([...foodItems, { ...newFood, kcal: resolveFoodItem(newFood)?.calories }]);
                         setShowAddModal(false);
                         setNewFood({ name: '', qty: '', unit: 'unit' });
                       }}
@@ -494,6 +459,9 @@ const styles = StyleSheet.create({
     marginTop: 10
   },
   analyzeButtonText: { color: '#fff', fontSize: 18, fontWeight: 'bold' },
+  suggestionRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10, paddingHorizontal: 4, borderBottomWidth: 1, borderBottomColor: '#f0f0f0' },
+  suggestionText: { flex: 1, marginLeft: 8, fontSize: 15, color: '#333' },
+  suggestionMeta: { fontSize: 12, color: '#888' },
   resultsContainer: { marginTop: 20 },
   description: { fontSize: 16, color: '#666', marginBottom: 8, textAlign: 'center' },
   dishName: { fontSize: 28, fontWeight: 'bold', textAlign: 'center', marginBottom: 20 },
@@ -16,6 +16,7 @@ import {
 import { SafeAreaView, useSafeAreaInsets } from 'react-native-safe-area-context';
 import { OnboardingContext } from "../context/OnboardingContext";
 import supabase from "../lib/supabase";
+import { CONFLICT_PROMPTS, saveWithConflictPrompt, upsertIfUnchanged } from "../utils/editConflicts";
 
 const SLEEP_QUALITIES = ["Excellent", "Good", "Fair", "Poor"];
 const MOODS = ["Relaxed", "Neutral", "Tired", "Stressed"];
@@ -443,64 +444,37 @@ const SleepTrackerScreen = () => {
     const dateStr = logDate.toISOString().slice(0, 10);
     
     try {
-      let error;
-      if (todayHasSleepLog) {
-        // Update existing log
-        const existingLog = sleepLogs.find(
-          (l) => getDateOnly(l.date) === dateStr && l.user_id === realUserId
-        );
-        
-        ({ error } = await supabase
-          .from("sleep_logs")
-          .update({
-            start_time: scheduledBedtime,
-            end_time: scheduledWakeup,
-            duration,
-            quality,
-            mood,
-            sleep_goal: sleepGoal,
-          })
-          .eq("id", existingLog.id));
-      } else {
-        // Create new log
-        ({ error } = await supabase.from("sleep_logs").insert([
-          {
-            user_id: realUserId,
-            date: dateStr,
-            start_time: scheduledBedtime,
-            end_time: scheduledWakeup,
-            duration,
-            quality,
-            mood,
-            sleep_goal: sleepGoal,
-          },
-        ]));
-      }
+      const existingLog = todayHasSleepLog
+        ? sleepLogs.find((l) => getDateOnly(l.date) === dateStr && l.user_id === realUserId)
+        : null;
       
-      if (error) throw error;
+      // Update the night this device loaded, or create it; asks the user if another device changed it
+      const savedLog = await saveWithConflictPrompt(
+        (expectedUpdatedAt) => upsertIfUnchanged("sleep_logs", { user_id: realUserId, date: dateStr }, {
+          start_time: scheduledBedtime,
+          end_time: scheduledWakeup,
+          duration,
+          quality,
+          mood,
+          sleep_goal: sleepGoal,
+        }, expectedUpdatedAt),
+        existingLog?.updated_at || null,
+        CONFLICT_PROMPTS.sleep
+      );
       
-      // Update cache optimistically
-      const newLog = {
-        id: `temp_${Date.now()}`,
-        user_id: realUserId,
-        date: dateStr,
-        start_time: scheduledBedtime,
-        end_time: scheduledWakeup,
-        duration,
-        quality,
-        mood,
-        sleep_goal: sleepGoal,
-      };
-
-      if (todayHasSleepLog) {
-        const updatedLogs = globalSleepCache.cachedData?.map(log => 
+      // Update cache with the saved row
+      const alreadyCached = globalSleepCache.cachedData?.some(log =>
+        getDateOnly(log.date) === dateStr && log.user_id === realUserId
+      );
+      if (alreadyCached) {
+        const updatedLogs = globalSleepCache.cachedData.map(log => 
           getDateOnly(log.date) === dateStr && log.user_id === realUserId 
-            ? { ...log, ...newLog } 
+            ? { ...log, ...savedLog } 
             : log
-        ) || [];
+        );
         globalSleepCache.cachedData = updatedLogs;
       } else {
-        const updatedLogs = [newLog, ...(globalSleepCache.cachedData || [])];
+        const updatedLogs = [savedLog, ...(globalSleepCache.cachedData || [])];
         globalSleepCache.cachedData = updatedLogs;
       }
       
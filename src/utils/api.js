@@ -1,13 +1,11 @@
 import supabase from '../lib/supabase';
 import axios from 'axios';
 import Constants from 'expo-constants';
+import { FOOD_ANALYSIS_ERRORS, FoodAnalysisError, parseFoodAnalysis } from './foodAnalysisParser';
 
-// -------------------- Edge Function URLs --------------------
-const BASE_URL = 'https://wdkraevjbcguvwpxscqf.functions.supabase.co';
-const ANALYZE_FOOD_FUNCTION = `${BASE_URL}/analyze-food`;
-
-// Edge function key (server-only) from env
-const EDGE_KEY = Constants.expoConfig.extra.supabaseServiceRoleKey;
+// -------------------- Kalry API (server.js) --------------------
+const API_URL = process.env.EXPO_PUBLIC_API_URL || Constants.expoConfig?.extra?.apiUrl;
+const ANALYSIS_TIMEOUT_MS = 45000;
 
 // -------------------- USER FOOD LOGS (SDK, RLS safe) --------------------
 
@@ -83,23 +81,87 @@ export const deleteFoodLog = async (id) => {
   }
 };
 
-// -------------------- SENSITIVE OPERATIONS (Edge Functions) --------------------
+// -------------------- FOOD ANALYSIS (Kalry API, key stays on the server) --------------------
 
-export const analyzeFood = async (text) => {
-  try {
-    const response = await axios.post(
-      ANALYZE_FOOD_FUNCTION,
-      { text },
-      {
-        headers: {
-          Authorization: `Bearer ${EDGE_KEY}`, // secure key only for server/Edge
-        },
-      }
-    );
+// POST to the Kalry API as the signed-in user
+const postToApi = async (path, body) => {
+  if (!API_URL) throw new Error('Kalry API URL is not configured (EXPO_PUBLIC_API_URL)');
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.access_token) throw new Error('User not logged in');
 
+  try {
+    const response = await axios.post(`${API_URL}${path}`, body, {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+      timeout: ANALYSIS_TIMEOUT_MS,
+    });
     return response.data;
   } catch (err) {
-    console.error('Error analyzing food:', err.response || err);
+    // Surface the server's message and code (e.g. no_food_detected) to the screens
+    const apiError = new Error(err.response?.data?.error || err.message);
+    apiError.code = err.response?.data?.code || (err.code === 'ECONNABORTED' ? 'timeout' : undefined);
+    apiError.status = err.response?.status;
+    throw apiError;
+  }
+};
+
+// Server analysis codes that map onto the shared parser's error types
+const SERVER_ANALYSIS_ERRORS = {
+  no_food_detected: FOOD_ANALYSIS_ERRORS.NO_FOOD,
+  malformed_response: FOOD_ANALYSIS_ERRORS.MALFORMED,
+};
+
+/**
+ * Analyze a meal on the server. Returns the parseFoodAnalysis shape
+ * { dish_name, description, transcription, ingredients, total_nutrition, percent_eaten, confidence_level, warnings }.
+ * Pass { type: 'text', text } or { type: 'image' | 'audio', data: <base64>, mimeType }.
+ * Several photos of one meal go as { type: 'image', images: [{ data, mimeType, role: 'angle' | 'before' | 'after' }] };
+ * with before and after photos, percent_eaten says how much of the served meal was eaten.
+ * Throws FoodAnalysisError for no food / malformed / implausible results.
+ */
+export const analyzeFood = async ({ type, text, data, mimeType, images, context }) => {
+  try {
+    const result = await postToApi('/analysis', {
+      type,
+      text,
+      data,
+      mime_type: mimeType,
+      images: images?.map(image => ({ data: image.data, mime_type: image.mimeType, role: image.role })),
+      context,
+    });
+    // A reply the server couldn't read as JSON comes back as raw_text for the parser to repair
+    return parseFoodAnalysis(result.raw_text ?? result);
+  } catch (err) {
+    console.error('Error analyzing food:', err.message);
+    if (SERVER_ANALYSIS_ERRORS[err.code]) {
+      throw new FoodAnalysisError(SERVER_ANALYSIS_ERRORS[err.code], err.message);
+    }
+    throw err;
+  }
+};
+
+// Transcribe a base64 voice note to English text
+export const transcribeAudio = async ({ data, mimeType }) => {
+  try {
+    const { transcription } = await postToApi('/analysis/transcribe', { type: 'audio', data, mime_type: mimeType });
+    return transcription;
+  } catch (err) {
+    console.error('Error transcribing audio:', err.message);
+    throw err;
+  }
+};
+
+/**
+ * Read a Nutrition Facts panel from a base64 photo.
+ * Returns { label, warnings, text }: label holds serving_size, serving_grams, servings_per_container,
+ * calories, protein, carbs, fat, fiber, sugar and sodium (mg) per serving, null where unreadable.
+ * Throws an error with code 'unreadable_label' when the photo has no usable panel.
+ */
+export const readNutritionLabel = async ({ data, mimeType }) => {
+  try {
+    return await postToApi('/analysis/label', { type: 'image', data, mime_type: mimeType });
+  } catch (err) {
+    console.error('Error reading nutrition label:', err.message);
     throw err;
   }
 };
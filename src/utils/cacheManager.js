@@ -70,7 +70,7 @@ export const updateHomeScreenCacheOptimistic = (newData) => {
         fat: currentTotals.fat + (newData.fat || 0),
         fiber: currentTotals.fiber + (newData.fiber || 0),
       },
-      recentMeals: [newData, ...(homeScreenCache.cachedData.recentMeals || [])].slice(0, 5),
+      recentMeals: [newData, ...(homeScreenCache.cachedData.recentMeals || [])],
     };
     // Reset cache timestamp to make it fresh (Instagram pattern)
     homeScreenCache.lastFetchTime = Date.now();
@@ -0,0 +1,148 @@
+// Calorie estimates for a dish from every source we have, reconciled by DataSyncEngine.resolveCalorieConflict
+import { DataSyncEngine } from '../algorithms/DataSyncEngine';
+import { REFERENCE_DISHES } from '../data/referenceNutrition';
+import supabase from '../lib/supabase';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// How many of the user's matching past logs to consider
+const PAST_LOG_LIMIT = 20;
+
+// Words that don't tell dishes apart
+const FILLER_WORDS = new Set(['with', 'and', 'of', 'the', 'in', 'on', 'a', 'side']);
+
+const tokenize = (name) => String(name || '')
+  .replace(/^You said:\s*/i, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter((token) => token.length > 1 && !FILLER_WORDS.has(token));
+
+/**
+ * Whether two dish names describe the same dish ("Chicken Biryani" vs "biryani, chicken").
+ * @returns {boolean}
+ */
+export const dishNamesMatch = (a, b) => {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (!left.size || !right.size) return false;
+  const shared = [...left].filter((token) => right.has(token)).length;
+  return shared / Math.max(left.size, right.size) >= 0.6;
+};
+
+const pickNutrition = (row) => {
+  const nutrition = {};
+  NUTRIENTS.forEach((key) => { nutrition[key] = Number(row?.[key]) || 0; });
+  return nutrition;
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Broad database filter on the longest word; dishNamesMatch does the real matching
+const nameFilter = (dishName) => {
+  const longest = tokenize(dishName).sort((a, b) => b.length - a.length)[0];
+  return longest ? `%${longest}%` : null;
+};
+
+/**
+ * The user's own saved meal with this name, if any.
+ */
+export const findSavedMealEstimate = async (userId, dishName) => {
+  const pattern = nameFilter(dishName);
+  if (!userId || !pattern) return null;
+  try {
+    const { data, error } = await supabase
+      .from('saved_meal')
+      .select('dish_name, calories, protein, carbs, fat, fiber')
+      .eq('user_id', userId)
+      .ilike('dish_name', pattern)
+      .order('created_at', { ascending: false })
+      .limit(10);
+    if (error) throw error;
+
+    const match = (data || []).find((meal) => dishNamesMatch(meal.dish_name, dishName) && Number(meal.calories) > 0);
+    if (!match) return null;
+    return { name: 'Your saved meal', type: 'user_manual', calories: Math.round(Number(match.calories)), nutrition: pickNutrition(match) };
+  } catch (error) {
+    console.error('Error loading saved meal estimate:', error);
+    return null;
+  }
+};
+
+/**
+ * The median of the user's past logs of this dish, so one odd entry doesn't skew it.
+ */
+export const findPastLogEstimate = async (userId, dishName) => {
+  const pattern = nameFilter(dishName);
+  if (!userId || !pattern) return null;
+  try {
+    const { data, error } = await supabase
+      .from('user_food_logs')
+      .select('food_name, calories, protein, carbs, fat, fiber')
+      .eq('user_id', userId)
+      .ilike('food_name', pattern)
+      .order('created_at', { ascending: false })
+      .limit(PAST_LOG_LIMIT);
+    if (error) throw error;
+
+    const matches = (data || []).filter((log) => dishNamesMatch(log.food_name, dishName) && Number(log.calories) > 0);
+    if (!matches.length) return null;
+
+    const nutrition = {};
+    NUTRIENTS.forEach((key) => { nutrition[key] = Math.round(median(matches.map((log) => Number(log[key]) || 0)) * 10) / 10; });
+    nutrition.calories = Math.round(nutrition.calories);
+    return {
+      name: matches.length === 1 ? 'Your last log' : `Your past ${matches.length} logs`,
+      type: 'user_contributed',
+      calories: nutrition.calories,
+      nutrition,
+    };
+  } catch (error) {
+    console.error('Error loading past log estimate:', error);
+    return null;
+  }
+};
+
+/**
+ * The bundled reference table's value for this dish.
+ */
+export const findReferenceEstimate = (dishName) => {
+  const match = REFERENCE_DISHES.find((dish) => (
+    [dish.name, ...dish.aliases].some((name) => dishNamesMatch(name, dishName))
+  ));
+  if (!match) return null;
+  return { name: 'Reference table', serving: match.serving, type: 'verified_database', calories: match.calories, nutrition: pickNutrition(match) };
+};
+
+/**
+ * Gather estimates for a dish and reconcile them.
+ * @param {object} params
+ * @param {string} params.dishName - Name of the dish being logged
+ * @param {object} params.aiNutrition - Totals from the AI analysis
+ * @param {string} [params.userId] - Signed-in user, for saved meals and past logs
+ * @returns {Promise<object>} resolveCalorieConflict's result plus `estimates`, sorted by trust (first one is primary)
+ */
+export const reconcileCalorieEstimates = async ({ dishName, aiNutrition, userId }) => {
+  const [savedMeal, pastLogs] = await Promise.all([
+    findSavedMealEstimate(userId, dishName),
+    findPastLogEstimate(userId, dishName),
+  ]);
+
+  const aiCalories = Math.round(Number(aiNutrition?.calories) || 0);
+  const estimates = [
+    savedMeal,
+    pastLogs,
+    findReferenceEstimate(dishName),
+    aiCalories > 0 ? { name: 'AI estimate', type: 'estimated', calories: aiCalories, nutrition: pickNutrition(aiNutrition) } : null,
+  ].filter(Boolean);
+
+  if (!estimates.length) return { confidence: 'low', estimates: [] };
+
+  // The resolver sorts in place, so the estimates come back in the same order as its options
+  const resolution = new DataSyncEngine().resolveCalorieConflict(dishName, estimates);
+  return { ...resolution, estimates };
+};
@@ -0,0 +1,177 @@
+// Optimistic concurrency for rows that can be edited on more than one device.
+// A write carries the updated_at the device last saw; if the row has changed since,
+// nothing is written and the user picks which version to keep.
+import { Alert } from 'react-native';
+import { DataSyncEngine } from '../algorithms/DataSyncEngine';
+import supabase from '../lib/supabase';
+
+export class EditConflictError extends Error {
+  constructor(table, attempted, current) {
+    super(`${table} was changed on another device`);
+    this.name = 'EditConflictError';
+    this.table = table;
+    this.attempted = attempted;
+    this.current = current;
+  }
+}
+
+// How each kind of record is summarized in the conflict prompt
+export const CONFLICT_PROMPTS = {
+  hydration: {
+    title: 'Water intake',
+    fields: [
+      { key: 'current_intake_ml', format: (ml) => `${(ml / 1000).toFixed(2)}L` },
+      { key: 'daily_goal_ml', format: (ml) => `goal ${(ml / 1000).toFixed(1)}L` },
+    ],
+  },
+  sleep: {
+    title: 'Sleep log',
+    fields: [
+      { key: 'start_time', format: (time, row) => `${String(time).slice(0, 5)}-${String(row.end_time).slice(0, 5)}` },
+      { key: 'quality', format: (quality) => (quality ? `${quality} quality` : null) },
+    ],
+  },
+};
+
+// Writes to the same row run one at a time so this device never conflicts with itself
+const writeChains = new Map();
+// `${row}@${version}` -> the version this device replaced it with
+const ownVersions = new Map();
+
+const rowKey = (table, match) => `${table}:${Object.keys(match).sort().map((key) => `${key}=${match[key]}`).join('&')}`;
+
+// A version this device superseded itself is not a conflict; follow it to the newest one
+const latestOwnVersion = (key, version) => {
+  let latest = version;
+  while (ownVersions.has(`${key}@${latest}`)) latest = ownVersions.get(`${key}@${latest}`);
+  return latest;
+};
+
+const serialize = (key, write) => {
+  const next = (writeChains.get(key) || Promise.resolve()).catch(() => {}).then(write);
+  writeChains.set(key, next);
+  const cleanup = () => {
+    if (writeChains.get(key) === next) writeChains.delete(key);
+  };
+  next.then(cleanup, cleanup);
+  return next;
+};
+
+const fetchCurrent = async (table, match) => {
+  const { data, error } = await supabase.from(table).select('*').match(match).maybeSingle();
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Update a row only if it still has the updated_at this device last saw.
+ * @param {string} table
+ * @param {object} match - Columns identifying the row, e.g. { id }
+ * @param {object} updates - Columns to write (updated_at is set here)
+ * @param {string} [expectedUpdatedAt] - Version the edit was based on; omit to write unconditionally
+ * @returns {Promise<object>} The saved row
+ * @throws {EditConflictError} When the row was changed elsewhere
+ */
+export const updateIfUnchanged = (table, match, updates, expectedUpdatedAt) => {
+  const key = rowKey(table, match);
+  return serialize(key, async () => {
+    const expected = expectedUpdatedAt ? latestOwnVersion(key, expectedUpdatedAt) : null;
+    let query = supabase
+      .from(table)
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .match(match);
+    if (expected) query = query.eq('updated_at', expected);
+
+    const { data, error } = await query.select('*');
+    if (error) throw error;
+
+    if (!data?.length) {
+      const current = await fetchCurrent(table, match);
+      if (!current) throw new Error(`${table} row not found`);
+      throw new EditConflictError(table, updates, current);
+    }
+
+    if (expected) ownVersions.set(`${key}@${expected}`, data[0].updated_at);
+    return data[0];
+  });
+};
+
+/**
+ * Save a once-a-day record (hydration, sleep) keyed by user and date.
+ * Updates the existing row if the device has seen it; otherwise inserts, and a row
+ * created on another device in the meantime is reported as a conflict.
+ * @param {string} table
+ * @param {object} match - Natural key, e.g. { user_id, date }
+ * @param {object} row - Columns to write
+ * @param {string|null} expectedUpdatedAt - updated_at of the loaded row, or null if there was none
+ * @returns {Promise<object>} The saved row
+ * @throws {EditConflictError}
+ */
+export const upsertIfUnchanged = async (table, match, row, expectedUpdatedAt) => {
+  if (expectedUpdatedAt) return updateIfUnchanged(table, match, row, expectedUpdatedAt);
+
+  const { data, error } = await supabase
+    .from(table)
+    .insert([{ ...row, ...match, updated_at: new Date().toISOString() }])
+    .select('*')
+    .single();
+
+  if (error?.code === '23505') {
+    const current = await fetchCurrent(table, match);
+    if (current) throw new EditConflictError(table, row, current);
+  }
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Ask which version to keep, reusing DataSyncEngine's "Which seems most accurate to you?" prompt.
+ * @param {EditConflictError} conflict
+ * @param {object} options - { title, fields: [{ key, format(value, row) }] }, usually from CONFLICT_PROMPTS;
+ *   a format may return null to leave a field out; versions that read the same are not asked about
+ * @returns {Promise<'mine'|'theirs'>}
+ */
+export const promptEditConflict = (conflict, { title, fields }) => {
+  const summarize = (row) => fields.map(({ key, format }) => format(row[key], row)).filter(Boolean).join(', ');
+  const mine = summarize({ ...conflict.current, ...conflict.attempted });
+  const theirs = summarize(conflict.current);
+  // The other device made an edit this screen doesn't show; keep ours on top of it
+  if (mine === theirs) return Promise.resolve('mine');
+
+  const resolution = new DataSyncEngine().resolveEditConflict(
+    title,
+    { name: 'this device', summary: mine },
+    { name: 'other device', summary: theirs }
+  );
+
+  return new Promise((resolve) => {
+    Alert.alert(
+      title,
+      `${resolution.explanation}\n\n${resolution.userAction.prompt}`,
+      resolution.userAction.options.map((text, index) => ({
+        text,
+        onPress: () => resolve(index === 0 ? 'mine' : 'theirs'),
+      })),
+      { cancelable: false }
+    );
+  });
+};
+
+/**
+ * Run a versioned write and let the user settle any conflict.
+ * Keeping "this device" writes again on top of the newer row; keeping "other device" writes nothing.
+ * @param {Function} write - (expectedUpdatedAt) => Promise<row>
+ * @param {string|null} expectedUpdatedAt - Version the edit was based on
+ * @param {object} options - See promptEditConflict
+ * @returns {Promise<object>} The row as it now is in the database
+ */
+export const saveWithConflictPrompt = async (write, expectedUpdatedAt, options) => {
+  try {
+    return await write(expectedUpdatedAt);
+  } catch (error) {
+    if (!(error instanceof EditConflictError)) throw error;
+    const choice = await promptEditConflict(error, options);
+    if (choice === 'theirs') return error.current;
+    return saveWithConflictPrompt(write, error.current.updated_at, options);
+  }
+};
@@ -0,0 +1,253 @@
+// Shared parser for food analysis results (photo, voice and text logging)
+// Repairs model output, coerces the nutrition payload and flags values the UI should not trust.
+import { readMicronutrients } from './micronutrients';
+
+export const FOOD_ANALYSIS_ERRORS = {
+  NO_FOOD: 'no_food_detected',
+  MALFORMED: 'malformed',
+  IMPLAUSIBLE: 'implausible_values',
+};
+
+export class FoodAnalysisError extends Error {
+  constructor(type, message, details = null) {
+    super(message);
+    this.name = 'FoodAnalysisError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Upper bounds for a single logged meal
+const LIMITS = {
+  calories: 6000,
+  protein: 500,
+  carbs: 1000,
+  fat: 500,
+  fiber: 150,
+};
+
+// Ingredient sums may drift this far from the stated totals before totals are rebuilt
+const RECONCILE_TOLERANCE = 0.1;
+
+/**
+ * Close whatever a truncated JSON string left open and drop trailing commas.
+ * @param {string} json - Text starting at the first '{'
+ * @returns {string} Best-effort repaired JSON
+ */
+export function repairJson(json) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') stack.push('}');
+    else if (char === '[') stack.push(']');
+    else if (char === '}' || char === ']') stack.pop();
+  }
+
+  let repaired = json;
+  if (inString) repaired += '"';
+  // A dangling key or separator cannot be completed, so cut back to the last full value
+  repaired = repaired.replace(/,\s*"[^"]*"\s*:?\s*$/, '').replace(/[,:]\s*$/, '');
+  repaired += stack.reverse().join('');
+  return repaired.replace(/,\s*([}\]])/g, '$1');
+}
+
+/**
+ * Extract the JSON object from raw model text (markdown fences, chatter, truncation).
+ * @param {string} text - Raw model reply
+ * @returns {object} Parsed object
+ */
+export function extractAnalysisJson(text) {
+  const cleaned = String(text || '').replace(/```(?:json)?/gi, '').trim();
+  const start = cleaned.indexOf('{');
+  if (start === -1) {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.MALFORMED, 'No JSON object found in the analysis.');
+  }
+
+  const end = cleaned.lastIndexOf('}');
+  const candidates = [cleaned.slice(start, end + 1), repairJson(cleaned.slice(start))];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // try the repaired version
+    }
+  }
+  throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.MALFORMED, 'The analysis could not be read.');
+}
+
+/**
+ * Coerce "230 kcal", "12.5g", "1,200" or 12 to a number.
+ * @returns {number|null} null when there is no number at all
+ */
+export function toNutrientNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Numbers for every nutrient; negatives become 0 and are reported in warnings
+function coerceNutrition(source, label, warnings) {
+  const nutrition = {};
+  let present = false;
+
+  for (const nutrient of NUTRIENTS) {
+    const value = toNutrientNumber(source?.[nutrient]);
+    if (value === null) {
+      nutrition[nutrient] = 0;
+      continue;
+    }
+    present = true;
+    if (value < 0) {
+      warnings.push(`${label} ${nutrient} was negative and was set to 0`);
+      nutrition[nutrient] = 0;
+    } else {
+      nutrition[nutrient] = round(value);
+    }
+  }
+
+  return { nutrition, present };
+}
+
+/**
+ * Validate and normalize an analysis from the API, the cache or a raw model reply.
+ * Accepts both { ingredients, total_nutrition } and the voice shape { items, total }.
+ *
+ * @param {string|object} raw - Model text or an already parsed object
+ * @returns {object} { dish_name, description, transcription, ingredients, total_nutrition, percent_eaten, confidence_level, warnings }
+ *   percent_eaten (0-100) comes with before/after photos and is null otherwise; the totals are the meal as served.
+ * @throws {FoodAnalysisError} NO_FOOD, MALFORMED or IMPLAUSIBLE
+ */
+export function parseFoodAnalysis(raw) {
+  const data = typeof raw === 'string' ? extractAnalysisJson(raw) : raw;
+
+  if (!data || typeof data !== 'object') {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.MALFORMED, 'The analysis is empty.');
+  }
+  if (data.error) {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.NO_FOOD, String(data.error));
+  }
+
+  const rawIngredients = Array.isArray(data.ingredients) ? data.ingredients : data.items;
+  const rawTotals = data.total_nutrition || data.total;
+
+  if (!Array.isArray(rawIngredients) && !rawTotals) {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.MALFORMED, 'The analysis has no foods or totals.');
+  }
+  if (Array.isArray(rawIngredients) && rawIngredients.length === 0) {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.NO_FOOD, 'No food items detected.');
+  }
+
+  const warnings = [];
+
+  const ingredients = (rawIngredients || [])
+    .filter((item) => item && (typeof item === 'string' || item.name))
+    .map((item, index) => {
+      const source = typeof item === 'string' ? { name: item } : item;
+      const { nutrition, present } = coerceNutrition(source, `Ingredient ${index + 1}`, warnings);
+      return {
+        ...source,
+        name: String(source.name).trim(),
+        quantity: source.quantity != null ? String(source.quantity) : null,
+        ...nutrition,
+        hasNutrition: present,
+      };
+    });
+
+  const { nutrition: statedTotals, present: hasTotals } = coerceNutrition(rawTotals, 'Total', warnings);
+  const totals = { ...statedTotals };
+
+  // Rebuild totals from the ingredients when every ingredient carries its own values
+  const itemized = ingredients.length > 0 && ingredients.every((item) => item.hasNutrition);
+  if (itemized) {
+    for (const nutrient of NUTRIENTS) {
+      const sum = round(ingredients.reduce((acc, item) => acc + item[nutrient], 0));
+      const stated = statedTotals[nutrient];
+      const drift = Math.abs(sum - stated) / Math.max(sum, stated, 1);
+      if (!hasTotals || drift > RECONCILE_TOLERANCE) {
+        if (hasTotals && stated > 0) {
+          warnings.push(`Total ${nutrient} (${stated}) did not match the ingredients (${sum}) and was recalculated`);
+        }
+        totals[nutrient] = sum;
+      }
+    }
+  } else if (!hasTotals) {
+    throw new FoodAnalysisError(FOOD_ANALYSIS_ERRORS.MALFORMED, 'The analysis has no nutrition values.');
+  }
+
+  // Fill in calories from macros when the model left them out
+  const macroCalories = round(totals.protein * 4 + totals.carbs * 4 + totals.fat * 9);
+  if (!totals.calories && macroCalories > 0) {
+    warnings.push('Calories were missing and were estimated from macros');
+    totals.calories = macroCalories;
+  }
+
+  const implausible = NUTRIENTS.filter((nutrient) => totals[nutrient] > LIMITS[nutrient]);
+  if (totals.calories > 0 && macroCalories > totals.calories * 2 + 100) {
+    implausible.push('calories');
+  }
+  if (implausible.length) {
+    throw new FoodAnalysisError(
+      FOOD_ANALYSIS_ERRORS.IMPLAUSIBLE,
+      `These values look implausible for one meal: ${implausible.join(', ')}.`,
+      { fields: implausible, totals }
+    );
+  }
+
+  const names = ingredients.map((item) => item.name);
+  const confidence = toNutrientNumber(data.confidence_level);
+  const percentEaten = toNutrientNumber(data.percent_eaten);
+
+  return {
+    dish_name: String(data.dish_name || names.join(', ') || 'Meal').trim(),
+    description: data.description || (names.length ? `A meal containing ${names.join(', ')}` : ''),
+    transcription: data.transcription || null,
+    ingredients: ingredients.map(({ hasNutrition, ...item }) => item),
+    total_nutrition: {
+      ...totals,
+      // Amounts (sugar in g, the rest in mg); null where the model didn't estimate them
+      micronutrients: readMicronutrients(rawTotals),
+    },
+    percent_eaten: percentEaten === null ? null : Math.min(100, Math.max(0, Math.round(percentEaten))),
+    confidence_level: confidence === null ? null : Math.min(100, Math.max(0, Math.round(confidence))),
+    warnings,
+  };
+}
+
+/**
+ * User-facing title and message for an analysis failure.
+ * @param {Error} error - Usually a FoodAnalysisError
+ * @returns {{ title: string, message: string }}
+ */
+export function describeFoodAnalysisError(error) {
+  switch (error?.type) {
+    case FOOD_ANALYSIS_ERRORS.NO_FOOD:
+      return { title: 'No food detected', message: "We couldn't find any food. Try again with a clearer photo or description." };
+    case FOOD_ANALYSIS_ERRORS.MALFORMED:
+      return { title: 'Analysis incomplete', message: 'The analysis came back incomplete. Please try again.' };
+    case FOOD_ANALYSIS_ERRORS.IMPLAUSIBLE:
+      return { title: 'Values look off', message: 'The estimate looks unrealistic for one meal. Please try again or enter the values yourself.' };
+    default:
+      if (error?.code === 'provider_unavailable') {
+        return { title: 'AI busy', message: 'Service is temporarily overloaded. Please try again in a few moments.' };
+      }
+      if (error?.code === 'timeout') {
+        return { title: 'Connection timed out', message: 'Network is slow right now. Please try again.' };
+      }
+      return { title: 'Analysis Failed', message: error?.message || 'Could not analyze the meal.' };
+  }
+}
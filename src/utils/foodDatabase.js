@@ -0,0 +1,144 @@
+// Lookups against the bundled offline food table (src/data/foodDatabase.js). No network involved.
+import { FOOD_DATABASE_VERSION, FOODS } from '../data/foodDatabase';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// A name has to be at least this similar to count as the same food when resolving
+const MATCH_THRESHOLD = 0.75;
+const SEARCH_THRESHOLD = 0.5;
+
+// Units with a fixed size in grams or millilitres
+const MASS_UNITS = { g: 1, gram: 1, grams: 1, kg: 1000, oz: 28.35, lb: 453.6 };
+const VOLUME_UNITS = { ml: 1, l: 1000, liter: 1000, litre: 1000 };
+// Fallback volumes for household measures when a food has no portion for them (liquids only)
+const HOUSEHOLD_VOLUMES = { cup: 240, glass: 250, tbsp: 15, tsp: 5, bottle: 500 };
+// Spellings the entry screens use for the same portion
+const PORTION_ALIASES = { unit: 'unit', units: 'unit', piece: 'piece', pieces: 'piece', pc: 'piece', slice: 'slice', slices: 'slice', cups: 'cup', scoops: 'scoop', glasses: 'glass', bottles: 'bottle', packs: 'pack' };
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').trim().split(/\s+/).filter(Boolean);
+
+const levenshtein = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return row[b.length];
+};
+
+const wordSimilarity = (a, b) => (a === b ? 1 : 1 - levenshtein(a, b) / Math.max(a.length, b.length));
+
+// Every word on either side is paired with its closest word on the other, so typos and word
+// order don't matter but extra words ("curry" in "chicken curry" vs "chicken") lower the score
+const nameSimilarity = (queryWords, nameWords) => {
+  const bestMatches = (from, to) => from.reduce((sum, word) => sum + Math.max(...to.map((other) => wordSimilarity(word, other))), 0);
+  return (bestMatches(queryWords, nameWords) + bestMatches(nameWords, queryWords)) / (queryWords.length + nameWords.length);
+};
+
+const scoreFood = (food, queryWords) => Math.max(
+  ...[food.name, ...food.aliases].map((name) => nameSimilarity(queryWords, normalize(name)))
+);
+
+/**
+ * Fuzzy search by name or alias, tolerant of typos ("bananna") and word order.
+ * @param {string} query
+ * @param {number} [limit=5]
+ * @returns {Array<{ food: object, score: number }>} Best matches first
+ */
+export const searchFoods = (query, limit = 5) => {
+  const queryWords = normalize(query);
+  if (!queryWords.length) return [];
+  return FOODS
+    .map((food) => ({ food, score: scoreFood(food, queryWords) }))
+    .filter((result) => result.score >= SEARCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+/**
+ * The food a name most likely refers to, or null when nothing is close enough.
+ */
+export const findFood = (name) => {
+  const [best] = searchFoods(name, 1);
+  return best && best.score >= MATCH_THRESHOLD ? best.food : null;
+};
+
+/**
+ * Convert an amount of a food to grams.
+ * @param {object} food - Entry from FOODS
+ * @param {number} qty
+ * @param {string} unit - g, kg, ml, l, cup, slice, piece, unit, dozen, tbsp, ...
+ * @returns {number|null} null when the unit doesn't make sense for this food
+ */
+export const toGrams = (food, qty, unit) => {
+  const amount = Number(qty);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  const key = String(unit || 'unit').toLowerCase().trim();
+  if (MASS_UNITS[key]) return amount * MASS_UNITS[key];
+  if (VOLUME_UNITS[key]) return amount * VOLUME_UNITS[key] * (food.density || 1);
+  if (key === 'dozen') return toGrams(food, amount * 12, 'piece');
+
+  const portion = PORTION_ALIASES[key] || key;
+  const grams = food.portions[portion]
+    // "unit" and "piece" mean the same thing for countable foods
+    ?? (portion === 'unit' ? food.portions.piece : undefined)
+    ?? (portion === 'piece' ? food.portions.unit : undefined);
+  if (grams) return amount * grams;
+
+  // Drinks can always be measured by volume
+  if (food.density && HOUSEHOLD_VOLUMES[portion]) return amount * HOUSEHOLD_VOLUMES[portion] * food.density;
+  return null;
+};
+
+/**
+ * Nutrition for an amount of a food.
+ * @returns {{ calories, protein, carbs, fat, fiber }}
+ */
+export const nutritionForGrams = (food, grams) => {
+  const nutrition = {};
+  NUTRIENTS.forEach((key) => {
+    const value = (food.per100g[key] || 0) * grams / 100;
+    nutrition[key] = key === 'calories' ? Math.round(value) : Math.round(value * 10) / 10;
+  });
+  return nutrition;
+};
+
+/**
+ * Resolve one itemized entry against the table.
+ * @param {{ name: string, qty: string|number, unit: string }} item
+ * @returns {object|null} Ingredient with nutrition, or null if the food or unit is unknown
+ */
+export const resolveFoodItem = (item) => {
+  const food = findFood(item?.name);
+  if (!food) return null;
+  const grams = toGrams(food, item.qty, item.unit);
+  if (grams === null) return null;
+
+  return {
+    name: item.name.trim(),
+    quantity: `${item.qty} ${item.unit}`,
+    grams: Math.round(grams),
+    ...nutritionForGrams(food, grams),
+    source: 'food_database',
+    food_id: food.id,
+    food_database_version: FOOD_DATABASE_VERSION,
+  };
+};
+
+/**
+ * Split itemized entries into ones the table can answer and ones that need the AI.
+ * @param {Array} items - [{ name, qty, unit }]
+ * @returns {{ resolved: Array, unknown: Array }} resolved holds ingredients, unknown the original items
+ */
+export const resolveFoodItems = (items = []) => items.reduce((result, item) => {
+  const ingredient = resolveFoodItem(item);
+  if (ingredient) result.resolved.push(ingredient);
+  else result.unknown.push(item);
+  return result;
+}, { resolved: [], unknown: [] });
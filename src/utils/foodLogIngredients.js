@@ -0,0 +1,259 @@
+// Per-ingredient nutrition stored alongside each food log (user_food_log_ingredients)
+import supabase from '../lib/supabase';
+import { EditConflictError, updateIfUnchanged } from './editConflicts';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Units that can be converted into each other when a quantity is edited
+export const UNIT_FACTORS = {
+  g: { base: 'g', factor: 1 },
+  gram: { base: 'g', factor: 1 },
+  kg: { base: 'g', factor: 1000 },
+  ml: { base: 'ml', factor: 1 },
+  l: { base: 'ml', factor: 1000 },
+  liter: { base: 'ml', factor: 1000 },
+  litre: { base: 'ml', factor: 1000 },
+  oz: { base: 'g', factor: 28.35 },
+  lb: { base: 'g', factor: 453.6 },
+  cup: { base: 'ml', factor: 240 },
+  tbsp: { base: 'ml', factor: 15 },
+  tablespoon: { base: 'ml', factor: 15 },
+  tsp: { base: 'ml', factor: 5 },
+  teaspoon: { base: 'ml', factor: 5 },
+};
+
+const roundNutrient = (key, value) => (
+  key === 'calories' ? Math.round(value) : Math.round(value * 10) / 10
+);
+
+// The number at the start of a quantity: "150", "1.5", "1/2", "1 1/2" (a mixed number) or "2-3"
+const AMOUNT_PREFIX = /^(\d+(?:\.\d+)?)(?:\s+(\d+)\s*\/\s*(\d+)|\s*\/\s*(\d+)|\s*-\s*(\d+(?:\.\d+)?))?/;
+
+/**
+ * Read the amount and unit from a quantity like "150g", "1.5 cups", "1/2 cup", "1 1/2 cups" or "2-3 pieces".
+ * @param {string|number} quantity
+ * @returns {{ amount: number, unit: string }|null} null when there is no number
+ */
+export const parseQuantity = (quantity) => {
+  if (typeof quantity === 'number') return { amount: quantity, unit: '' };
+  const text = String(quantity || '').trim();
+  const match = text.match(AMOUNT_PREFIX);
+  if (!match) return null;
+
+  let amount = parseFloat(match[1]);
+  if (match[2]) amount += parseFloat(match[2]) / parseFloat(match[3]);
+  if (match[4]) amount /= parseFloat(match[4]);
+  // A range like "2-3 pieces" counts as its midpoint
+  if (match[5]) amount = (amount + parseFloat(match[5])) / 2;
+  if (!Number.isFinite(amount)) return null;
+
+  // "cups" and "cup" are the same unit
+  const unit = text.slice(match[0].length).trim().toLowerCase().replace(/(.{2,})s$/, '$1');
+  return { amount, unit };
+};
+
+/**
+ * How many times bigger `to` is than `from` ("100g" -> "1 kg" is 10), or null when the two can't be compared.
+ * @returns {number|null}
+ */
+export const quantityRatio = (from, to) => {
+  const before = parseQuantity(from);
+  const after = parseQuantity(to);
+  if (!before || !after || before.amount <= 0) return null;
+
+  if (before.unit === after.unit || !after.unit) return after.amount / before.amount;
+
+  const beforeUnit = UNIT_FACTORS[before.unit];
+  const afterUnit = UNIT_FACTORS[after.unit];
+  if (!beforeUnit || !afterUnit || beforeUnit.base !== afterUnit.base) return null;
+  return (after.amount * afterUnit.factor) / (before.amount * beforeUnit.factor);
+};
+
+/**
+ * Multiply the amount in a quantity, keeping its unit as written ("500g" x 0.5 -> "250g").
+ * Quantities without a number are returned unchanged.
+ * @returns {string|null}
+ */
+export const scaleQuantity = (quantity, ratio) => {
+  const parsed = parseQuantity(quantity);
+  if (!parsed) return quantity;
+  const amount = Math.round(parsed.amount * ratio * 100) / 100;
+  if (typeof quantity === 'number') return amount;
+  // Everything after the number, e.g. "g" or " cups"
+  const unitText = String(quantity).trim().replace(AMOUNT_PREFIX, '');
+  return `${amount}${unitText}`;
+};
+
+/**
+ * Sum nutrients across ingredients.
+ * @returns {{ calories, protein, carbs, fat, fiber }}
+ */
+export const sumIngredients = (ingredients = []) => {
+  const totals = {};
+  NUTRIENTS.forEach((key) => {
+    totals[key] = roundNutrient(key, ingredients.reduce((sum, item) => sum + (Number(item?.[key]) || 0), 0));
+  });
+  return totals;
+};
+
+/**
+ * Normalize ingredients from any analysis shape (ingredients/items, quantity/amount)
+ * and give ones without macros their calorie share of the meal totals.
+ * @param {Array} ingredients - Ingredient list from the analysis or the edit screen
+ * @param {object} totals - Meal totals, used when ingredients only carry calories
+ * @returns {Array} [{ name, quantity, calories, protein, carbs, fat, fiber }]
+ */
+export const normalizeIngredients = (ingredients = [], totals = {}) => {
+  const rows = (ingredients || [])
+    .filter((item) => item?.name && String(item.name).trim())
+    .map((item) => {
+      const row = { name: String(item.name).trim(), quantity: item.quantity ?? item.amount ?? null };
+      NUTRIENTS.forEach((key) => { row[key] = Math.max(0, Number(item[key]) || 0); });
+      return row;
+    });
+
+  const totalCalories = Number(totals.calories) || 0;
+  const hasMacros = rows.some((row) => row.protein || row.carbs || row.fat);
+  if (!hasMacros && totalCalories > 0) {
+    rows.forEach((row) => {
+      const share = row.calories / totalCalories;
+      ['protein', 'carbs', 'fat', 'fiber'].forEach((key) => {
+        row[key] = roundNutrient(key, (Number(totals[key]) || 0) * share);
+      });
+    });
+  }
+
+  return rows;
+};
+
+/**
+ * Change an ingredient's quantity and rescale its nutrients to match.
+ * Nutrients stay as they were when the old and new quantities can't be compared (e.g. "1 bowl" -> "200g").
+ * @returns {object} The updated ingredient
+ */
+export const scaleIngredient = (ingredient, quantity) => {
+  const ratio = quantityRatio(ingredient.quantity, quantity);
+  const scaled = { ...ingredient, quantity };
+  if (ratio === null) return scaled;
+
+  NUTRIENTS.forEach((key) => {
+    scaled[key] = roundNutrient(key, (Number(ingredient[key]) || 0) * ratio);
+  });
+  return scaled;
+};
+
+/**
+ * Multiply every nutrient by a ratio, e.g. to fit ingredients to a different meal total.
+ * @returns {object} A copy of the item
+ */
+export const scaleNutrients = (item, ratio) => {
+  const scaled = { ...item };
+  NUTRIENTS.forEach((key) => {
+    scaled[key] = roundNutrient(key, (Number(item?.[key]) || 0) * ratio);
+  });
+  return scaled;
+};
+
+/**
+ * Apply the change between an ingredient's old and new values to the meal totals.
+ * Works on totals the user may already have edited, unlike re-summing every ingredient.
+ * @returns {{ calories, protein, carbs, fat, fiber }} The new totals
+ */
+export const applyIngredientChange = (totals, before, after) => {
+  const next = {};
+  NUTRIENTS.forEach((key) => {
+    const delta = (Number(after?.[key]) || 0) - (Number(before?.[key]) || 0);
+    next[key] = Math.max(0, roundNutrient(key, (Number(totals?.[key]) || 0) + delta));
+  });
+  return next;
+};
+
+/**
+ * Save the ingredient breakdown for a freshly inserted food log.
+ * The log itself is already saved, so failures are logged rather than thrown.
+ * @param {object} foodLog - Inserted user_food_logs row (needs id and user_id)
+ * @param {Array} ingredients - Normalized ingredients
+ * @returns {Promise<Array>} Inserted rows, or [] on failure
+ */
+export const saveFoodLogIngredients = async (foodLog, ingredients = []) => {
+  if (!foodLog?.id || !ingredients.length) return [];
+  try {
+    const rows = normalizeIngredients(ingredients, foodLog).map((item, position) => ({
+      ...item,
+      quantity: item.quantity != null ? String(item.quantity) : null,
+      food_log_id: foodLog.id,
+      user_id: foodLog.user_id,
+      position,
+    }));
+
+    const { data, error } = await supabase
+      .from('user_food_log_ingredients')
+      .insert(rows)
+      .select('*');
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error saving food log ingredients:', error);
+    return [];
+  }
+};
+
+/**
+ * Load the ingredient breakdown for a food log, in the order it was logged.
+ */
+export const getFoodLogIngredients = async (foodLogId) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_food_log_ingredients')
+      .select('*')
+      .eq('food_log_id', foodLogId)
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading food log ingredients:', error);
+    return [];
+  }
+};
+
+/**
+ * Correct one ingredient's quantity on a logged meal: rescales the ingredient,
+ * then moves the meal totals by the same difference.
+ * If the meal was edited on another device meanwhile, the difference is applied to its totals instead.
+ * @param {object} foodLog - user_food_logs row with its current totals
+ * @param {object} ingredient - user_food_log_ingredients row
+ * @param {string} quantity - New quantity, e.g. "200g"
+ * @returns {Promise<{ ingredient: object, foodLog: object }>} The saved rows
+ */
+export const updateFoodLogIngredientQuantity = async (foodLog, ingredient, quantity) => {
+  const scaled = scaleIngredient(ingredient, quantity);
+
+  let savedLog;
+  try {
+    savedLog = await updateIfUnchanged('user_food_logs', { id: foodLog.id }, applyIngredientChange(foodLog, ingredient, scaled), foodLog.updated_at);
+  } catch (error) {
+    if (!(error instanceof EditConflictError)) throw error;
+    // The change is a difference, so it merges cleanly onto the newer totals
+    savedLog = await updateIfUnchanged('user_food_logs', { id: foodLog.id }, applyIngredientChange(error.current, ingredient, scaled), error.current.updated_at);
+  }
+
+  const { data: savedIngredient, error: ingredientError } = await supabase
+    .from('user_food_log_ingredients')
+    .update({
+      quantity: scaled.quantity,
+      calories: scaled.calories,
+      protein: scaled.protein,
+      carbs: scaled.carbs,
+      fat: scaled.fat,
+      fiber: scaled.fiber,
+      updated_at: savedLog.updated_at,
+    })
+    .eq('id', ingredient.id)
+    .select('*')
+    .single();
+  if (ingredientError) throw ingredientError;
+
+  return { ingredient: savedIngredient, foodLog: savedLog };
+};
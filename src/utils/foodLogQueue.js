@@ -0,0 +1,245 @@
+// Offline-first food logging: logs are queued on the device first, then replayed to Supabase
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+import supabase from '../lib/supabase';
+import { updateHomeScreenCacheOptimistic, updateMainDashboardCacheOptimistic } from './cacheManager';
+import { getFoodLogIngredients, saveFoodLogIngredients } from './foodLogIngredients';
+import { createIdempotencyKey } from './idempotencyKey';
+
+const FOOD_LOG_QUEUE_KEY = 'food_log_queue';
+
+// Entries rejected by the database this many times stop retrying and wait for the user
+const MAX_REJECTIONS = 3;
+const BASE_RETRY_DELAY = 15000; // 15 seconds
+const MAX_RETRY_DELAY = 600000; // 10 minutes
+
+const listeners = new Set();
+let flushPromise = null;
+let retryTimer = null;
+let retryDelay = BASE_RETRY_DELAY;
+let appStateSubscription = null;
+// Every read-change-write of the stored queue runs on this chain, one after another
+let queueChain = Promise.resolve();
+
+// Database errors carry a code; fetch failures (offline, timeouts) don't
+const isRejection = (error) => Boolean(error?.code);
+
+const readQueue = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(FOOD_LOG_QUEUE_KEY);
+    return stored ? JSON.parse(stored) : [];
+  } catch (error) {
+    console.error('Error reading food log queue:', error);
+    return [];
+  }
+};
+
+const writeQueue = async (queue) => {
+  await AsyncStorage.setItem(FOOD_LOG_QUEUE_KEY, JSON.stringify(queue));
+  listeners.forEach((listener) => listener(queue));
+};
+
+// Run change(queue) => queue against the stored queue. Changes never interleave, so an
+// enqueue during a flush isn't overwritten and a sent entry isn't written back.
+const changeQueue = (change) => {
+  const run = queueChain.then(async () => {
+    const queue = change(await readQueue());
+    await writeQueue(queue);
+    return queue;
+  });
+  queueChain = run.catch(() => {});
+  return run;
+};
+
+// Apply a change to one entry (null removes it); an entry that is already gone stays gone
+const updateEntry = (id, changes) => changeQueue((queue) => (changes
+  ? queue.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry))
+  : queue.filter((entry) => entry.id !== id)));
+
+const scheduleRetry = () => {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushFoodLogQueue();
+  }, retryDelay);
+  retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+};
+
+// Named after the entry, so a retry overwrites its own upload instead of leaving another file behind
+const uploadQueuedPhoto = async (entry) => {
+  try {
+    const fileName = `food-photos/${entry.logData.user_id}/${entry.id}.jpg`;
+    const response = await fetch(entry.photoUri);
+    const arrayBuffer = await response.arrayBuffer();
+    const { error } = await supabase.storage
+      .from('food-photos')
+      .upload(fileName, arrayBuffer, { contentType: 'image/jpeg', upsert: true });
+    if (error) throw error;
+    // Remembered on the entry so a retry after a failed insert doesn't upload again
+    await changeQueue((queue) => queue.map((item) => (item.id === entry.id
+      ? { ...item, logData: { ...item.logData, photo_url: fileName } }
+      : item)));
+    return fileName;
+  } catch (error) {
+    // The local file may be gone by now; the meal is still worth logging
+    console.error('Error uploading queued photo:', error);
+    return null;
+  }
+};
+
+// Send one entry. Safe to repeat: the insert is ignored when client_id already exists.
+const replayEntry = async (entry) => {
+  const logData = { ...entry.logData };
+  if (!logData.photo_url && entry.photoUri) {
+    logData.photo_url = await uploadQueuedPhoto(entry);
+  }
+
+  const { error: insertError } = await supabase
+    .from('user_food_logs')
+    .upsert([logData], { onConflict: 'client_id', ignoreDuplicates: true });
+  if (insertError) throw insertError;
+
+  const { data: savedLog, error: selectError } = await supabase
+    .from('user_food_logs')
+    .select('*')
+    .eq('client_id', entry.id)
+    .single();
+  if (selectError) throw selectError;
+
+  if (entry.ingredients?.length) {
+    const existing = await getFoodLogIngredients(savedLog.id);
+    if (!existing.length) await saveFoodLogIngredients(savedLog, entry.ingredients);
+  }
+
+  return savedLog;
+};
+
+/**
+ * Replay every pending log to Supabase, oldest first. Concurrent calls share one run.
+ * Stops at the first network failure (the rest would fail too) and retries with backoff.
+ * @returns {Promise<Array>} The queue left after the run
+ */
+export const flushFoodLogQueue = () => {
+  if (flushPromise) return flushPromise;
+
+  flushPromise = (async () => {
+    await queueChain;
+    const queue = await readQueue();
+    let offline = false;
+
+    for (const { id } of queue.filter((item) => item.status === 'pending')) {
+      // Re-read after earlier changes land: the entry may have been discarded or got its photo since
+      await queueChain;
+      const entry = (await readQueue()).find((item) => item.id === id && item.status === 'pending');
+      if (!entry) continue;
+      try {
+        await replayEntry(entry);
+        await updateEntry(entry.id, null);
+        console.log('Replayed queued food log:', entry.logData.food_name);
+      } catch (error) {
+        console.error('Error replaying food log:', error);
+        if (!isRejection(error)) {
+          offline = true;
+          await updateEntry(entry.id, { lastError: error.message, lastAttemptAt: new Date().toISOString() });
+          break;
+        }
+        const rejections = (entry.rejections || 0) + 1;
+        await updateEntry(entry.id, {
+          rejections,
+          status: rejections >= MAX_REJECTIONS ? 'failed' : 'pending',
+          lastError: error.message,
+          lastAttemptAt: new Date().toISOString(),
+        });
+      }
+    }
+
+    const remaining = await readQueue();
+    if (offline || remaining.some((entry) => entry.status === 'pending')) {
+      scheduleRetry();
+    } else {
+      retryDelay = BASE_RETRY_DELAY;
+    }
+    return remaining;
+  })().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+};
+
+/**
+ * Log food through the queue. The entry is saved on the device and the dashboard caches
+ * are updated before any network call, so logging works with no connection.
+ * @param {object} logData - user_food_logs row (without id)
+ * @param {object} options - { ingredients, photoUri } to replay with the log
+ * @returns {Promise<{ synced: boolean, log: object }>} synced is false when the log is still queued
+ */
+export const enqueueFoodLog = async (logData, { ingredients = [], photoUri = null } = {}) => {
+  // Stored in user_food_logs.client_id so a replay never inserts twice
+  const id = createIdempotencyKey();
+  const entry = {
+    id,
+    logData: { ...logData, client_id: id, created_at: logData.created_at || new Date().toISOString() },
+    ingredients,
+    photoUri: logData.photo_url ? null : photoUri,
+    status: 'pending',
+    rejections: 0,
+    queuedAt: new Date().toISOString(),
+  };
+
+  await changeQueue((queue) => [...queue, entry]);
+
+  // Optimistic cache update (Instagram pattern)
+  updateMainDashboardCacheOptimistic(entry.logData);
+  updateHomeScreenCacheOptimistic(entry.logData);
+
+  // A run already in flight may have read the queue before this entry was added, so wait
+  // for it and flush again; only a run that saw the entry can say whether it synced
+  if (flushPromise) await flushPromise;
+  const remaining = await flushFoodLogQueue();
+  const queued = remaining.find((item) => item.id === id);
+  return { synced: !queued, log: entry.logData };
+};
+
+/**
+ * Everything still waiting to reach Supabase, including entries that need the user's attention.
+ */
+export const getQueuedFoodLogs = () => readQueue();
+
+/**
+ * Send a failed entry again.
+ */
+export const retryQueuedFoodLog = async (id) => {
+  await updateEntry(id, { status: 'pending', rejections: 0 });
+  return flushFoodLogQueue();
+};
+
+/**
+ * Drop an entry the user no longer wants synced.
+ */
+export const discardQueuedFoodLog = async (id) => {
+  await updateEntry(id, null);
+};
+
+/**
+ * Listen for queue changes. Returns an unsubscribe function.
+ */
+export const subscribeToFoodLogQueue = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Replay anything left from earlier sessions and again whenever the app comes back to the foreground.
+ * Call once at startup.
+ */
+export const startFoodLogQueue = () => {
+  if (appStateSubscription) return;
+  appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+    if (nextAppState === 'active') {
+      retryDelay = BASE_RETRY_DELAY;
+      flushFoodLogQueue();
+    }
+  });
+  flushFoodLogQueue();
+};
@@ -0,0 +1,207 @@
+// Grocery list from the meal plan: ingredients of planned recipes and saved meals,
+// combined across meals and grouped by aisle. Check-offs are kept on the device.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import supabase from '../lib/supabase';
+import { parseQuantity, UNIT_FACTORS } from './foodLogIngredients';
+import { getPlanEntries, toPlanDate } from './mealPlan';
+import { getRecipes } from './recipes';
+
+const GROCERY_CHECKED_KEY = 'grocery_checked';
+
+// Amounts are added up in grams, millilitres (cups and spoons included) or a plain count.
+// A cup of rice and 200 g of rice can't be converted, so they stay as two amounts on one line.
+const COUNT_UNITS = { '': 1, piece: 1, pc: 1, unit: 1, whole: 1, dozen: 12 };
+
+// Aisles in store-walk order. An ingredient goes to the aisle with the longest matching keyword,
+// so "peanut butter" is pantry (not dairy) and "chicken stock" is pantry (not meat).
+export const AISLES = [
+  { key: 'produce', label: 'Produce', keywords: ['apple', 'banana', 'orange', 'lemon', 'lime', 'mango', 'grape', 'berry', 'strawberry', 'avocado', 'fruit', 'onion', 'garlic', 'ginger', 'tomato', 'potato', 'sweet potato', 'carrot', 'spinach', 'lettuce', 'cabbage', 'cauliflower', 'broccoli', 'cucumber', 'pepper', 'bell pepper', 'chili', 'chilli', 'mushroom', 'zucchini', 'eggplant', 'brinjal', 'okra', 'pea', 'corn', 'bean sprout', 'cilantro', 'coriander', 'mint', 'basil', 'parsley', 'herb', 'vegetable', 'salad'] },
+  { key: 'meat', label: 'Meat & Seafood', keywords: ['chicken', 'beef', 'pork', 'lamb', 'mutton', 'goat', 'turkey', 'mince', 'bacon', 'ham', 'sausage', 'fish', 'salmon', 'tuna', 'cod', 'shrimp', 'prawn'] },
+  { key: 'dairy', label: 'Dairy & Eggs', keywords: ['milk', 'cheese', 'butter', 'ghee', 'yogurt', 'yoghurt', 'curd', 'cream', 'paneer', 'egg', 'tofu'] },
+  { key: 'bakery', label: 'Bakery', keywords: ['bread', 'bun', 'roll', 'bagel', 'tortilla', 'wrap', 'naan', 'pita', 'roti', 'chapati'] },
+  { key: 'pantry', label: 'Pantry', keywords: ['rice', 'pasta', 'spaghetti', 'noodle', 'flour', 'atta', 'oat', 'quinoa', 'cereal', 'lentil', 'dal', 'bean', 'chickpea', 'chana', 'oil', 'olive oil', 'sugar', 'salt', 'honey', 'spice', 'masala', 'cumin', 'turmeric', 'cinnamon', 'sauce', 'soy sauce', 'ketchup', 'vinegar', 'stock', 'chicken stock', 'broth', 'tomato paste', 'coconut milk', 'peanut butter', 'nut', 'almond', 'cashew', 'peanut', 'walnut', 'seed'] },
+  { key: 'frozen', label: 'Frozen', keywords: ['frozen', 'ice cream'] },
+  { key: 'drinks', label: 'Drinks', keywords: ['juice', 'coffee', 'tea', 'soda', 'water'] },
+];
+const OTHER_AISLE = { key: 'other', label: 'Other' };
+
+// Words that describe preparation, not what to buy
+const PREP_WORDS = new Set(['chopped', 'diced', 'sliced', 'minced', 'grated', 'crushed', 'peeled', 'fresh', 'raw', 'cooked', 'boiled', 'steamed', 'large', 'small', 'medium', 'finely', 'roughly', 'to', 'taste']);
+
+const singular = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && word.endsWith('oes')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * The words that identify what to buy: "Chopped Tomatoes (ripe)" -> ["tomato"].
+ */
+const nameWords = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/\(.*?\)/g, ' ')
+  .replace(/[^a-z\s]/g, ' ')
+  .split(/\s+/)
+  .filter((word) => word && !PREP_WORDS.has(word))
+  .map(singular);
+
+const containsPhrase = (words, phrase) => {
+  const phraseWords = phrase.split(' ');
+  return words.some((_, index) => phraseWords.every((word, offset) => words[index + offset] === word));
+};
+
+/**
+ * Aisle for an ingredient name, or Other when nothing matches.
+ */
+export const getAisle = (name) => {
+  const words = nameWords(name);
+  let best = null;
+  AISLES.forEach((aisle) => {
+    aisle.keywords.forEach((keyword) => {
+      if ((!best || keyword.length > best.keyword.length) && containsPhrase(words, keyword)) {
+        best = { aisle, keyword };
+      }
+    });
+  });
+  return best ? best.aisle : OTHER_AISLE;
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const formatAmount = (base, amount) => {
+  if (base === 'g') return amount >= 1000 ? `${round(amount / 1000, 2)} kg` : `${Math.round(amount)} g`;
+  if (base === 'ml') return amount >= 1000 ? `${round(amount / 1000, 2)} l` : `${Math.round(amount)} ml`;
+  if (base === 'count') return `${round(amount, 1)}`;
+  return `${round(amount, 1)} ${base}`;
+};
+
+/**
+ * Combine ingredients from several meals into one list grouped by aisle.
+ * @param {Array<{ dish: string, ingredients: Array, ratio?: number }>} sources - ratio scales the quantities
+ *   (e.g. 2 of a recipe's 6 servings is 1/3)
+ * @returns {Array<{ aisle: object, items: Array<{ key, name, amounts: string[], dishes: string[] }> }>}
+ */
+export const buildGroceryList = (sources = []) => {
+  const items = new Map();
+
+  sources.forEach(({ dish, ingredients = [], ratio = 1 }) => {
+    ingredients.forEach((ingredient) => {
+      const words = nameWords(ingredient?.name);
+      if (!words.length) return;
+      const key = words.join(' ');
+
+      if (!items.has(key)) {
+        items.set(key, { key, name: key.charAt(0).toUpperCase() + key.slice(1), totals: {}, dishes: new Set(), unmeasured: false });
+      }
+      const item = items.get(key);
+      item.dishes.add(dish);
+
+      const parsed = parseQuantity(ingredient.quantity);
+      if (!parsed) {
+        item.unmeasured = true;
+        return;
+      }
+      // Units we can't convert ("2 cloves", "1 bunch") are added up among themselves
+      const unit = UNIT_FACTORS[parsed.unit]
+        || (parsed.unit in COUNT_UNITS ? { base: 'count', factor: COUNT_UNITS[parsed.unit] } : { base: parsed.unit, factor: 1 });
+      item.totals[unit.base] = (item.totals[unit.base] || 0) + parsed.amount * unit.factor * ratio;
+    });
+  });
+
+  const sections = new Map();
+  items.forEach((item) => {
+    const aisle = getAisle(item.key);
+    if (!sections.has(aisle.key)) sections.set(aisle.key, { aisle, items: [] });
+
+    const amounts = Object.entries(item.totals).map(([base, amount]) => formatAmount(base, amount));
+    if (item.unmeasured && !amounts.length) amounts.push('as needed');
+    sections.get(aisle.key).items.push({ key: item.key, name: item.name, amounts, dishes: [...item.dishes] });
+  });
+
+  const order = [...AISLES, OTHER_AISLE].map((aisle) => aisle.key);
+  return [...sections.values()]
+    .sort((a, b) => order.indexOf(a.aisle.key) - order.indexOf(b.aisle.key))
+    .map((section) => ({ ...section, items: section.items.sort((a, b) => a.name.localeCompare(b.name)) }));
+};
+
+/**
+ * Grocery list for the meals still planned between two dates.
+ * @returns {Promise<{ sections: Array, missing: string[] }>} missing names planned meals saved without ingredients
+ */
+export const getGroceryList = async (userId, fromDate, toDate) => {
+  const entries = (await getPlanEntries(userId, fromDate, toDate)).filter((entry) => entry.status === 'planned');
+
+  const recipes = entries.some((entry) => entry.recipe_id) ? await getRecipes(userId) : [];
+  const recipesById = new Map(recipes.map((recipe) => [recipe.id, recipe]));
+
+  const savedMealIds = [...new Set(entries.filter((entry) => !entry.recipe_id && entry.saved_meal_id).map((entry) => entry.saved_meal_id))];
+  const savedMealsById = new Map();
+  if (savedMealIds.length) {
+    const { data, error } = await supabase.from('saved_meal').select('id, ingredients').in('id', savedMealIds);
+    if (error) console.error('Error loading saved meal ingredients:', error);
+    (data || []).forEach((meal) => savedMealsById.set(meal.id, meal));
+  }
+
+  const sources = [];
+  const missing = new Set();
+  entries.forEach((entry) => {
+    const recipe = recipesById.get(entry.recipe_id);
+    const ingredients = recipe ? recipe.ingredients : savedMealsById.get(entry.saved_meal_id)?.ingredients;
+    if (!ingredients?.length) {
+      missing.add(entry.dish_name);
+      return;
+    }
+    const ratio = recipe ? (Number(entry.servings) || 1) / (Number(recipe.servings) || 1) : 1;
+    sources.push({ dish: entry.dish_name, ingredients, ratio });
+  });
+
+  return { sections: buildGroceryList(sources), missing: [...missing] };
+};
+
+/**
+ * Identifies a list by its date range, so checks from last week's list don't carry over.
+ */
+export const getGroceryListKey = (fromDate, toDate) => `${toPlanDate(fromDate)}_${toPlanDate(toDate)}`;
+
+const readChecked = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(GROCERY_CHECKED_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading grocery checks:', error);
+    return {};
+  }
+};
+
+/**
+ * Item keys checked off on this device for a list.
+ * @returns {Promise<string[]>}
+ */
+export const getCheckedItems = async (listKey) => (await readChecked())[listKey] || [];
+
+/**
+ * Check or uncheck an item. Lists whose range has ended are dropped while saving.
+ * @returns {Promise<string[]>} The list's checked keys after the change
+ */
+export const setItemChecked = async (listKey, itemKey, checked) => {
+  const all = await readChecked();
+  const current = new Set(all[listKey] || []);
+  if (checked) current.add(itemKey);
+  else current.delete(itemKey);
+
+  const today = toPlanDate(new Date());
+  const kept = Object.fromEntries(Object.entries(all).filter(([key]) => key.split('_')[1] >= today));
+  kept[listKey] = [...current];
+  await AsyncStorage.setItem(GROCERY_CHECKED_KEY, JSON.stringify(kept));
+  return kept[listKey];
+};
+
+/**
+ * Uncheck everything on a list.
+ */
+export const clearCheckedItems = async (listKey) => {
+  const all = await readChecked();
+  delete all[listKey];
+  await AsyncStorage.setItem(GROCERY_CHECKED_KEY, JSON.stringify(all));
+};
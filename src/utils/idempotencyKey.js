@@ -0,0 +1,10 @@
+// Client-generated ids for rows written through an offline queue.
+// A replayed write carrying the same key is recognised by the database instead of inserted twice.
+// uuid needs crypto.getRandomValues, which React Native only has through the polyfill.
+import 'react-native-get-random-values';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Random RFC 4122 v4 UUID (fits uuid columns such as user_food_logs.client_id)
+ */
+export const createIdempotencyKey = () => uuidv4();
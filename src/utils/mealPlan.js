@@ -0,0 +1,262 @@
+// Meal planning: saved meals scheduled into future days and slots, turned into food logs when eaten
+import { AdaptiveGoalEngine } from '../algorithms/AdaptiveGoalEngine';
+import supabase from '../lib/supabase';
+import { scaleNutrients } from './foodLogIngredients';
+import { enqueueFoodLog } from './foodLogQueue';
+import { getMealSlots } from './mealSlots';
+import { getPerServing } from './recipes';
+
+// Default log time for the standard slots (recurring meals start from these)
+export const SLOT_HOURS = { Breakfast: 8, Lunch: 13, Dinner: 19, Snack: 16 };
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// The engine's goal only changes with the profile, so it's worked out once per user per day
+const targetCache = { userId: null, dateKey: null, goal: null };
+
+/**
+ * Local calendar date as stored in meal_plan_entries.plan_date (YYYY-MM-DD).
+ */
+export const toPlanDate = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * The next `count` days starting today, for picking plan dates.
+ */
+export const getUpcomingDays = (count = 7) => Array.from({ length: count }, (_, index) => {
+  const day = new Date();
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + index);
+  return day;
+});
+
+/**
+ * Plan entries between two dates (inclusive), ordered by day and by the time of day of their slot.
+ * @returns {Promise<Array>} meal_plan_entries rows; empty on error
+ */
+export const getPlanEntries = async (userId, fromDate, toDate = fromDate) => {
+  if (!userId) return [];
+  try {
+    const [{ data, error }, slots] = await Promise.all([
+      supabase
+        .from('meal_plan_entries')
+        .select('*')
+        .eq('user_id', userId)
+        .gte('plan_date', toPlanDate(fromDate))
+        .lte('plan_date', toPlanDate(toDate))
+        .order('plan_date', { ascending: true }),
+      getMealSlots(userId),
+    ]);
+    if (error) throw error;
+
+    // Slots the user has since deleted go last
+    const slotOrder = (name) => {
+      const index = slots.findIndex((slot) => slot.name === name);
+      return index === -1 ? slots.length : index;
+    };
+    return (data || []).sort((a, b) => a.plan_date.localeCompare(b.plan_date)
+      || slotOrder(a.meal_slot) - slotOrder(b.meal_slot));
+  } catch (error) {
+    console.error('Error loading meal plan:', error);
+    return [];
+  }
+};
+
+/**
+ * Schedule a saved meal on one or more days in the same slot (e.g. Sunday meal prep for the week).
+ * @param {string} userId
+ * @param {object} meal - Saved meal as shown on SavedMealsScreen ({ id, dish_name, total_nutrition, macros, photo_path })
+ * @param {Date[]} dates
+ * @param {string} slot - One of the user's meal slots (getMealSlots), standard or custom
+ * @returns {Promise<Array>} The created entries
+ */
+export const planSavedMeal = async (userId, meal, dates, slot) => {
+  const rows = dates.map((date) => ({
+    user_id: userId,
+    saved_meal_id: meal.id || null,
+    plan_date: toPlanDate(date),
+    meal_slot: slot,
+    dish_name: meal.dish_name,
+    calories: Number(meal.total_nutrition?.calories) || 0,
+    protein: Number(meal.macros?.protein) || 0,
+    carbs: Number(meal.macros?.carbs) || 0,
+    fat: Number(meal.macros?.fat) || 0,
+    fiber: Number(meal.macros?.fiber) || 0,
+    // Storage path rather than the signed URL shown on screen, which expires
+    photo_url: meal.photo_path || null,
+  }));
+
+  const { data, error } = await supabase.from('meal_plan_entries').insert(rows).select();
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Schedule servings of a recipe on one or more days. Nutrition is copied for the servings planned.
+ * @param {string} userId
+ * @param {object} recipe - From getRecipes
+ * @param {Date[]} dates
+ * @param {string} slot - One of the user's meal slots (getMealSlots), standard or custom
+ * @param {number} [servings=1]
+ * @returns {Promise<Array>} The created entries
+ */
+export const planRecipe = async (userId, recipe, dates, slot, servings = 1) => {
+  const portion = scaleNutrients(getPerServing(recipe), servings);
+  const rows = dates.map((date) => ({
+    user_id: userId,
+    recipe_id: recipe.id,
+    servings,
+    plan_date: toPlanDate(date),
+    meal_slot: slot,
+    dish_name: recipe.name,
+    ...portion,
+  }));
+
+  const { data, error } = await supabase.from('meal_plan_entries').insert(rows).select();
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Take a meal off the plan. Logs already created from it stay.
+ */
+export const removePlanEntry = async (entryId) => {
+  const { error } = await supabase.from('meal_plan_entries').delete().eq('id', entryId);
+  if (error) throw error;
+};
+
+// Entries being marked on this device, so a double tap doesn't get as far as the database
+const markingEntries = new Set();
+
+/**
+ * Log a planned meal as eaten. The entry is claimed first (planned -> eaten, which needs a
+ * connection), so a double tap or a second device can't log it twice; the log itself then goes
+ * through the offline queue like any other and the entry remembers its client_id.
+ * @param {object} entry - meal_plan_entries row
+ * @returns {Promise<{ synced: boolean, log: object|null }>} log is null when the entry was already eaten
+ */
+export const markPlanEntryEaten = async (entry) => {
+  if (entry.status === 'eaten' || markingEntries.has(entry.id)) return { synced: true, log: null };
+  markingEntries.add(entry.id);
+
+  try {
+    const { data: claimed, error: claimError } = await supabase
+      .from('meal_plan_entries')
+      .update({ status: 'eaten' })
+      .eq('id', entry.id)
+      .eq('status', 'planned')
+      .select('id');
+    if (claimError) throw claimError;
+    if (!claimed?.length) return { synced: true, log: null };
+
+    const today = toPlanDate(new Date());
+    let loggedAt = new Date();
+    if (entry.plan_date !== today) {
+      // Middle of the slot's window, which custom slots have too
+      const slot = (await getMealSlots(entry.user_id)).find((item) => item.name === entry.meal_slot);
+      const minutes = slot ? Math.round((slot.start + slot.end) / 2) : (SLOT_HOURS[entry.meal_slot] || 12) * 60;
+      const [year, month, day] = entry.plan_date.split('-').map(Number);
+      loggedAt = new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    }
+
+    const logData = {
+      user_id: entry.user_id,
+      food_name: entry.dish_name,
+      serving_size: Number(entry.servings) || 1,
+      created_at: loggedAt.toISOString(),
+      meal_type: entry.meal_slot,
+      notes: '',
+      photo_url: entry.photo_url || null,
+    };
+    NUTRIENTS.forEach((key) => { logData[key] = Number(entry[key]) || 0; });
+
+    let result;
+    try {
+      result = await enqueueFoodLog(logData);
+    } catch (queueError) {
+      // Nothing was logged, so the meal is still to be eaten
+      await supabase.from('meal_plan_entries').update({ status: 'planned' }).eq('id', entry.id);
+      throw queueError;
+    }
+
+    const { error } = await supabase
+      .from('meal_plan_entries')
+      .update({ food_log_client_id: result.log.client_id })
+      .eq('id', entry.id);
+    // The log is what matters; a missing link back to it is only cosmetic
+    if (error) console.error('Error updating meal plan entry:', error);
+
+    return result;
+  } finally {
+    markingEntries.delete(entry.id);
+  }
+};
+
+/**
+ * Today's AdaptiveGoalEngine calorie goal for the user, or null when the profile is incomplete.
+ * @returns {Promise<{ min: number, target: number, max: number }|null>}
+ */
+export const getAdaptiveCalorieGoal = async (userId) => {
+  const dateKey = toPlanDate(new Date());
+  if (targetCache.userId === userId && targetCache.dateKey === dateKey) return targetCache.goal;
+
+  try {
+    const { data: profile } = await supabase.from('user_profile')
+      .select('calorie_goal, weight, height, age, gender, activity_level, goal')
+      .eq('id', userId)
+      .single();
+    if (!profile) return null;
+
+    const engine = new AdaptiveGoalEngine({
+      weight: profile.weight || 70,
+      height: profile.height || 170,
+      age: profile.age || 25,
+      gender: profile.gender || 'male',
+      activityLevel: profile.activity_level || 'moderate',
+      goal: profile.goal || 'weightLoss',
+      medicalConditions: [],
+      medications: [],
+      isBreastfeeding: false,
+      menstrualCycle: null,
+      history: [],
+      weightHistory: [],
+    });
+    const goal = engine.generateDailyGoal({ sleepHours: 7, stressLevel: 'medium', energyLevel: 'medium', situation: null });
+
+    targetCache.userId = userId;
+    targetCache.dateKey = dateKey;
+    targetCache.goal = goal;
+    return goal;
+  } catch (error) {
+    console.error('Error calculating adaptive calorie goal:', error);
+    return null;
+  }
+};
+
+/**
+ * Where the day ends up if the rest of the plan is eaten.
+ * @param {Array} entries - The day's plan entries
+ * @param {Array} logs - The day's food logs
+ * @param {object|null} goal - From getAdaptiveCalorieGoal
+ * @returns {{ planned, eaten, remaining, projected, goal, status }} status is 'under', 'within', 'over' or null without a goal
+ */
+export const projectPlannedDay = (entries = [], logs = [], goal = null) => {
+  const planned = entries.reduce((sum, entry) => sum + (Number(entry.calories) || 0), 0);
+  // Planned meals not logged yet; eaten ones are already in the logs
+  const remaining = entries
+    .filter((entry) => entry.status === 'planned')
+    .reduce((sum, entry) => sum + (Number(entry.calories) || 0), 0);
+  const eaten = logs.reduce((sum, log) => sum + (Number(log.calories) || 0), 0);
+  const projected = Math.round(eaten + remaining);
+
+  let status = null;
+  if (goal) {
+    if (projected < goal.min) status = 'under';
+    else if (projected > goal.max) status = 'over';
+    else status = 'within';
+  }
+
+  return { planned: Math.round(planned), eaten: Math.round(eaten), remaining: Math.round(remaining), projected, goal, status };
+};
@@ -0,0 +1,197 @@
+// Meal slots (breakfast, lunch, ... plus the user's own like "Pre-workout") and the time of day each covers.
+// The standard slots start from typical windows and follow the user's habits once they have enough
+// logs filed under them; custom slots keep the window the user gave them.
+import supabase from '../lib/supabase';
+
+// The standard slots every user has
+export const MEAL_SLOTS = ['Breakfast', 'Lunch', 'Dinner', 'Snack'];
+
+// Minutes after midnight
+const DEFAULT_WINDOWS = {
+  Breakfast: { start: 5 * 60, end: 10 * 60 + 30 },
+  Lunch: { start: 11 * 60 + 30, end: 15 * 60 },
+  Snack: { start: 15 * 60, end: 17 * 60 + 30 },
+  Dinner: { start: 17 * 60 + 30, end: 22 * 60 },
+};
+
+// Entries outside every window (a 2am bowl of cereal) are snacks
+const FALLBACK_SLOT = 'Snack';
+
+// Logs a slot needs before its window is learned from them
+const MIN_SAMPLES = 5;
+// Slack around the 10th-90th percentile of logged times
+const LEARNED_MARGIN = 45;
+const HISTORY_DAYS = 60;
+// Slot names are stored as user_food_logs.meal_type, which the server caps at 50 characters
+const MAX_SLOT_NAME = 50;
+
+// Learned windows only move as logs pile up, so they're worked out once per user per day
+const slotCache = { userId: null, dateKey: null, slots: null };
+
+const minutesOf = (date) => {
+  const d = new Date(date);
+  return d.getHours() * 60 + d.getMinutes();
+};
+
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+
+// A window can run past midnight, e.g. a "Late night" slot from 22:00 to 01:00
+const inWindow = (minutes, slot) => (slot.start <= slot.end
+  ? minutes >= slot.start && minutes <= slot.end
+  : minutes >= slot.start || minutes <= slot.end);
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Minutes after midnight from "HH:MM" (24h), or null when it isn't a time.
+ */
+export const parseSlotTime = (text) => {
+  const match = String(text || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * "HH:MM" (24h) for minutes after midnight, the format custom slots are stored in.
+ */
+export const toSlotTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * "7:30 AM" for minutes after midnight.
+ */
+export const formatSlotTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const suffix = hours < 12 ? 'AM' : 'PM';
+  return `${hours % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Windows for the standard slots from the user's own logs. A slot with too few logs keeps its default.
+ * @param {Array} logs - user_food_logs rows with meal_type and created_at
+ * @returns {Array<{ name, start, end, learned: boolean, custom: false }>}
+ */
+export const learnSlotWindows = (logs = []) => MEAL_SLOTS.map((name) => {
+  const times = logs
+    .filter((log) => sameName(log.meal_type, name) && log.created_at)
+    .map((log) => minutesOf(log.created_at))
+    .sort((a, b) => a - b);
+
+  if (times.length < MIN_SAMPLES) return { name, ...DEFAULT_WINDOWS[name], learned: false, custom: false };
+  return {
+    name,
+    start: Math.max(0, percentile(times, 0.1) - LEARNED_MARGIN),
+    end: Math.min(24 * 60 - 1, percentile(times, 0.9) + LEARNED_MARGIN),
+    learned: true,
+    custom: false,
+  };
+});
+
+/**
+ * The slot a meal eaten at this time belongs to. Custom slots win where they overlap a standard one
+ * (a "Pre-workout" inside the afternoon snack window); between standard slots the closest middle wins.
+ * @param {Array} slots - From getMealSlots
+ * @returns {string} The slot name
+ */
+export const suggestMealSlot = (slots = [], date = new Date()) => {
+  const minutes = minutesOf(date);
+  const matches = slots.filter((slot) => inWindow(minutes, slot));
+  if (!matches.length) return slots.some((slot) => slot.name === FALLBACK_SLOT) ? FALLBACK_SLOT : (slots[0]?.name || FALLBACK_SLOT);
+
+  const distance = (slot) => Math.abs(minutes - (slot.start + slot.end) / 2);
+  const custom = matches.filter((slot) => slot.custom);
+  const candidates = custom.length ? custom : matches;
+  return candidates.reduce((best, slot) => (distance(slot) < distance(best) ? slot : best)).name;
+};
+
+/**
+ * The slot a log is filed under: its meal_type when that is one of the slots,
+ * otherwise the slot for the time it was logged (older "Quick Log" entries).
+ */
+export const resolveLogSlot = (log, slots = []) => {
+  const named = slots.find((slot) => sameName(slot.name, log?.meal_type));
+  return named ? named.name : suggestMealSlot(slots, log?.created_at || new Date());
+};
+
+/**
+ * Logs grouped by slot, in the order the slots come up during the day. Empty slots are left out.
+ * Before the slots have loaded, everything lands in one fallback group rather than disappearing.
+ * @returns {Array<{ slot: object, logs: Array, calories: number }>}
+ */
+export const groupLogsBySlot = (logs = [], slots = []) => {
+  const groups = new Map(slots.map((slot) => [slot.name, { slot, logs: [], calories: 0 }]));
+  logs.forEach((log) => {
+    const name = resolveLogSlot(log, slots);
+    if (!groups.has(name)) groups.set(name, { slot: { name }, logs: [], calories: 0 });
+    const group = groups.get(name);
+    group.logs.push(log);
+    group.calories += Number(log.calories) || 0;
+  });
+  return [...groups.values()]
+    .filter((group) => group.logs.length > 0)
+    .map((group) => ({ ...group, calories: Math.round(group.calories) }));
+};
+
+/**
+ * The user's slots: standard ones with windows learned from the last two months of logs, plus custom ones.
+ * @returns {Promise<Array<{ name, start, end, learned, custom }>>} sorted by start time
+ */
+export const getMealSlots = async (userId) => {
+  const dateKey = new Date().toDateString();
+  if (slotCache.userId === userId && slotCache.dateKey === dateKey && slotCache.slots) return slotCache.slots;
+
+  let logs = [];
+  let custom = [];
+  if (userId) {
+    try {
+      const since = new Date();
+      since.setDate(since.getDate() - HISTORY_DAYS);
+      const [logsResult, profileResult] = await Promise.all([
+        supabase.from('user_food_logs').select('meal_type, created_at').eq('user_id', userId).gte('created_at', since.toISOString()),
+        supabase.from('user_profile').select('meal_slots').eq('id', userId).single(),
+      ]);
+      if (logsResult.error) throw logsResult.error;
+      logs = logsResult.data || [];
+      custom = profileResult.data?.meal_slots || [];
+    } catch (error) {
+      // The default windows still give sensible suggestions
+      console.error('Error loading meal slots:', error);
+    }
+  }
+
+  const customSlots = custom
+    .map((slot) => ({ name: slot.name, start: parseSlotTime(slot.start), end: parseSlotTime(slot.end), learned: false, custom: true }))
+    .filter((slot) => slot.name && slot.start !== null && slot.end !== null);
+  const slots = [...learnSlotWindows(logs), ...customSlots].sort((a, b) => a.start - b.start);
+
+  if (userId) Object.assign(slotCache, { userId, dateKey, slots });
+  return slots;
+};
+
+/**
+ * The slot to file a new entry under when the caller doesn't know one.
+ * @param {string} userId
+ * @param {string} [mealType] - kept when it is already one of the user's slots
+ * @param {Date} [date] - when the meal was eaten
+ * @returns {Promise<string>}
+ */
+export const resolveMealType = async (userId, mealType, date = new Date()) => {
+  const slots = await getMealSlots(userId);
+  const named = slots.find((slot) => sameName(slot.name, mealType));
+  return named ? named.name : suggestMealSlot(slots, date);
+};
+
+/**
+ * Save the user's custom slots, e.g. [{ name: 'Pre-workout', start: '17:00', end: '18:00' }].
+ * Their names can't repeat a standard slot.
+ */
+export const saveCustomSlots = async (userId, customSlots) => {
+  const rows = customSlots
+    .map((slot) => ({ name: String(slot.name || '').trim().slice(0, MAX_SLOT_NAME), start: slot.start, end: slot.end }))
+    .filter((slot) => slot.name && !MEAL_SLOTS.some((name) => sameName(name, slot.name)));
+  const { error } = await supabase.from('user_profile').update({ meal_slots: rows }).eq('id', userId);
+  if (error) throw error;
+  slotCache.slots = null;
+};
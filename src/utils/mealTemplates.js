@@ -0,0 +1,252 @@
+// Re-logging what was eaten before: copying meals from another day, and recurring templates
+// like "weekday breakfast" that are suggested or logged automatically once their time comes.
+// Everything is logged through enqueueFoodLog, like a meal entered by hand.
+import supabase from '../lib/supabase';
+import { getFoodLogIngredients } from './foodLogIngredients';
+import { enqueueFoodLog } from './foodLogQueue';
+import { SLOT_HOURS, toPlanDate } from './mealPlan';
+import { MICRONUTRIENT_KEYS } from './micronutrients';
+
+// The parts of a food log that describe the food, as opposed to when and by whom it was logged
+const FOOD_FIELDS = ['food_name', 'serving_size', 'calories', 'protein', 'carbs', 'fat', 'fiber', ...MICRONUTRIENT_KEYS, 'meal_type', 'notes', 'photo_url'];
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+export const DAY_LETTERS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let runPromise = null;
+
+const pickFoodFields = (log) => Object.fromEntries(FOOD_FIELDS.filter((key) => log[key] !== undefined).map((key) => [key, log[key]]));
+
+// Same time of day on another date, but never later than now
+const atTimeOn = (date, hours, minutes) => {
+  const target = new Date(date);
+  target.setHours(hours, minutes, 0, 0);
+  const now = new Date();
+  return target > now ? now : target;
+};
+
+const logItems = async (userId, items, loggedAt, mealType) => {
+  const results = [];
+  // One at a time, so the queue keeps the meals in order
+  for (const item of items) {
+    const { ingredients = [], ...food } = item;
+    results.push(await enqueueFoodLog({
+      ...food,
+      ...(mealType ? { meal_type: mealType } : {}),
+      user_id: userId,
+      created_at: loggedAt.toISOString(),
+    }, { ingredients }));
+  }
+  return { logged: results.length, synced: results.every((result) => result.synced) };
+};
+
+/**
+ * Food logs of one local calendar day, oldest first.
+ * @param {Array} logs - user_food_logs rows, e.g. from getFoodLogs
+ */
+export const getLogsForDay = (logs = [], date) => {
+  const dateKey = toPlanDate(date);
+  return logs
+    .filter((log) => toPlanDate(log.created_at) === dateKey)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+};
+
+/**
+ * A food log as something that can be logged again: its food fields and ingredient breakdown.
+ * @param {object} log - user_food_logs row
+ * @returns {Promise<object>}
+ */
+export const toTemplateItem = async (log) => {
+  const ingredients = log.id ? await getFoodLogIngredients(log.id) : [];
+  return {
+    ...pickFoodFields(log),
+    ingredients: ingredients.map(({ name, quantity, calories, protein, carbs, fat, fiber }) => ({ name, quantity, calories, protein, carbs, fat, fiber })),
+  };
+};
+
+/**
+ * Log meals again on another day, at the time of day they were first eaten.
+ * @param {string} userId
+ * @param {Array} logs - user_food_logs rows to copy
+ * @param {Date} targetDate
+ * @returns {Promise<{ logged: number, synced: boolean }>} synced is false when some are still queued
+ */
+export const copyFoodLogs = async (userId, logs, targetDate) => {
+  let logged = 0;
+  let synced = true;
+  for (const log of logs) {
+    const source = new Date(log.created_at);
+    const result = await logItems(userId, [await toTemplateItem(log)], atTimeOn(targetDate, source.getHours(), source.getMinutes()));
+    logged += result.logged;
+    synced = synced && result.synced;
+  }
+  return { logged, synced };
+};
+
+/**
+ * Short description of the days a template repeats on: "Weekdays", "Every day", "Mon, Wed".
+ */
+export const describeDays = (days = []) => {
+  const sorted = [...days].sort();
+  if (sorted.length === 7) return 'Every day';
+  if (sorted.join() === WEEKDAYS.join()) return 'Weekdays';
+  if (sorted.join() === '0,6') return 'Weekends';
+  return sorted.map((day) => DAY_NAMES[day]).join(', ');
+};
+
+/**
+ * Default log time for a meal slot, as stored in meal_templates.log_time.
+ */
+export const getSlotTime = (slot) => `${String(SLOT_HOURS[slot] || 12).padStart(2, '0')}:00`;
+
+const parseTime = (time) => {
+  const [hours, minutes] = String(time || '12:00').split(':').map(Number);
+  return { hours: hours || 0, minutes: minutes || 0 };
+};
+
+/**
+ * Calories of everything in a template.
+ */
+export const getTemplateCalories = (template) => Math.round((template?.items || []).reduce((sum, item) => sum + (Number(item.calories) || 0), 0));
+
+/**
+ * The user's meal templates, in the order they come up during the day.
+ * @returns {Promise<Array>} empty on error
+ */
+export const getTemplates = async (userId) => {
+  if (!userId) return [];
+  try {
+    const { data, error } = await supabase
+      .from('meal_templates')
+      .select('*')
+      .eq('user_id', userId)
+      .order('log_time', { ascending: true });
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error loading meal templates:', error);
+    return [];
+  }
+};
+
+/**
+ * Create a template from food logs, e.g. this morning's breakfast.
+ * @param {string} userId
+ * @param {Array} logs - user_food_logs rows
+ * @param {{ name, mealSlot, days?, time?, mode? }} options
+ * @returns {Promise<object>} The meal_templates row
+ */
+export const createTemplateFromLogs = async (userId, logs, { name, mealSlot, days = WEEKDAYS, time, mode = 'suggest' }) => {
+  const items = await Promise.all(logs.map(toTemplateItem));
+  const { data, error } = await supabase
+    .from('meal_templates')
+    .insert([{
+      user_id: userId,
+      name: String(name || '').trim(),
+      meal_slot: mealSlot,
+      days_of_week: days,
+      log_time: time || getSlotTime(mealSlot),
+      mode,
+      items,
+    }])
+    .select('*')
+    .single();
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Change a template's schedule, mode or name.
+ * @returns {Promise<object>} The updated row
+ */
+export const updateTemplate = async (templateId, changes) => {
+  const { data, error } = await supabase.from('meal_templates').update(changes).eq('id', templateId).select('*').single();
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Delete a template. Meals it already logged stay.
+ */
+export const deleteTemplate = async (templateId) => {
+  const { error } = await supabase.from('meal_templates').delete().eq('id', templateId);
+  if (error) throw error;
+};
+
+/**
+ * Whether a template should come up now: active, scheduled today, past its time and not yet handled today.
+ */
+export const isTemplateDue = (template, now = new Date()) => {
+  if (!template?.active || !(template.days_of_week || []).includes(now.getDay())) return false;
+  if (template.last_handled_date && template.last_handled_date >= toPlanDate(now)) return false;
+  const { hours, minutes } = parseTime(template.log_time);
+  return now.getHours() * 60 + now.getMinutes() >= hours * 60 + minutes;
+};
+
+// Mark a template handled for today. Only one device wins, so a template is never logged twice.
+const claimForToday = async (template) => {
+  const today = toPlanDate(new Date());
+  const { data, error } = await supabase
+    .from('meal_templates')
+    .update({ last_handled_date: today })
+    .eq('id', template.id)
+    .or(`last_handled_date.is.null,last_handled_date.lt.${today}`)
+    .select('id');
+  if (error) throw error;
+  return (data || []).length > 0;
+};
+
+/**
+ * Log a template's meals under its meal slot, at its time of day.
+ * @param {object} template - meal_templates row
+ * @param {{ date?: Date }} options - another day to log it on; today's template is marked handled
+ * @returns {Promise<{ logged: number, synced: boolean }>}
+ */
+export const logTemplate = async (template, { date } = {}) => {
+  const forToday = !date || toPlanDate(date) === toPlanDate(new Date());
+  if (forToday && template.last_handled_date !== toPlanDate(new Date())) {
+    // Losing the claim only means another device handled it; logging by hand still goes through
+    await claimForToday(template).catch((error) => console.error('Error marking meal template handled:', error));
+  }
+  const { hours, minutes } = parseTime(template.log_time);
+  return logItems(template.user_id, template.items || [], atTimeOn(date || new Date(), hours, minutes), template.meal_slot);
+};
+
+/**
+ * Don't suggest a template again today.
+ */
+export const skipTemplateToday = async (template) => {
+  await claimForToday(template);
+};
+
+/**
+ * Handle the templates that are due: 'auto' ones are logged, 'suggest' ones are returned for the user to confirm.
+ * Call when the app comes to the foreground. Concurrent calls share one run.
+ * @returns {Promise<{ autoLogged: Array, suggestions: Array }>} autoLogged lists the templates logged this run
+ */
+export const runDueTemplates = (userId) => {
+  if (runPromise) return runPromise;
+
+  runPromise = (async () => {
+    const due = (await getTemplates(userId)).filter((template) => isTemplateDue(template));
+    const autoLogged = [];
+    for (const template of due.filter((item) => item.mode === 'auto')) {
+      try {
+        // Offline, the claim fails and the template waits for the next run
+        if (await claimForToday(template)) {
+          const { hours, minutes } = parseTime(template.log_time);
+          await logItems(userId, template.items || [], atTimeOn(new Date(), hours, minutes), template.meal_slot);
+          autoLogged.push(template);
+        }
+      } catch (error) {
+        console.error('Error auto-logging meal template:', error);
+      }
+    }
+    return { autoLogged, suggestions: due.filter((template) => template.mode === 'suggest') };
+  })().finally(() => {
+    runPromise = null;
+  });
+
+  return runPromise;
+};
@@ -0,0 +1,126 @@
+// Fiber, sugar, sodium and micronutrients: the amounts stored per log and the daily targets for them
+
+/**
+ * Tracked nutrients beyond calories and macros. `limit` ones are ceilings (stay under),
+ * the rest are minimums (reach at least). Fiber is also a macro column and is always set;
+ * the others are null on a log when the source didn't report them.
+ */
+export const TRACKED_NUTRIENTS = [
+  { key: 'fiber', label: 'Fiber', unit: 'g' },
+  { key: 'sugar', label: 'Sugar', unit: 'g', limit: true },
+  { key: 'sodium', label: 'Sodium', unit: 'mg', limit: true },
+  { key: 'potassium', label: 'Potassium', unit: 'mg' },
+  { key: 'calcium', label: 'Calcium', unit: 'mg' },
+  { key: 'iron', label: 'Iron', unit: 'mg' },
+  { key: 'vitamin_c', label: 'Vitamin C', unit: 'mg' },
+];
+
+// user_food_logs columns added next to the macros (fiber is stored with the macros)
+export const MICRONUTRIENT_KEYS = ['sugar', 'sodium', 'potassium', 'calcium', 'iron', 'vitamin_c'];
+
+// Older analyses used camelCase names
+const LEGACY_KEYS = { vitaminC: 'vitamin_c' };
+
+// Reference daily values for "good source" (15% or more of the daily value), as on US labels
+const DAILY_VALUES = { potassium: 4700, calcium: 1300, iron: 18, vitamin_c: 90 };
+const GOOD_SOURCE_SHARE = 0.15;
+
+const toAmount = (value) => {
+  // Older analyses only said whether a nutrient was present; that isn't an amount
+  if (typeof value === 'boolean' || value === null || value === undefined || value === '') return null;
+  // Model output may say "1,150 mg"
+  const number = typeof value === 'string' ? parseFloat(value.replace(/,/g, '')) : Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number * 10) / 10 : null;
+};
+
+/**
+ * Micronutrient amounts from an analysis total, a label or a log row.
+ * Reads `totals.micronutrients` as well as top-level keys (labels and log rows).
+ * @returns {{ sugar, sodium, potassium, calcium, iron, vitamin_c }} null where unknown
+ */
+export const readMicronutrients = (totals = {}) => {
+  const nested = { ...(totals?.micronutrients || {}) };
+  Object.entries(LEGACY_KEYS).forEach(([legacy, key]) => {
+    if (nested[key] === undefined && nested[legacy] !== undefined) nested[key] = nested[legacy];
+  });
+
+  const amounts = {};
+  MICRONUTRIENT_KEYS.forEach((key) => {
+    amounts[key] = toAmount(nested[key] ?? totals?.[key]);
+  });
+  return amounts;
+};
+
+/**
+ * Scale known amounts (servings, portion corrections); unknown ones stay null.
+ */
+export const scaleMicronutrients = (amounts, ratio) => {
+  const scaled = {};
+  MICRONUTRIENT_KEYS.forEach((key) => {
+    scaled[key] = amounts?.[key] === null || amounts?.[key] === undefined
+      ? null
+      : Math.round(amounts[key] * ratio * 10) / 10;
+  });
+  return scaled;
+};
+
+/**
+ * Whether an amount is at least 15% of the daily value, like "good source of iron" on a label.
+ */
+export const isGoodSource = (key, amount) => Boolean(DAILY_VALUES[key]) && Number(amount) >= DAILY_VALUES[key] * GOOD_SOURCE_SHARE;
+
+/**
+ * Daily targets for every tracked nutrient. Defaults follow the US Dietary Reference Intakes
+ * for the user's age and sex; anything the user set in user_profile.nutrient_targets wins.
+ * @param {object} profile - user_profile row (age, gender, calorie_goal, nutrient_targets)
+ * @returns {{ fiber, sugar, sodium, potassium, calcium, iron, vitamin_c }}
+ */
+export const getNutrientTargets = (profile = {}) => {
+  const age = Number(profile?.age) || 30;
+  const female = String(profile?.gender || '').toLowerCase().startsWith('f');
+  const calorieGoal = Number(profile?.calorie_goal) || (female ? 2000 : 2500);
+
+  const defaults = {
+    // 14 g per 1,000 kcal
+    fiber: Math.round(calorieGoal / 1000 * 14),
+    // Under 10% of calories from sugar
+    sugar: Math.round(calorieGoal * 0.1 / 4),
+    sodium: 2300,
+    potassium: female ? 2600 : 3400,
+    calcium: (female && age > 50) || age > 70 ? 1200 : 1000,
+    iron: female && age <= 50 ? 18 : 8,
+    vitamin_c: female ? 75 : 90,
+  };
+
+  const overrides = {};
+  Object.entries(profile?.nutrient_targets || {}).forEach(([key, value]) => {
+    if (key in defaults && Number(value) > 0) overrides[key] = Number(value);
+  });
+  return { ...defaults, ...overrides };
+};
+
+/**
+ * Add up tracked nutrients over food logs.
+ * @param {Array} logs - user_food_logs rows
+ * @returns {{ totals: object, reported: object }} reported counts the logs that had a value for each nutrient
+ */
+export const sumTrackedNutrients = (logs = []) => {
+  const totals = {};
+  const reported = {};
+  TRACKED_NUTRIENTS.forEach(({ key }) => {
+    totals[key] = 0;
+    reported[key] = 0;
+  });
+
+  logs.forEach((log) => {
+    TRACKED_NUTRIENTS.forEach(({ key }) => {
+      const amount = toAmount(log?.[key]);
+      if (amount === null) return;
+      totals[key] += amount;
+      reported[key] += 1;
+    });
+  });
+
+  TRACKED_NUTRIENTS.forEach(({ key }) => { totals[key] = Math.round(totals[key] * 10) / 10; });
+  return { totals, reported };
+};
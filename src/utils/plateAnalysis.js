@@ -0,0 +1,70 @@
+// A meal photographed more than once: extra angles for a better look at the portion, or a before
+// and an after photo of the plate so only what was actually eaten gets logged.
+import * as FileSystem from 'expo-file-system/legacy';
+import { scaleNutrients, scaleQuantity } from './foodLogIngredients';
+import { readMicronutrients, scaleMicronutrients } from './micronutrients';
+
+export const MAX_MEAL_PHOTOS = 4;
+
+// Quick picks for "How much did you eat?"
+export const PERCENT_EATEN_OPTIONS = [25, 50, 75, 100];
+
+/**
+ * The share eaten as a whole percentage from 1 to 100. An empty plate in the after photo still
+ * counts as 1% so the meal's nutrition can be scaled back up when the user corrects it.
+ */
+export const clampPercentEaten = (percent) => Math.min(100, Math.max(1, Math.round(Number(percent) || 0)));
+
+/**
+ * Role of each photo for the analysis: once there is an after photo, the first one is the "before".
+ * @param {Array<{ uri: string, after?: boolean }>} photos - In the order they were taken
+ * @returns {Array<'angle'|'before'|'after'>}
+ */
+export const photoRoles = (photos = []) => {
+  const hasAfter = photos.some((photo) => photo.after);
+  return photos.map((photo, index) => {
+    if (photo.after) return 'after';
+    return hasAfter && index === 0 ? 'before' : 'angle';
+  });
+};
+
+/**
+ * Read the photos for analyzeFood. A single photo goes as { data, mimeType } like before;
+ * several go as { images: [{ data, mimeType, role }] }.
+ * @returns {Promise<object>} The media part of an analyzeFood request
+ */
+export const readMealPhotos = async (photos = []) => {
+  const roles = photoRoles(photos);
+  const images = await Promise.all(photos.map(async (photo, index) => ({
+    data: await FileSystem.readAsStringAsync(photo.uri, { encoding: 'base64' }),
+    mimeType: 'image/jpeg',
+    role: roles[index],
+  })));
+  if (images.length === 1) return { data: images[0].data, mimeType: images[0].mimeType };
+  return { images };
+};
+
+/**
+ * The part of an analysis that was eaten: totals, micronutrients, ingredients and their quantities
+ * times `share` (0.5 for half the plate). Returns the analysis itself when all of it was eaten.
+ */
+export const scaleAnalysis = (analysis, share) => {
+  if (!analysis || !(share >= 0) || share === 1) return analysis;
+
+  const scaleTotals = (totals) => totals && {
+    ...scaleNutrients(totals, share),
+    micronutrients: scaleMicronutrients(readMicronutrients(totals), share),
+  };
+  const scaleItems = (items) => items && items.map((item) => ({
+    ...scaleNutrients(item, share),
+    quantity: scaleQuantity(item.quantity, share),
+  }));
+
+  return {
+    ...analysis,
+    total: scaleTotals(analysis.total),
+    total_nutrition: scaleTotals(analysis.total_nutrition),
+    ingredients: scaleItems(analysis.ingredients),
+    items: scaleItems(analysis.items),
+  };
+};
@@ -0,0 +1,144 @@
+// Packaged food lookups by barcode. Catalogs are pluggable; the built-in one lives on the device
+// and is filled by products users enter from the label.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { readMicronutrients } from './micronutrients';
+
+const PRODUCT_CATALOG_KEY = 'product_catalog';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// Symbologies the camera should look for
+export const PRODUCT_BARCODE_TYPES = ['ean13', 'ean8', 'upc_a', 'upc_e'];
+
+// GTIN check digit: weights 3 and 1 alternate from the right, excluding the check digit itself
+const checkDigit = (body) => {
+  const sum = [...body].reverse().reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+const hasValidCheckDigit = (code) => checkDigit(code.slice(0, -1)) === Number(code.slice(-1));
+
+// UPC-E is a zero-suppressed UPC-A; the last of the six middle digits says where the zeros go
+const expandUpcE = (code) => {
+  const [system, d1, d2, d3, d4, d5, d6, check] = code;
+  let body;
+  if ('012'.includes(d6)) body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return `${system}${body}${check}`;
+};
+
+/**
+ * Normalize a scanned code so every symbology of the same product gives the same key.
+ * UPC-A and UPC-E become their 13-digit EAN form; EAN-8 stays as is.
+ * @param {string} data - Raw scanner data
+ * @param {string} [type] - Symbology reported by the scanner (ean13, upc_e, ...)
+ * @returns {string|null} null when it isn't a valid EAN/UPC code
+ */
+export const normalizeBarcode = (data, type = '') => {
+  let code = String(data || '').replace(/\D/g, '');
+  if (/upc_?e/i.test(type) && code.length === 8) code = expandUpcE(code);
+  if (code.length === 12) code = `0${code}`;
+  if (code.length !== 8 && code.length !== 13) return null;
+  return hasValidCheckDigit(code) ? code : null;
+};
+
+const readLocalProducts = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(PRODUCT_CATALOG_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading product catalog:', error);
+    return {};
+  }
+};
+
+/**
+ * Products entered by the user from the package label, stored on the device.
+ * Every catalog has a name and lookup(barcode); contribute(product) is optional.
+ */
+export const localProductCatalog = {
+  name: 'Your products',
+  lookup: async (barcode) => {
+    const products = await readLocalProducts();
+    return products[barcode] || null;
+  },
+  contribute: async (product) => {
+    const products = await readLocalProducts();
+    await AsyncStorage.setItem(PRODUCT_CATALOG_KEY, JSON.stringify({ ...products, [product.barcode]: product }));
+  },
+};
+
+// Searched in order, so the user's own entries win over anything registered later
+const catalogs = [localProductCatalog];
+
+/**
+ * Add a catalog to search after the ones already registered.
+ * @param {{ name: string, lookup: Function, contribute?: Function }} catalog
+ */
+export const registerProductCatalog = (catalog) => {
+  if (!catalogs.includes(catalog)) catalogs.push(catalog);
+};
+
+/**
+ * Find a product in the first catalog that knows the barcode.
+ * A catalog that fails (e.g. a remote one while offline) is skipped.
+ * @param {string} barcode - Normalized code from normalizeBarcode
+ * @returns {Promise<object|null>} The product with `catalog` set to where it was found
+ */
+export const lookupProduct = async (barcode) => {
+  for (const catalog of catalogs) {
+    try {
+      const product = await catalog.lookup(barcode);
+      if (product) return { ...product, catalog: catalog.name };
+    } catch (error) {
+      console.error(`Error looking up product in ${catalog.name}:`, error);
+    }
+  }
+  return null;
+};
+
+/**
+ * Save a product the user entered from the label to every catalog that accepts entries.
+ * @param {object} entry - { barcode, name, brand, serving_size, calories, protein, carbs, fat, fiber } per serving,
+ *   plus any of sugar (g), sodium, potassium, calcium, iron, vitamin_c (mg) the label shows
+ * @returns {Promise<object>} The stored product
+ */
+export const contributeProduct = async (entry) => {
+  const nutrition = {};
+  NUTRIENTS.forEach((key) => { nutrition[key] = Math.max(0, Number(entry[key]) || 0); });
+  // Left out rather than stored as 0 when the label doesn't list them
+  Object.entries(readMicronutrients(entry)).forEach(([key, amount]) => {
+    if (amount !== null) nutrition[key] = amount;
+  });
+  const product = {
+    barcode: entry.barcode,
+    name: String(entry.name || '').trim(),
+    brand: String(entry.brand || '').trim(),
+    serving_size: String(entry.serving_size || '').trim() || '1 serving',
+    nutrition,
+    updated_at: new Date().toISOString(),
+  };
+
+  await Promise.all(catalogs.filter((catalog) => catalog.contribute).map((catalog) => catalog.contribute(product)));
+  return product;
+};
+
+/**
+ * Shape a product like an analysis so PostCalorieScreen can show it. Nutrition is for one serving.
+ * Also used for label scans, which are products without a barcode.
+ */
+export const productToAnalysis = (product) => {
+  const dishName = product.brand ? `${product.brand} ${product.name}` : product.name;
+  const macros = {};
+  NUTRIENTS.forEach((key) => { macros[key] = product.nutrition[key] || 0; });
+  return {
+    dish_name: dishName,
+    description: `${product.serving_size} per serving`,
+    source: 'label',
+    total_nutrition: { ...macros, micronutrients: readMicronutrients(product.nutrition) },
+    ingredients: [{ name: dishName, quantity: product.serving_size, ...macros }],
+    product: { barcode: product.barcode, catalog: product.catalog, serving_size: product.serving_size },
+  };
+};
@@ -0,0 +1,151 @@
+// Recipes: ingredients with quantities for the whole pot, a number of servings, and nutrition per serving
+import supabase from '../lib/supabase';
+import { normalizeIngredients, scaleNutrients, scaleQuantity, sumIngredients } from './foodLogIngredients';
+import { enqueueFoodLog } from './foodLogQueue';
+import { resolveMealType } from './mealSlots';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+const byPosition = (a, b) => (a.position || 0) - (b.position || 0);
+
+const withSortedIngredients = (recipe) => ({
+  ...recipe,
+  ingredients: [...(recipe.recipe_ingredients || [])].sort(byPosition),
+});
+
+/**
+ * Nutrition for one serving of a recipe.
+ * @param {object} recipe - recipes row (whole-recipe totals and servings)
+ * @returns {{ calories, protein, carbs, fat, fiber }}
+ */
+export const getPerServing = (recipe) => {
+  const servings = Number(recipe?.servings) > 0 ? Number(recipe.servings) : 1;
+  return scaleNutrients(Object.fromEntries(NUTRIENTS.map((key) => [key, Number(recipe?.[key]) || 0])), 1 / servings);
+};
+
+/**
+ * The user's recipes with their ingredients, most recently changed first.
+ * @returns {Promise<Array>} recipes rows with `ingredients`; empty on error
+ */
+export const getRecipes = async (userId) => {
+  if (!userId) return [];
+  try {
+    const { data, error } = await supabase
+      .from('recipes')
+      .select('*, recipe_ingredients(*)')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false });
+    if (error) throw error;
+    return (data || []).map(withSortedIngredients);
+  } catch (error) {
+    console.error('Error loading recipes:', error);
+    return [];
+  }
+};
+
+const insertIngredients = async (userId, recipeId, rows) => {
+  if (!rows.length) return [];
+  const { data, error } = await supabase
+    .from('recipe_ingredients')
+    .insert(rows.map((item, position) => ({
+      ...item,
+      quantity: item.quantity != null ? String(item.quantity) : null,
+      recipe_id: recipeId,
+      user_id: userId,
+      position,
+    })))
+    .select('*');
+  if (error) throw error;
+  return (data || []).sort(byPosition);
+};
+
+/**
+ * Create or update a recipe. Totals are recomputed from the ingredients and the ingredient
+ * list is replaced, so the stored totals never drift from what the recipe is made of.
+ * The new ingredients are written before the old ones are removed, so a failed save
+ * leaves the recipe as it was rather than without ingredients.
+ * @param {string} userId
+ * @param {{ id?, name, servings, notes?, ingredients }} recipe - ingredients as PostCalorieScreen edits them
+ * @returns {Promise<object>} The saved recipe with `ingredients`
+ */
+export const saveRecipe = async (userId, { id, name, servings, notes = '', ingredients = [] }) => {
+  const rows = normalizeIngredients(ingredients);
+  const fields = {
+    user_id: userId,
+    name: String(name || '').trim(),
+    servings: Number(servings) > 0 ? Number(servings) : 1,
+    notes,
+    ...sumIngredients(rows),
+  };
+
+  if (!id) {
+    const { data: recipe, error } = await supabase.from('recipes').insert([fields]).select('*').single();
+    if (error) throw error;
+    try {
+      return { ...recipe, ingredients: await insertIngredients(userId, recipe.id, rows) };
+    } catch (ingredientsError) {
+      // Don't leave a recipe behind whose totals have no ingredients
+      await supabase.from('recipes').delete().eq('id', recipe.id);
+      throw ingredientsError;
+    }
+  }
+
+  const { data: previous, error: previousError } = await supabase.from('recipe_ingredients').select('id').eq('recipe_id', id);
+  if (previousError) throw previousError;
+
+  const savedIngredients = await insertIngredients(userId, id, rows);
+  const { data: recipe, error } = await supabase.from('recipes').update(fields).eq('id', id).select('*').single();
+  if (error) {
+    if (savedIngredients.length) {
+      await supabase.from('recipe_ingredients').delete().in('id', savedIngredients.map((item) => item.id));
+    }
+    throw error;
+  }
+
+  if (previous?.length) {
+    const { error: deleteError } = await supabase.from('recipe_ingredients').delete().in('id', previous.map((item) => item.id));
+    if (deleteError) throw deleteError;
+  }
+
+  return { ...recipe, ingredients: savedIngredients };
+};
+
+/**
+ * Delete a recipe and its ingredients. Meals already logged from it stay.
+ */
+export const deleteRecipe = async (recipeId) => {
+  const { error } = await supabase.from('recipes').delete().eq('id', recipeId);
+  if (error) throw error;
+};
+
+/**
+ * Log some servings of a recipe. The ingredient breakdown is scaled to the portion eaten,
+ * so single items can still be corrected on the logged meal.
+ * @param {object} recipe - From getRecipes
+ * @param {number} servingsEaten
+ * @param {{ mealType?: string }} options - the slot for the time it's eaten when not given
+ * @returns {Promise<{ synced: boolean, log: object }>}
+ */
+export const logRecipe = async (recipe, servingsEaten, { mealType } = {}) => {
+  const perServing = getPerServing(recipe);
+  const ratio = servingsEaten / (Number(recipe.servings) > 0 ? Number(recipe.servings) : 1);
+  const now = new Date();
+
+  const logData = {
+    user_id: recipe.user_id,
+    food_name: recipe.name,
+    serving_size: servingsEaten,
+    ...scaleNutrients(perServing, servingsEaten),
+    date_time: now.toISOString().split('T')[0],
+    meal_type: await resolveMealType(recipe.user_id, mealType, now),
+    notes: '',
+    created_at: now.toISOString(),
+  };
+
+  const ingredients = (recipe.ingredients || []).map((item) => ({
+    ...scaleNutrients(item, ratio),
+    quantity: scaleQuantity(item.quantity, ratio),
+  }));
+
+  return enqueueFoodLog(logData, { ingredients: normalizeIngredients(ingredients, logData) });
+};
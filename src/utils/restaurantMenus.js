@@ -0,0 +1,148 @@
+// Restaurants and takeaways the user orders from, each with the menu items they have logged there.
+// Kept on the device and built up by the user: a venue is added when it is first picked, and an
+// item is saved (or updated) when the user corrects what was logged for it.
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { readMicronutrients } from './micronutrients';
+
+const RESTAURANT_MENUS_KEY = 'restaurant_menus';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+// "McDonald's " and "mcdonald's" are the same venue
+const toKey = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const readMenus = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(RESTAURANT_MENUS_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('Error reading restaurant menus:', error);
+    return {};
+  }
+};
+
+const writeMenus = (menus) => AsyncStorage.setItem(RESTAURANT_MENUS_KEY, JSON.stringify(menus));
+
+const toVenue = (key, venue) => ({
+  key,
+  name: venue.name,
+  updated_at: venue.updated_at,
+  items: Object.entries(venue.items || {})
+    .map(([itemKey, item]) => ({ key: itemKey, ...item }))
+    .sort((a, b) => a.name.localeCompare(b.name)),
+});
+
+/**
+ * The user's venues, most recently used first.
+ * @returns {Promise<Array<{ key, name, updated_at, items: Array<{ key, name, serving, nutrition, updated_at }> }>>}
+ */
+export const getVenues = async () => {
+  const menus = await readMenus();
+  return Object.entries(menus)
+    .map(([key, venue]) => toVenue(key, venue))
+    .sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at)));
+};
+
+/**
+ * Add a venue, or mark an existing one as just used.
+ * @param {string} name
+ * @returns {Promise<object>} The venue with its menu
+ */
+export const saveVenue = async (name) => {
+  const key = toKey(name);
+  if (!key) throw new Error('Venue name is required');
+  const menus = await readMenus();
+  const venue = { items: {}, ...menus[key], name: menus[key]?.name || String(name).trim(), updated_at: new Date().toISOString() };
+  await writeMenus({ ...menus, [key]: venue });
+  return toVenue(key, venue);
+};
+
+export const removeVenue = async (venueKey) => {
+  const { [venueKey]: removed, ...menus } = await readMenus();
+  await writeMenus(menus);
+};
+
+export const removeMenuItem = async (venueKey, itemKey) => {
+  const menus = await readMenus();
+  const venue = menus[venueKey];
+  if (!venue?.items?.[itemKey]) return;
+  const { [itemKey]: removed, ...items } = venue.items;
+  await writeMenus({ ...menus, [venueKey]: { ...venue, items } });
+};
+
+/**
+ * Menu items whose name contains every word of the query ("big mac" finds "Big Mac Meal").
+ * @returns {Array} All items when the query is empty
+ */
+export const searchMenu = (venue, query) => {
+  const words = toKey(query).split(' ').filter(Boolean);
+  return (venue?.items || []).filter((item) => words.every((word) => item.name.toLowerCase().includes(word)));
+};
+
+/**
+ * The item whose name is exactly the query, ignoring case and spacing.
+ */
+export const findMenuItem = (venue, name) => (venue?.items || []).find((item) => item.key === toKey(name)) || null;
+
+/**
+ * Save an item to a venue's menu, replacing the one with the same name. Creates the venue if needed.
+ * @param {string} venueName
+ * @param {object} entry - { name, serving, calories, protein, carbs, fat, fiber } for one serving,
+ *   plus any of sugar (g), sodium, potassium, calcium, iron, vitamin_c (mg) that are known
+ * @returns {Promise<object>} The stored item
+ */
+export const saveMenuItem = async (venueName, entry) => {
+  const venueKey = toKey(venueName);
+  const itemKey = toKey(entry.name);
+  if (!venueKey || !itemKey) throw new Error('Venue and item names are required');
+
+  const nutrition = {};
+  NUTRIENTS.forEach((key) => { nutrition[key] = Math.max(0, Math.round((Number(entry[key]) || 0) * 10) / 10); });
+  // Left out rather than stored as 0 when nobody knows them
+  Object.entries(readMicronutrients(entry)).forEach(([key, amount]) => {
+    if (amount !== null) nutrition[key] = amount;
+  });
+  const now = new Date().toISOString();
+  const item = {
+    name: String(entry.name).trim(),
+    serving: String(entry.serving || '').trim() || '1 serving',
+    nutrition,
+    updated_at: now,
+  };
+
+  const menus = await readMenus();
+  const venue = menus[venueKey] || { name: String(venueName).trim(), items: {} };
+  await writeMenus({ ...menus, [venueKey]: { ...venue, items: { ...venue.items, [itemKey]: item }, updated_at: now } });
+  return { key: itemKey, ...item };
+};
+
+/**
+ * Save what was logged for a restaurant order when the user changed it from what was suggested,
+ * whether that was a menu item or an AI estimate. Values are for one serving.
+ * @param {string} venueName
+ * @param {object} suggested - { name, calories, protein, carbs, fat, fiber } as first shown
+ * @param {object} logged - Same fields as logged, plus micronutrients and serving
+ * @returns {Promise<object|null>} The stored item, or null when nothing was corrected
+ */
+export const saveMenuCorrection = async (venueName, suggested, logged) => {
+  const renamed = toKey(logged.name) !== toKey(suggested.name);
+  const changed = NUTRIENTS.some((key) => Math.round(Number(logged[key]) || 0) !== Math.round(Number(suggested[key]) || 0));
+  if (!renamed && !changed) return null;
+  return saveMenuItem(venueName, logged);
+};
+
+/**
+ * Shape a menu item like an analysis so PostCalorieScreen can show it. Nutrition is for one serving.
+ */
+export const menuItemToAnalysis = (venue, item) => {
+  const macros = {};
+  NUTRIENTS.forEach((key) => { macros[key] = item.nutrition[key] || 0; });
+  return {
+    dish_name: item.name,
+    description: `${item.serving} from ${venue.name}`,
+    source: 'menu',
+    total_nutrition: { ...macros, micronutrients: readMicronutrients(item.nutrition) },
+    ingredients: [{ name: item.name, quantity: item.serving, ...macros }],
+    venue: venue.name,
+  };
+};
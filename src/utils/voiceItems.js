@@ -0,0 +1,102 @@
+// A spoken meal as separate items ("a bowl of rice and some chicken" is two), each with its own
+// amount and nutrition. An item whose amount wasn't clear carries the analysis' follow-up question
+// until the user answers it by tapping an option, typing or saying the answer.
+import { analyzeFood } from './api';
+import { quantityRatio, scaleIngredient, sumIngredients } from './foodLogIngredients';
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+let nextKey = 0;
+
+const toItem = (source) => ({
+  key: `voice-item-${nextKey++}`,
+  name: String(source.name || '').trim(),
+  quantity: source.quantity ?? null,
+  ...Object.fromEntries(NUTRIENTS.map((key) => [key, Number(source[key]) || 0])),
+  followUp: source.follow_up || null,
+  followUpOptions: Array.isArray(source.follow_up_options) ? source.follow_up_options : [],
+});
+
+// "1 bowl rice" -> "rice": the analysis puts the quantity in front of the name
+const foodNameOf = (item) => {
+  const quantity = String(item.quantity || '').trim();
+  const name = String(item.name || '').trim();
+  return quantity && name.toLowerCase().startsWith(quantity.toLowerCase()) ? name.slice(quantity.length).trim() || name : name;
+};
+
+// One item from a re-analysis of a single food. If the model split it up anyway, its parts are added together.
+const fromEstimate = (item, analysis, quantity) => {
+  const [single] = analysis.ingredients;
+  if (analysis.ingredients.length === 1) {
+    return { ...toItem(single), key: item.key, followUp: null, followUpOptions: [] };
+  }
+  return {
+    ...item,
+    quantity,
+    name: `${quantity} ${foodNameOf(item)}`,
+    ...sumIngredients(analysis.ingredients),
+    followUp: null,
+    followUpOptions: [],
+  };
+};
+
+/**
+ * Editable items from a voice analysis (its ingredients or items).
+ * @returns {Array<{ key, name, quantity, calories, protein, carbs, fat, fiber, followUp, followUpOptions }>}
+ */
+export const toVoiceItems = (ingredients = []) => (ingredients || []).filter((item) => item?.name).map(toItem);
+
+/**
+ * Items still waiting for an answer about their amount.
+ */
+export const getOpenQuestions = (items = []) => items.filter((item) => item.followUp);
+
+/**
+ * Meal totals from the items.
+ * @returns {{ calories, protein, carbs, fat, fiber }}
+ */
+export const sumVoiceItems = (items = []) => sumIngredients(items);
+
+/**
+ * Re-estimate an item with the answer to its follow-up question ("Large (2 cups)", "about 200 grams").
+ * @returns {Promise<object>} The updated item, question cleared
+ */
+export const answerFollowUp = async (item, answer) => {
+  const analysis = await analyzeFood({
+    type: 'text',
+    text: item.name,
+    context: `${item.followUp || 'How much was it?'} ${String(answer).trim()}`,
+  });
+  return fromEstimate(item, analysis, String(answer).trim());
+};
+
+/**
+ * Dismiss an item's question and keep the typical serving it was estimated at.
+ */
+export const keepEstimate = (item) => ({ ...item, followUp: null, followUpOptions: [] });
+
+/**
+ * Change an item's amount. Nutrition is rescaled when the amounts compare ("100g" -> "150g"),
+ * otherwise the item is estimated again at the new amount ("1 bowl" -> "200g").
+ * @returns {Promise<object>}
+ */
+export const changeItemQuantity = async (item, quantity) => {
+  const trimmed = String(quantity || '').trim();
+  if (!trimmed || trimmed === String(item.quantity || '').trim()) return item;
+
+  const food = foodNameOf(item);
+  if (quantityRatio(item.quantity, trimmed) !== null) {
+    return { ...scaleIngredient(item, trimmed), name: `${trimmed} ${food}`, followUp: null, followUpOptions: [] };
+  }
+  const analysis = await analyzeFood({ type: 'text', text: `${trimmed} ${food}` });
+  return fromEstimate({ ...item, name: `${trimmed} ${food}` }, analysis, trimmed);
+};
+
+/**
+ * Items for something the user adds by typing, e.g. "a glass of orange juice".
+ * @returns {Promise<Array>}
+ */
+export const estimateVoiceItems = async (text) => {
+  const analysis = await analyzeFood({ type: 'text', text });
+  return toVoiceItems(analysis.ingredients);
+};
@@ -0,0 +1,90 @@
+// stores/memoryFoodLogStore.js
+// In-memory food-log data layer for local development and tests without network access.
+// Mirrors the behaviour of the Supabase store, including { data, error } results.
+
+const { randomUUID } = require('crypto');
+
+const copy = (row) => (row ? { ...row } : row);
+
+// Same ordering as ORDER BY created_at, id
+const compareRows = (a, b) => {
+  const byTime = Date.parse(a.created_at) - Date.parse(b.created_at);
+  if (byTime !== 0) return byTime;
+  return String(a.id).localeCompare(String(b.id));
+};
+
+function createMemoryFoodLogStore(seed = []) {
+  const rows = seed.map(copy);
+
+  return {
+    name: 'memory',
+
+    async findById(id) {
+      const row = rows.find((r) => String(r.id) === String(id));
+      return { data: row ? { id: row.id, user_id: row.user_id } : null, error: null };
+    },
+
+    async findByIds(ids) {
+      const wanted = new Set(ids.map(String));
+      const data = rows.filter((r) => wanted.has(String(r.id))).map((r) => ({ id: r.id, user_id: r.user_id }));
+      return { data, error: null };
+    },
+
+    async list(userId, { from, to, mealTypes, order = 'desc', limit, cursor } = {}) {
+      const fromTime = from && Date.parse(from.iso);
+      const toTime = to && Date.parse(to.iso);
+
+      let data = rows.filter((r) => {
+        if (r.user_id !== userId) return false;
+        const time = Date.parse(r.created_at);
+        if (from && time < fromTime) return false;
+        if (to && (to.exclusive ? time >= toTime : time > toTime)) return false;
+        if (mealTypes && !mealTypes.includes(r.meal_type)) return false;
+        return true;
+      });
+
+      data.sort(order === 'asc' ? compareRows : (a, b) => compareRows(b, a));
+
+      if (cursor) {
+        const direction = order === 'asc' ? 1 : -1;
+        data = data.filter((r) => compareRows(r, cursor) * direction > 0);
+      }
+
+      if (limit) data = data.slice(0, limit);
+      return { data: data.map(copy), error: null };
+    },
+
+    async insert(logs) {
+      const now = new Date().toISOString();
+      const inserted = logs.map((log) => ({
+        id: randomUUID(),
+        protein: 0,
+        carbs: 0,
+        fat: 0,
+        photo_url: null,
+        created_at: now,
+        updated_at: now,
+        ...log,
+      }));
+      rows.push(...inserted);
+      return { data: inserted.map(copy), error: null };
+    },
+
+    async update(id, userId, patch, { expectedUpdatedAt } = {}) {
+      const row = rows.find((r) => String(r.id) === String(id) && r.user_id === userId
+        && (!expectedUpdatedAt || Date.parse(r.updated_at) === Date.parse(expectedUpdatedAt)));
+      if (row) Object.assign(row, patch);
+      return { data: copy(row) || null, error: null };
+    },
+
+    async remove(ids, userId) {
+      const doomed = new Set(ids.map(String));
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (doomed.has(String(rows[i].id)) && rows[i].user_id === userId) rows.splice(i, 1);
+      }
+      return { data: null, error: null };
+    },
+  };
+}
+
+module.exports = createMemoryFoodLogStore;
@@ -0,0 +1,59 @@
+// stores/supabaseFoodLogStore.js
+// Food-log data layer backed by the user_food_logs table in Supabase.
+// Every method resolves to { data, error } like supabase-js does.
+
+const TABLE = 'user_food_logs';
+
+function createSupabaseFoodLogStore(supabase) {
+  return {
+    name: 'supabase',
+
+    findById(id) {
+      return supabase.from(TABLE).select('id, user_id').eq('id', id).maybeSingle();
+    },
+
+    findByIds(ids) {
+      return supabase.from(TABLE).select('id, user_id').in('id', ids);
+    },
+
+    // Filters come from validateListQuery; limit is optional
+    list(userId, { from, to, mealTypes, order = 'desc', limit, cursor, columns = '*' } = {}) {
+      const ascending = order === 'asc';
+
+      let query = supabase.from(TABLE).select(columns).eq('user_id', userId);
+
+      if (from) query = query.gte('created_at', from.iso);
+      if (to) query = to.exclusive ? query.lt('created_at', to.iso) : query.lte('created_at', to.iso);
+      if (mealTypes) query = query.in('meal_type', mealTypes);
+
+      // Keyset pagination on (created_at, id) so rows sharing a timestamp are not skipped
+      if (cursor) {
+        const op = ascending ? 'gt' : 'lt';
+        query = query.or(
+          `created_at.${op}.${cursor.created_at},and(created_at.eq.${cursor.created_at},id.${op}.${cursor.id})`
+        );
+      }
+
+      query = query.order('created_at', { ascending }).order('id', { ascending });
+      return limit ? query.limit(limit) : query;
+    },
+
+    // A single insert statement, so either every row is written or none is
+    insert(logs) {
+      return supabase.from(TABLE).insert(logs).select('*');
+    },
+
+    // With expectedUpdatedAt nothing is written, and data is null, once the row has moved on
+    update(id, userId, patch, { expectedUpdatedAt } = {}) {
+      let query = supabase.from(TABLE).update(patch).eq('id', id).eq('user_id', userId);
+      if (expectedUpdatedAt) query = query.eq('updated_at', expectedUpdatedAt);
+      return query.select('*').maybeSingle();
+    },
+
+    remove(ids, userId) {
+      return supabase.from(TABLE).delete().in('id', ids).eq('user_id', userId);
+    },
+  };
+}
+
+module.exports = createSupabaseFoodLogStore;
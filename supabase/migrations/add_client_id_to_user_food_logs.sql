@@ -0,0 +1,5 @@
+-- Idempotency key for food logs queued on the device (src/utils/foodLogQueue.js).
+-- A replayed insert with a client_id that already exists is ignored instead of duplicated.
+ALTER TABLE public.user_food_logs ADD COLUMN IF NOT EXISTS client_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_food_logs_client_id ON public.user_food_logs(client_id);
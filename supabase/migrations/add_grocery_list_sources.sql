@@ -0,0 +1,9 @@
+-- Ingredient sources for the grocery list (src/utils/groceryList.js).
+-- Saved meals keep the ingredient breakdown they were saved with, in the user_food_log_ingredients shape:
+-- [{"name": "Basmati Rice", "quantity": "200g", "calories": 260, ...}]
+ALTER TABLE public.saved_meal ADD COLUMN IF NOT EXISTS ingredients JSONB DEFAULT '[]'::jsonb;
+
+-- Recipes can be planned like saved meals; servings is how many of the recipe's servings that meal is
+ALTER TABLE public.meal_plan_entries
+    ADD COLUMN IF NOT EXISTS recipe_id UUID REFERENCES public.recipes(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS servings NUMERIC DEFAULT 1 NOT NULL;
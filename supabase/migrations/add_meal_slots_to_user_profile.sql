@@ -0,0 +1,4 @@
+-- Custom meal slots the user added next to breakfast, lunch, dinner and snack (src/utils/mealSlots.js),
+-- e.g. [{"name": "Pre-workout", "start": "17:00", "end": "18:00"}]. Times are local, 24h.
+ALTER TABLE public.user_profile
+    ADD COLUMN IF NOT EXISTS meal_slots JSONB DEFAULT '[]'::jsonb;
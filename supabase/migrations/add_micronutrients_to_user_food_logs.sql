@@ -0,0 +1,16 @@
+-- Fiber, sugar, sodium and micronutrient amounts per food log (src/utils/micronutrients.js).
+-- Grams for fiber and sugar, milligrams for the rest. NULL means the source didn't report it,
+-- which is different from zero for users tracking sodium or iron.
+ALTER TABLE public.user_food_logs
+    ADD COLUMN IF NOT EXISTS fiber NUMERIC DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS sugar NUMERIC,
+    ADD COLUMN IF NOT EXISTS sodium NUMERIC,
+    ADD COLUMN IF NOT EXISTS potassium NUMERIC,
+    ADD COLUMN IF NOT EXISTS calcium NUMERIC,
+    ADD COLUMN IF NOT EXISTS iron NUMERIC,
+    ADD COLUMN IF NOT EXISTS vitamin_c NUMERIC;
+
+-- Daily targets the user set themselves, e.g. {"sodium": 1500, "iron": 18}.
+-- Anything missing falls back to the defaults for their age and sex.
+ALTER TABLE public.user_profile
+    ADD COLUMN IF NOT EXISTS nutrient_targets JSONB DEFAULT '{}'::jsonb;
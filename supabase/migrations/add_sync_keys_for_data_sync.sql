@@ -0,0 +1,12 @@
+-- Conflict targets for rows replayed by the DataSyncEngine queue (src/algorithms/DataSyncEngine.js).
+-- Water and sleep are one record per day, so a replay updates it in place. The same index
+-- lets upsertIfUnchanged (src/utils/editConflicts.js) notice a row another device already created.
+-- weight_logs already has unique_user_date_weight.
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sleep_logs_user_date ON public.sleep_logs(user_id, date);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_water_intake_user_date ON public.daily_water_intake(user_id, date);
+
+-- Workouts can repeat on the same day, so they carry an idempotency key like user_food_logs.
+ALTER TABLE public.workouts ADD COLUMN IF NOT EXISTS client_id UUID;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_workouts_client_id ON public.workouts(client_id);
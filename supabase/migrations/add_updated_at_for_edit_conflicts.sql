@@ -0,0 +1,53 @@
+-- Version column for optimistic concurrency (src/utils/editConflicts.js).
+-- Edits are only written when updated_at still matches what the device last loaded.
+ALTER TABLE public.workouts
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+ALTER TABLE public.saved_cardio_sessions
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+ALTER TABLE public.sleep_logs
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+ALTER TABLE public.daily_water_intake
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL;
+
+-- Every write bumps the version, including screens and the API that don't go through
+-- editConflicts.js, so an edit based on an older load is always caught.
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = timezone('utc'::text, now());
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_workouts_updated_at ON public.workouts;
+CREATE TRIGGER set_workouts_updated_at
+    BEFORE UPDATE ON public.workouts
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS set_saved_cardio_sessions_updated_at ON public.saved_cardio_sessions;
+CREATE TRIGGER set_saved_cardio_sessions_updated_at
+    BEFORE UPDATE ON public.saved_cardio_sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS set_sleep_logs_updated_at ON public.sleep_logs;
+CREATE TRIGGER set_sleep_logs_updated_at
+    BEFORE UPDATE ON public.sleep_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS set_daily_water_intake_updated_at ON public.daily_water_intake;
+CREATE TRIGGER set_daily_water_intake_updated_at
+    BEFORE UPDATE ON public.daily_water_intake
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
+
+DROP TRIGGER IF EXISTS set_user_food_logs_updated_at ON public.user_food_logs;
+CREATE TRIGGER set_user_food_logs_updated_at
+    BEFORE UPDATE ON public.user_food_logs
+    FOR EACH ROW
+    EXECUTE FUNCTION set_updated_at();
@@ -0,0 +1,23 @@
+-- Columns the app writes to user_food_logs (validators/foodLog.js lists them for the API).
+-- The original table named the carbs column carbohydrates; everything reads and writes carbs.
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'user_food_logs' AND column_name = 'carbohydrates'
+    ) AND NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name = 'user_food_logs' AND column_name = 'carbs'
+    ) THEN
+        ALTER TABLE public.user_food_logs RENAME COLUMN carbohydrates TO carbs;
+    END IF;
+END $$;
+
+-- Servings eaten, mood emoji, free-text notes and the local day of the meal
+ALTER TABLE public.user_food_logs
+    ADD COLUMN IF NOT EXISTS carbs DECIMAL(8,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS serving_size DECIMAL(8,2) DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS mood TEXT,
+    ADD COLUMN IF NOT EXISTS notes TEXT,
+    ADD COLUMN IF NOT EXISTS date DATE,
+    ADD COLUMN IF NOT EXISTS date_time DATE;
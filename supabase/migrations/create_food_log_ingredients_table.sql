@@ -0,0 +1,27 @@
+-- Per-ingredient nutrition for each food log, so a single item can be corrected later
+CREATE TABLE IF NOT EXISTS public.user_food_log_ingredients (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    food_log_id UUID NOT NULL REFERENCES public.user_food_logs(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    position INTEGER DEFAULT 0 NOT NULL,
+    name TEXT NOT NULL,
+    quantity TEXT, -- as shown to the user, e.g. '150g' or '1 cup'
+    calories NUMERIC DEFAULT 0 NOT NULL,
+    protein NUMERIC DEFAULT 0 NOT NULL,
+    carbs NUMERIC DEFAULT 0 NOT NULL,
+    fat NUMERIC DEFAULT 0 NOT NULL,
+    fiber NUMERIC DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+-- Ingredients are always loaded per log
+CREATE INDEX IF NOT EXISTS idx_food_log_ingredients_food_log_id ON public.user_food_log_ingredients(food_log_id);
+
+-- Enable Row Level Security
+ALTER TABLE public.user_food_log_ingredients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their own food log ingredients"
+    ON public.user_food_log_ingredients FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,57 @@
+-- Saved meals scheduled for a day and meal slot (src/utils/mealPlan.js).
+-- Nutrition is copied from the saved meal so editing or deleting it doesn't change the plan.
+CREATE TABLE IF NOT EXISTS public.meal_plan_entries (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    saved_meal_id UUID REFERENCES public.saved_meal(id) ON DELETE SET NULL,
+    plan_date DATE NOT NULL,
+    meal_slot TEXT NOT NULL DEFAULT 'Lunch',
+    dish_name TEXT NOT NULL,
+    calories NUMERIC DEFAULT 0 NOT NULL,
+    protein NUMERIC DEFAULT 0 NOT NULL,
+    carbs NUMERIC DEFAULT 0 NOT NULL,
+    fat NUMERIC DEFAULT 0 NOT NULL,
+    fiber NUMERIC DEFAULT 0 NOT NULL,
+    photo_url TEXT,
+    status TEXT NOT NULL DEFAULT 'planned' CHECK (status IN ('planned', 'eaten')),
+    -- client_id of the user_food_logs row created by "mark eaten"; known before the log syncs
+    food_log_client_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_plan_entries_user_date ON public.meal_plan_entries(user_id, plan_date);
+
+ALTER TABLE public.meal_plan_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own meal plan"
+    ON public.meal_plan_entries FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own meal plan"
+    ON public.meal_plan_entries FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own meal plan"
+    ON public.meal_plan_entries FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own meal plan"
+    ON public.meal_plan_entries FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION update_meal_plan_entries_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = timezone('utc'::text, now());
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_meal_plan_entries_updated_at_trigger
+    BEFORE UPDATE ON public.meal_plan_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_meal_plan_entries_updated_at();
+
+GRANT ALL ON public.meal_plan_entries TO authenticated;
+GRANT ALL ON public.meal_plan_entries TO service_role;
@@ -0,0 +1,57 @@
+-- Recurring meals like "weekday breakfast" (src/utils/mealTemplates.js).
+-- items holds the food logs the template was made from, each with its ingredient breakdown:
+-- [{"food_name": "Oats with banana", "calories": 350, ..., "ingredients": [{"name": "Oats", "quantity": "50g", ...}]}]
+CREATE TABLE IF NOT EXISTS public.meal_templates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    meal_slot TEXT NOT NULL DEFAULT 'Breakfast',
+    -- Days it repeats on, 0 = Sunday (Date.getDay())
+    days_of_week SMALLINT[] NOT NULL DEFAULT '{1,2,3,4,5}',
+    -- Local time it becomes due
+    log_time TIME NOT NULL DEFAULT '08:00',
+    -- 'suggest' asks on Home, 'auto' logs it without asking
+    mode TEXT NOT NULL DEFAULT 'suggest' CHECK (mode IN ('suggest', 'auto')),
+    items JSONB NOT NULL DEFAULT '[]'::jsonb,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Last day it was logged or skipped, so it is only handled once per day across devices
+    last_handled_date DATE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_meal_templates_user_id ON public.meal_templates(user_id);
+
+ALTER TABLE public.meal_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own meal templates"
+    ON public.meal_templates FOR SELECT
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own meal templates"
+    ON public.meal_templates FOR INSERT
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own meal templates"
+    ON public.meal_templates FOR UPDATE
+    USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own meal templates"
+    ON public.meal_templates FOR DELETE
+    USING (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION update_meal_templates_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = timezone('utc'::text, now());
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_meal_templates_updated_at_trigger
+    BEFORE UPDATE ON public.meal_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_meal_templates_updated_at();
+
+GRANT ALL ON public.meal_templates TO authenticated;
+GRANT ALL ON public.meal_templates TO service_role;
@@ -0,0 +1,67 @@
+-- Recipes built from ingredients (src/utils/recipes.js). Totals are for the whole recipe;
+-- per-serving nutrition is totals / servings, so changing the servings doesn't touch the ingredients.
+CREATE TABLE IF NOT EXISTS public.recipes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    servings NUMERIC DEFAULT 1 NOT NULL CHECK (servings > 0),
+    notes TEXT,
+    calories NUMERIC DEFAULT 0 NOT NULL,
+    protein NUMERIC DEFAULT 0 NOT NULL,
+    carbs NUMERIC DEFAULT 0 NOT NULL,
+    fat NUMERIC DEFAULT 0 NOT NULL,
+    fiber NUMERIC DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON public.recipes(user_id);
+
+-- Same shape as user_food_log_ingredients so a logged meal's breakdown can become a recipe and back
+CREATE TABLE IF NOT EXISTS public.recipe_ingredients (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    recipe_id UUID NOT NULL REFERENCES public.recipes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    position INTEGER DEFAULT 0 NOT NULL,
+    name TEXT NOT NULL,
+    quantity TEXT, -- for the whole recipe, e.g. '500g' or '2 cups'
+    calories NUMERIC DEFAULT 0 NOT NULL,
+    protein NUMERIC DEFAULT 0 NOT NULL,
+    carbs NUMERIC DEFAULT 0 NOT NULL,
+    fat NUMERIC DEFAULT 0 NOT NULL,
+    fiber NUMERIC DEFAULT 0 NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_recipe_id ON public.recipe_ingredients(recipe_id);
+
+ALTER TABLE public.recipes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recipe_ingredients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can access their own recipes"
+    ON public.recipes FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can access their own recipe ingredients"
+    ON public.recipe_ingredients FOR ALL
+    USING (auth.uid() = user_id)
+    WITH CHECK (auth.uid() = user_id);
+
+CREATE OR REPLACE FUNCTION update_recipes_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = timezone('utc'::text, now());
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER update_recipes_updated_at_trigger
+    BEFORE UPDATE ON public.recipes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_recipes_updated_at();
+
+GRANT ALL ON public.recipes TO authenticated;
+GRANT ALL ON public.recipes TO service_role;
+GRANT ALL ON public.recipe_ingredients TO authenticated;
+GRANT ALL ON public.recipe_ingredients TO service_role;
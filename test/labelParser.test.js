@@ -0,0 +1,125 @@
+// test/labelParser.test.js
+// Nutrition label parsing against label text fixtures as OCR hands it over
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { ANALYSIS_ERROR_CODES } = require('../services/analysis/errors');
+const {
+  cleanLabelText,
+  parseNutritionLabel,
+  readNutritionLabel,
+  validateNutritionLabel,
+} = require('../services/analysis/labelParser');
+
+const fixture = (name) => fs.readFileSync(require.resolve(`./fixtures/labels/${name}`), 'utf8');
+
+describe('parseNutritionLabel', () => {
+  it('reads a US panel per serving', () => {
+    assert.deepEqual(parseNutritionLabel(fixture('us-per-serving.txt')), {
+      serving_size: '2/3 cup (55g)',
+      serving_grams: 55,
+      servings_per_container: 6,
+      calories: 230,
+      fat: 8,
+      carbs: 37,
+      fiber: 4,
+      sugar: 12,
+      protein: 3,
+      sodium: 160,
+    });
+  });
+
+  it('reads an EU panel per 100 g, with kcal, decimal commas and salt', () => {
+    assert.deepEqual(parseNutritionLabel(fixture('eu-per-100g.txt')), {
+      serving_size: '100 g',
+      serving_grams: 100,
+      servings_per_container: null,
+      calories: 250,
+      fat: 9.5,
+      carbs: 31,
+      fiber: 2.8,
+      sugar: 2.4,
+      protein: 9.8,
+      sodium: 480,
+    });
+  });
+
+  it('leaves values the label does not show as null', () => {
+    const label = parseNutritionLabel(fixture('missing-fields.txt'));
+    assert.equal(label.serving_size, '1 can (355ml)');
+    assert.equal(label.serving_grams, 355);
+    assert.equal(label.calories, 140);
+    assert.equal(label.carbs, 39);
+    assert.equal(label.sugar, 39);
+    assert.equal(label.sodium, 45);
+    assert.equal(label.fat, null);
+    assert.equal(label.fiber, null);
+    assert.equal(label.protein, null);
+  });
+
+  it('gets past OCR noise: table borders, "O g", thousands separators and decimal commas', () => {
+    assert.deepEqual(parseNutritionLabel(fixture('ocr-noise.txt')), {
+      serving_size: '1 tray (340 g)',
+      serving_grams: 340,
+      servings_per_container: null,
+      calories: 450,
+      fat: 1.5,
+      carbs: 82,
+      fiber: 0,
+      sugar: 9,
+      protein: 22,
+      sodium: 1150,
+    });
+  });
+
+  it('converts kJ when the panel gives no kcal', () => {
+    assert.equal(parseNutritionLabel('Energy 1046 kJ\nFat 9g').calories, 250);
+  });
+
+  it('does not read "Calories from Fat" as the calories', () => {
+    assert.equal(parseNutritionLabel('Calories from Fat 70\nCalories 230').calories, 230);
+  });
+});
+
+describe('cleanLabelText', () => {
+  it('drops thousands separators and turns decimal commas into points', () => {
+    assert.equal(cleanLabelText('Calories 1,200\nFat 2,5 g'), 'calories 1200\nfat 2.5 g');
+  });
+});
+
+describe('validateNutritionLabel', () => {
+  it('accepts the fixtures that are real panels', () => {
+    for (const name of ['us-per-serving.txt', 'eu-per-100g.txt', 'missing-fields.txt', 'ocr-noise.txt']) {
+      assert.deepEqual(validateNutritionLabel(parseNutritionLabel(fixture(name))), { errors: [], warnings: [] }, name);
+    }
+  });
+
+  it('warns about values that contradict each other or are too high', () => {
+    const { errors, warnings } = validateNutritionLabel(
+      parseNutritionLabel('Calories 600\nTotal Fat 2g\nTotal Carbohydrate 10g\nDietary Fiber 12g\nProtein 250g')
+    );
+    assert.deepEqual(errors, []);
+    assert.deepEqual(warnings, [
+      'protein looks too high for one serving',
+      'fiber is higher than total carbs',
+      "calories don't match protein, carbs and fat (about 1058 kcal)",
+    ]);
+  });
+});
+
+describe('readNutritionLabel', () => {
+  it('returns the label and its warnings', () => {
+    const { label, warnings } = readNutritionLabel(fixture('us-per-serving.txt'));
+    assert.equal(label.calories, 230);
+    assert.deepEqual(warnings, []);
+  });
+
+  it('rejects text that is not a nutrition panel', () => {
+    assert.throws(() => readNutritionLabel(fixture('no-calories.txt')), {
+      name: 'AnalysisError',
+      code: ANALYSIS_ERROR_CODES.UNREADABLE_LABEL,
+      message: 'No calories found on the label',
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// test/server.test.js
+// The HTTP API end to end on the in-memory store and the fake analysis provider, no network needed
+
+const { after, before, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { Buffer } = require('buffer');
+const { createApp } = require('../server');
+const createFakeProvider = require('../services/analysis/fakeProvider');
+const createMemoryFoodLogStore = require('../stores/memoryFoodLogStore');
+
+// The bearer token is the user id
+const verifyToken = async (token) => ({ id: token });
+
+// Start the app on a free port; request(method, path, { body, user }) resolves to { status, body }
+async function startServer(store = createMemoryFoodLogStore()) {
+  const app = createApp({ store, verifyToken, analysisProvider: createFakeProvider() });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, user = 'user-1' } = {}) => {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...(user ? { authorization: `Bearer ${user}` } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  };
+
+  return { request, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+const lunch = { food_name: 'Chicken and rice', meal_type: 'Lunch', calories: 520, protein: 40, carbs: 60, fat: 9 };
+
+describe('food-logs routes on the memory store', () => {
+  let api;
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+
+  it('requires a bearer token', async () => {
+    const { status } = await api.request('GET', '/food-logs', { user: null });
+    assert.equal(status, 401);
+  });
+
+  it('creates a log for the caller and lists it', async () => {
+    const created = await api.request('POST', '/food-logs', { body: lunch });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user_id, 'user-1');
+    assert.equal(created.body.carbs, 60);
+
+    const listed = await api.request('GET', '/food-logs');
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.data.map((log) => log.id), [created.body.id]);
+
+    const someoneElse = await api.request('GET', '/food-logs', { user: 'user-2' });
+    assert.deepEqual(someoneElse.body.data, []);
+  });
+
+  it('accepts custom meal slots and rejects unknown columns', async () => {
+    const custom = await api.request('POST', '/food-logs', { body: { ...lunch, meal_type: 'Pre-workout' } });
+    assert.equal(custom.status, 201);
+
+    const invalid = await api.request('POST', '/food-logs', { body: { ...lunch, carbohydrates: 60 } });
+    assert.equal(invalid.status, 422);
+    assert.deepEqual(invalid.body.details, [{ field: 'carbohydrates', message: 'is not a known column' }]);
+  });
+
+  it('pages with a cursor and refuses a tampered one', async () => {
+    const first = await api.request('GET', '/food-logs?limit=1');
+    assert.equal(first.body.data.length, 1);
+    assert.ok(first.body.next_cursor);
+
+    const second = await api.request('GET', `/food-logs?limit=1&cursor=${first.body.next_cursor}`);
+    assert.equal(second.body.data.length, 1);
+    assert.notEqual(second.body.data[0].id, first.body.data[0].id);
+
+    const tampered = Buffer.from(JSON.stringify({ created_at: '2026-01-01,id.gt.0', id: 'x' })).toString('base64url');
+    const refused = await api.request('GET', `/food-logs?cursor=${tampered}`);
+    assert.equal(refused.status, 422);
+  });
+
+  it('updates only from the version that was loaded', async () => {
+    const { body: log } = await api.request('POST', '/food-logs', { body: lunch });
+
+    const unversioned = await api.request('PUT', `/food-logs/${log.id}`, { body: { calories: 480 } });
+    assert.equal(unversioned.status, 422);
+
+    const updated = await api.request('PUT', `/food-logs/${log.id}`, { body: { calories: 480, updated_at: log.updated_at } });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.calories, 480);
+
+    // A second edit still based on the first version was overtaken
+    const stale = await api.request('PUT', `/food-logs/${log.id}`, { body: { calories: 450, updated_at: log.updated_at } });
+    assert.equal(stale.status, 409);
+  });
+
+  it("keeps callers out of other users' logs", async () => {
+    const { body: log } = await api.request('POST', '/food-logs', { body: lunch });
+    const { status } = await api.request('DELETE', `/food-logs/${log.id}`, { user: 'user-2' });
+    assert.equal(status, 403);
+    assert.equal((await api.request('DELETE', `/food-logs/${log.id}`)).status, 204);
+  });
+
+  it('sums the day in the caller\'s time zone, custom slots included', async () => {
+    const store = createMemoryFoodLogStore([
+      { id: 'a', user_id: 'user-1', meal_type: 'Breakfast', food_name: 'Oats', calories: 300, carbs: 50, created_at: '2026-10-18T07:00:00.000Z' },
+      { id: 'b', user_id: 'user-1', meal_type: 'Pre-workout', food_name: 'Banana', calories: 105, carbs: 27, created_at: '2026-10-18T16:00:00.000Z' },
+      { id: 'c', user_id: 'user-1', meal_type: 'Dinner', food_name: 'Pasta', calories: 600, carbs: 80, created_at: '2026-10-19T02:00:00.000Z' },
+    ]);
+    const summaryApi = await startServer(store);
+    try {
+      const { status, body } = await summaryApi.request('GET', '/food-logs/summary/daily?date=2026-10-18&tz=America/New_York');
+      assert.equal(status, 200);
+      assert.equal(body.totals.calories, 1005);
+      assert.equal(body.totals.carbs, 157);
+      assert.equal(body.meal_counts['Pre-workout'], 1);
+      assert.equal(body.log_count, 3);
+    } finally {
+      await summaryApi.close();
+    }
+  });
+});
+
+describe('analysis routes on the fake provider', () => {
+  let api;
+  before(async () => { api = await startServer(); });
+  after(() => api.close());
+
+  it('prices a text description the same way every time', async () => {
+    const body = { type: 'text', text: '200g rice and chicken' };
+    const first = await api.request('POST', '/analysis', { body });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.ingredients.length, 2);
+    assert.equal(first.body.total_nutrition.calories, 425);
+    assert.deepEqual((await api.request('POST', '/analysis', { body })).body, first.body);
+  });
+
+  it('reports text with no food in it', async () => {
+    const { status, body } = await api.request('POST', '/analysis', { body: { type: 'text', text: '123' } });
+    assert.equal(status, 422);
+    assert.equal(body.code, 'no_food_detected');
+  });
+
+  it('reads a nutrition label from a photo', async () => {
+    const { status, body } = await api.request('POST', '/analysis/label', {
+      body: { type: 'image', data: Buffer.from('label').toString('base64'), mime_type: 'image/jpeg' },
+    });
+    assert.equal(status, 200);
+    assert.equal(body.label.calories, 190);
+    assert.equal(body.label.serving_grams, 40);
+    assert.deepEqual(body.warnings, []);
+  });
+
+  it('validates the request before calling the provider', async () => {
+    const { status } = await api.request('POST', '/analysis', { body: { type: 'video', data: 'abc' } });
+    assert.equal(status, 422);
+  });
+});
@@ -0,0 +1,111 @@
+// validators/analysis.js
+// Request schema for POST /analysis and POST /analysis/transcribe
+
+const ANALYSIS_TYPES = ['text', 'image', 'audio'];
+
+const MIME_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp', 'image/heic'],
+  audio: ['audio/m4a', 'audio/mp4', 'audio/mpeg', 'audio/wav', 'audio/aac', 'audio/webm'],
+};
+
+// Several angles of one meal, or a before and an after photo of the plate
+const IMAGE_ROLES = ['angle', 'before', 'after'];
+const MAX_IMAGES = 4;
+
+const MAX_TEXT_LENGTH = 2000;
+const MAX_CONTEXT_LENGTH = 500;
+// About 10MB of binary once decoded
+const MAX_BASE64_LENGTH = 14 * 1024 * 1024;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// images: [{ data, mime_type, role }]; together they share the size limit of a single upload
+function validateImages(images, errors) {
+  if (!Array.isArray(images) || images.length === 0 || images.length > MAX_IMAGES) {
+    errors.push({ field: 'images', message: `must be an array of 1 to ${MAX_IMAGES} images` });
+    return undefined;
+  }
+
+  const value = [];
+  images.forEach((image, index) => {
+    const field = `images[${index}]`;
+    const { data, mime_type: mimeType, role = 'angle' } = image || {};
+    if (typeof data !== 'string' || !data || !BASE64.test(data)) {
+      errors.push({ field: `${field}.data`, message: 'must be a base64 encoded string' });
+    }
+    if (!MIME_TYPES.image.includes(mimeType)) {
+      errors.push({ field: `${field}.mime_type`, message: `must be one of: ${MIME_TYPES.image.join(', ')}` });
+    }
+    if (!IMAGE_ROLES.includes(role)) {
+      errors.push({ field: `${field}.role`, message: `must be one of: ${IMAGE_ROLES.join(', ')}` });
+    }
+    value.push({ data, mimeType, role });
+  });
+
+  const roles = value.map((image) => image.role);
+  if (roles.includes('after') && !roles.includes('before')) {
+    errors.push({ field: 'images', message: 'an after photo needs a before photo' });
+  }
+  if (value.reduce((total, image) => total + (typeof image.data === 'string' ? image.data.length : 0), 0) > MAX_BASE64_LENGTH) {
+    errors.push({ field: 'images', message: 'are too large' });
+  }
+  return value;
+}
+
+/**
+ * Validate an analysis request. Returns { value, errors } like validators/foodLog.
+ * types limits which input types the endpoint accepts; allowImages lets an image
+ * request send `images` (several photos of one meal) instead of `data`.
+ */
+function validateAnalysisRequest(body, { types = ANALYSIS_TYPES, allowImages = false } = {}) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value: {}, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  const { type, text, data, mime_type: mimeType, images, context } = body;
+  const value = { type };
+
+  if (!types.includes(type)) {
+    errors.push({ field: 'type', message: `must be one of: ${types.join(', ')}` });
+    return { value, errors };
+  }
+
+  if (type === 'text') {
+    if (typeof text !== 'string' || !text.trim()) {
+      errors.push({ field: 'text', message: 'must be a non-empty string' });
+    } else if (text.length > MAX_TEXT_LENGTH) {
+      errors.push({ field: 'text', message: `must be at most ${MAX_TEXT_LENGTH} characters` });
+    } else {
+      value.text = text.trim();
+    }
+  } else if (type === 'image' && allowImages && images !== undefined) {
+    value.images = validateImages(images, errors);
+  } else {
+    if (typeof data !== 'string' || !data || !BASE64.test(data)) {
+      errors.push({ field: 'data', message: 'must be a base64 encoded string' });
+    } else if (data.length > MAX_BASE64_LENGTH) {
+      errors.push({ field: 'data', message: 'is too large' });
+    } else {
+      value.data = data;
+    }
+
+    if (!MIME_TYPES[type].includes(mimeType)) {
+      errors.push({ field: 'mime_type', message: `must be one of: ${MIME_TYPES[type].join(', ')}` });
+    } else {
+      value.mimeType = mimeType;
+    }
+  }
+
+  if (context !== undefined && context !== null) {
+    if (typeof context !== 'string' || context.length > MAX_CONTEXT_LENGTH) {
+      errors.push({ field: 'context', message: `must be a string of at most ${MAX_CONTEXT_LENGTH} characters` });
+    } else {
+      value.context = context.trim();
+    }
+  }
+
+  return { value, errors };
+}
+
+module.exports = { ANALYSIS_TYPES, IMAGE_ROLES, validateAnalysisRequest };
@@ -0,0 +1,314 @@
+// validators/foodLog.js
+// Request schema for rows in public.user_food_logs (see supabase_schema.sql and supabase/migrations)
+
+const { Buffer } = require('buffer');
+
+// Standard slots; users can add their own (src/utils/mealSlots.js), so any short name is accepted
+const MEAL_TYPES = ['Breakfast', 'Lunch', 'Dinner', 'Snack', 'Quick Log', 'Saved Meal'];
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,6})?)?(Z|[+-]\d{2}:?\d{2})$/;
+const STORAGE_PATH = /^[\w-]+(\/[\w.-]+)+$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_FOOD_NAME = 200;
+const MAX_MEAL_TYPE = 50;
+const MAX_MOOD = 16;
+const MAX_NOTES = 1000;
+// DECIMAL(8,2) upper bound
+const MAX_DECIMAL = 999999.99;
+
+const isNonNegativeNumber = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= MAX_DECIMAL;
+
+const checkMacro = (value) =>
+  isNonNegativeNumber(value) ? null : `must be a number between 0 and ${MAX_DECIMAL}`;
+
+const checkText = (max) => (value) =>
+  typeof value === 'string' && value.length <= max ? null : `must be a string of at most ${max} characters`;
+
+const isMealType = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_MEAL_TYPE;
+
+const checkDate = (value) =>
+  typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value)) ? null : 'must be a YYYY-MM-DD date';
+
+// Field rules: each check returns an error message or null
+const FIELDS = {
+  food_name: {
+    required: true,
+    check: (value) => {
+      if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+      if (value.length > MAX_FOOD_NAME) return `must be at most ${MAX_FOOD_NAME} characters`;
+      return null;
+    },
+  },
+  meal_type: {
+    required: true,
+    check: (value) => (isMealType(value) ? null : `must be a non-empty string of at most ${MAX_MEAL_TYPE} characters`),
+  },
+  calories: { required: true, check: checkMacro },
+  protein: { check: checkMacro },
+  carbs: { check: checkMacro },
+  fat: { check: checkMacro },
+  fiber: { check: checkMacro },
+  // Servings eaten; the nutrients above are already multiplied by it
+  serving_size: {
+    check: (value) => (isNonNegativeNumber(value) && value > 0 ? null : `must be a number above 0 and at most ${MAX_DECIMAL}`),
+  },
+  // Grams of sugar, milligrams for the rest; null when the source didn't report them
+  sugar: { nullable: true, check: checkMacro },
+  sodium: { nullable: true, check: checkMacro },
+  potassium: { nullable: true, check: checkMacro },
+  calcium: { nullable: true, check: checkMacro },
+  iron: { nullable: true, check: checkMacro },
+  vitamin_c: { nullable: true, check: checkMacro },
+  photo_url: {
+    nullable: true,
+    check: (value) => {
+      if (typeof value !== 'string') return 'must be a string';
+      if (/^https?:\/\//i.test(value)) {
+        try {
+          new URL(value);
+          return null;
+        } catch {
+          return 'must be a valid http(s) URL';
+        }
+      }
+      if (STORAGE_PATH.test(value) && !value.includes('..')) return null;
+      return 'must be an http(s) URL or a storage path like food-photos/<user>/<file>.jpg';
+    },
+  },
+  // Emoji picked on the log screens
+  mood: { nullable: true, check: checkText(MAX_MOOD) },
+  notes: { nullable: true, check: checkText(MAX_NOTES) },
+  // Local day of the meal; screens write one or the other
+  date: { nullable: true, check: checkDate },
+  date_time: { nullable: true, check: checkDate },
+  // Idempotency key from the device's offline queue
+  client_id: { nullable: true, check: (value) => (typeof value === 'string' && UUID.test(value) ? null : 'must be a UUID') },
+  created_at: {
+    check: (value) =>
+      typeof value === 'string' && ISO_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value))
+        ? null
+        : 'must be an ISO 8601 timestamp with time zone',
+  },
+};
+
+// Columns that exist on the table but are owned by the server
+const READ_ONLY_FIELDS = ['id', 'user_id', 'updated_at'];
+
+/**
+ * Validate a create (partial = false) or update (partial = true) payload.
+ * Returns { value, errors } where errors is a list of { field, message }.
+ * user_id is left to the route, which checks it against the authenticated user.
+ */
+function validateFoodLog(body, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { value, errors: [{ field: null, message: 'Request body must be a JSON object' }] };
+  }
+
+  for (const [field, fieldValue] of Object.entries(body)) {
+    if (field === 'user_id' && !partial) continue;
+
+    if (READ_ONLY_FIELDS.includes(field)) {
+      errors.push({ field, message: 'cannot be set by clients' });
+      continue;
+    }
+
+    const rule = FIELDS[field];
+    if (!rule) {
+      errors.push({ field, message: 'is not a known column' });
+      continue;
+    }
+
+    if (fieldValue === null && rule.nullable) {
+      value[field] = null;
+      continue;
+    }
+
+    const message = fieldValue === undefined || fieldValue === null ? 'must not be null' : rule.check(fieldValue);
+    if (message) {
+      errors.push({ field, message });
+    } else {
+      value[field] = typeof fieldValue === 'string' ? fieldValue.trim() : fieldValue;
+    }
+  }
+
+  if (!partial) {
+    for (const [field, rule] of Object.entries(FIELDS)) {
+      if (rule.required && !(field in body)) {
+        errors.push({ field, message: 'is required' });
+      }
+    }
+  } else if (Object.keys(body).length === 0) {
+    errors.push({ field: null, message: 'Update must include at least one field' });
+  }
+
+  return { value, errors };
+}
+
+// An update carries the updated_at it was based on, exactly as the client loaded it
+const checkExpectedVersion = (value) =>
+  typeof value === 'string' && ISO_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value))
+    ? null
+    : 'is required: the updated_at of the food log as loaded';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Opaque pagination cursor: the (created_at, id) of the last row on a page
+const encodeCursor = (row) =>
+  Buffer.from(JSON.stringify({ created_at: row.created_at, id: row.id })).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    // The cursor ends up inside a PostgREST filter string, so only allow strict timestamps
+    // (Date.parse also takes commas and parentheses) and plain ids
+    if (typeof parsed?.created_at !== 'string' || !ISO_TIMESTAMP.test(parsed.created_at)) return null;
+    if (Number.isNaN(Date.parse(parsed.created_at))) return null;
+    if (!/^[\w-]+$/.test(String(parsed.id))) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+// Accepts YYYY-MM-DD or a full ISO timestamp. A bare `to` date covers that whole (UTC) day.
+const parseRangeBound = (value, { end = false } = {}) => {
+  if (typeof value !== 'string') return null;
+  if (ISO_DATE.test(value)) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (Number.isNaN(date.getTime())) return null;
+    if (end) date.setUTCDate(date.getUTCDate() + 1);
+    return { iso: date.toISOString(), exclusive: end };
+  }
+  if (ISO_TIMESTAMP.test(value) && !Number.isNaN(Date.parse(value))) {
+    return { iso: new Date(value).toISOString(), exclusive: false };
+  }
+  return null;
+};
+
+/**
+ * Validate the query string of GET /food-logs.
+ * Supports from, to, meal_type (comma separated), order (asc|desc), limit and cursor.
+ */
+function validateListQuery(query = {}) {
+  const errors = [];
+  const value = { order: 'desc', limit: DEFAULT_PAGE_SIZE };
+
+  if (query.from !== undefined) {
+    value.from = parseRangeBound(query.from);
+    if (!value.from) errors.push({ field: 'from', message: 'must be a date (YYYY-MM-DD) or ISO 8601 timestamp' });
+  }
+
+  if (query.to !== undefined) {
+    value.to = parseRangeBound(query.to, { end: true });
+    if (!value.to) errors.push({ field: 'to', message: 'must be a date (YYYY-MM-DD) or ISO 8601 timestamp' });
+  }
+
+  if (value.from && value.to && value.from.iso > value.to.iso) {
+    errors.push({ field: 'from', message: 'must not be after to' });
+  }
+
+  if (query.meal_type !== undefined) {
+    const mealTypes = String(query.meal_type).split(',').map((type) => type.trim()).filter(Boolean);
+    if (!mealTypes.length || !mealTypes.every(isMealType)) {
+      errors.push({ field: 'meal_type', message: `must be one or more names of at most ${MAX_MEAL_TYPE} characters` });
+    } else {
+      value.mealTypes = mealTypes;
+    }
+  }
+
+  if (query.order !== undefined) {
+    if (query.order === 'asc' || query.order === 'desc') {
+      value.order = query.order;
+    } else {
+      errors.push({ field: 'order', message: 'must be asc or desc' });
+    }
+  }
+
+  if (query.limit !== undefined) {
+    const limit = Number(query.limit);
+    if (Number.isInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE) {
+      value.limit = limit;
+    } else {
+      errors.push({ field: 'limit', message: `must be an integer between 1 and ${MAX_PAGE_SIZE}` });
+    }
+  }
+
+  if (query.cursor !== undefined) {
+    value.cursor = decodeCursor(String(query.cursor));
+    if (!value.cursor) errors.push({ field: 'cursor', message: 'is not a valid cursor' });
+  }
+
+  return { value, errors };
+}
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validate the query string of the summary endpoints.
+ * dateField is the name of the day parameter (date for daily, start for weekly); tz defaults to UTC.
+ */
+function validateSummaryQuery(query = {}, { dateField }) {
+  const errors = [];
+  const value = { timeZone: 'UTC' };
+
+  if (query.tz !== undefined) {
+    if (typeof query.tz === 'string' && isValidTimeZone(query.tz)) {
+      value.timeZone = query.tz;
+    } else {
+      errors.push({ field: 'tz', message: 'must be an IANA time zone such as Asia/Kolkata' });
+    }
+  }
+
+  const date = query[dateField];
+  if (date !== undefined) {
+    if (typeof date === 'string' && ISO_DATE.test(date) && !Number.isNaN(Date.parse(`${date}T00:00:00Z`))) {
+      value.date = date;
+    } else {
+      errors.push({ field: dateField, message: 'must be a date (YYYY-MM-DD)' });
+    }
+  }
+
+  return { value, errors };
+}
+
+const MAX_BATCH_SIZE = 100;
+
+// Validate the body of the batch endpoints: a non-empty array under `key` of at most MAX_BATCH_SIZE items
+function validateBatchBody(body, key) {
+  const items = body?.[key];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return [{ field: key, message: 'must be a non-empty array' }];
+  }
+  if (items.length > MAX_BATCH_SIZE) {
+    return [{ field: key, message: `must contain at most ${MAX_BATCH_SIZE} items` }];
+  }
+  return [];
+}
+
+// Shape used by the routes for 422 responses
+const validationError = (errors) => ({ error: 'Validation failed', details: errors });
+
+module.exports = {
+  MEAL_TYPES,
+  checkExpectedVersion,
+  encodeCursor,
+  validateBatchBody,
+  validateFoodLog,
+  validateListQuery,
+  validateSummaryQuery,
+  validationError,
+};